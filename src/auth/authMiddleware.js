@@ -0,0 +1,66 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import UnauthorizedError from '../errors/unauthorizedError.js'
+import { debugFactory } from '../debug.js'
+
+const debug = debugFactory('Auth')
+
+/**
+ * Strategy providing the Authorization header of requests,
+ * see BasicAuth, BearerAuth and OAuth2Auth
+ *
+ * @typedef {object} AuthStrategy
+ * @property {function(): Promise<string>} getAuthorization - gets the value of the Authorization header
+ * @property {function(string): Promise<void>=} refresh - refreshes the credentials after the given Authorization header was rejected
+ */
+
+/**
+ * creates a middleware authenticating all requests with the given strategy
+ *
+ * If the server rejects a request with 401 and the strategy is able to refresh its credentials,
+ * the request is sent once more with the refreshed credentials.
+ *
+ * @param {AuthStrategy} strategy The strategy to authenticate requests with
+ * @return {import('../request.js').Middleware}
+ */
+export function authMiddleware(strategy) {
+	return async (context, next) => {
+		const authorization = await strategy.getAuthorization()
+
+		try {
+			return await next(withAuthorization(context, authorization))
+		} catch (error) {
+			if (!(error instanceof UnauthorizedError) || !strategy.refresh) {
+				throw error
+			}
+
+			debug(`${context.method} ${context.url} was rejected with 401, refreshing credentials`)
+			await strategy.refresh(authorization)
+
+			return next(withAuthorization(context, await strategy.getAuthorization()))
+		}
+	}
+}
+
+/**
+ * returns a copy of the context with the Authorization header set
+ *
+ * @param {import('../request.js').RequestContext} context The outgoing request
+ * @param {string} authorization Value of the Authorization header
+ * @return {import('../request.js').RequestContext}
+ * @private
+ */
+function withAuthorization(context, authorization) {
+	return Object.assign({}, context, {
+		headers: Object.assign({}, context.headers, {
+			Authorization: authorization,
+		}),
+	})
+}
@@ -0,0 +1,35 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/**
+ * Authenticates requests with a username and password
+ * https://tools.ietf.org/html/rfc7617
+ */
+export class BasicAuth {
+
+	/**
+	 * @param {string} username The username to authenticate with
+	 * @param {string} password The password to authenticate with
+	 */
+	constructor(username, password) {
+		this.username = username
+		this.password = password
+	}
+
+	/**
+	 * gets the value of the Authorization header
+	 *
+	 * @return {Promise<string>}
+	 */
+	async getAuthorization() {
+		const bytes = new TextEncoder().encode(`${this.username}:${this.password}`)
+		return 'Basic ' + btoa(String.fromCharCode(...bytes))
+	}
+
+}
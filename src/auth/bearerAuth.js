@@ -0,0 +1,34 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/**
+ * Authenticates requests with a static bearer token
+ * https://tools.ietf.org/html/rfc6750
+ *
+ * Use OAuth2Auth for tokens that expire.
+ */
+export class BearerAuth {
+
+	/**
+	 * @param {string} token The token to authenticate with
+	 */
+	constructor(token) {
+		this.token = token
+	}
+
+	/**
+	 * gets the value of the Authorization header
+	 *
+	 * @return {Promise<string>}
+	 */
+	async getAuthorization() {
+		return `Bearer ${this.token}`
+	}
+
+}
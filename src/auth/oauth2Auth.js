@@ -0,0 +1,100 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { debugFactory } from '../debug.js'
+
+const debug = debugFactory('OAuth2Auth')
+
+/**
+ * Callback to obtain a new access token
+ *
+ * @callback OAuth2RefreshCallback
+ * @param {string|null} refreshToken The current refresh token
+ * @return {Promise<{accessToken: string, refreshToken: string=}>}
+ */
+
+/**
+ * Authenticates requests with an OAuth2 access token
+ * and obtains a new one using the refresh callback once it was rejected
+ *
+ * Only a single refresh is in progress at any time,
+ * concurrent requests wait for it to finish.
+ */
+export class OAuth2Auth {
+
+	/**
+	 * @param {object} options The tokens and the refresh callback
+	 * @param {string} options.accessToken The access token to authenticate with
+	 * @param {string=} options.refreshToken The refresh token passed to the refresh callback
+	 * @param {OAuth2RefreshCallback} options.refresh Callback to obtain a new access token
+	 */
+	constructor({ accessToken, refreshToken = null, refresh }) {
+		this.accessToken = accessToken
+		this.refreshToken = refreshToken
+
+		/**
+		 * @type {OAuth2RefreshCallback}
+		 * @private
+		 */
+		this._refreshCallback = refresh
+
+		/**
+		 * @type {Promise<void>|null}
+		 * @private
+		 */
+		this._refreshPromise = null
+	}
+
+	/**
+	 * gets the value of the Authorization header,
+	 * waiting for a refresh in progress
+	 *
+	 * @return {Promise<string>}
+	 */
+	async getAuthorization() {
+		if (this._refreshPromise) {
+			await this._refreshPromise
+		}
+
+		return `Bearer ${this.accessToken}`
+	}
+
+	/**
+	 * refreshes the access token after it was rejected
+	 *
+	 * Does nothing if the access token was already refreshed
+	 * since the given Authorization header was used.
+	 *
+	 * @param {string} authorization The rejected Authorization header
+	 * @return {Promise<void>}
+	 */
+	async refresh(authorization) {
+		if (this._refreshPromise) {
+			return this._refreshPromise
+		}
+		if (authorization !== `Bearer ${this.accessToken}`) {
+			return
+		}
+
+		debug('refreshing access token')
+		this._refreshPromise = Promise.resolve(this._refreshCallback(this.refreshToken))
+			.then(({ accessToken, refreshToken }) => {
+				this.accessToken = accessToken
+				if (refreshToken) {
+					this.refreshToken = refreshToken
+				}
+			})
+			.finally(() => {
+				this._refreshPromise = null
+			})
+
+		return this._refreshPromise
+	}
+
+}
@@ -0,0 +1,15 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import NetworkRequestServerError from './networkRequestServerError.js'
+
+/**
+ * Thrown if the server rejected a request with 507 Insufficient Storage
+ */
+export default class InsufficientStorageError extends NetworkRequestServerError {}
@@ -0,0 +1,16 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import PreconditionError from './preconditionError.js'
+
+/**
+ * Describes that the server could not accept the calendar or address data
+ * because it is invalid or of an unsupported media type
+ */
+export default class InvalidDataError extends PreconditionError {}
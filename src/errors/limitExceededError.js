@@ -0,0 +1,16 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import PreconditionError from './preconditionError.js'
+
+/**
+ * Describes that the data exceeds a limit of the server,
+ * e.g. max-resource-size or max-attendees-per-instance
+ */
+export default class LimitExceededError extends PreconditionError {}
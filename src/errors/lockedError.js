@@ -0,0 +1,15 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import NetworkRequestClientError from './networkRequestClientError.js'
+
+/**
+ * Thrown if the server rejected a request with 423 Locked
+ */
+export default class LockedError extends NetworkRequestClientError {}
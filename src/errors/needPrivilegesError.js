@@ -0,0 +1,17 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import PreconditionError from './preconditionError.js'
+
+/**
+ * Describes that the current user lacks privileges,
+ * privileges lists the href and missing privilege of each affected resource
+ * https://tools.ietf.org/html/rfc3744#section-7.1.1
+ */
+export default class NeedPrivilegesError extends PreconditionError {}
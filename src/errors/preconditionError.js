@@ -0,0 +1,22 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import AttachError from './attachError.js'
+
+/**
+ * Describes the violated precondition of a DAV:error body
+ * https://tools.ietf.org/html/rfc4918#section-16
+ *
+ * Attached as precondition to the error of the response status,
+ * e.g. a ForbiddenError or an InsufficientStorageError.
+ *
+ * condition is the name of the violated precondition in clark notation,
+ * hrefs lists all hrefs given inside the condition element.
+ */
+export default class PreconditionError extends AttachError {}
@@ -0,0 +1,16 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import NetworkRequestHttpError from './networkRequestHttpError.js'
+
+/**
+ * Thrown if a PROPPATCH request succeeded, but the server did not update all properties.
+ * failedProperties maps the names of these properties to their status.
+ */
+export default class PropertyUpdateError extends NetworkRequestHttpError {}
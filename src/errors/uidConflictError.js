@@ -0,0 +1,18 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import PreconditionError from './preconditionError.js'
+
+/**
+ * Describes that an object with the same UID already exists in the collection,
+ * hrefs contains the url of the conflicting object
+ * https://tools.ietf.org/html/rfc4791#section-5.3.2.1
+ * https://tools.ietf.org/html/rfc6352#section-6.3.2.1
+ */
+export default class UidConflictError extends PreconditionError {}
@@ -0,0 +1,15 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import PreconditionError from './preconditionError.js'
+
+/**
+ * Describes that the calendar does not support the component type of the calendar data
+ */
+export default class UnsupportedComponentError extends PreconditionError {}
@@ -0,0 +1,16 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import AttachError from './attachError.js'
+
+/**
+ * Thrown instead of sending a request the server does not support.
+ * feature names the missing capability, e.g. supportsSyncCollection.
+ */
+export default class UnsupportedFeatureError extends AttachError {}
@@ -10,14 +10,96 @@ import Parser from './parser.js'
 import Request from './request.js'
 import * as NS from './utility/namespaceUtility.js'
 import * as XMLUtility from './utility/xmlUtility.js'
+import * as DiscoveryUtility from './utility/discoveryUtility.js'
+import * as CapabilityUtility from './utility/capabilityUtility.js'
+import { PrincipalPropertySearchQuery } from './utility/principalPropertySearchQuery.js'
+import { withRequestOptions } from './utility/requestUtility.js'
 import { CalendarHome } from './models/calendarHome.js'
 import { AddressBookHome } from './models/addressBookHome.js'
 import { Principal } from './models/principal.js'
-
+import { Ace } from './models/ace.js'
+import { PrivilegeSet } from './models/privilegeSet.js'
+import { AddressBook } from './models/addressBook.js'
+import { Calendar } from './models/calendar.js'
+import { DeletedCalendar } from './models/deletedCalendar.js'
+import ScheduleInbox from './models/scheduleInbox.js'
+
+import { FetchTransport } from './transport/fetchTransport.js'
+import { XhrTransport } from './transport/xhrTransport.js'
+import { DomXmlEnvironment } from './xml/domXmlEnvironment.js'
+import { SimpleXmlEnvironment } from './xml/simpleXmlEnvironment.js'
+import { authMiddleware } from './auth/authMiddleware.js'
+import { BasicAuth } from './auth/basicAuth.js'
+import { BearerAuth } from './auth/bearerAuth.js'
+import { OAuth2Auth } from './auth/oauth2Auth.js'
+import NetworkRequestError from './errors/networkRequestError.js'
+import NetworkRequestAbortedError from './errors/networkRequestAbortedError.js'
+import NetworkRequestTimeoutError from './errors/networkRequestTimeoutError.js'
+import NetworkRequestHttpError from './errors/networkRequestHttpError.js'
+import NetworkRequestClientError from './errors/networkRequestClientError.js'
+import NetworkRequestServerError from './errors/networkRequestServerError.js'
+import UnauthorizedError from './errors/unauthorizedError.js'
+import ForbiddenError from './errors/forbiddenError.js'
+import NotFoundError from './errors/notFoundError.js'
+import ConflictError from './errors/conflictError.js'
+import PreconditionFailedError from './errors/preconditionFailedError.js'
+import LockedError from './errors/lockedError.js'
+import TooManyRequestsError from './errors/tooManyRequestsError.js'
+import InsufficientStorageError from './errors/insufficientStorageError.js'
+import PreconditionError from './errors/preconditionError.js'
+import UidConflictError from './errors/uidConflictError.js'
+import InvalidDataError from './errors/invalidDataError.js'
+import UnsupportedComponentError from './errors/unsupportedComponentError.js'
+import LimitExceededError from './errors/limitExceededError.js'
+import NeedPrivilegesError from './errors/needPrivilegesError.js'
+import UnsupportedFeatureError from './errors/unsupportedFeatureError.js'
 import { debugFactory } from './debug.js'
 const debug = debugFactory('index.js')
 
-export { debugFactory as debug, NS as namespaces }
+export { debugFactory as debug, NS as namespaces, FetchTransport, XhrTransport, DomXmlEnvironment, SimpleXmlEnvironment, BasicAuth, BearerAuth, OAuth2Auth }
+export { NetworkRequestError, NetworkRequestAbortedError, NetworkRequestTimeoutError, NetworkRequestHttpError, NetworkRequestClientError, NetworkRequestServerError }
+export { UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, PreconditionFailedError, LockedError, TooManyRequestsError, InsufficientStorageError }
+export { PreconditionError, UidConflictError, InvalidDataError, UnsupportedComponentError, LimitExceededError, NeedPrivilegesError }
+export { UnsupportedFeatureError }
+export { PrincipalPropertySearchQuery, Ace, PrivilegeSet }
+
+/**
+ * Looks up DNS records of a given type, e.g. SRV or TXT
+ *
+ * SRV records are expected to provide priority, weight, port and target (or name),
+ * TXT records are expected as strings or arrays of string chunks.
+ *
+ * @callback DnsResolver
+ * @param {string} name The record name, e.g. _caldavs._tcp.example.com
+ * @param {string} type The record type, either SRV or TXT
+ * @return {Promise<Array>}
+ */
+
+/**
+ * @typedef {object} CollectionChangeSet
+ * @property {Calendar|AddressBook} collection The collection that changed
+ * @property {import('./models/davObject.js').DavObject[]} updated Objects created or updated since the last sync
+ * @property {string[]} deleted Urls of objects deleted since the last sync
+ * @property {string} syncToken The sync-token to use for the next sync
+ * @property {boolean} isFullResync Whether all objects were fetched again, because the last sync-token was rejected
+ * or the collection does not support sync-collection. Objects that are not listed in updated were deleted meanwhile
+ */
+
+/**
+ * @typedef {object} CollectionSyncFailure
+ * @property {Calendar|AddressBook} collection The collection that could not be synchronized
+ * @property {Error} error The error synchronizing it failed with
+ */
+
+/**
+ * @typedef {object} HomeChangeSet
+ * @property {CalendarHome|AddressBookHome} home The home these changes belong to
+ * @property {(Calendar|AddressBook)[]} added Collections that were added since the last sync
+ * @property {string[]} removed Urls of collections that were removed since the last sync
+ * @property {CollectionChangeSet[]} changes Content changes of new and changed collections
+ * @property {CollectionSyncFailure[]} failures Collections whose contents could not be synchronized
+ * @property {Error|null} error The error listing the collections of the home failed with, if any
+ */
 
 /**
  *
@@ -26,7 +108,14 @@ export default class DavClient {
 
 	/**
 	 * @param {object} options
-	 * @param {string} options.rootUrl
+	 * @param {string=} options.rootUrl
+	 * @param {string=} options.server Hostname, url or email address to discover the rootUrl from (RFC 6764)
+	 * @param {DnsResolver=} options.dnsResolver Function used to look up SRV and TXT records during discovery
+	 * @param {import('./request.js').Transport=} options.transport Transport to send requests with, e.g. a FetchTransport
+	 * @param {import('./utility/xmlUtility.js').XmlEnvironment=} options.xmlEnvironment XML environment to read and write XML with, e.g. a SimpleXmlEnvironment
+	 * @param {import('./request.js').RetryPolicy=} options.retryPolicy Policy for retrying requests that failed for transient reasons
+	 * @param {import('./request.js').Middleware[]=} options.middleware Middleware to send all requests through, see use
+	 * @param {import('./auth/authMiddleware.js').AuthStrategy=} options.auth Strategy to authenticate requests with, e.g. a BasicAuth
 	 * @param {Function} xhrProvider
 	 * @param {object} factories
 	 */
@@ -38,7 +127,61 @@ export default class DavClient {
 		 */
 		this.rootUrl = null
 
-		if (options.rootUrl.slice(-1) !== '/') {
+		/**
+		 * Hostname, url or email address used to discover
+		 * the root URL if none was given
+		 *
+		 * @type {string|null}
+		 */
+		this.server = null
+
+		/**
+		 * Resolver for SRV and TXT records
+		 *
+		 * @type {DnsResolver|null}
+		 */
+		this.dnsResolver = null
+
+		/**
+		 * Transport to send requests with,
+		 * defaults to XMLHttpRequest in browsers and fetch otherwise
+		 *
+		 * @type {import('./request.js').Transport|null}
+		 */
+		this.transport = null
+
+		/**
+		 * XML environment to read and write XML with,
+		 * defaults to the DOM in browsers and a DOM-free implementation otherwise
+		 *
+		 * @type {import('./utility/xmlUtility.js').XmlEnvironment|null}
+		 */
+		this.xmlEnvironment = null
+
+		/**
+		 * Policy for retrying requests that failed for transient reasons,
+		 * retrying is disabled by default
+		 *
+		 * @type {import('./request.js').RetryPolicy|null}
+		 */
+		this.retryPolicy = null
+
+		/**
+		 * Middleware to send all requests through
+		 *
+		 * @type {import('./request.js').Middleware[]}
+		 */
+		this.middleware = []
+
+		/**
+		 * Strategy to authenticate requests with,
+		 * credentials are refreshed once a request was rejected with 401
+		 *
+		 * @type {import('./auth/authMiddleware.js').AuthStrategy|null}
+		 */
+		this.auth = null
+
+		if (options.rootUrl && options.rootUrl.slice(-1) !== '/') {
 			options.rootUrl += '/'
 		}
 
@@ -52,6 +195,15 @@ export default class DavClient {
 		 */
 		this.advertisedFeatures = []
 
+		/**
+		 * Capabilities of the server, based on the advertised features
+		 * and the reports supported on the principal of the current user.
+		 * Collections provide their own capabilities
+		 *
+		 * @type {import('./utility/capabilityUtility.js').Capabilities}
+		 */
+		this.capabilities = CapabilityUtility.getCapabilities()
+
 		/**
 		 * Principal object of current user
 		 *
@@ -95,7 +247,7 @@ export default class DavClient {
 		 *
 		 * @type {Parser}
 		 */
-		this.parser = new Parser()
+		this.parser = new Parser(this.xmlEnvironment)
 
 		/**
 		 *
@@ -104,12 +256,46 @@ export default class DavClient {
 		 */
 		this._isConnected = false
 
+		/**
+		 * Collection snapshots of the last sync() call, indexed by home url
+		 *
+		 * @type {object}
+		 * @private
+		 */
+		this._syncSnapshots = {}
+
 		/**
 		 *
 		 * @type {Request}
 		 * @private
 		 */
-		this._request = new Request(this.rootUrl, this.parser, xhrProvider)
+		this._request = new Request(this.rootUrl, this.parser, this.transport || xhrProvider, this.parser.xmlEnvironment, this.retryPolicy || {})
+		if (this.auth) {
+			this._request.use(authMiddleware(this.auth))
+		}
+		this.middleware.forEach((middleware) => this._request.use(middleware))
+	}
+
+	/**
+	 * adds a middleware that all requests of this client are sent through,
+	 * e.g. to add authentication headers or to log requests
+	 *
+	 * Middleware receives the outgoing request and a function to pass it on with:
+	 *
+	 * client.use(async (context, next) => {
+	 *     context.headers['X-Request-ID'] = uuid()
+	 *     const response = await next(context)
+	 *     console.debug(context.method, context.url, response.status)
+	 *     return response
+	 * })
+	 *
+	 * @param {import('./request.js').Middleware} middleware The middleware to add
+	 * @return {DavClient}
+	 */
+	use(middleware) {
+		this.middleware.push(middleware)
+		this._request.use(middleware)
+		return this
 	}
 
 	/**
@@ -122,9 +308,14 @@ export default class DavClient {
 			return this
 		}
 
-		// we don't support rfc 6764 for now - Pull-requests welcome :)
 		if (!this.rootUrl) {
-			throw new Error('No rootUrl configured')
+			if (!this.server) {
+				throw new Error('No rootUrl configured')
+			}
+
+			this.rootUrl = await this._discoverRootUrl(options)
+			this._request.baseUrl = this.rootUrl
+			debug(`RootURL: ${this.rootUrl}`)
 		}
 
 		const principalUrl = await this._discoverPrincipalUri()
@@ -141,7 +332,8 @@ export default class DavClient {
 		const response = await this._request.propFind(principalUrl, propFindList)
 
 		this.currentUserPrincipal = new Principal(null, this._request, principalUrl, response.body)
-		this._extractAdvertisedDavFeatures(response.xhr)
+		this._extractAdvertisedDavFeatures(response.headers)
+		this.capabilities = CapabilityUtility.getCapabilities(this.advertisedFeatures, response.body['{DAV:}supported-report-set'] || null)
 		this._extractAddressBookHomes(response.body)
 		this._extractCalendarHomes(response.body)
 		this._extractPrincipalCollectionSets(response.body)
@@ -152,26 +344,26 @@ export default class DavClient {
 		return this
 	}
 
-	// /**
-	//  * @returns {Promise<[any , any , any , any , any , any , any , any , any , any]>}
-	//  */
-	// async sync() {
-	//     const promises = [];
-	//
-	//     // Ideally we would also check for new calendar-homes and
-	//     // new addressbook-homes as well, but then Nextcloud will
-	//     // ever only send provide one each, so we omit this step
-	//     // to cut down network traffic
-	//
-	//     this.calendarHomes.forEach((calendarHome) => {
-	//         promises.push(calendarHome.sync());
-	//     });
-	//     this.addressbookHomes.forEach((addressbookHome) => {
-	//         promises.push(addressbookHome.sync());
-	//     });
-	//
-	//     return Promise.all(promises);
-	// }
+	/**
+	 * synchronizes all calendar-homes and address-book-homes
+	 *
+	 * Collections are compared against the snapshot taken by the previous
+	 * call, using their ctag and sync-token. Contents of new and changed
+	 * collections are fetched using a sync-collection report.
+	 * The first call treats all collections as new, collections
+	 * without ctag and sync-token are treated as changed on every call.
+	 *
+	 * If the server rejects the sync-token of a collection, or the collection
+	 * does not support sync-collection, all of its contents are fetched again.
+	 * Other errors are reported per collection or home,
+	 * which are synchronized again on the next call.
+	 *
+	 * @return {Promise<HomeChangeSet[]>} One change-set per home
+	 */
+	async sync() {
+		const homes = [...this.calendarHomes, ...this.addressBookHomes]
+		return Promise.all(homes.map((home) => this._syncHome(home)))
+	}
 
 	/**
 	 * performs a principal property search based on a principal's displayname
@@ -215,58 +407,14 @@ export default class DavClient {
 	 *
 	 * @param {string} address Address of the building the room is in
 	 * @param {string} story Story inside the building the room is in
-	 * @return {Promise<[]>}
+	 * @return {Promise<Principal[]>}
 	 */
 	async principalPropertySearchByAddressAndStory(address, story) {
-		const [skeleton] = XMLUtility.getRootSkeleton(
-			[NS.DAV, 'principal-property-search'])
-
-		skeleton.children.push({
-			name: [NS.DAV, 'property-search'],
-			children: [{
-				name: [NS.DAV, 'prop'],
-				children: [{
-					name: [NS.NEXTCLOUD, 'room-building-address'],
-				}],
-			}, {
-				name: [NS.DAV, 'match'],
-				value: address,
-			}],
-		})
-		skeleton.children.push({
-			name: [NS.DAV, 'property-search'],
-			children: [{
-				name: [NS.DAV, 'prop'],
-				children: [{
-					name: [NS.NEXTCLOUD, 'room-building-story'],
-				}],
-			}, {
-				name: [NS.DAV, 'match'],
-				value: story,
-			}],
-		})
-
-		skeleton.children.push({
-			name: [NS.DAV, 'prop'],
-			children: Principal
-				.getPropFindList({ enableCalDAV: true })
-				.map((propFindListItem) => ({ name: propFindListItem })),
-		})
-
-		// We are searching all principal collections, not just one
-		skeleton.children.push({ name: [NS.DAV, 'apply-to-principal-collection-set'] })
+		const query = new PrincipalPropertySearchQuery()
+			.addPropertySearch([[NS.NEXTCLOUD, 'room-building-address']], address)
+			.addPropertySearch([[NS.NEXTCLOUD, 'room-building-story']], story)
 
-		const xml = XMLUtility.serialize(skeleton)
-		return this._request.report(this.rootUrl, { Depth: 0 }, xml).then((response) => {
-			const result = []
-
-			Object.entries(response.body).forEach(([path, props]) => {
-				const url = this._request.pathname(path)
-				result.push(new Principal(null, this._request, url, props))
-			})
-
-			return result
-		})
+		return this.searchPrincipals(query)
 	}
 
 	/**
@@ -280,94 +428,85 @@ export default class DavClient {
 	 * @return {Promise<Principal[]>}
 	 */
 	async advancedPrincipalPropertySearch(query) {
-		const [skeleton] = XMLUtility.getRootSkeleton([NS.DAV, 'principal-property-search'])
-
 		// Every prop has to match
-		skeleton.attributes = [
-			['test', 'allof'],
-		]
+		const searchQuery = new PrincipalPropertySearchQuery()
+			.setTest('allof')
 
 		const { displayName, capacity, features, roomType } = query
 		if (displayName) {
-			skeleton.children.push({
-				name: [NS.DAV, 'property-search'],
-				children: [{
-					name: [NS.DAV, 'prop'],
-					children: [
-						{ name: [NS.DAV, 'displayname'] },
-					],
-				}, {
-					name: [NS.DAV, 'match'],
-					value: displayName,
-				}],
-			})
+			searchQuery.addPropertySearch([[NS.DAV, 'displayname']], displayName)
 		}
 		if (capacity) {
-			skeleton.children.push({
-				name: [NS.DAV, 'property-search'],
-				children: [{
-					name: [NS.DAV, 'prop'],
-					children: [{
-						name: [NS.NEXTCLOUD, 'room-seating-capacity'],
-					}],
-				}, {
-					name: [NS.DAV, 'match'],
-					value: capacity,
-				}],
-			})
+			searchQuery.addPropertySearch([[NS.NEXTCLOUD, 'room-seating-capacity']], capacity)
 		}
 		if (features && features.length > 0) {
-			skeleton.children.push({
-				name: [NS.DAV, 'property-search'],
-				children: [{
-					name: [NS.DAV, 'prop'],
-					children: [{
-						name: [NS.NEXTCLOUD, 'room-features'],
-					}],
-				}, {
-					name: [NS.DAV, 'match'],
-					value: features.join(','),
-				}],
-			})
+			searchQuery.addPropertySearch([[NS.NEXTCLOUD, 'room-features']], features.join(','))
 		}
 		if (roomType) {
-			skeleton.children.push({
-				name: [NS.DAV, 'property-search'],
-				children: [{
-					name: [NS.DAV, 'prop'],
-					children: [{
-						name: [NS.NEXTCLOUD, 'room-type'],
-					}],
-				}, {
-					name: [NS.DAV, 'match'],
-					value: roomType,
-				}],
-			})
+			searchQuery.addPropertySearch([[NS.NEXTCLOUD, 'room-type']], roomType)
+		}
+
+		return this.searchPrincipals(searchQuery)
+	}
+
+	/**
+	 * Performs a principal property search for bookable resources, e.g. vehicles
+	 *
+	 * Type, vehicle type, electric-only and seats are filtered by the server,
+	 * which compares the seating capacity as minimum like it does for rooms.
+	 * The range can not be expressed as property search and is filtered by the client,
+	 * as is the seating capacity to cope with servers comparing it as text.
+	 * Without a resource or vehicle type, searches for a range are limited to vehicles.
+	 *
+	 * @param {object} query The destructuring query object
+	 * @param {string=} query.displayName The display name to filter by
+	 * @param {string=} query.resourceType The resource type to filter by, e.g. vehicle
+	 * @param {string=} query.vehicleType The vehicle type to filter by, e.g. car
+	 * @param {boolean=} query.isElectric Whether to only find electric vehicles
+	 * @param {number=} query.minRange The minimum required range
+	 * @param {number=} query.minSeatingCapacity The minimum required seating capacity
+	 * @param {import('./request.js').RequestOptions} options Signal and timeout for the request
+	 * @return {Promise<Principal[]>}
+	 */
+	async resourcePrincipalPropertySearch(query, options = {}) {
+		// Every prop has to match
+		const searchQuery = new PrincipalPropertySearchQuery()
+			.setTest('allof')
+
+		const { displayName, resourceType, vehicleType, isElectric, minRange, minSeatingCapacity } = query
+		if (displayName) {
+			searchQuery.addPropertySearch([[NS.DAV, 'displayname']], displayName)
+		}
+		if (resourceType) {
+			searchQuery.addPropertySearch([[NS.NEXTCLOUD, 'resource-type']], resourceType)
+		}
+		if (vehicleType) {
+			searchQuery.addPropertySearch([[NS.NEXTCLOUD, 'resource-vehicle-type']], vehicleType)
+		}
+		if (isElectric) {
+			searchQuery.addPropertySearch([[NS.NEXTCLOUD, 'resource-vehicle-is-electric']], '1', 'equals')
+		}
+		if (minSeatingCapacity) {
+			searchQuery.addPropertySearch([[NS.NEXTCLOUD, 'resource-vehicle-seating-capacity']], String(minSeatingCapacity))
+		}
+		// Only vehicles have a range, do not fetch all principals to filter them
+		if (minRange && !resourceType && !vehicleType) {
+			searchQuery.addPropertySearch([[NS.NEXTCLOUD, 'resource-type']], 'vehicle')
 		}
 
 		// Do not perform search if no parameter is given
-		if (skeleton.children.length === 0) {
+		if (searchQuery.isEmpty()) {
 			return []
 		}
 
-		skeleton.children.push({
-			name: [NS.DAV, 'prop'],
-			children: Principal
-				.getPropFindList({ enableCalDAV: true })
-				.map((propFindListItem) => ({ name: propFindListItem })),
-		})
-
-		// We are searching all principal collections, not just one
-		skeleton.children.push({ name: [NS.DAV, 'apply-to-principal-collection-set'] })
+		const principals = await this.searchPrincipals(searchQuery, options)
+		return principals.filter((principal) => {
+			if (minRange && !(principal.resourceVehicleRange >= minRange)) {
+				return false
+			}
 
-		const xml = XMLUtility.serialize(skeleton)
-		const response = await this._request.report(this.rootUrl, { Depth: 0 }, xml)
-		return Object
-			.entries(response.body)
-			.map(([path, props]) => {
-				const url = this._request.pathname(path)
-				return new Principal(null, this._request, url, props)
-			})
+			return !minSeatingCapacity || principal.resourceVehicleSeatingCapacity >= minSeatingCapacity
+		})
 	}
 
 	/**
@@ -380,45 +519,39 @@ export default class DavClient {
 	 * @return {Promise<Principal[]>}
 	 */
 	async principalPropertySearch(props, match, test) {
-		const [skeleton, propSearch] = XMLUtility.getRootSkeleton(
-			[NS.DAV, 'principal-property-search'],
-			[NS.DAV, 'property-search'],
-		)
-		if (test) {
-			skeleton.attributes = [
-				['test', test],
-			]
-		}
-
-		propSearch.push({
-			name: [NS.DAV, 'prop'],
-			children: props,
-		}, {
-			name: [NS.DAV, 'match'],
-			value: match,
-		})
+		const query = new PrincipalPropertySearchQuery()
+			.addPropertySearch(props.map((prop) => prop.name), match)
+			.setTest(test || null)
 
-		skeleton.children.push({
-			name: [NS.DAV, 'prop'],
-			children: Principal
-				.getPropFindList({ enableCalDAV: true })
-				.map((propFindListItem) => ({ name: propFindListItem })),
-		})
+		return this.searchPrincipals(query)
+	}
 
-		// We are searching all principal collections, not just one
-		skeleton.children.push({ name: [NS.DAV, 'apply-to-principal-collection-set'] })
+	/**
+	 * performs a principal property search built with a PrincipalPropertySearchQuery
+	 *
+	 * Searches all principal collections unless the query is restricted to one.
+	 * Queries without property searches are not sent and yield no principals.
+	 *
+	 * @param {PrincipalPropertySearchQuery} query The query to perform
+	 * @param {import('./request.js').RequestOptions} options Signal and timeout for the request
+	 * @return {Promise<Principal[]>}
+	 */
+	async searchPrincipals(query, options = {}) {
+		if (query.isEmpty()) {
+			return []
+		}
 
-		const xml = XMLUtility.serialize(skeleton)
-		return this._request.report(this.rootUrl, { Depth: 0 }, xml).then((response) => {
-			const result = []
+		const skeleton = query.getSkeleton(Principal.getPropFindList({ enableCalDAV: true }))
+		const xml = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		const url = query.principalCollectionUrl || this.rootUrl
+		const response = await withRequestOptions(this._request, options).report(url, { Depth: 0 }, xml)
 
-			Object.entries(response.body).forEach(([path, props]) => {
+		return Object
+			.entries(response.body)
+			.map(([path, props]) => {
 				const url = this._request.pathname(path)
-				result.push(new Principal(null, this._request, url, props))
+				return new Principal(null, this._request, url, props)
 			})
-
-			return result
-		})
 	}
 
 	/**
@@ -465,6 +598,258 @@ export default class DavClient {
 		}
 	}
 
+	/**
+	 * gets the calendar-homes of another principal,
+	 * e.g. of a principal the current user acts for as calendar proxy
+	 *
+	 * The calendar-home-set is only fetched if the principal was not retrieved with it.
+	 *
+	 * @param {Principal} principal The principal to get the calendar-homes of
+	 * @param {import('./request.js').RequestOptions} options Signal and timeout for the request
+	 * @return {Promise<CalendarHome[]>}
+	 */
+	async findCalendarHomesOfPrincipal(principal, options = {}) {
+		let calendarHomes = principal.calendarHomes
+		if (!calendarHomes) {
+			const response = await withRequestOptions(this._request, options).propFind(principal.url, [
+				[NS.IETF_CALDAV, 'calendar-home-set'],
+			])
+			calendarHomes = response.body[`{${NS.IETF_CALDAV}}calendar-home-set`] || []
+		}
+
+		return calendarHomes.map((calendarHome) => {
+			const url = this._request.pathname(calendarHome)
+			return new CalendarHome(this, this._request, url, {})
+		})
+	}
+
+	/**
+	 * synchronizes a single calendar-home or address-book-home
+	 *
+	 * @param {CalendarHome|AddressBookHome} home The home to synchronize
+	 * @return {Promise<HomeChangeSet>}
+	 * @private
+	 */
+	async _syncHome(home) {
+		const previousSnapshot = this._syncSnapshots[home.url] || {}
+		const snapshot = {}
+		const changeSet = {
+			home,
+			added: [],
+			removed: [],
+			changes: [],
+			failures: [],
+			error: null,
+		}
+
+		let collections
+		try {
+			collections = (await home.findAll()).filter((collection) => {
+				if (collection instanceof AddressBook) {
+					return true
+				}
+
+				return collection instanceof Calendar
+					&& !(collection instanceof ScheduleInbox)
+					&& !(collection instanceof DeletedCalendar)
+			})
+		} catch (error) {
+			debug(`Listing the collections of ${home.url} failed`, error)
+
+			// Keep the previous snapshot, so the home is synchronized again next time
+			changeSet.error = error
+			return changeSet
+		}
+
+		for (const collection of collections) {
+			const previous = previousSnapshot[collection.url]
+			if (!previous) {
+				changeSet.added.push(collection)
+			}
+
+			snapshot[collection.url] = {
+				ctag: collection.ctag,
+				syncToken: collection.syncToken,
+				lastSyncToken: previous ? previous.lastSyncToken : '',
+			}
+
+			// Collections without ctag and sync-token can not tell whether they changed
+			const hasVersion = Boolean(collection.ctag || collection.syncToken)
+			if (previous && hasVersion && previous.ctag === collection.ctag && previous.syncToken === collection.syncToken) {
+				continue
+			}
+
+			try {
+				const changes = collection.syncToken && collection.capabilities.supportsSyncCollection
+					? await this._syncCollection(collection, snapshot[collection.url].lastSyncToken)
+					: await this._fetchCollection(collection)
+				snapshot[collection.url].lastSyncToken = changes.syncToken
+				changeSet.changes.push(changes)
+			} catch (error) {
+				debug(`Synchronizing ${collection.url} failed`, error)
+
+				// Keep the previous state, so the collection is synchronized again next time
+				snapshot[collection.url] = previous || { ctag: null, syncToken: null, lastSyncToken: '' }
+				changeSet.failures.push({ collection, error })
+			}
+		}
+
+		changeSet.removed = Object.keys(previousSnapshot)
+			.filter((url) => !Object.prototype.hasOwnProperty.call(snapshot, url))
+
+		this._syncSnapshots[home.url] = snapshot
+		return changeSet
+	}
+
+	/**
+	 * fetches the changes of a collection since the last sync-token
+	 *
+	 * Falls back to fetching all objects if the server
+	 * no longer accepts the sync-token, as described in
+	 * https://tools.ietf.org/html/rfc6578#section-3.2
+	 *
+	 * @param {Calendar|AddressBook} collection The collection to synchronize
+	 * @param {string} lastSyncToken The sync-token of the last synchronization
+	 * @return {Promise<CollectionChangeSet>}
+	 * @private
+	 */
+	async _syncCollection(collection, lastSyncToken) {
+		try {
+			const { updated, deleted, syncToken } = await collection.sync(lastSyncToken)
+			return { collection, updated, deleted, syncToken, isFullResync: false }
+		} catch (error) {
+			if (lastSyncToken === '' || error.condition !== '{DAV:}valid-sync-token') {
+				throw error
+			}
+
+			debug(`The sync-token of ${collection.url} is no longer valid, fetching all objects`)
+			const { updated, syncToken } = await collection.sync('')
+			return { collection, updated, deleted: [], syncToken, isFullResync: true }
+		}
+	}
+
+	/**
+	 * fetches all objects of a collection that can not be
+	 * synchronized using a sync-collection report
+	 *
+	 * @param {Calendar|AddressBook} collection The collection to fetch
+	 * @return {Promise<CollectionChangeSet>}
+	 * @private
+	 */
+	async _fetchCollection(collection) {
+		debug(`${collection.url} does not support sync-collection, fetching all objects`)
+		const updated = collection instanceof AddressBook
+			? await collection.findAllVCards()
+			: await collection.findAllVObjects()
+
+		return { collection, updated, deleted: [], syncToken: collection.syncToken || '', isFullResync: true }
+	}
+
+	/**
+	 * discovers the root url of the DAV server based on the
+	 * configured server as specified in RFC 6764
+	 * https://tools.ietf.org/html/rfc6764#section-6
+	 *
+	 * Services announced via SRV / TXT records are tried first,
+	 * followed by the well-known uris on the server itself.
+	 * If none of them work out, the server is used as root url.
+	 *
+	 * @param {object} options Options passed to connect()
+	 * @param {boolean=} options.enableCalDAV Whether to look for a CalDAV service
+	 * @param {boolean=} options.enableCardDAV Whether to look for a CardDAV service
+	 * @return {Promise<string>}
+	 * @private
+	 */
+	async _discoverRootUrl(options) {
+		const origin = DiscoveryUtility.getOrigin(this.server)
+		this._request.baseUrl = origin + '/'
+
+		const services = []
+		if (options.enableCalDAV || !options.enableCardDAV) {
+			services.push('caldav')
+		}
+		if (options.enableCardDAV || !options.enableCalDAV) {
+			services.push('carddav')
+		}
+
+		const candidates = []
+		for (const service of services) {
+			candidates.push(...await this._getServiceRecordUrls(service))
+		}
+		candidates.push(...services.map((service) => `${origin}/.well-known/${service}`))
+
+		for (const candidate of candidates) {
+			try {
+				return await this._probeContextUrl(candidate)
+			} catch (error) {
+				debug(`Probing ${candidate} failed`, error)
+			}
+		}
+
+		return DiscoveryUtility.getFallbackUrl(this.server)
+	}
+
+	/**
+	 * gets the urls announced via SRV and TXT records for a service
+	 *
+	 * @param {string} service Either caldav or carddav
+	 * @return {Promise<string[]>}
+	 * @private
+	 */
+	async _getServiceRecordUrls(service) {
+		if (typeof this.dnsResolver !== 'function') {
+			return []
+		}
+
+		const domain = DiscoveryUtility.getDomain(this.server)
+		const urls = []
+
+		for (const secure of [true, false]) {
+			const name = DiscoveryUtility.getServiceRecordName(service, secure, domain)
+			const scheme = secure ? 'https' : 'http'
+
+			let serviceRecords = []
+			let textRecords = []
+			try {
+				serviceRecords = DiscoveryUtility.sortServiceRecords(await this.dnsResolver(name, 'SRV') || [])
+				if (serviceRecords.length > 0) {
+					textRecords = await this.dnsResolver(name, 'TXT') || []
+				}
+			} catch (error) {
+				debug(`Looking up ${name} failed`, error)
+				continue
+			}
+
+			const path = DiscoveryUtility.getContextPathFromTextRecords(textRecords) || `/.well-known/${service}`
+			serviceRecords.forEach(({ target, port }) => {
+				urls.push(new URL(path, `${scheme}://${target}:${port}`).href)
+			})
+		}
+
+		return urls
+	}
+
+	/**
+	 * checks whether a url points to a DAV server and returns
+	 * the url of the context path, after following all redirects
+	 *
+	 * @param {string} url The url to probe
+	 * @return {Promise<string>}
+	 * @private
+	 */
+	async _probeContextUrl(url) {
+		const response = await this._request.propFind(url, [
+			[NS.DAV, 'current-user-principal'],
+		], 0)
+
+		if (!response.body['{DAV:}current-user-principal']) {
+			throw new Error(`${url} does not provide a current user principal`)
+		}
+
+		const contextUrl = response.url || url
+		return contextUrl.slice(-1) === '/' ? contextUrl : contextUrl + '/'
+	}
+
 	/**
 	 * discovers the accounts principal uri solely based on rootURL
 	 *
@@ -549,12 +934,12 @@ export default class DavClient {
 	/**
 	 * extracts the advertised features supported by the DAV server
 	 *
-	 * @param {XMLHttpRequest} xhr
+	 * @param {Headers} headers
 	 * @return void
 	 * @private
 	 */
-	_extractAdvertisedDavFeatures(xhr) {
-		const dav = xhr.getResponseHeader('DAV')
+	_extractAdvertisedDavFeatures(headers) {
+		const dav = headers.get('DAV')
 		this.advertisedFeatures.push(...dav.split(',').map((s) => s.trim()))
 	}
 
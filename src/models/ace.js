@@ -0,0 +1,227 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as NS from '../utility/namespaceUtility.js'
+import * as XMLUtility from '../utility/xmlUtility.js'
+
+const PRINCIPAL_TYPES = ['all', 'authenticated', 'unauthenticated', 'self']
+
+/**
+ * Principal an access control entry applies to
+ *
+ * @typedef {object} AcePrincipal
+ * @property {string} type - href, all, authenticated, unauthenticated, self or property
+ * @property {string=} href - url of the principal, for type href
+ * @property {string=} property - name of the property holding the principal in clark notation, for type property
+ */
+
+/**
+ * @class
+ * @classdesc Access control entry as defined in
+ * https://tools.ietf.org/html/rfc3744#section-5.5
+ */
+export class Ace {
+
+	/**
+	 * @param {object} ace - the entry
+	 * @param {AcePrincipal|string} ace.principal - the principal, urls are short for principals of type href
+	 * @param {boolean=} ace.invert - whether the entry applies to all principals but the given one
+	 * @param {boolean=} ace.grant - whether the privileges are granted or denied
+	 * @param {string[]=} ace.privileges - privileges in clark notation
+	 * @param {string|null=} ace.inherited - url of the resource the entry is inherited from
+	 * @param {boolean=} ace.protected - whether the server prevents changing the entry
+	 */
+	constructor({ principal, invert = false, grant = true, privileges = [], inherited = null, protected: isProtected = false }) {
+		/**
+		 * @type {AcePrincipal}
+		 */
+		this.principal = typeof principal === 'string'
+			? { type: 'href', href: principal }
+			: principal
+
+		/**
+		 * @type {boolean}
+		 */
+		this.invert = invert
+
+		/**
+		 * @type {boolean}
+		 */
+		this.grant = grant
+
+		/**
+		 * @type {string[]}
+		 */
+		this.privileges = privileges
+
+		/**
+		 * @type {string|null}
+		 */
+		this.inherited = inherited
+
+		/**
+		 * @type {boolean}
+		 */
+		this.protected = isProtected
+	}
+
+	/**
+	 * gets whether the entry is inherited from another resource
+	 *
+	 * Inherited entries can only be changed on the resource they are inherited from.
+	 *
+	 * @return {boolean}
+	 */
+	isInherited() {
+		return this.inherited !== null
+	}
+
+	/**
+	 * gets whether the entry applies to the principal with the given url
+	 *
+	 * @param {string} href - url of the principal
+	 * @return {boolean}
+	 */
+	isForPrincipal(href) {
+		return !this.invert && this.principal.type === 'href' && this.principal.href === href
+	}
+
+	/**
+	 * gets the skeleton of the {DAV:}ace element to send in an ACL request
+	 *
+	 * The protected and inherited markers are omitted,
+	 * they are set by the server.
+	 *
+	 * @return {object}
+	 */
+	getSkeleton() {
+		let principalNode = {
+			name: [NS.DAV, 'principal'],
+			children: [getPrincipalSkeleton(this.principal)],
+		}
+		if (this.invert) {
+			principalNode = {
+				name: [NS.DAV, 'invert'],
+				children: [principalNode],
+			}
+		}
+
+		return {
+			name: [NS.DAV, 'ace'],
+			children: [principalNode, {
+				name: [NS.DAV, this.grant ? 'grant' : 'deny'],
+				children: this.privileges.map((privilege) => ({
+					name: [NS.DAV, 'privilege'],
+					children: [{
+						name: parseClarkName(privilege),
+					}],
+				})),
+			}],
+		}
+	}
+
+	/**
+	 * creates an entry from a {DAV:}ace element
+	 *
+	 * @param {Node} node - the {DAV:}ace element
+	 * @return {Ace}
+	 */
+	static fromNode(node) {
+		const invertNode = XMLUtility.getFirstChildElement(node, [NS.DAV, 'invert'])
+		const principalNode = XMLUtility.getFirstChildElement(invertNode || node, [NS.DAV, 'principal'])
+		const grantNode = XMLUtility.getFirstChildElement(node, [NS.DAV, 'grant'], [NS.DAV, 'deny'])
+		const inheritedHref = XMLUtility.getChildTextContent(node, [NS.DAV, 'inherited'], [NS.DAV, 'href']).trim()
+
+		return new Ace({
+			principal: principalNode === null ? { type: 'unknown' } : parsePrincipal(principalNode),
+			invert: invertNode !== null,
+			grant: grantNode === null || grantNode.localName === 'grant',
+			privileges: grantNode === null
+				? []
+				: XMLUtility.getChildElements(grantNode, [NS.DAV, 'privilege'])
+					.flatMap((privilegeNode) => XMLUtility.getChildElements(privilegeNode))
+					.map(XMLUtility.getElementName),
+			inherited: inheritedHref === '' ? null : inheritedHref,
+			protected: XMLUtility.getFirstChildElement(node, [NS.DAV, 'protected']) !== null,
+		})
+	}
+
+}
+
+/**
+ * parses the content of a {DAV:}principal element
+ *
+ * @param {Node} node - the {DAV:}principal element
+ * @return {AcePrincipal}
+ */
+function parsePrincipal(node) {
+	const childNode = XMLUtility.getFirstChildElement(node)
+	if (childNode === null || childNode.namespaceURI !== NS.DAV) {
+		return { type: 'unknown' }
+	}
+
+	if (childNode.localName === 'href') {
+		return {
+			type: 'href',
+			href: XMLUtility.getTextContent(childNode).trim(),
+		}
+	}
+
+	if (childNode.localName === 'property') {
+		const propertyNode = XMLUtility.getFirstChildElement(childNode)
+		return {
+			type: 'property',
+			property: propertyNode === null ? null : XMLUtility.getElementName(propertyNode),
+		}
+	}
+
+	return {
+		type: PRINCIPAL_TYPES.includes(childNode.localName) ? childNode.localName : 'unknown',
+	}
+}
+
+/**
+ * gets the skeleton of the content of a {DAV:}principal element
+ *
+ * @param {AcePrincipal} principal - the principal
+ * @return {object}
+ */
+function getPrincipalSkeleton(principal) {
+	switch (principal.type) {
+	case 'href':
+		return {
+			name: [NS.DAV, 'href'],
+			value: principal.href,
+		}
+
+	case 'property':
+		return {
+			name: [NS.DAV, 'property'],
+			children: [{
+				name: parseClarkName(principal.property),
+			}],
+		}
+
+	default:
+		return {
+			name: [NS.DAV, principal.type],
+		}
+	}
+}
+
+/**
+ * splits a name in clark notation into namespace and local name
+ *
+ * @param {string} name - name like {DAV:}read
+ * @return {string[]}
+ */
+function parseClarkName(name) {
+	const match = /^{(.*)}(.+)$/.exec(name)
+	return match ? [match[1], match[2]] : [NS.DAV, name]
+}
@@ -14,6 +14,7 @@ import * as StringUtility from '../utility/stringUtility.js'
 import * as XMLUtility from '../utility/xmlUtility.js'
 import addressBookPropSet from '../propset/addressBookPropSet.js'
 import { VCard } from './vcard.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
 
 import { debugFactory } from '../debug.js'
 const debug = debugFactory('AddressBook')
@@ -27,6 +28,7 @@ const debug = debugFactory('AddressBook')
  * - description
  * - enabled
  * - readOnly
+ * - ctag
  *
  * The first two allowing read-write access
  *
@@ -46,15 +48,17 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 		super._exposeProperty('description', NS.IETF_CARDDAV, 'addressbook-description', true)
 		super._exposeProperty('enabled', NS.OWNCLOUD, 'enabled', true)
 		super._exposeProperty('readOnly', NS.OWNCLOUD, 'read-only')
+		super._exposeProperty('ctag', NS.CALENDARSERVER, 'getctag')
 	}
 
 	/**
 	 * finds all VCards in this address book
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<VCard[]>}
 	 */
-	findAllVCards() {
-		return super.findAllByFilter((elm) => elm instanceof VCard)
+	findAllVCards(options = {}) {
+		return super.findAllByFilter((elm) => elm instanceof VCard, options)
 	}
 
 	/**
@@ -64,9 +68,10 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 	 * findAllAndFilterBySimpleProperties(['EMAIL', 'UID', 'CATEGORIES', 'FN', 'TEL', 'NICKNAME', 'N'])
 	 *
 	 * @param {string[]} props
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the addressbook-query
 	 * @return {Promise<VCard[]>}
 	 */
-	async findAllAndFilterBySimpleProperties(props) {
+	async findAllAndFilterBySimpleProperties(props, options = {}) {
 		const children = []
 		props.forEach((prop) => {
 			children.push({
@@ -86,16 +91,20 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 			children,
 		}, {
 			name: [NS.NEXTCLOUD, 'has-photo'],
-		}])
+		}], null, 'anyof', options)
 	}
 
 	/**
 	 * creates a new VCard object in this address book
 	 *
+	 * If the contact already exists, the rejection's precondition is a UidConflictError,
+	 * if the server refused the data, it is an InvalidDataError.
+	 *
 	 * @param {string} data
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PUT and of fetching the new contact
 	 * @return {Promise<VCard>}
 	 */
-	async createVCard(data) {
+	async createVCard(data, options = {}) {
 		debug('creating VCard object')
 
 		const name = StringUtility.uid('', 'vcf')
@@ -103,7 +112,7 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 			'Content-Type': 'text/vcard; charset=utf-8',
 		}
 
-		return super.createObject(name, headers, data)
+		return super.createObject(name, headers, data, options)
 	}
 
 	/**
@@ -114,9 +123,10 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 	 * @param {object[]} prop
 	 * @param {number} limit
 	 * @param {string} test Either anyof or allof
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the addressbook-query
 	 * @return {Promise<VCard[]>}
 	 */
-	async addressbookQuery(filter, prop = null, limit = null, test = 'anyof') {
+	async addressbookQuery(filter, prop = null, limit = null, test = 'anyof', options = {}) {
 		debug('sending an addressbook-query request')
 
 		const [skeleton] = XMLUtility.getRootSkeleton(
@@ -160,8 +170,8 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 		const headers = {
 			Depth: '1',
 		}
-		const body = XMLUtility.serialize(skeleton)
-		const response = await this._request.report(this.url, headers, body)
+		const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		const response = await withRequestOptions(this._request, options).report(this.url, headers, body)
 		return super._handleMultiStatusResponse(response, AddressBook._isRetrievalPartial(prop))
 	}
 
@@ -171,9 +181,10 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 	 *
 	 * @param {string[]} hrefs
 	 * @param {object[]} prop
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the addressbook-multiget
 	 * @return {Promise<VCard[]>}
 	 */
-	async addressbookMultiget(hrefs = [], prop) {
+	async addressbookMultiget(hrefs = [], prop, options = {}) {
 		debug('sending an addressbook-multiget request')
 
 		if (hrefs.length === 0) {
@@ -184,7 +195,7 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 			Depth: '1',
 		}
 		const body = this._buildMultiGetBody(hrefs, prop)
-		const response = await this._request.report(this.url, headers, body)
+		const response = await withRequestOptions(this._request, options).report(this.url, headers, body)
 		return super._handleMultiStatusResponse(response, AddressBook._isRetrievalPartial(prop))
 	}
 
@@ -195,12 +206,15 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 	 *
 	 * @param {string[]} hrefs
 	 * @param {object[]} prop
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the export
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async addressbookMultigetExport(hrefs = [], prop) {
+	async addressbookMultigetExport(hrefs = [], prop, options = {}) {
 		debug('sending an addressbook-multiget request and request download')
 
 		if (hrefs.length === 0) {
@@ -211,7 +225,7 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 			Depth: '1',
 		}
 		const body = this._buildMultiGetBody(hrefs, prop)
-		return this._request.report(this.url + '?export', headers, body)
+		return withRequestOptions(this._request, options).report(this.url + '?export', headers, body)
 	}
 
 	/**
@@ -245,7 +259,7 @@ export class AddressBook extends davCollectionShareable(DavCollection) {
 			})
 		})
 
-		return XMLUtility.serialize(skeleton)
+		return XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
 	}
 
 	/**
@@ -36,19 +36,21 @@ export class AddressBookHome extends DavCollection {
 	/**
 	 * finds all address books in this address book home
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<AddressBook[]>}
 	 */
-	async findAllAddressBooks() {
-		return super.findAllByFilter((elm) => elm instanceof AddressBook)
+	async findAllAddressBooks(options = {}) {
+		return super.findAllByFilter((elm) => elm instanceof AddressBook, options)
 	}
 
 	/**
 	 * creates a new address book collection
 	 *
 	 * @param {string} displayname
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of creating and fetching the address book
 	 * @return {Promise<AddressBook>}
 	 */
-	async createAddressBookCollection(displayname) {
+	async createAddressBookCollection(displayname, options = {}) {
 		debug('creating an addressbook collection')
 
 		const props = [{
@@ -64,7 +66,7 @@ export class AddressBookHome extends DavCollection {
 		}]
 
 		const name = super._getAvailableNameFromToken(displayname)
-		return super.createCollection(name, props)
+		return super.createCollection(name, props, options)
 	}
 
 }
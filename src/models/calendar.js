@@ -12,9 +12,12 @@ import { davCollectionPublishable } from './davCollectionPublishable.js'
 import { davCollectionShareable } from './davCollectionShareable.js'
 import { VObject } from './vobject.js'
 import calendarPropSet from '../propset/calendarPropSet.js'
+import UnsupportedFeatureError from '../errors/unsupportedFeatureError.js'
 import * as NS from '../utility/namespaceUtility.js'
 import * as StringUtility from '../utility/stringUtility.js'
 import * as XMLUtility from '../utility/xmlUtility.js'
+import * as FreeBusyUtility from '../utility/freeBusyUtility.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
 
 import { debugFactory } from '../debug.js'
 const debug = debugFactory('Calendar')
@@ -31,6 +34,7 @@ const debug = debugFactory('Calendar')
  * - order
  * - timezone
  * - components
+ * - ctag
  *
  * The first four allowing read-write access
  *
@@ -53,24 +57,27 @@ export class Calendar extends davCollectionPublishable(davCollectionShareable(Da
 		super._exposeProperty('timezone', NS.IETF_CALDAV, 'calendar-timezone', true)
 		super._exposeProperty('components', NS.IETF_CALDAV, 'supported-calendar-component-set')
 		super._exposeProperty('transparency', NS.IETF_CALDAV, 'schedule-calendar-transp', true)
+		super._exposeProperty('ctag', NS.CALENDARSERVER, 'getctag')
 	}
 
 	/**
 	 * finds all VObjects in this calendar
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<VObject[]>}
 	 */
-	async findAllVObjects() {
-		return super.findAllByFilter((elm) => elm instanceof VObject)
+	async findAllVObjects(options = {}) {
+		return super.findAllByFilter((elm) => elm instanceof VObject, options)
 	}
 
 	/**
 	 * find all VObjects filtered by type
 	 *
 	 * @param {string} type
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the calendar-query
 	 * @return {Promise<VObject[]>}
 	 */
-	async findByType(type) {
+	async findByType(type, options = {}) {
 		return this.calendarQuery([{
 			name: [NS.IETF_CALDAV, 'comp-filter'],
 			attributes: [
@@ -82,7 +89,7 @@ export class Calendar extends davCollectionPublishable(davCollectionShareable(Da
 					['name', type],
 				],
 			}],
-		}])
+		}], null, null, options)
 	}
 
 	/**
@@ -91,9 +98,10 @@ export class Calendar extends davCollectionPublishable(davCollectionShareable(Da
 	 * @param {number} type
 	 * @param {Date} from
 	 * @param {Date} to
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the calendar-query
 	 * @return {Promise<VObject[]>}
 	 */
-	async findByTypeInTimeRange(type, from, to) {
+	async findByTypeInTimeRange(type, from, to, options = {}) {
 		return this.calendarQuery([{
 			name: [NS.IETF_CALDAV, 'comp-filter'],
 			attributes: [
@@ -112,22 +120,26 @@ export class Calendar extends davCollectionPublishable(davCollectionShareable(Da
 					],
 				}],
 			}],
-		}])
+		}], null, null, options)
 	}
 
 	/**
 	 * create a VObject inside this calendar
 	 *
+	 * If the object already exists, the rejection's precondition is a UidConflictError,
+	 * if the server refused the data, it is an InvalidDataError.
+	 *
 	 * @param data
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PUT and of fetching the new object
 	 * @return {Promise<VObject>}
 	 */
-	async createVObject(data) {
+	async createVObject(data, options = {}) {
 		const name = StringUtility.uid('', 'ics')
 		const headers = {
 			'Content-Type': 'text/calendar; charset=utf-8',
 		}
 
-		return super.createObject(name, headers, data)
+		return super.createObject(name, headers, data, options)
 	}
 
 	/**
@@ -137,9 +149,10 @@ export class Calendar extends davCollectionPublishable(davCollectionShareable(Da
 	 * @param {object[]} filter
 	 * @param {object[]} prop
 	 * @param {string} timezone
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the calendar-query
 	 * @return {Promise<VObject[]>}
 	 */
-	async calendarQuery(filter, prop = null, timezone = null) {
+	async calendarQuery(filter, prop = null, timezone = null, options = {}) {
 		debug('sending an calendar-query request')
 
 		const [skeleton] = XMLUtility.getRootSkeleton(
@@ -178,8 +191,8 @@ export class Calendar extends davCollectionPublishable(davCollectionShareable(Da
 			Depth: '1',
 		}
 
-		const body = XMLUtility.serialize(skeleton)
-		const response = await this._request.report(this.url, headers, body)
+		const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		const response = await withRequestOptions(this._request, options).report(this.url, headers, body)
 		return super._handleMultiStatusResponse(response, Calendar._isRetrievalPartial(prop))
 	}
 
@@ -189,9 +202,10 @@ export class Calendar extends davCollectionPublishable(davCollectionShareable(Da
 	 *
 	 * @param {string[]} hrefs
 	 * @param {object[]} prop
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the calendar-multiget
 	 * @return {Promise<VObject[]>}
 	 */
-	async calendarMultiget(hrefs = [], prop) {
+	async calendarMultiget(hrefs = [], prop, options = {}) {
 		debug('sending an calendar-multiget request')
 
 		if (hrefs.length === 0) {
@@ -224,8 +238,8 @@ export class Calendar extends davCollectionPublishable(davCollectionShareable(Da
 		const headers = {
 			Depth: '1',
 		}
-		const body = XMLUtility.serialize(skeleton)
-		const response = await this._request.report(this.url, headers, body)
+		const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		const response = await withRequestOptions(this._request, options).report(this.url, headers, body)
 		return super._handleMultiStatusResponse(response, Calendar._isRetrievalPartial(prop))
 	}
 
@@ -233,30 +247,46 @@ export class Calendar extends davCollectionPublishable(davCollectionShareable(Da
 	 * sends a calendar free-busy-query as defined in
 	 * https://tools.ietf.org/html/rfc4791#section-7.10
 	 *
+	 * Rejects with an UnsupportedFeatureError if the calendar
+	 * does not support the free-busy-query report.
+	 *
 	 * @param {Date} from
 	 * @param {Date} to
-	 * @return {Promise<string>}
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the free-busy-query
+	 * @return {Promise<{busy: {type: string, start: Date, end: Date}[], data: string}>}
 	 */
-	async freeBusyQuery(from, to) {
-		/* eslint-disable no-tabs */
-		// debug('sending a free-busy-query request');
-		//
-		// const [skeleton] = XMLUtility.getRootSkeleton(
-		// 	[NS.IETF_CALDAV, 'free-busy-query'],
-		// 	[NS.IETF_CALDAV, 'time-range']
-		// );
-		//
-		// skeleton[0][0].attributes.push(['start', Calendar._getICalendarDateTimeFromDateObject(from)]);
-		// skeleton[0][0].attributes.push(['end', Calendar._getICalendarDateTimeFromDateObject(to)]);
-		//
-		// const headers = {
-		// 	'Depth': '1'
-		// };
-		// const body = XMLUtility.serialize(skeleton);
-		// const response = await this._request.report(this.url, headers, body);
-		/* eslint-enable no-tabs */
-
-		// TODO - finish implementation
+	async freeBusyQuery(from, to, options = {}) {
+		if (!this.capabilities.supportsFreeBusyQuery) {
+			throw new UnsupportedFeatureError({
+				message: `${this.url} does not support the free-busy-query report`,
+				feature: 'supportsFreeBusyQuery',
+			})
+		}
+
+		debug('sending a free-busy-query request')
+
+		const [skeleton] = XMLUtility.getRootSkeleton(
+			[NS.IETF_CALDAV, 'free-busy-query'],
+		)
+
+		skeleton.children.push({
+			name: [NS.IETF_CALDAV, 'time-range'],
+			attributes: [
+				['start', Calendar._getICalendarDateTimeFromDateObject(from)],
+				['end', Calendar._getICalendarDateTimeFromDateObject(to)],
+			],
+		})
+
+		const headers = {
+			Depth: '1',
+		}
+		const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		const response = await withRequestOptions(this._request, options).report(this.url, headers, body)
+
+		return {
+			busy: FreeBusyUtility.parseBusyPeriods(response.body),
+			data: response.body,
+		}
 	}
 
 	/**
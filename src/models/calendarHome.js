@@ -18,6 +18,8 @@ import * as XMLUtility from '../utility/xmlUtility.js'
 import { debugFactory } from '../debug.js'
 import { CalendarTrashBin } from './calendarTrashBin.js'
 import { DeletedCalendar } from './deletedCalendar.js'
+import { VObject } from './vobject.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
 const debug = debugFactory('CalendarHome')
 
 /**
@@ -47,17 +49,19 @@ export class CalendarHome extends DavCollection {
 	/**
 	 * Finds all CalDAV-specific collections in this calendar home
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<(Calendar|Subscription|ScheduleInbox|ScheduleOutbox|CalendarTrashBin|DeletedCalendar)[]>}
 	 */
-	async findAllCalDAVCollections() {
+	async findAllCalDAVCollections(options = {}) {
 		return super.findAllByFilter((elm) => elm instanceof Calendar || elm instanceof CalendarTrashBin
 			|| elm instanceof Subscription || elm instanceof ScheduleInbox || elm instanceof ScheduleOutbox
-			|| elm instanceof DeletedCalendar)
+			|| elm instanceof DeletedCalendar, options)
 	}
 
 	/**
 	 * Finds all CalDAV-specific collections in this calendar home, grouped by type
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<{
 			calendars: Calendar[],
 			deletedCalendars: DeletedCalendar[],
@@ -67,8 +71,8 @@ export class CalendarHome extends DavCollection {
 			scheduleOutboxes: ScheduleOutbox[],
 		}>}
 	 */
-	async findAllCalDAVCollectionsGrouped() {
-		const collections = await super.findAll()
+	async findAllCalDAVCollectionsGrouped(options = {}) {
+		const collections = await super.findAll(options)
 
 		return {
 			calendars: collections.filter(c => c instanceof Calendar && !(c instanceof ScheduleInbox) && !(c instanceof Subscription) && !(c instanceof DeletedCalendar)),
@@ -83,46 +87,51 @@ export class CalendarHome extends DavCollection {
 	/**
 	 * finds all calendars in this calendar home
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<Calendar[]>}
 	 */
-	async findAllCalendars() {
-		return super.findAllByFilter((elm) => elm instanceof Calendar && !(elm instanceof ScheduleInbox) && !(elm instanceof Subscription) && !(elm instanceof DeletedCalendar))
+	async findAllCalendars(options = {}) {
+		return super.findAllByFilter((elm) => elm instanceof Calendar && !(elm instanceof ScheduleInbox) && !(elm instanceof Subscription) && !(elm instanceof DeletedCalendar), options)
 	}
 
 	/**
 	 * Finds all deleted calendars in this calendar home
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<DeletedCalendar[]>}
 	 */
-	async findAllDeletedCalendars() {
-		return super.findAllByFilter((elm) => elm instanceof DeletedCalendar)
+	async findAllDeletedCalendars(options = {}) {
+		return super.findAllByFilter((elm) => elm instanceof DeletedCalendar, options)
 	}
 
 	/**
 	 * finds all subscriptions in this calendar home
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<Subscription[]>}
 	 */
-	async findAllSubscriptions() {
-		return super.findAllByFilter((elm) => elm instanceof Subscription)
+	async findAllSubscriptions(options = {}) {
+		return super.findAllByFilter((elm) => elm instanceof Subscription, options)
 	}
 
 	/**
 	 * finds all schedule inboxes in this calendar home
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<ScheduleInbox[]>}
 	 */
-	async findAllScheduleInboxes() {
-		return super.findAllByFilter((elm) => elm instanceof ScheduleInbox)
+	async findAllScheduleInboxes(options = {}) {
+		return super.findAllByFilter((elm) => elm instanceof ScheduleInbox, options)
 	}
 
 	/**
 	 * finds all schedule outboxes in this calendar home
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<ScheduleOutbox[]>}
 	 */
-	async findAllScheduleOutboxes() {
-		return super.findAllByFilter((elm) => elm instanceof ScheduleOutbox)
+	async findAllScheduleOutboxes(options = {}) {
+		return super.findAllByFilter((elm) => elm instanceof ScheduleOutbox, options)
 	}
 
 	/**
@@ -133,9 +142,10 @@ export class CalendarHome extends DavCollection {
 	 * @param {string[]} supportedComponentSet
 	 * @param {number} order
 	 * @param {string=} timezone
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of creating and fetching the calendar
 	 * @return {Promise<Calendar>}
 	 */
-	async createCalendarCollection(displayname, color, supportedComponentSet = null, order = null, timezone = null) {
+	async createCalendarCollection(displayname, color, supportedComponentSet = null, order = null, timezone = null, options = {}) {
 		debug('creating a calendar collection')
 
 		const props = [{
@@ -185,7 +195,7 @@ export class CalendarHome extends DavCollection {
 		}
 
 		const name = super._getAvailableNameFromToken(displayname)
-		return super.createCollection(name, props)
+		return super.createCollection(name, props, options)
 	}
 
 	/**
@@ -195,9 +205,10 @@ export class CalendarHome extends DavCollection {
 	 * @param {string} color
 	 * @param {string} source
 	 * @param {number} order
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of creating and fetching the subscription
 	 * @return {Promise<Subscription>}
 	 */
-	async createSubscribedCollection(displayname, color, source, order = null) {
+	async createSubscribedCollection(displayname, color, source, order = null, options = {}) {
 		debug('creating a subscribed collection')
 
 		const props = [{
@@ -232,34 +243,197 @@ export class CalendarHome extends DavCollection {
 		}
 
 		const name = super._getAvailableNameFromToken(displayname)
-		return super.createCollection(name, props)
+		return super.createCollection(name, props, options)
 	}
 
 	/**
 	 * Search all calendars the user has access to
-	 * This method makes use of Nextcloud's custom
-	 * calendar Search API
 	 *
-	 * Documentation about that API can be found at: ...
+	 * If the server advertises Nextcloud's custom calendar-search report,
+	 * it is used to search all calendars with a single request.
+	 * Otherwise (or when searching within a time-range), a calendar-query
+	 * with text-match filters is sent to all readable calendars in parallel,
+	 * one per component and property.
 	 *
-	 * @return {Promise<VObject[]>}
+	 * @param {string} query The text to search for
+	 * @param {object} options Additional search options
+	 * @param {string[]=} options.components Component types to search, defaults to VEVENT and VTODO
+	 * @param {string[]=} options.properties Properties to match, defaults to SUMMARY, DESCRIPTION, LOCATION and ATTENDEE
+	 * @param {Date=} options.from Start of the time-range to search in
+	 * @param {Date=} options.to End of the time-range to search in
+	 * @param {AbortSignal=} options.signal Signal to abort the search with
+	 * @param {number=} options.timeout Timeout for each request in milliseconds
+	 * @return {Promise<{calendar: Calendar, vobject: VObject}[]>}
 	 */
-	async search() {
-		// TODO - implement me
+	async search(query, options = {}) {
+		const {
+			components = ['VEVENT', 'VTODO'],
+			properties = ['SUMMARY', 'DESCRIPTION', 'LOCATION', 'ATTENDEE'],
+			from = null,
+			to = null,
+		} = options
+
+		const calendars = (await this.findAllCalendars(options)).filter((calendar) => calendar.isReadable())
+		if (!from && !to && this.capabilities.supportsCalendarSearch) {
+			return this._calendarSearch(calendars, query, components, properties, options)
+		}
+
+		const resultsPerCalendar = await Promise.all(calendars.map(async (calendar) => {
+			const results = []
+			for (const component of components) {
+				if (Array.isArray(calendar.components) && !calendar.components.includes(component)) {
+					continue
+				}
+
+				// Prop-filters of a comp-filter all need to match,
+				// so every property has to be queried separately
+				for (const property of properties) {
+					const vobjects = await calendar.calendarQuery([{
+						name: [NS.IETF_CALDAV, 'comp-filter'],
+						attributes: [
+							['name', 'VCALENDAR'],
+						],
+						children: [{
+							name: [NS.IETF_CALDAV, 'comp-filter'],
+							attributes: [
+								['name', component],
+							],
+							children: CalendarHome._getSearchFilterChildren(query, property, from, to),
+						}],
+					}], null, null, options)
+
+					vobjects
+						.filter((vobject) => !results.some((result) => result.vobject.url === vobject.url))
+						.forEach((vobject) => results.push({ calendar, vobject }))
+				}
+			}
+
+			return results
+		}))
+
+		return resultsPerCalendar.flat()
 	}
 
 	/**
 	 * enables the birthday calendar for the Calendar Home that belongs to this user
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the POST
 	 * @return {Promise<void>}
 	 */
-	async enableBirthdayCalendar() {
+	async enableBirthdayCalendar(options = {}) {
 		const [skeleton] = XMLUtility.getRootSkeleton(
 			[NS.NEXTCLOUD, 'enable-birthday-calendar'],
 		)
-		const xmlBody = XMLUtility.serialize(skeleton)
+		const xmlBody = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+
+		await withRequestOptions(this._request, options).post(this.url, {}, xmlBody)
+	}
+
+	/**
+	 * sends Nextcloud's custom calendar-search report
+	 *
+	 * @param {Calendar[]} calendars Calendars to include in the result
+	 * @param {string} query The text to search for
+	 * @param {string[]} components Component types to search
+	 * @param {string[]} properties Properties to match
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the calendar-search report
+	 * @return {Promise<{calendar: Calendar, vobject: VObject}[]>}
+	 * @private
+	 */
+	async _calendarSearch(calendars, query, components, properties, options = {}) {
+		debug('sending a calendar-search request')
+
+		const [skeleton] = XMLUtility.getRootSkeleton(
+			[NS.NEXTCLOUD, 'calendar-search'],
+		)
+
+		skeleton.children.push({
+			name: [NS.DAV, 'prop'],
+			children: VObject.getPropFindList().map((p) => ({ name: p })),
+		}, {
+			name: [NS.NEXTCLOUD, 'filter'],
+			children: [
+				...components.map((component) => ({
+					name: [NS.NEXTCLOUD, 'comp-filter'],
+					attributes: [
+						['name', component],
+					],
+				})),
+				...properties.map((property) => ({
+					name: [NS.NEXTCLOUD, 'prop-filter'],
+					attributes: [
+						['name', property],
+					],
+				})),
+				{
+					name: [NS.NEXTCLOUD, 'search-term'],
+					value: query,
+				},
+			],
+		})
+
+		const headers = {
+			Depth: '1',
+		}
+		const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		const response = await withRequestOptions(this._request, options).report(this.url, headers, body)
+
+		const results = []
+		calendars.forEach((calendar) => {
+			const calendarBody = {}
+			Object.entries(response.body).forEach(([path, props]) => {
+				if (this._request.pathname(path).startsWith(calendar.url)) {
+					calendarBody[path] = props
+				}
+			})
+
+			calendar._handleMultiStatusResponse({ body: calendarBody })
+				.forEach((vobject) => results.push({ calendar, vobject }))
+		})
+
+		return results
+	}
+
+	/**
+	 * builds the children of a comp-filter that searches one property
+	 *
+	 * @param {string} query The text to search for
+	 * @param {string} property The property to match
+	 * @param {Date|null} from Start of the time-range
+	 * @param {Date|null} to End of the time-range
+	 * @return {object[]}
+	 * @private
+	 */
+	static _getSearchFilterChildren(query, property, from, to) {
+		const children = []
+
+		if (from || to) {
+			const attributes = []
+			if (from) {
+				attributes.push(['start', Calendar._getICalendarDateTimeFromDateObject(from)])
+			}
+			if (to) {
+				attributes.push(['end', Calendar._getICalendarDateTimeFromDateObject(to)])
+			}
+
+			children.push({
+				name: [NS.IETF_CALDAV, 'time-range'],
+				attributes,
+			})
+		}
+
+		children.push({
+			name: [NS.IETF_CALDAV, 'prop-filter'],
+			attributes: [
+				['name', property],
+			],
+			children: [{
+				name: [NS.IETF_CALDAV, 'text-match'],
+				value: query,
+			}],
+		})
 
-		await this._request.post(this.url, {}, xmlBody)
+		return children
 	}
 
 }
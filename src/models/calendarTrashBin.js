@@ -11,6 +11,7 @@ import { DavCollection } from './davCollection.js'
 import * as NS from '../utility/namespaceUtility.js'
 import { VObject } from './vobject.js'
 import * as XMLUtility from '../utility/xmlUtility.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
 
 export class CalendarTrashBin extends DavCollection {
 
@@ -25,7 +26,13 @@ export class CalendarTrashBin extends DavCollection {
 		super._exposeProperty('retentionDuration', NS.NEXTCLOUD, 'trash-bin-retention-duration')
 	}
 
-	async findDeletedObjects() {
+	/**
+	 * finds all deleted objects in this trash bin
+	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the REPORT
+	 * @return {Promise<VObject[]>}
+	 */
+	async findDeletedObjects(options = {}) {
 		const [skeleton] = XMLUtility.getRootSkeleton(
 			[NS.IETF_CALDAV, 'calendar-query'],
 		)
@@ -57,13 +64,20 @@ export class CalendarTrashBin extends DavCollection {
 		const headers = {
 			Depth: '1',
 		}
-		const body = XMLUtility.serialize(skeleton)
-		const response = await this._request.report(this._url + 'objects', headers, body)
+		const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		const response = await withRequestOptions(this._request, options).report(this._url + 'objects', headers, body)
 		return super._handleMultiStatusResponse(response)
 	}
 
-	async restore(uri) {
-		await this._request.move(uri, this._url + 'restore/file')
+	/**
+	 * restores a deleted object or calendar
+	 *
+	 * @param {string} uri Url of the deleted object or calendar
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the MOVE
+	 * @return {Promise<void>}
+	 */
+	async restore(uri, options = {}) {
+		await withRequestOptions(this._request, options).move(uri, this._url + 'restore/file', false, this._getLockHeaders())
 	}
 
 }
@@ -0,0 +1,121 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as AclUtility from '../utility/aclUtility.js'
+import * as NS from '../utility/namespaceUtility.js'
+import * as XMLUtility from '../utility/xmlUtility.js'
+import { PrivilegeSet } from './privilegeSet.js'
+
+import { debugFactory } from '../debug.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
+const debug = debugFactory('DavAccessControlled')
+
+/**
+ * adds reading and writing access control lists as defined in
+ * https://tools.ietf.org/html/rfc3744
+ *
+ * Most servers only allow administrators to read or change the
+ * access control list, others do not support changing it at all.
+ *
+ * @param {Function} Base - class to extend
+ * @return {Function}
+ */
+export function davAccessControlled(Base) {
+	return class extends Base {
+
+		/**
+		 * access control entries of this resource, as discovered by findAcl
+		 *
+		 * @return {import('./ace.js').Ace[]}
+		 */
+		get aces() {
+			return this._props['{DAV:}acl'] || []
+		}
+
+		/**
+		 * privileges supported by this resource, as discovered by findAcl
+		 *
+		 * @return {import('../utility/aclUtility.js').SupportedPrivilege[]}
+		 */
+		get supportedPrivilegeSet() {
+			return this._props['{DAV:}supported-privilege-set'] || []
+		}
+
+		/**
+		 * privileges of the current user on this resource,
+		 * aggregated as described by the supported-privilege-set if it was fetched
+		 *
+		 * @return {PrivilegeSet}
+		 */
+		get privilegeSet() {
+			return new PrivilegeSet(
+				this._props['{DAV:}current-user-privilege-set'] || [],
+				this._props['{DAV:}supported-privilege-set'] || null,
+			)
+		}
+
+		/**
+		 * urls of the resources this resource inherits entries from, as discovered by findAcl
+		 *
+		 * @return {string[]}
+		 */
+		get inheritedAclSet() {
+			return this._props['{DAV:}inherited-acl-set'] || []
+		}
+
+		/**
+		 * fetches the access control list and the supported privileges
+		 *
+		 * @param {import('../request.js').RequestOptions} options - signal and timeout of the PROPFIND
+		 * @return {Promise<import('./ace.js').Ace[]>}
+		 */
+		async findAcl(options = {}) {
+			const response = await withRequestOptions(this._request, options).propFind(this.url, [
+				[NS.DAV, 'acl'],
+				[NS.DAV, 'supported-privilege-set'],
+				[NS.DAV, 'current-user-privilege-set'],
+				[NS.DAV, 'inherited-acl-set'],
+			], 0)
+
+			this._props['{DAV:}acl'] = response.body['{DAV:}acl'] || []
+			this._props['{DAV:}supported-privilege-set'] = response.body['{DAV:}supported-privilege-set'] || []
+			this._props['{DAV:}current-user-privilege-set'] = response.body['{DAV:}current-user-privilege-set'] || []
+			this._props['{DAV:}inherited-acl-set'] = response.body['{DAV:}inherited-acl-set'] || []
+
+			return this.aces
+		}
+
+		/**
+		 * replaces the access control list of this resource
+		 *
+		 * Inherited entries are not sent, protected entries
+		 * have to be passed unchanged or the server rejects the request.
+		 *
+		 * @param {import('./ace.js').Ace[]} aces - the new access control entries
+		 * @param {import('../request.js').RequestOptions} options - signal and timeout of the ACL request
+		 * @return {Promise<void>}
+		 */
+		async acl(aces, options = {}) {
+			debug(`Updating access control list of ${this.url}`)
+
+			const skeleton = AclUtility.getAclSkeleton(aces)
+			const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+			await withRequestOptions(this._request, options).acl(this.url, {
+				'Content-Type': 'application/xml; charset=utf-8',
+			}, body)
+
+			// Inherited entries always follow the ones set on the resource itself
+			this._props['{DAV:}acl'] = [
+				...aces.filter((ace) => !ace.isInherited()),
+				...this.aces.filter((ace) => ace.isInherited()),
+			]
+		}
+
+	}
+}
@@ -7,17 +7,23 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
+import * as CapabilityUtility from '../utility/capabilityUtility.js'
 import * as NS from '../utility/namespaceUtility.js'
 import * as StringUtility from '../utility/stringUtility.js'
 import * as XMLUtility from '../utility/xmlUtility.js'
 import DAVEventListener from './davEventListener.js'
+import { davAccessControlled } from './davAccessControlled.js'
+import { davLockable } from './davLockable.js'
+import PropertyUpdateError from '../errors/propertyUpdateError.js'
+import UnsupportedFeatureError from '../errors/unsupportedFeatureError.js'
 
 import { debugFactory } from '../debug.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
 import davCollectionPropSet from '../propset/davCollectionPropSet.js'
 import { DavObject } from './davObject.js'
 const debug = debugFactory('DavCollection')
 
-export class DavCollection extends DAVEventListener {
+export class DavCollection extends davAccessControlled(davLockable(DAVEventListener)) {
 
 	/**
 	 * @param {object} parent
@@ -63,6 +69,12 @@ export class DavCollection extends DAVEventListener {
 		Object.defineProperty(this, 'url', {
 			get: () => this._url,
 		})
+		Object.defineProperty(this, 'capabilities', {
+			get: () => CapabilityUtility.getCapabilities(
+				this._getAdvertisedFeatures(),
+				this._props['{DAV:}supported-report-set'] || null,
+			),
+		})
 
 		this._propFindList.push(...DavObject.getPropFindList())
 		this._propFindList.push(...DavCollection.getPropFindList())
@@ -71,10 +83,11 @@ export class DavCollection extends DAVEventListener {
 	/**
 	 * finds all children of a collection
 	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<DavObject[]|DavCollection[]>}
 	 */
-	async findAll() {
-		const response = await this._request.propFind(this._url, this._propFindList, 1)
+	async findAll(options = {}) {
+		const response = await withRequestOptions(this._request, options).propFind(this._url, this._propFindList, 1)
 		return this._handleMultiStatusResponse(response, false)
 	}
 
@@ -82,10 +95,11 @@ export class DavCollection extends DAVEventListener {
 	 * finds all children of a collection filtered by filter
 	 *
 	 * @param {Function} filter
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<DavObject[]|DavCollection[]>}
 	 */
-	async findAllByFilter(filter) {
-		const all = await this.findAll()
+	async findAllByFilter(filter, options = {}) {
+		const all = await this.findAll(options)
 		return all.filter(filter)
 	}
 
@@ -93,14 +107,177 @@ export class DavCollection extends DAVEventListener {
 	 * find one object by its uri
 	 *
 	 * @param {string} uri
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {Promise<DavObject|DavCollection>}
 	 */
-	async find(uri) {
-		const response = await this._request.propFind(this._url + uri, this._propFindList, 0)
+	async find(uri, options = {}) {
+		const response = await withRequestOptions(this._request, options).propFind(this._url + uri, this._propFindList, 0)
 		response.body = { [this._url + uri]: response.body }
 		return this._handleMultiStatusResponse(response, false)[0]
 	}
 
+	/**
+	 * sends a sync-collection report as defined in
+	 * https://tools.ietf.org/html/rfc6578#section-3.2
+	 *
+	 * Pass an empty sync-token to perform an initial synchronization.
+	 * If the server truncates the result (507 on the collection itself),
+	 * the report is repeated with the intermediate sync-token
+	 * until all changes were retrieved.
+	 *
+	 * Rejects with an UnsupportedFeatureError if the collection
+	 * does not support the sync-collection report.
+	 *
+	 * @param {string} syncToken The sync-token of the last synchronization
+	 * @param {number=} limit Maximum number of results per request
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout applied to each sync-collection report
+	 * @return {Promise<{updated: (DavObject|DavCollection)[], deleted: string[], syncToken: string}>}
+	 */
+	async sync(syncToken = '', limit = null, options = {}) {
+		if (!this.capabilities.supportsSyncCollection) {
+			throw new UnsupportedFeatureError({
+				message: `${this.url} does not support the sync-collection report`,
+				feature: 'supportsSyncCollection',
+			})
+		}
+
+		debug(`sending a sync-collection request with token "${syncToken}"`)
+
+		const result = {
+			updated: [],
+			deleted: [],
+			syncToken,
+		}
+
+		let isTruncated = true
+		while (isTruncated) {
+			const [skeleton] = XMLUtility.getRootSkeleton(
+				[NS.DAV, 'sync-collection'],
+			)
+
+			skeleton.children.push({
+				name: [NS.DAV, 'sync-token'],
+				value: result.syncToken,
+			}, {
+				name: [NS.DAV, 'sync-level'],
+				value: '1',
+			})
+
+			if (limit) {
+				skeleton.children.push({
+					name: [NS.DAV, 'limit'],
+					children: [{
+						name: [NS.DAV, 'nresults'],
+						value: limit,
+					}],
+				})
+			}
+
+			skeleton.children.push({
+				name: [NS.DAV, 'prop'],
+				children: this._propFindList.map((p) => ({ name: p })),
+			})
+
+			const headers = {
+				Depth: '0',
+			}
+			const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+			const response = await withRequestOptions(this._request, options).report(this.url, headers, body)
+
+			isTruncated = false
+			const updatedProps = {}
+			const deletedPaths = []
+			Object.entries(response.body).forEach(([path, props]) => {
+				const status = response.statuses[path]
+				if (path === this._url || path + '/' === this._url) {
+					isTruncated = status === 507
+					return
+				}
+
+				// Members without propstat carry a status of their own,
+				// 404 meaning they were removed since the given sync-token
+				if (status === undefined) {
+					updatedProps[path] = props
+				} else if (status === 404) {
+					deletedPaths.push(path)
+				} else {
+					debug(`Ignoring ${path} with unexpected status ${status} in sync-collection report`)
+				}
+			})
+
+			this._childrenNames = this._childrenNames.filter((name) => !deletedPaths.includes(name))
+			result.deleted.push(...deletedPaths.map((path) => this._request.pathname(path)))
+			result.updated.push(...this._handleMultiStatusResponse({ body: updatedProps }, false))
+
+			// Don't loop forever if the server does not advance the sync-token
+			if (isTruncated && (!response.syncToken || response.syncToken === result.syncToken)) {
+				debug('sync-collection result was truncated, but no new sync-token was provided')
+				isTruncated = false
+			}
+			if (isTruncated) {
+				debug(`sync-collection result was truncated, continuing with token "${response.syncToken}"`)
+			}
+
+			result.syncToken = response.syncToken || result.syncToken
+		}
+
+		return result
+	}
+
+	/**
+	 * sends a principal-match report as defined in
+	 * https://tools.ietf.org/html/rfc3744#section-9.3
+	 *
+	 * Without a principal property, the members of this collection that are
+	 * principals matching the current user are returned. Otherwise the members
+	 * whose given property, e.g. [NS.DAV, 'owner'], identifies the current user
+	 * or one of the groups they are a member of.
+	 *
+	 * Rejects with an UnsupportedFeatureError if the collection
+	 * does not support the principal-match report.
+	 *
+	 * @param {string[]|null} principalProperty Namespace and name of the property identifying the principal, null for self
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the principal-match report
+	 * @return {Promise<(DavObject|DavCollection)[]>}
+	 */
+	async principalMatch(principalProperty = null, options = {}) {
+		if (!this.capabilities.supportsPrincipalMatch) {
+			throw new UnsupportedFeatureError({
+				message: `${this.url} does not support the principal-match report`,
+				feature: 'supportsPrincipalMatch',
+			})
+		}
+
+		const [skeleton] = XMLUtility.getRootSkeleton(
+			[NS.DAV, 'principal-match'],
+		)
+
+		if (principalProperty === null) {
+			skeleton.children.push({
+				name: [NS.DAV, 'self'],
+			})
+		} else {
+			skeleton.children.push({
+				name: [NS.DAV, 'principal-property'],
+				children: [{
+					name: principalProperty,
+				}],
+			})
+		}
+
+		skeleton.children.push({
+			name: [NS.DAV, 'prop'],
+			children: this._propFindList.map((p) => ({ name: p })),
+		})
+
+		const headers = {
+			Depth: '0',
+		}
+		const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		const response = await withRequestOptions(this._request, options).report(this.url, headers, body)
+		return this._handleMultiStatusResponse(response, false)
+	}
+
 	/**
 	 * creates a new webdav collection
 	 * https://tools.ietf.org/html/rfc5689
@@ -111,13 +288,24 @@ export class DavCollection extends DAVEventListener {
 	 * - CalendarHome->createCalendarCollection
 	 * - CalendarHome->createSubscribedCollection
 	 *
+	 * If the server does not support extended MKCOL, calendars are
+	 * created using MKCALENDAR and other collections using a regular
+	 * MKCOL request, followed by a PROPPATCH setting their props.
+	 *
 	 * @param {string} name
 	 * @param {?Array} props
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of creating and fetching the collection
 	 * @return {Promise<DavCollection>}
 	 */
-	async createCollection(name, props = null) {
+	async createCollection(name, props = null, options = {}) {
 		debug('creating a collection')
 
+		const uri = this._getAvailableNameFromToken(name)
+		if (!this.capabilities.supportsExtendedMkcol) {
+			await this._createCollectionWithoutExtendedMkcol(uri, props, options)
+			return this.find(uri + '/', options)
+		}
+
 		if (!props) {
 			props = [{
 				name: [NS.DAV, 'resourcetype'],
@@ -135,10 +323,9 @@ export class DavCollection extends DAVEventListener {
 
 		dPropChildren.push(...props)
 
-		const uri = this._getAvailableNameFromToken(name)
-		const data = XMLUtility.serialize(skeleton)
-		await this._request.mkCol(this.url + uri, {}, data)
-		return this.find(uri + '/')
+		const data = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		await withRequestOptions(this._request, options).mkCol(this.url + uri, this._getLockHeaders(), data)
+		return this.find(uri + '/', options)
 	}
 
 	/**
@@ -152,22 +339,27 @@ export class DavCollection extends DAVEventListener {
 	 * @param {string} name
 	 * @param {object} headers
 	 * @param {string} data
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PUT and of fetching the new object
 	 * @return {Promise<DavObject>}
 	 */
-	async createObject(name, headers, data) {
+	async createObject(name, headers, data, options = {}) {
 		debug('creating an object')
 
-		await this._request.put(this.url + name, headers, data)
-		return this.find(name)
+		await withRequestOptions(this._request, options).put(this.url + name, this._getLockHeaders(headers), data)
+		return this.find(name, options)
 	}
 
 	/**
 	 * sends a PropPatch request to update the collections' properties
 	 * The request is only made if properties actually changed
 	 *
+	 * Rejects with a PropertyUpdateError listing the failed properties
+	 * if the server did not update all of them.
+	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPPATCH
 	 * @return {Promise<void>}
 	 */
-	async update() {
+	async update(options = {}) {
 		if (this._updatedProperties.length === 0) {
 			return
 		}
@@ -178,25 +370,18 @@ export class DavCollection extends DAVEventListener {
 		})
 		const propSet = this._propSetFactory.reduce((arr, p) => [...arr, ...p(properties)], [])
 
-		const [skeleton, dPropSet] = XMLUtility.getRootSkeleton(
-			[NS.DAV, 'propertyupdate'],
-			[NS.DAV, 'set'],
-			[NS.DAV, 'prop'])
-
-		dPropSet.push(...propSet)
-
-		const body = XMLUtility.serialize(skeleton)
-		await this._request.propPatch(this._url, {}, body)
+		await this._setProperties(this._url, propSet, options)
 	}
 
 	/**
 	 * deletes the DavCollection on the server
 	 *
 	 * @param {object} headers - additional HTTP headers to send
+	 * @param {import('../request.js').RequestOptions} options - signal and timeout of the DELETE
 	 * @return {Promise<void>}
 	 */
-	async delete(headers = {}) {
-		await this._request.delete(this._url, headers)
+	async delete(headers = {}, options = {}) {
+		await withRequestOptions(this._request, options).delete(this._url, this._getLockHeaders(headers))
 	}
 
 	/**
@@ -204,7 +389,7 @@ export class DavCollection extends DAVEventListener {
 	 * @return {boolean}
 	 */
 	isReadable() {
-		return this.currentUserPrivilegeSet.includes('{DAV:}read')
+		return this.privilegeSet.canRead()
 	}
 
 	/**
@@ -212,7 +397,7 @@ export class DavCollection extends DAVEventListener {
 	 * @return {boolean}
 	 */
 	isWriteable() {
-		return this.currentUserPrivilegeSet.includes('{DAV:}write')
+		return this.privilegeSet.canWrite()
 	}
 
 	/**
@@ -290,6 +475,26 @@ export class DavCollection extends DAVEventListener {
 		}
 	}
 
+	/**
+	 * gets the features advertised by the server,
+	 * as stored on the DavClient this collection belongs to
+	 *
+	 * @private
+	 * @return {string[]}
+	 */
+	_getAdvertisedFeatures() {
+		let parent = this._parent
+		while (parent) {
+			if (Array.isArray(parent.advertisedFeatures)) {
+				return parent.advertisedFeatures
+			}
+
+			parent = parent._parent
+		}
+
+		return []
+	}
+
 	/**
 	 * @protected
 	 * @param {string} token
@@ -302,13 +507,88 @@ export class DavCollection extends DAVEventListener {
 		})
 	}
 
+	/**
+	 * creates a collection on a server that does not support extended MKCOL
+	 *
+	 * @param {string} uri Name of the new collection
+	 * @param {?Array} props Props of the new collection, including its resourcetype
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the MKCALENDAR, MKCOL and PROPPATCH
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async _createCollectionWithoutExtendedMkcol(uri, props, options) {
+		const url = this.url + uri
+		if (!props) {
+			await withRequestOptions(this._request, options).mkCol(url, this._getLockHeaders())
+			return
+		}
+
+		const resourceTypeProp = props.find(({ name }) => name[0] === NS.DAV && name[1] === 'resourcetype')
+		const resourceTypes = resourceTypeProp ? (resourceTypeProp.children || []).map(({ name }) => name) : []
+		const otherProps = props.filter((prop) => prop !== resourceTypeProp)
+
+		if (resourceTypes.some(([namespace, localName]) => namespace === NS.IETF_CALDAV && localName === 'calendar')) {
+			const [skeleton, dPropChildren] = XMLUtility.getRootSkeleton(
+				[NS.IETF_CALDAV, 'mkcalendar'],
+				[NS.DAV, 'set'],
+				[NS.DAV, 'prop'],
+			)
+
+			dPropChildren.push(...otherProps)
+
+			const data = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+			await withRequestOptions(this._request, options).mkCalendar(url, this._getLockHeaders(), data)
+			return
+		}
+
+		await withRequestOptions(this._request, options).mkCol(url, this._getLockHeaders())
+
+		// Resource types other than collection can only be set afterwards, if the server allows to
+		const isPlainCollection = resourceTypes.every(([namespace, localName]) => namespace === NS.DAV && localName === 'collection')
+		const propSet = isPlainCollection ? otherProps : props
+		if (propSet.length > 0) {
+			await this._setProperties(url, propSet, options)
+		}
+	}
+
+	/**
+	 * sends a PropPatch request setting the given properties
+	 *
+	 * Rejects with a PropertyUpdateError listing the failed properties
+	 * if the server did not update all of them.
+	 *
+	 * @param {string} url Url of the resource to update
+	 * @param {Array} propSet Properties to set
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPPATCH
+	 * @return {Promise<void>}
+	 * @private
+	 */
+	async _setProperties(url, propSet, options) {
+		const [skeleton, dPropSet] = XMLUtility.getRootSkeleton(
+			[NS.DAV, 'propertyupdate'],
+			[NS.DAV, 'set'],
+			[NS.DAV, 'prop'])
+
+		dPropSet.push(...propSet)
+
+		const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		const response = await withRequestOptions(this._request, options).propPatch(url, this._getLockHeaders(), body)
+
+		const failedProperties = Object.assign({}, ...Object.values(response.failedProperties || {}))
+		if (Object.keys(failedProperties).length > 0) {
+			debug(`Failed to update properties ${Object.keys(failedProperties).join(', ')} of ${url}`)
+			throw new PropertyUpdateError(Object.assign({}, response, { failedProperties }))
+		}
+	}
+
 	/**
 	 * get updated properties for this collection from server
 	 * @protected
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPFIND
 	 * @return {object}
 	 */
-	async _updatePropsFromServer() {
-		const response = await this._request.propFind(this.url, this.constructor.getPropFindList())
+	async _updatePropsFromServer(options = {}) {
+		const response = await withRequestOptions(this._request, options).propFind(this.url, this.constructor.getPropFindList())
 		this._props = response.body
 	}
 
@@ -385,6 +665,7 @@ export class DavCollection extends DAVEventListener {
 			[NS.DAV, 'resourcetype'],
 			[NS.DAV, 'sync-token'],
 			[NS.DAV, 'current-user-privilege-set'],
+			[NS.DAV, 'supported-report-set'],
 		]
 	}
 
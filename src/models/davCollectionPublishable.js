@@ -9,6 +9,7 @@
 
 import * as NS from '../utility/namespaceUtility.js'
 import * as XMLUtility from '../utility/xmlUtility.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
 
 import { debugFactory } from '../debug.js'
 const debug = debugFactory('DavCollectionPublishable')
@@ -28,34 +29,36 @@ export function davCollectionPublishable(Base) {
 		/**
 		 * publishes the DavCollection
 		 *
+		 * @param {import('../request.js').RequestOptions} options Signal and timeout of the POST and of fetching the publish url
 		 * @return {Promise<void>}
 		 */
-		async publish() {
+		async publish(options = {}) {
 			debug(`Publishing ${this.url}`)
 
 			const [skeleton] = XMLUtility.getRootSkeleton(
 				[NS.CALENDARSERVER, 'publish-calendar'])
-			const xml = XMLUtility.serialize(skeleton)
+			const xml = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
 
 			// TODO - ideally the server should return a 'pre-publish-url' as described in the standard
 
-			await this._request.post(this._url, { 'Content-Type': 'application/xml; charset=utf-8' }, xml)
-			await this._updatePropsFromServer()
+			await withRequestOptions(this._request, options).post(this._url, { 'Content-Type': 'application/xml; charset=utf-8' }, xml)
+			await this._updatePropsFromServer(options)
 		}
 
 		/**
 		 * unpublishes the DavCollection
 		 *
+		 * @param {import('../request.js').RequestOptions} options Signal and timeout of the POST
 		 * @return {Promise<void>}
 		 */
-		async unpublish() {
+		async unpublish(options = {}) {
 			debug(`Unpublishing ${this.url}`)
 
 			const [skeleton] = XMLUtility.getRootSkeleton(
 				[NS.CALENDARSERVER, 'unpublish-calendar'])
-			const xml = XMLUtility.serialize(skeleton)
+			const xml = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
 
-			await this._request.post(this._url, { 'Content-Type': 'application/xml; charset=utf-8' }, xml)
+			await withRequestOptions(this._request, options).post(this._url, { 'Content-Type': 'application/xml; charset=utf-8' }, xml)
 			delete this._props['{http://calendarserver.org/ns/}publish-url']
 		}
 
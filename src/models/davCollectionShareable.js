@@ -9,6 +9,7 @@
 
 import * as NS from '../utility/namespaceUtility.js'
 import * as XMLUtility from '../utility/xmlUtility.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
 
 import { debugFactory } from '../debug.js'
 const debug = debugFactory('DavCollectionShareable')
@@ -32,9 +33,10 @@ export function davCollectionShareable(Base) {
 		 * @param {string} principalScheme
 		 * @param {boolean} writeable
 		 * @param {string} summary
+		 * @param {import('../request.js').RequestOptions} options Signal and timeout of the POST
 		 * @return {Promise<void>}
 		 */
-		async share(principalScheme, writeable = false, summary = '') {
+		async share(principalScheme, writeable = false, summary = '', options = {}) {
 			debug(`Sharing ${this.url} with ${principalScheme}`)
 			const [skeleton, setProp] = XMLUtility.getRootSkeleton(
 				[NS.OWNCLOUD, 'share'], [NS.OWNCLOUD, 'set'])
@@ -56,8 +58,8 @@ export function davCollectionShareable(Base) {
 				})
 			}
 
-			const xml = XMLUtility.serialize(skeleton)
-			return this._request.post(this._url, { 'Content-Type': 'application/xml; charset=utf-8' }, xml).then(() => {
+			const xml = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+			return withRequestOptions(this._request, options).post(this._url, { 'Content-Type': 'application/xml; charset=utf-8' }, xml).then(() => {
 				const index = this.shares.findIndex((e) => e.href === principalScheme)
 
 				if (index === -1) {
@@ -78,9 +80,10 @@ export function davCollectionShareable(Base) {
 		 * unshares a DAVCollection
 		 *
 		 * @param {string} principalScheme
+		 * @param {import('../request.js').RequestOptions} options Signal and timeout of the POST
 		 * @return {Promise<void>}
 		 */
-		async unshare(principalScheme) {
+		async unshare(principalScheme, options = {}) {
 			debug(`Unsharing ${this.url} with ${principalScheme}`)
 
 			const [skeleton, oSetChildren] = XMLUtility.getRootSkeleton(
@@ -91,8 +94,8 @@ export function davCollectionShareable(Base) {
 				value: principalScheme,
 			})
 
-			const xml = XMLUtility.serialize(skeleton)
-			return this._request.post(this._url, { 'Content-Type': 'application/xml; charset=utf-8' }, xml).then(() => {
+			const xml = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+			return withRequestOptions(this._request, options).post(this._url, { 'Content-Type': 'application/xml; charset=utf-8' }, xml).then(() => {
 				const index = this.shares.findIndex((e) => e.href === principalScheme)
 				if (index === -1) {
 					return
@@ -0,0 +1,236 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as LockUtility from '../utility/lockUtility.js'
+import * as NS from '../utility/namespaceUtility.js'
+import * as XMLUtility from '../utility/xmlUtility.js'
+
+import { debugFactory } from '../debug.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
+const debug = debugFactory('DavLockable')
+
+/**
+ * adds WebDAV locking as defined in
+ * https://tools.ietf.org/html/rfc4918#section-6
+ *
+ * While a lock is held, its token is submitted in the If header
+ * of requests that modify the resource or its children.
+ *
+ * @param {Function} Base - class to extend
+ * @return {Function}
+ */
+export function davLockable(Base) {
+	return class extends Base {
+
+		/**
+		 * the lock held on this resource
+		 *
+		 * @return {import('../utility/lockUtility.js').ActiveLock|null}
+		 */
+		get activeLock() {
+			return this._lock || null
+		}
+
+		/**
+		 * all locks on this resource, as discovered by findLocks
+		 *
+		 * @return {import('../utility/lockUtility.js').ActiveLock[]}
+		 */
+		get lockDiscovery() {
+			return this._props['{DAV:}lockdiscovery'] || []
+		}
+
+		/**
+		 * lock types supported by this resource, as discovered by findLocks
+		 *
+		 * @return {import('../utility/lockUtility.js').LockEntry[]}
+		 */
+		get supportedLock() {
+			return this._props['{DAV:}supportedlock'] || []
+		}
+
+		/**
+		 * acquires a write lock on this resource
+		 *
+		 * @param {object} lockOptions - scope, timeout, owner and depth of the lock
+		 * @param {string=} lockOptions.scope - exclusive or shared, defaults to exclusive
+		 * @param {number=} lockOptions.timeout - requested lifetime in seconds, Infinity for an infinite lock
+		 * @param {string=} lockOptions.owner - owner of the lock, e.g. a mailto: url
+		 * @param {string=} lockOptions.depth - 0 or infinity, defaults to infinity for collections and 0 otherwise
+		 * @param {import('../request.js').RequestOptions} options - signal and timeout of the LOCK
+		 * @return {Promise<import('../utility/lockUtility.js').ActiveLock>}
+		 */
+		async lock({ scope = 'exclusive', timeout = null, owner = null, depth = null } = {}, options = {}) {
+			debug(`Locking ${this.url}`)
+
+			const headers = {
+				'Content-Type': 'application/xml; charset=utf-8',
+			}
+			if (timeout !== null) {
+				headers.Timeout = LockUtility.getTimeoutHeader(timeout)
+			}
+			// Always send the depth, as requests default to Depth: 0
+			const lockDepth = depth === null ? this._getDefaultLockDepth() : String(depth).toLowerCase()
+			headers.Depth = lockDepth
+
+			const skeleton = LockUtility.getLockInfoSkeleton(scope, owner)
+			const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+			const response = await withRequestOptions(this._request, options).lock(this.url, headers, body)
+
+			const lockTokenHeader = response.headers.get('Lock-Token') || ''
+			const token = lockTokenHeader.trim().replace(/^<(.*)>$/, '$1')
+			this._lock = this._getActiveLockFromResponse(response, token) || {
+				scope,
+				type: 'write',
+				depth: lockDepth,
+				owner,
+				timeout: LockUtility.parseTimeout(response.headers.get('Timeout')),
+				token,
+				root: this.url,
+			}
+
+			return this._lock
+		}
+
+		/**
+		 * refreshes the lock held on this resource
+		 *
+		 * @param {number|null} timeout - requested lifetime in seconds, Infinity for an infinite lock
+		 * @param {import('../request.js').RequestOptions} options - signal and timeout of the LOCK
+		 * @return {Promise<import('../utility/lockUtility.js').ActiveLock>}
+		 */
+		async refreshLock(timeout = null, options = {}) {
+			if (!this._lock) {
+				throw new Error(`${this.url} is not locked`)
+			}
+
+			debug(`Refreshing lock on ${this.url}`)
+
+			const headers = {
+				If: `(<${this._lock.token}>)`,
+			}
+			if (timeout !== null) {
+				headers.Timeout = LockUtility.getTimeoutHeader(timeout)
+			}
+
+			const response = await withRequestOptions(this._request, options).lock(this.url, headers)
+			const activeLock = this._getActiveLockFromResponse(response, this._lock.token)
+			if (activeLock) {
+				this._lock = activeLock
+			}
+
+			return this._lock
+		}
+
+		/**
+		 * releases the lock held on this resource
+		 *
+		 * @param {import('../request.js').RequestOptions} options - signal and timeout of the UNLOCK
+		 * @return {Promise<void>}
+		 */
+		async unlock(options = {}) {
+			if (!this._lock) {
+				return
+			}
+
+			debug(`Unlocking ${this.url}`)
+
+			await withRequestOptions(this._request, options).unlock(this.url, {
+				'Lock-Token': `<${this._lock.token}>`,
+			})
+			this._lock = null
+		}
+
+		/**
+		 * fetches all locks on this resource and the supported lock types
+		 *
+		 * @param {import('../request.js').RequestOptions} options - signal and timeout of the PROPFIND
+		 * @return {Promise<import('../utility/lockUtility.js').ActiveLock[]>}
+		 */
+		async findLocks(options = {}) {
+			const response = await withRequestOptions(this._request, options).propFind(this.url, [
+				[NS.DAV, 'lockdiscovery'],
+				[NS.DAV, 'supportedlock'],
+			], 0)
+
+			this._props['{DAV:}lockdiscovery'] = response.body['{DAV:}lockdiscovery'] || []
+			this._props['{DAV:}supportedlock'] = response.body['{DAV:}supportedlock'] || []
+
+			return this.lockDiscovery
+		}
+
+		/**
+		 * gets the depth of locks acquired without an explicit depth
+		 *
+		 * @protected
+		 * @return {string}
+		 */
+		_getDefaultLockDepth() {
+			return 'infinity'
+		}
+
+		/**
+		 * adds the If header submitting the lock tokens
+		 * of this resource and its parent, if they are locked
+		 *
+		 * @protected
+		 * @param {object} headers - HTTP headers of the request
+		 * @param {object[]} resources - further resources affected by the request, e.g. the destination collection of a MOVE
+		 * @return {object}
+		 */
+		_getLockHeaders(headers = {}, resources = []) {
+			const conditions = [this, this._parent, ...resources]
+				.filter((resource, index, all) => resource && resource._lock && all.indexOf(resource) === index)
+				.map((resource) => `<${resource._request.absoluteUrl(resource.url)}> (<${resource._lock.token}>)`)
+
+			if (conditions.length === 0) {
+				return headers
+			}
+
+			return Object.assign({}, headers, {
+				If: conditions.join(' '),
+			})
+		}
+
+		/**
+		 * gets the lock with the given token from the lockdiscovery in a LOCK response
+		 *
+		 * @private
+		 * @param {object} response - response of the LOCK request
+		 * @param {string} token - lock token to look for
+		 * @return {import('../utility/lockUtility.js').ActiveLock|null}
+		 */
+		_getActiveLockFromResponse(response, token) {
+			if (typeof response.body !== 'string' || response.body.trim() === '') {
+				return null
+			}
+
+			const document = XMLUtility.parse(response.body, this._request.xmlEnvironment)
+			const propNode = XMLUtility.getFirstChildElement(document, [NS.DAV, 'prop'])
+			const lockDiscoveryNode = propNode === null
+				? null
+				: XMLUtility.getFirstChildElement(propNode, [NS.DAV, 'lockdiscovery'])
+			if (lockDiscoveryNode === null) {
+				return null
+			}
+
+			const activeLocks = LockUtility.parseActiveLocks(lockDiscoveryNode)
+			const activeLock = activeLocks.find((lock) => lock.token === token)
+				|| (token === '' ? activeLocks[0] : null)
+			if (!activeLock) {
+				return null
+			}
+
+			return Object.assign({}, activeLock, {
+				root: activeLock.root || this.url,
+			})
+		}
+
+	}
+}
@@ -8,17 +8,20 @@
  */
 
 import DAVEventListener from './davEventListener.js'
-import NetworkRequestClientError from '../errors/networkRequestClientError.js'
+import { davAccessControlled } from './davAccessControlled.js'
+import { davLockable } from './davLockable.js'
+import PreconditionFailedError from '../errors/preconditionFailedError.js'
 import * as NS from '../utility/namespaceUtility.js'
 
 import { debugFactory } from '../debug.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
 const debug = debugFactory('DavObject')
 
 /**
  * @class
  * @classdesc Generic DavObject aka file
  */
-export class DavObject extends DAVEventListener {
+export class DavObject extends davAccessControlled(davLockable(DAVEventListener)) {
 
 	/**
 	 * @param {DavCollection} parent - The parent collection this DavObject is a child of
@@ -53,14 +56,15 @@ export class DavObject extends DAVEventListener {
 	 * gets unfiltered data for this object
 	 *
 	 * @param {boolean} forceReFetch Always refetch data, even if not partial
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the GET
 	 * @return {Promise<void>}
 	 */
-	async fetchCompleteData(forceReFetch = false) {
+	async fetchCompleteData(forceReFetch = false, options = {}) {
 		if (!forceReFetch && !this.isPartial()) {
 			return
 		}
 
-		const request = await this._request.propFind(this._url, this.constructor.getPropFindList(), 0)
+		const request = await withRequestOptions(this._request, options).propFind(this._url, this.constructor.getPropFindList(), 0)
 		this._props = request.body
 		this._isDirty = false
 		this._isPartial = false
@@ -68,12 +72,15 @@ export class DavObject extends DAVEventListener {
 
 	/**
 	 * copies a DavObject to a different DavCollection
+	 * Lock tokens of the object, its collection and the destination collection are submitted
+	 *
 	 * @param {DavCollection} collection
 	 * @param {boolean} overwrite
 	 * @param headers
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the COPY and of fetching the copy
 	 * @return {Promise<DavObject>} Promise that resolves to the copied DavObject
 	 */
-	async copy(collection, overwrite = false, headers = {}) {
+	async copy(collection, overwrite = false, headers = {}, options = {}) {
 		debug(`copying ${this.url} from ${this._parent.url} to ${collection.url}`)
 
 		if (this._parent === collection) {
@@ -82,25 +89,28 @@ export class DavObject extends DAVEventListener {
 		if (!this._parent.isSameCollectionTypeAs(collection)) {
 			throw new Error('Copying an object to a collection of a different type is not supported')
 		}
-		if (!collection.isWriteable()) {
+		if (!collection.privilegeSet.canCreateChildren()) {
 			throw new Error('Can not copy object into read-only destination collection')
 		}
 
 		const uri = this.url.split('/').splice(-1, 1)[0]
 		const destination = collection.url + uri
 
-		await this._request.copy(this.url, destination, 0, overwrite, headers)
-		return collection.find(uri)
+		await withRequestOptions(this._request, options).copy(this.url, destination, 0, overwrite, this._getLockHeaders(headers, [collection]))
+		return collection.find(uri, options)
 	}
 
 	/**
 	 * moves a DavObject to a different DavCollection
+	 * Lock tokens of the object, its collection and the destination collection are submitted
+	 *
 	 * @param {DavCollection} collection
 	 * @param {boolean} overwrite
 	 * @param headers
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the MOVE
 	 * @return {Promise<void>}
 	 */
-	async move(collection, overwrite = false, headers = {}) {
+	async move(collection, overwrite = false, headers = {}, options = {}) {
 		debug(`moving ${this.url} from ${this._parent.url} to ${collection.url}`)
 
 		if (this._parent === collection) {
@@ -109,23 +119,36 @@ export class DavObject extends DAVEventListener {
 		if (!this._parent.isSameCollectionTypeAs(collection)) {
 			throw new Error('Moving an object to a collection of a different type is not supported')
 		}
-		if (!collection.isWriteable()) {
+		if (!collection.privilegeSet.canCreateChildren()) {
 			throw new Error('Can not move object into read-only destination collection')
 		}
+		if (!this._parent.privilegeSet.canDeleteChildren()) {
+			throw new Error('Can not move object out of read-only source collection')
+		}
 
 		const uri = this.url.split('/').splice(-1, 1)[0]
 		const destination = collection.url + uri
 
-		await this._request.move(this.url, destination, overwrite, headers)
+		await withRequestOptions(this._request, options).move(this.url, destination, overwrite, this._getLockHeaders(headers, [collection]))
 		this._parent = collection
 		this._url = destination
+		// The lock token does not follow the object to its new url
+		this._lock = null
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	_getDefaultLockDepth() {
+		return '0'
 	}
 
 	/**
 	 * updates the DavObject on the server
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PUT
 	 * @return {Promise<void>}
 	 */
-	async update() {
+	async update(options = {}) {
 		// 1. Do not update filtered objects, because we would be loosing data on the server
 		// 2. No need to update if object was never modified
 		// 3. Do not update if called directly on DavObject, because there is no data prop
@@ -143,14 +166,14 @@ export class DavObject extends DAVEventListener {
 			headers['If-Match'] = this.etag
 		}
 
-		return this._request.put(this.url, headers, this.data).then((res) => {
+		return withRequestOptions(this._request, options).put(this.url, this._getLockHeaders(headers), this.data).then((res) => {
 			this._isDirty = false
 			// Don't overwrite content-type, it's set to text/html in the response ...
-			this._props['{DAV:}getetag'] = res.xhr.getResponseHeader('etag')
+			this._props['{DAV:}getetag'] = res.headers.get('etag')
 		}).catch((ex) => {
 			this._isDirty = true
 
-			if (ex instanceof NetworkRequestClientError && ex.status === 412) {
+			if (ex instanceof PreconditionFailedError) {
 				this._isPartial = true
 			}
 
@@ -162,10 +185,11 @@ export class DavObject extends DAVEventListener {
 	 * deletes the DavObject on the server
 	 *
 	 * @param headers
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the DELETE
 	 * @return {Promise<void>}
 	 */
-	async delete(headers = {}) {
-		return this._request.delete(this.url, headers)
+	async delete(headers = {}, options = {}) {
+		return withRequestOptions(this._request, options).delete(this.url, this._getLockHeaders(headers))
 	}
 
 	/**
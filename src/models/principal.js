@@ -10,7 +10,9 @@
 import { DavObject } from './davObject.js'
 import * as NS from '../utility/namespaceUtility.js'
 import * as XMLUtility from '../utility/xmlUtility.js'
+import PropertyUpdateError from '../errors/propertyUpdateError.js'
 
+import { withRequestOptions } from '../utility/requestUtility.js'
 import prinicipalPropSet from '../propset/principalPropSet.js'
 
 /**
@@ -60,6 +62,14 @@ export class Principal extends DavObject {
 
 		this._exposeProperty('addressBookHomes', NS.IETF_CARDDAV, 'addressbook-home-set')
 
+		// Group membership related
+		this._exposeProperty('groupMemberSet', NS.DAV, 'group-member-set', true)
+		this._exposeProperty('groupMembership', NS.DAV, 'group-membership')
+
+		// Calendar delegation related
+		this._exposeProperty('calendarProxyReadFor', NS.CALENDARSERVER, 'calendar-proxy-read-for')
+		this._exposeProperty('calendarProxyWriteFor', NS.CALENDARSERVER, 'calendar-proxy-write-for')
+
 		// Room and resource booking related
 		this._exposeProperty('roomType', NS.NEXTCLOUD, 'room-type')
 		this._exposeProperty('roomSeatingCapacity', NS.NEXTCLOUD, 'room-seating-capacity')
@@ -67,6 +77,15 @@ export class Principal extends DavObject {
 		this._exposeProperty('roomBuildingStory', NS.NEXTCLOUD, 'room-building-story')
 		this._exposeProperty('roomBuildingRoomNumber', NS.NEXTCLOUD, 'room-building-room-number')
 		this._exposeProperty('roomFeatures', NS.NEXTCLOUD, 'room-features')
+		this._exposeProperty('resourceType', NS.NEXTCLOUD, 'resource-type')
+		this._exposeProperty('resourceVehicleType', NS.NEXTCLOUD, 'resource-vehicle-type')
+		this._exposeProperty('resourceVehicleMake', NS.NEXTCLOUD, 'resource-vehicle-make')
+		this._exposeProperty('resourceVehicleModel', NS.NEXTCLOUD, 'resource-vehicle-model')
+		this._exposeProperty('resourceVehicleIsElectric', NS.NEXTCLOUD, 'resource-vehicle-is-electric')
+		this._exposeProperty('resourceVehicleRange', NS.NEXTCLOUD, 'resource-vehicle-range')
+		this._exposeProperty('resourceVehicleSeatingCapacity', NS.NEXTCLOUD, 'resource-vehicle-seating-capacity')
+		this._exposeProperty('resourceContactPerson', NS.NEXTCLOUD, 'resource-contact-person')
+		this._exposeProperty('resourceContactPersonVCard', NS.NEXTCLOUD, 'resource-contact-person-vcard')
 
 		Object.defineProperties(this, {
 			principalScheme: {
@@ -221,13 +240,192 @@ export class Principal extends DavObject {
 		return list
 	}
 
+	/**
+	 * finds the members of this group principal
+	 * with a single expand-property report
+	 *
+	 * @param {PrincipalPropfindOptions} propFindOptions Passed to Principal.getPropFindList()
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the expand-property report
+	 * @return {Promise<Principal[]>}
+	 */
+	async findGroupMembers(propFindOptions = {}, options = {}) {
+		const expanded = await this._expandPrincipals([[NS.DAV, 'group-member-set']], propFindOptions, options)
+		return expanded['{DAV:}group-member-set']
+	}
+
+	/**
+	 * finds the groups this principal is a member of
+	 * with a single expand-property report
+	 *
+	 * @param {PrincipalPropfindOptions} propFindOptions Passed to Principal.getPropFindList()
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the expand-property report
+	 * @return {Promise<Principal[]>}
+	 */
+	async findGroupMemberships(propFindOptions = {}, options = {}) {
+		const expanded = await this._expandPrincipals([[NS.DAV, 'group-membership']], propFindOptions, options)
+		return expanded['{DAV:}group-membership']
+	}
+
+	/**
+	 * finds the principals this principal acts for as calendar proxy
+	 * with a single expand-property report
+	 *
+	 * @param {PrincipalPropfindOptions} propFindOptions Passed to Principal.getPropFindList()
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the expand-property report
+	 * @return {Promise<{read: Principal[], write: Principal[]}>}
+	 */
+	async findCalendarProxyFor(propFindOptions = {}, options = {}) {
+		const expanded = await this._expandPrincipals([
+			[NS.CALENDARSERVER, 'calendar-proxy-read-for'],
+			[NS.CALENDARSERVER, 'calendar-proxy-write-for'],
+		], propFindOptions, options)
+
+		return {
+			read: expanded[`{${NS.CALENDARSERVER}}calendar-proxy-read-for`],
+			write: expanded[`{${NS.CALENDARSERVER}}calendar-proxy-write-for`],
+		}
+	}
+
+	/**
+	 * finds the principals acting for this principal as calendar proxy,
+	 * i.e. the members of its calendar-proxy-read and calendar-proxy-write groups
+	 *
+	 * @param {PrincipalPropfindOptions} propFindOptions Passed to Principal.getPropFindList()
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the expand-property reports
+	 * @return {Promise<{read: Principal[], write: Principal[]}>}
+	 */
+	async findCalendarProxies(propFindOptions = {}, options = {}) {
+		const [read, write] = await Promise.all([
+			this.getCalendarProxyGroup('read').findGroupMembers(propFindOptions, options),
+			this.getCalendarProxyGroup('write').findGroupMembers(propFindOptions, options),
+		])
+
+		return { read, write }
+	}
+
+	/**
+	 * grants a principal read or write access to the calendars of this principal
+	 * by adding it to the respective proxy group, removing it from the other one
+	 *
+	 * @param {Principal|string} proxy The principal or its url
+	 * @param {string} access read or write
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of reading and updating the proxy groups
+	 * @return {Promise<void>}
+	 */
+	async grantCalendarProxyAccess(proxy, access = 'read', options = {}) {
+		const proxyUrl = this._request.pathname(typeof proxy === 'string' ? proxy : proxy.url)
+		const otherAccess = access === 'read' ? 'write' : 'read'
+
+		const withoutProxy = (members) => members.filter((url) => url !== proxyUrl)
+
+		await this._updateCalendarProxyGroup(access, (members) => [...members, proxyUrl], options)
+		await this._updateCalendarProxyGroup(otherAccess, withoutProxy, options)
+	}
+
+	/**
+	 * revokes all access of a principal to the calendars of this principal
+	 * by removing it from both proxy groups
+	 *
+	 * @param {Principal|string} proxy The principal or its url
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of reading and updating the proxy groups
+	 * @return {Promise<void>}
+	 */
+	async revokeCalendarProxyAccess(proxy, options = {}) {
+		const proxyUrl = this._request.pathname(typeof proxy === 'string' ? proxy : proxy.url)
+
+		const withoutProxy = (members) => members.filter((url) => url !== proxyUrl)
+
+		await this._updateCalendarProxyGroup('read', withoutProxy, options)
+		await this._updateCalendarProxyGroup('write', withoutProxy, options)
+	}
+
+	/**
+	 * gets the calendar-proxy-read or calendar-proxy-write group principal of this principal
+	 * https://github.com/apple/ccs-calendarserver/blob/master/doc/Extensions/caldav-proxy.txt
+	 *
+	 * @param {string} access read or write
+	 * @return {Principal}
+	 */
+	getCalendarProxyGroup(access) {
+		const url = this._url.endsWith('/') ? this._url : this._url + '/'
+		return new Principal(null, this._request, `${url}calendar-proxy-${access}/`, {})
+	}
+
+	/**
+	 * updates the members of a proxy group if they changed
+	 *
+	 * @private
+	 * @param {string} access read or write
+	 * @param {Function} getUpdatedMembers Gets the current member urls and returns the new ones
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of reading and updating the proxy group
+	 * @return {Promise<void>}
+	 */
+	async _updateCalendarProxyGroup(access, getUpdatedMembers, options) {
+		const group = this.getCalendarProxyGroup(access)
+		const response = await withRequestOptions(this._request, options).propFind(group.url, [
+			[NS.DAV, 'group-member-set'],
+		], 0)
+
+		const members = (response.body['{DAV:}group-member-set'] || [])
+			.map((href) => this._request.pathname(href))
+		const updatedMembers = getUpdatedMembers(members)
+			.filter((url, index, urls) => urls.indexOf(url) === index)
+		if (updatedMembers.length === members.length && updatedMembers.every((url) => members.includes(url))) {
+			return
+		}
+
+		group.groupMemberSet = updatedMembers
+		await group.update(options)
+	}
+
+	/**
+	 * expands properties referring to other principals
+	 * and updates them with their hrefs
+	 *
+	 * @private
+	 * @param {string[][]} properties namespace / name pairs of the properties to expand
+	 * @param {PrincipalPropfindOptions} propFindOptions Passed to Principal.getPropFindList()
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the expand-property report
+	 * @return {Promise<Object<string, Principal[]>>} expanded principals, indexed by property name
+	 */
+	async _expandPrincipals(properties, propFindOptions, options) {
+		const propFindList = Principal.getPropFindList(propFindOptions)
+		const response = await withRequestOptions(this._request, options).expandProperty(this._url, properties.map((property) => ({
+			name: property,
+			properties: propFindList,
+		})))
+
+		const [props = {}] = Object.values(response.body)
+		const result = {}
+		properties.forEach(([namespace, name]) => {
+			const propertyName = `{${namespace}}${name}`
+			let expanded = props[propertyName] || {}
+
+			// Servers that do not expand the property return plain hrefs
+			if (Array.isArray(expanded)) {
+				expanded = Object.fromEntries(expanded.map((href) => [href, {}]))
+			}
+
+			this._props[propertyName] = Object.keys(expanded)
+			result[propertyName] = Object.entries(expanded).map(([href, principalProps]) => {
+				return new Principal(null, this._request, this._request.pathname(href), principalProps)
+			})
+		})
+
+		return result
+	}
+
 	/**
 	 * Sends a PropPatch request to update the principal's properties.
 	 * The request is only made if properties actually changed.
 	 *
+	 * Rejects with a PropertyUpdateError listing the failed properties
+	 * if the server did not update all of them.
+	 *
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the PROPPATCH
 	 * @return {Promise<void>}
 	 */
-	async update() {
+	async update(options = {}) {
 		if (this._updatedProperties.length === 0) {
 			return
 		}
@@ -245,8 +443,13 @@ export class Principal extends DavObject {
 
 		dPropSet.push(...propSet)
 
-		const body = XMLUtility.serialize(skeleton)
-		await this._request.propPatch(this._url, {}, body)
+		const body = XMLUtility.serialize(skeleton, this._request.xmlEnvironment)
+		const response = await withRequestOptions(this._request, options).propPatch(this._url, {}, body)
+
+		const failedProperties = Object.assign({}, ...Object.values(response.failedProperties || {}))
+		if (Object.keys(failedProperties).length > 0) {
+			throw new PropertyUpdateError(Object.assign({}, response, { failedProperties }))
+		}
 	}
 
 }
@@ -0,0 +1,278 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/**
+ * gets a supported privilege
+ *
+ * @param {string} privilege - name of the privilege in clark notation
+ * @param {import('../utility/aclUtility.js').SupportedPrivilege[]} children - aggregated privileges
+ * @return {import('../utility/aclUtility.js').SupportedPrivilege}
+ */
+function supported(privilege, children = []) {
+	return {
+		privilege,
+		abstract: false,
+		description: '',
+		children,
+	}
+}
+
+/**
+ * Aggregation of privileges defined in RFC 3744, RFC 4791 and RFC 6638,
+ * used if the server did not provide a supported-privilege-set
+ *
+ * Servers may aggregate further privileges, e.g. read-acl into read,
+ * so this only lists the privileges an aggregate contains at least.
+ *
+ * @type {import('../utility/aclUtility.js').SupportedPrivilege[]}
+ */
+const DEFAULT_SUPPORTED_PRIVILEGE_SET = [
+	supported('{DAV:}all', [
+		supported('{DAV:}read', [
+			supported('{urn:ietf:params:xml:ns:caldav}read-free-busy'),
+		]),
+		supported('{DAV:}write', [
+			supported('{DAV:}write-properties'),
+			supported('{DAV:}write-content'),
+			supported('{DAV:}bind'),
+			supported('{DAV:}unbind'),
+		]),
+		supported('{DAV:}unlock'),
+		supported('{DAV:}read-acl', [
+			supported('{DAV:}read-current-user-privilege-set'),
+		]),
+		supported('{DAV:}write-acl'),
+		supported('{urn:ietf:params:xml:ns:caldav}schedule-deliver', [
+			supported('{urn:ietf:params:xml:ns:caldav}schedule-deliver-invite'),
+			supported('{urn:ietf:params:xml:ns:caldav}schedule-deliver-reply'),
+			supported('{urn:ietf:params:xml:ns:caldav}schedule-query-freebusy'),
+		]),
+		supported('{urn:ietf:params:xml:ns:caldav}schedule-send', [
+			supported('{urn:ietf:params:xml:ns:caldav}schedule-send-invite'),
+			supported('{urn:ietf:params:xml:ns:caldav}schedule-send-reply'),
+			supported('{urn:ietf:params:xml:ns:caldav}schedule-send-freebusy'),
+		]),
+	]),
+]
+
+/**
+ * @class
+ * @classdesc Privileges of the current user on a resource
+ *
+ * Privileges are aggregated as defined in
+ * https://tools.ietf.org/html/rfc3744#section-3.12
+ * A privilege is granted if it is granted directly or if a privilege
+ * aggregating it is granted. If the server provided its supported-privilege-set,
+ * which lists the complete aggregation, a privilege is also granted
+ * if all privileges it aggregates are granted.
+ */
+export class PrivilegeSet {
+
+	/**
+	 * @param {string[]} privileges - granted privileges in clark notation
+	 * @param {import('../utility/aclUtility.js').SupportedPrivilege[]|null} supportedPrivilegeSet - aggregation of privileges, null for the default one
+	 */
+	constructor(privileges = [], supportedPrivilegeSet = null) {
+		/**
+		 * Granted privileges in clark notation
+		 *
+		 * @type {string[]}
+		 */
+		this.privileges = privileges
+
+		/**
+		 * Aggregation of privileges
+		 *
+		 * @type {import('../utility/aclUtility.js').SupportedPrivilege[]}
+		 */
+		this.supportedPrivilegeSet = supportedPrivilegeSet && supportedPrivilegeSet.length !== 0
+			? supportedPrivilegeSet
+			: DEFAULT_SUPPORTED_PRIVILEGE_SET
+
+		/**
+		 * Whether the aggregation is the complete one provided by the server
+		 *
+		 * @type {boolean}
+		 * @private
+		 */
+		this._isCompleteAggregation = this.supportedPrivilegeSet !== DEFAULT_SUPPORTED_PRIVILEGE_SET
+
+		/**
+		 * Names of the privileges aggregating a privilege
+		 *
+		 * @type {{[privilege: string]: string[]}}
+		 * @private
+		 */
+		this._parents = {}
+
+		/**
+		 * Names of the privileges aggregated by a privilege
+		 *
+		 * @type {{[privilege: string]: string[]}}
+		 * @private
+		 */
+		this._children = {}
+
+		this._indexSupportedPrivileges(this.supportedPrivilegeSet, null)
+	}
+
+	/**
+	 * gets whether a privilege is granted
+	 *
+	 * @param {string} privilege - name of the privilege in clark notation
+	 * @return {boolean}
+	 */
+	has(privilege) {
+		return this._has(privilege, new Set())
+	}
+
+	/**
+	 * gets whether the content of the resource can be read
+	 *
+	 * @return {boolean}
+	 */
+	canRead() {
+		return this.has('{DAV:}read')
+	}
+
+	/**
+	 * gets whether the content of the resource can be modified
+	 *
+	 * Writing calendar objects and contacts does not need write-properties,
+	 * so write-content is sufficient. Creating and deleting children
+	 * is checked by canCreateChildren and canDeleteChildren.
+	 *
+	 * @return {boolean}
+	 */
+	canWrite() {
+		return this.has('{DAV:}write')
+			|| this.has('{DAV:}write-content')
+	}
+
+	/**
+	 * gets whether children can be added to the collection
+	 *
+	 * @return {boolean}
+	 */
+	canCreateChildren() {
+		return this.has('{DAV:}bind')
+	}
+
+	/**
+	 * gets whether children can be removed from the collection
+	 *
+	 * @return {boolean}
+	 */
+	canDeleteChildren() {
+		return this.has('{DAV:}unbind')
+	}
+
+	/**
+	 * gets whether the properties of the resource can be changed
+	 *
+	 * @return {boolean}
+	 */
+	canEditProperties() {
+		return this.has('{DAV:}write-properties')
+	}
+
+	/**
+	 * gets whether free-busy information can be queried
+	 *
+	 * @return {boolean}
+	 */
+	canReadFreeBusy() {
+		return this.has('{urn:ietf:params:xml:ns:caldav}read-free-busy')
+	}
+
+	/**
+	 * gets whether invitations can be sent through this schedule outbox
+	 * or delivered to this schedule inbox
+	 *
+	 * @return {boolean}
+	 */
+	canSchedule() {
+		return this.has('{urn:ietf:params:xml:ns:caldav}schedule-send-invite')
+			|| this.has('{urn:ietf:params:xml:ns:caldav}schedule-deliver-invite')
+	}
+
+	/**
+	 * gets whether a privilege is granted,
+	 * skipping privileges already checked in case of cyclic aggregations
+	 *
+	 * @private
+	 * @param {string} privilege - name of the privilege in clark notation
+	 * @param {Set<string>} visited - privileges already checked
+	 * @return {boolean}
+	 */
+	_has(privilege, visited) {
+		if (this.privileges.includes(privilege)) {
+			return true
+		}
+		if (visited.has(privilege)) {
+			return false
+		}
+		visited.add(privilege)
+
+		const parents = this._parents[privilege] || []
+		if (parents.some((parent) => this._hasAncestor(parent, new Set([privilege])))) {
+			return true
+		}
+
+		if (!this._isCompleteAggregation) {
+			return false
+		}
+
+		const children = this._children[privilege] || []
+		return children.length !== 0 && children.every((child) => this._has(child, new Set(visited)))
+	}
+
+	/**
+	 * gets whether a privilege or a privilege aggregating it is granted
+	 *
+	 * @private
+	 * @param {string} privilege - name of the privilege in clark notation
+	 * @param {Set<string>} visited - privileges already checked
+	 * @return {boolean}
+	 */
+	_hasAncestor(privilege, visited) {
+		if (this.privileges.includes(privilege)) {
+			return true
+		}
+		if (visited.has(privilege)) {
+			return false
+		}
+		visited.add(privilege)
+
+		return (this._parents[privilege] || []).some((parent) => this._hasAncestor(parent, visited))
+	}
+
+	/**
+	 * indexes the aggregation of supported privileges
+	 *
+	 * @private
+	 * @param {import('../utility/aclUtility.js').SupportedPrivilege[]} supportedPrivileges - privileges to index
+	 * @param {string|null} parent - name of the privilege aggregating them
+	 * @return {void}
+	 */
+	_indexSupportedPrivileges(supportedPrivileges, parent) {
+		supportedPrivileges.forEach(({ privilege, children }) => {
+			this._parents[privilege] = this._parents[privilege] || []
+			this._children[privilege] = this._children[privilege] || []
+
+			if (parent !== null) {
+				this._parents[privilege].push(parent)
+				this._children[parent].push(privilege)
+			}
+
+			this._indexSupportedPrivileges(children || [], privilege)
+		})
+	}
+
+}
@@ -9,6 +9,8 @@
 
 import { DavCollection } from './davCollection.js'
 import * as NS from '../utility/namespaceUtility.js'
+import * as XMLUtility from '../utility/xmlUtility.js'
+import { withRequestOptions } from '../utility/requestUtility.js'
 
 export default class ScheduleOutbox extends DavCollection {
 
@@ -18,24 +20,25 @@ export default class ScheduleOutbox extends DavCollection {
 	 * For an example, see https://tools.ietf.org/html/rfc6638#appendix-B.5
 	 *
 	 * @param {string} data iTIP with VFREEBUSY component and METHOD:REQUEST
+	 * @param {import('../request.js').RequestOptions} options Signal and timeout of the POST
 	 * @return {Promise<string[]>}
 	 */
-	async freeBusyRequest(data) {
+	async freeBusyRequest(data, options = {}) {
 		const result = {}
-		const response = await this._request.post(this.url, {
+		const response = await withRequestOptions(this._request, options).post(this.url, {
 			'Content-Type': 'text/calendar; charset="utf-8"',
 		}, data)
 
-		const domParser = new DOMParser()
-		const document = domParser.parseFromString(response.body, 'application/xml')
+		const document = XMLUtility.parse(response.body, this._request.xmlEnvironment)
+		const scheduleResponseNode = XMLUtility.getFirstChildElement(document, [NS.IETF_CALDAV, 'schedule-response'])
+		const responseNodes = scheduleResponseNode === null
+			? []
+			: XMLUtility.getChildElements(scheduleResponseNode, [NS.IETF_CALDAV, 'response'])
 
-		const responses = document.evaluate('/cl:schedule-response/cl:response', document, NS.resolve, XPathResult.ANY_TYPE, null)
-		let responseNode
-
-		while ((responseNode = responses.iterateNext()) !== null) {
-			const recipient = document.evaluate('string(cl:recipient/d:href)', responseNode, NS.resolve, XPathResult.ANY_TYPE, null).stringValue
-			const status = document.evaluate('string(cl:request-status)', responseNode, NS.resolve, XPathResult.ANY_TYPE, null).stringValue
-			const calendarData = document.evaluate('string(cl:calendar-data)', responseNode, NS.resolve, XPathResult.ANY_TYPE, null).stringValue
+		responseNodes.forEach((responseNode) => {
+			const recipient = XMLUtility.getChildTextContent(responseNode, [NS.IETF_CALDAV, 'recipient'], [NS.DAV, 'href'])
+			const status = XMLUtility.getChildTextContent(responseNode, [NS.IETF_CALDAV, 'request-status'])
+			const calendarData = XMLUtility.getChildTextContent(responseNode, [NS.IETF_CALDAV, 'calendar-data'])
 			const success = /^2.\d(;.+)?$/.test(status)
 
 			result[recipient] = {
@@ -43,7 +46,7 @@ export default class ScheduleOutbox extends DavCollection {
 				status,
 				success,
 			}
-		}
+		})
 
 		return result
 	}
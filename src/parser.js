@@ -7,15 +7,31 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
+import * as NS from './utility/namespaceUtility.js'
+import * as AclUtility from './utility/aclUtility.js'
+import * as LockUtility from './utility/lockUtility.js'
+import * as XMLUtility from './utility/xmlUtility.js'
+
+/**
+ * @typedef {import('./utility/xmlUtility.js').XmlNode} XmlNode
+ */
+
 /**
  *
  */
 export default class Parser {
 
 	/**
-	 *
+	 * @param {import('./utility/xmlUtility.js').XmlEnvironment=} xmlEnvironment - XML environment documents handed to parsers are created with
 	 */
-	constructor() {
+	constructor(xmlEnvironment = null) {
+		/**
+		 * XML environment documents handed to parsers are created with
+		 *
+		 * @type {import('./utility/xmlUtility.js').XmlEnvironment}
+		 */
+		this.xmlEnvironment = xmlEnvironment || XMLUtility.getDefaultXmlEnvironment()
+
 		/**
 		 * Key Value Map of propertyName => parser
 		 * @type {object}
@@ -30,7 +46,7 @@ export default class Parser {
 	/**
 	 * checks if a parser exists for a given property name
 	 *
-	 * @param {string} propertyName
+	 * @param {string} propertyName - name of the property in clark notation
 	 * @return {boolean}
 	 */
 	canParse(propertyName) {
@@ -40,9 +56,9 @@ export default class Parser {
 	/**
 	 * parses a single prop Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document - the parsed response body
+	 * @param {XmlNode} node - the property element
+	 * @param {function(string): (string|null)} resolver - maps namespace prefixes to namespace uris, only passed on for custom parsers
 	 * @return {*}
 	 */
 	parse(document, node, resolver) {
@@ -57,8 +73,8 @@ export default class Parser {
 	/**
 	 * registers a parser for propertyName
 	 *
-	 * @param {string} propertyName
-	 * @param {Function} parser
+	 * @param {string} propertyName - name of the property in clark notation
+	 * @param {Function} parser - called with the same arguments as parse()
 	 */
 	registerParser(propertyName, parser) {
 		this._parser[propertyName] = parser
@@ -67,7 +83,7 @@ export default class Parser {
 	/**
 	 * unregisters a parser for propertyName
 	 *
-	 * @param {string} propertyName
+	 * @param {string} propertyName - name of the property in clark notation
 	 */
 	unregisterParser(propertyName) {
 		delete this._parser[propertyName]
@@ -88,13 +104,18 @@ export default class Parser {
 		this.registerParser('{DAV:}getlastmodified', Parser.rfc1123Date)
 		this.registerParser('{DAV:}getetag', Parser.text)
 		this.registerParser('{DAV:}resourcetype', Parser.resourceType)
+		this.registerParser('{DAV:}lockdiscovery', Parser.lockDiscovery)
+		this.registerParser('{DAV:}supportedlock', Parser.supportedLock)
 
 		// RFC 3744 - Web Distributed Authoring and Versioning (WebDAV) Access Control Protocol
+		this.registerParser('{DAV:}acl', Parser.acl)
+		this.registerParser('{DAV:}supported-privilege-set', Parser.supportedPrivilegeSet)
 		this.registerParser('{DAV:}inherited-acl-set', Parser.hrefs)
 		this.registerParser('{DAV:}group', Parser.href)
 		this.registerParser('{DAV:}owner', Parser.href)
 		this.registerParser('{DAV:}current-user-privilege-set', Parser.privileges)
 		this.registerParser('{DAV:}principal-collection-set', Parser.hrefs)
+		this.registerParser('{DAV:}supported-report-set', Parser.supportedReportSet)
 		this.registerParser('{DAV:}principal-URL', Parser.href)
 		this.registerParser('{DAV:}alternate-URI-set', Parser.hrefs)
 		this.registerParser('{DAV:}group-member-set', Parser.hrefs)
@@ -190,6 +211,15 @@ export default class Parser {
 		this.registerParser('{http://nextcloud.com/ns}room-building-story', Parser.text)
 		this.registerParser('{http://nextcloud.com/ns}room-building-room-number', Parser.text)
 		this.registerParser('{http://nextcloud.com/ns}room-features', Parser.text)
+		this.registerParser('{http://nextcloud.com/ns}resource-type', Parser.text)
+		this.registerParser('{http://nextcloud.com/ns}resource-vehicle-type', Parser.text)
+		this.registerParser('{http://nextcloud.com/ns}resource-vehicle-make', Parser.text)
+		this.registerParser('{http://nextcloud.com/ns}resource-vehicle-model', Parser.text)
+		this.registerParser('{http://nextcloud.com/ns}resource-vehicle-is-electric', Parser.bool)
+		this.registerParser('{http://nextcloud.com/ns}resource-vehicle-range', Parser.decInt)
+		this.registerParser('{http://nextcloud.com/ns}resource-vehicle-seating-capacity', Parser.decInt)
+		this.registerParser('{http://nextcloud.com/ns}resource-contact-person', Parser.text)
+		this.registerParser('{http://nextcloud.com/ns}resource-contact-person-vcard', Parser.text)
 
 		// Sabre/Dav specific
 		this.registerParser('{http://sabredav.org/ns}email-address', Parser.text)
@@ -198,49 +228,45 @@ export default class Parser {
 	/**
 	 * returns text value of Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {string}
 	 */
-	static text(document, node, resolver) {
-		return document.evaluate('string(.)', node, resolver, XPathResult.ANY_TYPE, null).stringValue
+	static text(document, node) {
+		return XMLUtility.getTextContent(node)
 	}
 
 	/**
 	 * returns boolean value of Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {boolean}
 	 */
-	static bool(document, node, resolver) {
-		return Parser.text(document, node, resolver) === '1'
+	static bool(document, node) {
+		return Parser.text(document, node) === '1'
 	}
 
 	/**
 	 * returns decimal integer value of Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {number}
 	 */
-	static decInt(document, node, resolver) {
-		return parseInt(Parser.text(document, node, resolver), 10)
+	static decInt(document, node) {
+		return parseInt(Parser.text(document, node), 10)
 	}
 
 	/**
 	 * returns Date value of Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {Date}
 	 */
-	static rfc1123Date(document, node, resolver) {
-		const text = Parser.text(document, node, resolver)
+	static rfc1123Date(document, node) {
+		const text = Parser.text(document, node)
 
 		// TODO this might not work in every browser
 		return new Date(text)
@@ -249,13 +275,12 @@ export default class Parser {
 	/**
 	 * returns Date from an ISO8601 string
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {Date}
 	 */
-	static iso8601DateTime(document, node, resolver) {
-		const text = Parser.text(document, node, resolver)
+	static iso8601DateTime(document, node) {
+		const text = Parser.text(document, node)
 
 		return new Date(text)
 	}
@@ -263,13 +288,12 @@ export default class Parser {
 	/**
 	 * returns Date value of Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {Date}
 	 */
-	static iCalendarTimestamp(document, node, resolver) {
-		const text = Parser.text(document, node, resolver)
+	static iCalendarTimestamp(document, node) {
+		const text = Parser.text(document, node)
 
 		const year = parseInt(text.slice(0, 4), 10)
 		const month = parseInt(text.slice(4, 6), 10) - 1
@@ -288,96 +312,119 @@ export default class Parser {
 	/**
 	 * parses a {DAV:}resourcetype Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {string[]}
 	 */
-	static resourceType(document, node, resolver) {
-		const result = []
-		const children = document.evaluate('*', node, resolver, XPathResult.ANY_TYPE, null)
-		let childNode
-
-		while ((childNode = children.iterateNext()) !== null) {
-			const ns = document.evaluate('namespace-uri(.)', childNode, resolver, XPathResult.ANY_TYPE, null).stringValue
-			const local = document.evaluate('local-name(.)', childNode, resolver, XPathResult.ANY_TYPE, null).stringValue
+	static resourceType(document, node) {
+		return XMLUtility.getChildElements(node).map(XMLUtility.getElementName)
+	}
 
-			result.push(`{${ns}}${local}`)
-		}
+	/**
+	 * Parses a {DAV:}lockdiscovery Node
+	 *
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
+	 * @return {import('./utility/lockUtility.js').ActiveLock[]}
+	 */
+	static lockDiscovery(document, node) {
+		return LockUtility.parseActiveLocks(node)
+	}
 
-		return result
+	/**
+	 * Parses a {DAV:}supportedlock Node
+	 *
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
+	 * @return {import('./utility/lockUtility.js').LockEntry[]}
+	 */
+	static supportedLock(document, node) {
+		return LockUtility.parseSupportedLocks(node)
 	}
 
 	/**
 	 * parses a node with one href nodes as child
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {string}
 	 */
-	static href(document, node, resolver) {
-		return document.evaluate('string(d:href)', node, resolver, XPathResult.ANY_TYPE, null).stringValue
+	static href(document, node) {
+		return XMLUtility.getChildTextContent(node, [NS.DAV, 'href'])
 	}
 
 	/**
 	 * parses a node with multiple href nodes as children
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {string[]}
 	 */
-	static hrefs(document, node, resolver) {
-		const result = []
-		const hrefs = document.evaluate('d:href', node, resolver, XPathResult.ANY_TYPE, null)
-		let hrefNode
-
-		while ((hrefNode = hrefs.iterateNext()) !== null) {
-			result.push(document.evaluate('string(.)', hrefNode, resolver, XPathResult.ANY_TYPE, null).stringValue)
-		}
-
-		return result
+	static hrefs(document, node) {
+		return XMLUtility.getChildElements(node, [NS.DAV, 'href']).map(XMLUtility.getTextContent)
 	}
 
 	/**
 	 * Parses a set of {DAV:}privilege Nodes
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {string[]}
 	 */
-	static privileges(document, node, resolver) {
-		const result = []
-		const privileges = document.evaluate('d:privilege/*', node, resolver, XPathResult.ANY_TYPE, null)
-		let privilegeNode
+	static privileges(document, node) {
+		return XMLUtility.getChildElements(node, [NS.DAV, 'privilege'])
+			.flatMap((privilegeNode) => XMLUtility.getChildElements(privilegeNode))
+			.map(XMLUtility.getElementName)
+	}
 
-		while ((privilegeNode = privileges.iterateNext()) !== null) {
-			const ns = document.evaluate('namespace-uri(.)', privilegeNode, resolver, XPathResult.ANY_TYPE, null).stringValue
-			const local = document.evaluate('local-name(.)', privilegeNode, resolver, XPathResult.ANY_TYPE, null).stringValue
+	/**
+	 * Parses a {DAV:}acl Node
+	 *
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
+	 * @return {import('./models/ace.js').Ace[]}
+	 */
+	static acl(document, node) {
+		return AclUtility.parseAcl(node)
+	}
 
-			result.push(`{${ns}}${local}`)
-		}
+	/**
+	 * Parses a {DAV:}supported-privilege-set Node
+	 *
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
+	 * @return {import('./utility/aclUtility.js').SupportedPrivilege[]}
+	 */
+	static supportedPrivilegeSet(document, node) {
+		return AclUtility.parseSupportedPrivilegeSet(node)
+	}
 
-		return result
+	/**
+	 * Parses a {DAV:}supported-report-set Node
+	 *
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
+	 * @return {string[]} names of the supported reports in clark notation
+	 */
+	static supportedReportSet(document, node) {
+		return XMLUtility.getChildElements(node, [NS.DAV, 'supported-report'])
+			.map((supportedReportNode) => XMLUtility.getFirstChildElement(supportedReportNode, [NS.DAV, 'report']))
+			.filter((reportNode) => reportNode !== null)
+			.flatMap((reportNode) => XMLUtility.getChildElements(reportNode))
+			.map(XMLUtility.getElementName)
 	}
 
 	/**
 	 * parses the {DAV:}current-user-principal Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {object}
 	 * @property {string} type
 	 * @property {string} href
 	 */
-	static currentUserPrincipal(document, node, resolver) {
-		const unauthenticatedCount
-			= document.evaluate('count(d:unauthenticated)', node, resolver, XPathResult.ANY_TYPE, null).numberValue
-
-		if (unauthenticatedCount !== 0) {
+	static currentUserPrincipal(document, node) {
+		if (XMLUtility.getFirstChildElement(node, [NS.DAV, 'unauthenticated']) !== null) {
 			return {
 				type: 'unauthenticated',
 				href: null,
@@ -393,122 +440,75 @@ export default class Parser {
 	/**
 	 * Parses a {urn:ietf:params:xml:ns:carddav}supported-address-data Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {*}
 	 */
-	static addressDataTypes(document, node, resolver) {
-		const result = []
-		const addressDatas = document.evaluate('cr:address-data-type', node, resolver, XPathResult.ANY_TYPE, null)
-		let addressDataNode
-
-		while ((addressDataNode = addressDatas.iterateNext()) !== null) {
-			result.push({
-				'content-type': document.evaluate('string(@content-type)', addressDataNode, resolver, XPathResult.ANY_TYPE, null).stringValue,
-				version: document.evaluate('string(@version)', addressDataNode, resolver, XPathResult.ANY_TYPE, null).stringValue,
-			})
-		}
-
-		return result
+	static addressDataTypes(document, node) {
+		return XMLUtility.getChildElements(node, [NS.IETF_CARDDAV, 'address-data-type']).map((addressDataNode) => ({
+			'content-type': addressDataNode.getAttribute('content-type') || '',
+			version: addressDataNode.getAttribute('version') || '',
+		}))
 	}
 
 	/**
 	 * Parses a {urn:ietf:params:xml:ns:carddav}supported-collation-set Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {*}
 	 */
-	static supportedCardDAVCollations(document, node, resolver) {
-		const result = []
-		const collations = document.evaluate('cr:supported-collation', node, resolver, XPathResult.ANY_TYPE, null)
-		let collationNode
-
-		while ((collationNode = collations.iterateNext()) !== null) {
-			result.push(document.evaluate('string(.)', collationNode, resolver, XPathResult.ANY_TYPE, null).stringValue)
-		}
-
-		return result
+	static supportedCardDAVCollations(document, node) {
+		return XMLUtility.getChildElements(node, [NS.IETF_CARDDAV, 'supported-collation']).map(XMLUtility.getTextContent)
 	}
 
 	/**
 	 * Parses a {urn:ietf:params:xml:ns:caldav}supported-collation-set Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {*}
 	 */
-	static supportedCalDAVCollations(document, node, resolver) {
-		const result = []
-		const collations = document.evaluate('cl:supported-collation', node, resolver, XPathResult.ANY_TYPE, null)
-		let collationNode
-
-		while ((collationNode = collations.iterateNext()) !== null) {
-			result.push(document.evaluate('string(.)', collationNode, resolver, XPathResult.ANY_TYPE, null).stringValue)
-		}
-
-		return result
+	static supportedCalDAVCollations(document, node) {
+		return XMLUtility.getChildElements(node, [NS.IETF_CALDAV, 'supported-collation']).map(XMLUtility.getTextContent)
 	}
 
 	/**
 	 * Parses a {urn:ietf:params:xml:ns:caldav}supported-calendar-component-set Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {string[]}
 	 */
-	static calendarComps(document, node, resolver) {
-		const result = []
-		const comps = document.evaluate('cl:comp', node, resolver, XPathResult.ANY_TYPE, null)
-		let compNode
-
-		while ((compNode = comps.iterateNext()) !== null) {
-			result.push(document.evaluate('string(@name)', compNode, resolver, XPathResult.ANY_TYPE, null).stringValue)
-		}
-
-		return result
+	static calendarComps(document, node) {
+		return XMLUtility.getChildElements(node, [NS.IETF_CALDAV, 'comp']).map((compNode) => compNode.getAttribute('name') || '')
 	}
 
 	/**
 	 * Parses a {urn:ietf:params:xml:ns:caldav}supported-calendar-data Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {*}
 	 */
-	static calendarDatas(document, node, resolver) {
-		const result = []
-		const calendarDatas = document.evaluate('cl:calendar-data', node, resolver, XPathResult.ANY_TYPE, null)
-		let calendarDataNode
-
-		while ((calendarDataNode = calendarDatas.iterateNext()) !== null) {
-			result.push({
-				'content-type': document.evaluate('string(@content-type)', calendarDataNode, resolver, XPathResult.ANY_TYPE, null).stringValue,
-				version: document.evaluate('string(@version)', calendarDataNode, resolver, XPathResult.ANY_TYPE, null).stringValue,
-			})
-		}
-
-		return result
+	static calendarDatas(document, node) {
+		return XMLUtility.getChildElements(node, [NS.IETF_CALDAV, 'calendar-data']).map((calendarDataNode) => ({
+			'content-type': calendarDataNode.getAttribute('content-type') || '',
+			version: calendarDataNode.getAttribute('version') || '',
+		}))
 	}
 
 	/**
 	 * Parses a {urn:ietf:params:xml:ns:caldav}schedule-calendar-transp Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {string}
 	 */
-	static scheduleCalendarTransp(document, node, resolver) {
-		const children = document.evaluate('cl:opaque | cl:transparent', node, resolver, XPathResult.ANY_TYPE, null)
-		const childNode = children.iterateNext()
+	static scheduleCalendarTransp(document, node) {
+		const childNode = XMLUtility.getFirstChildElement(node, [NS.IETF_CALDAV, 'opaque'], [NS.IETF_CALDAV, 'transparent'])
 		if (childNode) {
-			return document.evaluate('local-name(.)', childNode, resolver, XPathResult.ANY_TYPE, null).stringValue
+			return childNode.localName
 		}
 	}
 
@@ -516,13 +516,12 @@ export default class Parser {
 	 * Parses a {http://apple.com/ns/ical/}calendar-color Node
 	 * strips the alpha value of RGB values
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {string}
 	 */
-	static color(document, node, resolver) {
-		const text = Parser.text(document, node, resolver)
+	static color(document, node) {
+		const text = Parser.text(document, node)
 		// some stupid clients store an alpha value in the rgb hash (like #rrggbbaa) *cough cough* Apple Calendar *cough cough*
 		// but some browsers can't parse that *cough cough* Safari 9 *cough cough*
 		// Safari 10 seems to support this though
@@ -536,72 +535,42 @@ export default class Parser {
 	/**
 	 * Parses a {http://calendarserver.org/ns/}allowed-sharing-modes Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {string[]}
 	 */
-	static allowedSharingModes(document, node, resolver) {
-		const result = []
-		const children = document.evaluate('cs:can-be-shared | cs:can-be-published', node, resolver, XPathResult.ANY_TYPE, null)
-		let childNode
-
-		while ((childNode = children.iterateNext()) !== null) {
-			const ns = document.evaluate('namespace-uri(.)', childNode, resolver, XPathResult.ANY_TYPE, null).stringValue
-			const local = document.evaluate('local-name(.)', childNode, resolver, XPathResult.ANY_TYPE, null).stringValue
-
-			result.push(`{${ns}}${local}`)
-		}
-
-		return result
+	static allowedSharingModes(document, node) {
+		return XMLUtility.getChildElements(node, [NS.CALENDARSERVER, 'can-be-shared'], [NS.CALENDARSERVER, 'can-be-published'])
+			.map(XMLUtility.getElementName)
 	}
 
 	/**
 	 * Parses a {http://owncloud.org/ns}invite Node
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {*}
 	 */
-	static ocInvite(document, node, resolver) {
-		const result = []
-		const users = document.evaluate('oc:user', node, resolver, XPathResult.ANY_TYPE, null)
-		let userNode
-
-		while ((userNode = users.iterateNext()) !== null) {
-			result.push({
-				href: Parser.href(document, userNode, resolver),
-				'common-name': document.evaluate('string(oc:common-name)', userNode, resolver, XPathResult.ANY_TYPE, null).stringValue,
-				'invite-accepted': document.evaluate('count(oc:invite-accepted)', userNode, resolver, XPathResult.ANY_TYPE, null).numberValue === 1,
-				access: Parser.ocAccess(document, userNode, resolver),
-			})
-		}
-
-		return result
+	static ocInvite(document, node) {
+		return XMLUtility.getChildElements(node, [NS.OWNCLOUD, 'user']).map((userNode) => ({
+			href: Parser.href(document, userNode),
+			'common-name': XMLUtility.getChildTextContent(userNode, [NS.OWNCLOUD, 'common-name']),
+			'invite-accepted': XMLUtility.getChildElements(userNode, [NS.OWNCLOUD, 'invite-accepted']).length === 1,
+			access: Parser.ocAccess(document, userNode),
+		}))
 	}
 
 	/**
 	 * Parses a set of {http://owncloud.org/ns}access Nodes
 	 *
-	 * @param {Document} document
-	 * @param {Node} node
-	 * @param {XPathNSResolver} resolver
+	 * @param {XmlNode} document
+	 * @param {XmlNode} node
 	 * @return {string[]}
 	 */
-	static ocAccess(document, node, resolver) {
-		const result = []
-		const privileges = document.evaluate('oc:access/*', node, resolver, XPathResult.ANY_TYPE, null)
-		let privilegeNode
-
-		while ((privilegeNode = privileges.iterateNext()) !== null) {
-			const ns = document.evaluate('namespace-uri(.)', privilegeNode, resolver, XPathResult.ANY_TYPE, null).stringValue
-			const local = document.evaluate('local-name(.)', privilegeNode, resolver, XPathResult.ANY_TYPE, null).stringValue
-
-			result.push(`{${ns}}${local}`)
-		}
-
-		return result
+	static ocAccess(document, node) {
+		return XMLUtility.getChildElements(node, [NS.OWNCLOUD, 'access'])
+			.flatMap((accessNode) => XMLUtility.getChildElements(accessNode))
+			.map(XMLUtility.getElementName)
 	}
 
 }
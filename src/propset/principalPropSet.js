@@ -12,6 +12,7 @@ import * as NS from '../utility/namespaceUtility.js'
 /**
  * This function is capable of creating the propset xml structure for:
  * - '{urn:ietf:params:xml:ns:caldav}schedule-default-calendar-URL':
+ * - '{DAV:}group-member-set':
  *
  * @param {object} props
  * @return {object}
@@ -32,6 +33,16 @@ export default function prinicipalPropSet(props) {
 				],
 			})
 			break
+
+		case '{DAV:}group-member-set':
+			xmlified.push({
+				name: [NS.DAV, 'group-member-set'],
+				children: value.map((href) => ({
+					name: [NS.DAV, 'href'],
+					value: href,
+				})),
+			})
+			break
 		}
 	})
 
@@ -12,9 +12,152 @@ import * as XMLUtility from './utility/xmlUtility.js'
 
 import NetworkRequestAbortedError from './errors/networkRequestAbortedError.js'
 import NetworkRequestError from './errors/networkRequestError.js'
+import NetworkRequestTimeoutError from './errors/networkRequestTimeoutError.js'
 import NetworkRequestServerError from './errors/networkRequestServerError.js'
 import NetworkRequestClientError from './errors/networkRequestClientError.js'
 import NetworkRequestHttpError from './errors/networkRequestHttpError.js'
+import PreconditionError from './errors/preconditionError.js'
+import UidConflictError from './errors/uidConflictError.js'
+import InvalidDataError from './errors/invalidDataError.js'
+import UnsupportedComponentError from './errors/unsupportedComponentError.js'
+import LimitExceededError from './errors/limitExceededError.js'
+import NeedPrivilegesError from './errors/needPrivilegesError.js'
+import UnauthorizedError from './errors/unauthorizedError.js'
+import ForbiddenError from './errors/forbiddenError.js'
+import NotFoundError from './errors/notFoundError.js'
+import ConflictError from './errors/conflictError.js'
+import PreconditionFailedError from './errors/preconditionFailedError.js'
+import LockedError from './errors/lockedError.js'
+import TooManyRequestsError from './errors/tooManyRequestsError.js'
+import InsufficientStorageError from './errors/insufficientStorageError.js'
+import { FetchTransport } from './transport/fetchTransport.js'
+import { XhrTransport } from './transport/xhrTransport.js'
+import { debugFactory } from './debug.js'
+
+const debug = debugFactory('Request')
+
+/**
+ * Policy for retrying requests that failed for transient reasons
+ *
+ * Only idempotent requests are retried: GET, HEAD, OPTIONS, PROPFIND and REPORT,
+ * as well as PUT and DELETE if they are guarded by an If-Match header.
+ *
+ * @typedef {object} RetryPolicy
+ * @property {number} maxAttempts - maximum number of attempts including the first one, 1 disables retrying
+ * @property {number} baseDelay - delay before the first retry in milliseconds, doubled on every further retry
+ * @property {number} maxDelay - maximum delay in milliseconds, longer Retry-After values are not waited for
+ */
+
+/**
+ * Options applying to a single request
+ *
+ * @typedef {object} RequestOptions
+ * @property {AbortSignal=} signal - signal to abort the request with
+ * @property {number=} timeout - time in milliseconds after which the request is aborted
+ */
+
+/**
+ * Outgoing request as seen by middleware
+ *
+ * @typedef {object} RequestContext
+ * @property {string} method - HTTP method name
+ * @property {string} url - absolute URL to do the request on
+ * @property {object} headers - HTTP headers to send, including the default ones
+ * @property {string} body - request body
+ * @property {RequestOptions} options - signal and timeout for the request
+ */
+
+/**
+ * Middleware wrapping every attempt to send a request
+ *
+ * Middleware may modify the context before passing it on to next,
+ * and observe or replace the response or error next settles with.
+ * Errors are NetworkRequestErrors for failed requests and unsuccessful status codes alike.
+ *
+ * @typedef {function(RequestContext, function(RequestContext=): Promise<object>): Promise<object>} Middleware
+ */
+
+/**
+ * @type {RetryPolicy}
+ */
+const DEFAULT_RETRY_POLICY = {
+	maxAttempts: 1,
+	baseDelay: 500,
+	maxDelay: 30000,
+}
+
+/**
+ * Error classes of common failures, indexed by status code
+ */
+const STATUS_ERRORS = {
+	401: UnauthorizedError,
+	403: ForbiddenError,
+	404: NotFoundError,
+	409: ConflictError,
+	412: PreconditionFailedError,
+	423: LockedError,
+	429: TooManyRequestsError,
+	507: InsufficientStorageError,
+}
+
+/**
+ * Error classes of well-known preconditions, indexed by condition name
+ * Any other condition is attached as a plain PreconditionError
+ */
+const PRECONDITION_ERRORS = {
+	[`{${NS.DAV}}need-privileges`]: NeedPrivilegesError,
+	[`{${NS.IETF_CALDAV}}no-uid-conflict`]: UidConflictError,
+	[`{${NS.IETF_CALDAV}}valid-calendar-data`]: InvalidDataError,
+	[`{${NS.IETF_CALDAV}}valid-calendar-object-resource`]: InvalidDataError,
+	[`{${NS.IETF_CALDAV}}supported-calendar-data`]: InvalidDataError,
+	[`{${NS.IETF_CALDAV}}supported-calendar-component`]: UnsupportedComponentError,
+	[`{${NS.IETF_CALDAV}}max-resource-size`]: LimitExceededError,
+	[`{${NS.IETF_CALDAV}}min-date-time`]: LimitExceededError,
+	[`{${NS.IETF_CALDAV}}max-date-time`]: LimitExceededError,
+	[`{${NS.IETF_CALDAV}}max-instances`]: LimitExceededError,
+	[`{${NS.IETF_CALDAV}}max-attendees-per-instance`]: LimitExceededError,
+	[`{${NS.IETF_CARDDAV}}no-uid-conflict`]: UidConflictError,
+	[`{${NS.IETF_CARDDAV}}valid-address-data`]: InvalidDataError,
+	[`{${NS.IETF_CARDDAV}}supported-address-data`]: InvalidDataError,
+	[`{${NS.IETF_CARDDAV}}max-resource-size`]: LimitExceededError,
+}
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504]
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PROPFIND', 'REPORT']
+
+/**
+ * Normalized response returned by all transports
+ *
+ * @typedef {object} TransportResponse
+ * @property {string} body - raw response body
+ * @property {number} status - HTTP status code
+ * @property {Headers} headers - response headers
+ * @property {string} url - final url of the response, after following redirects
+ * @property {XMLHttpRequest=} xhr - underlying XMLHttpRequest, only set by XhrTransport
+ */
+
+/**
+ * Property to expand in an expand-property report
+ *
+ * @typedef {object} ExpandProperty
+ * @property {string[]} name - namespace / name pair of a property referring to other resources
+ * @property {Array<string[]|ExpandProperty>} properties - properties to return of the resources it refers to
+ */
+
+/**
+ * Property a multistatus response reported as not retrieved or not updated
+ *
+ * @typedef {object} FailedProperty
+ * @property {number} status - status code of the propstat, e.g. 403 or 404
+ * @property {string|null} responseDescription - human-readable description of the propstat, if any
+ */
+
+/**
+ * Anything able to send HTTP requests, see XhrTransport and FetchTransport
+ *
+ * @typedef {object} Transport
+ * @property {function(string, string, object, string, Function, Function, AbortSignal=): Promise<TransportResponse>} send - sends a request and resolves with the normalized response
+ */
 
 /**
  * Request class is used to send any kind of request to the DAV server
@@ -27,12 +170,46 @@ export default class Request {
 	 *
 	 * @param {string} baseUrl - root url of DAV server, use OC.remote('dav')
 	 * @param {Parser} parser - instance of Parser class
-	 * @param {Function} xhrProvider - Function that returns new XMLHttpRequest objects
+	 * @param {Transport|Function} transport - Transport to send requests with, or a function that returns new XMLHttpRequest objects
+	 * @param {import('./utility/xmlUtility.js').XmlEnvironment=} xmlEnvironment - XML environment to read and write XML with
+	 * @param {RetryPolicy=} retryPolicy - policy for retrying requests that failed for transient reasons
 	 */
-	constructor(baseUrl, parser, xhrProvider = () => new XMLHttpRequest()) {
+	constructor(baseUrl, parser, transport = null, xmlEnvironment = null, retryPolicy = {}) {
 		this.baseUrl = baseUrl
 		this.parser = parser
-		this.xhrProvider = xhrProvider
+
+		/**
+		 * @type {import('./utility/xmlUtility.js').XmlEnvironment}
+		 */
+		this.xmlEnvironment = xmlEnvironment || XMLUtility.getDefaultXmlEnvironment()
+
+		/**
+		 * @type {RetryPolicy}
+		 */
+		this.retryPolicy = Object.assign({}, DEFAULT_RETRY_POLICY, retryPolicy)
+
+		/**
+		 * Options applied to all requests, see withOptions
+		 *
+		 * @type {RequestOptions}
+		 */
+		this.requestOptions = {}
+
+		/**
+		 * Middleware to send requests through, see use
+		 *
+		 * @type {Middleware[]}
+		 */
+		this.middleware = []
+
+		if (typeof transport === 'function') {
+			transport = new XhrTransport(transport)
+		}
+
+		/**
+		 * @type {Transport}
+		 */
+		this.transport = transport || getDefaultTransport()
 	}
 
 	/**
@@ -43,13 +220,16 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async get(url, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-		return this.request('GET', url, headers, body, beforeRequestHandler, afterRequestHandler)
+	async get(url, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('GET', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -60,13 +240,16 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async patch(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-		return this.request('PATCH', url, headers, body, beforeRequestHandler, afterRequestHandler)
+	async patch(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('PATCH', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -77,13 +260,16 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async post(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-		return this.request('POST', url, headers, body, beforeRequestHandler, afterRequestHandler)
+	async post(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('POST', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -94,13 +280,16 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async put(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-		return this.request('PUT', url, headers, body, beforeRequestHandler, afterRequestHandler)
+	async put(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('PUT', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -111,13 +300,16 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async delete(url, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-		return this.request('DELETE', url, headers, body, beforeRequestHandler, afterRequestHandler)
+	async delete(url, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('DELETE', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -132,17 +324,20 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async copy(url, destination, depth = 0, overwrite = false, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
+	async copy(url, destination, depth = 0, overwrite = false, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
 		headers.Destination = destination
 		headers.Depth = depth
 		headers.Overwrite = overwrite ? 'T' : 'F'
 
-		return this.request('COPY', url, headers, body, beforeRequestHandler, afterRequestHandler)
+		return this.request('COPY', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -156,59 +351,88 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async move(url, destination, overwrite = false, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
+	async move(url, destination, overwrite = false, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
 		headers.Destination = destination
 		headers.Depth = 'Infinity'
 		headers.Overwrite = overwrite ? 'T' : 'F'
 
-		return this.request('MOVE', url, headers, body, beforeRequestHandler, afterRequestHandler)
+		return this.request('MOVE', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
 	 * sends a LOCK request
 	 * https://tools.ietf.org/html/rfc4918#section-9.10
 	 *
+	 * Depth, Timeout and If are passed as headers,
+	 * the body is a serialized {DAV:}lockinfo or empty to refresh a lock.
+	 *
 	 * @param {string} url - URL to do the request on
 	 * @param {object} headers - additional HTTP headers to send
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async lock(url, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-
-		// TODO - add parameters for Depth and Timeout
-
-		return this.request('LOCK', url, headers, body, beforeRequestHandler, afterRequestHandler)
+	async lock(url, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('LOCK', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
 	 * sends an UNLOCK request
 	 * https://tools.ietf.org/html/rfc4918#section-9.11
 	 *
+	 * The lock to release is passed in the Lock-Token header.
+	 *
 	 * @param {string} url - URL to do the request on
 	 * @param {object} headers - additional HTTP headers to send
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async unlock(url, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-
-		// TODO - add parameter for Lock-Token
+	async unlock(url, headers = {}, body = null, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('UNLOCK', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
+	}
 
-		return this.request('UNLOCK', url, headers, body, beforeRequestHandler, afterRequestHandler)
+	/**
+	 * sends an ACL request
+	 * https://tools.ietf.org/html/rfc3744#section-8.1
+	 *
+	 * @param {string} url - URL to do the request on
+	 * @param {object} headers - additional HTTP headers to send
+	 * @param {string} body - request body
+	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
+	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
+	 * @return {Promise<{Object}>}
+	 * @property {string | object} body
+	 * @property {number} status
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
+	 */
+	async acl(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('ACL', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -221,21 +445,24 @@ export default class Request {
 	 * @param {object} headers - additional HTTP headers to send
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async propFind(url, properties, depth = 0, headers = {}, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
+	async propFind(url, properties, depth = 0, headers = {}, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
 		// adjust headers
 		headers.Depth = depth
 
 		// create request body
 		const [skeleton, dPropChildren] = XMLUtility.getRootSkeleton([NS.DAV, 'propfind'], [NS.DAV, 'prop'])
 		dPropChildren.push(...properties.map(p => ({ name: p })))
-		const body = XMLUtility.serialize(skeleton)
+		const body = XMLUtility.serialize(skeleton, this.xmlEnvironment)
 
-		return this.request('PROPFIND', url, headers, body, beforeRequestHandler, afterRequestHandler)
+		return this.request('PROPFIND', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -247,13 +474,16 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async propPatch(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-		return this.request('PROPPATCH', url, headers, body, beforeRequestHandler, afterRequestHandler)
+	async propPatch(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('PROPPATCH', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -266,13 +496,37 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
+	 * @return {Promise<{Object}>}
+	 * @property {string | object} body
+	 * @property {number} status
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
+	 */
+	async mkCol(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('MKCOL', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
+	}
+
+	/**
+	 * sends a MKCALENDAR request
+	 * https://tools.ietf.org/html/rfc4791#section-5.3.1
+	 *
+	 * @param {string} url - URL to do the request on
+	 * @param {object} headers - additional HTTP headers to send
+	 * @param {string} body - request body
+	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
+	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async mkCol(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-		return this.request('MKCOL', url, headers, body, beforeRequestHandler, afterRequestHandler)
+	async mkCalendar(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('MKCALENDAR', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -284,13 +538,50 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async report(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-		return this.request('REPORT', url, headers, body, beforeRequestHandler, afterRequestHandler)
+	async report(url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		return this.request('REPORT', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
+	}
+
+	/**
+	 * sends an expand-property REPORT
+	 * https://tools.ietf.org/html/rfc3253#section-3.8
+	 *
+	 * Properties are either [namespace, localName] pairs, or objects with the name
+	 * of a property referring to other resources and the properties to return of them,
+	 * which may be expanded further the same way. Expanded properties are parsed
+	 * into the properties of each resource, indexed by href.
+	 *
+	 * @param {string} url - URL to do the request on
+	 * @param {Array<string[]|ExpandProperty>} properties - properties to return
+	 * @param {object} headers - additional HTTP headers to send
+	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
+	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
+	 * @return {Promise<{Object}>}
+	 * @property {string | object} body
+	 * @property {number} status
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
+	 */
+	async expandProperty(url, properties, headers = {}, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
+		// adjust headers
+		headers.Depth = 0
+
+		// create request body
+		const [skeleton] = XMLUtility.getRootSkeleton([NS.DAV, 'expand-property'])
+		skeleton.children.push(...properties.map(getExpandPropertySkeleton))
+		const body = XMLUtility.serialize(skeleton, this.xmlEnvironment)
+
+		return this.request('REPORT', url, headers, body, beforeRequestHandler, afterRequestHandler, options)
 	}
 
 	/**
@@ -302,90 +593,215 @@ export default class Request {
 	 * @param {string} body - request body
 	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
 	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
 	 * @return {Promise<{Object}>}
 	 * @property {string | object} body
 	 * @property {number} status
-	 * @property {XMLHttpRequest} xhr
+	 * @property {Headers} headers
+	 * @property {string} url
+	 * @property {XMLHttpRequest=} xhr
 	 */
-	async request(method, url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null) {
-		const xhr = this.xhrProvider()
+	async request(method, url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, options = {}) {
 		const assignHeaders = Object.assign({}, getDefaultHeaders(), headers)
+		const assignOptions = Object.assign({}, this.requestOptions, options)
 
-		xhr.open(method, this.absoluteUrl(url), true)
+		for (let attempt = 1; ; attempt++) {
+			try {
+				return await this._dispatch({
+					method,
+					url: this.absoluteUrl(url),
+					headers: Object.assign({}, assignHeaders),
+					body,
+					options: assignOptions,
+				}, beforeRequestHandler, afterRequestHandler)
+			} catch (error) {
+				const delay = this._getRetryDelay(method, assignHeaders, error, attempt)
+				if (delay === null) {
+					throw error
+				}
 
-		for (const header in assignHeaders) {
-			xhr.setRequestHeader(header, assignHeaders[header])
+				debug(`Retrying ${method} ${url} in ${delay}ms after attempt ${attempt} failed`)
+				await wait(delay, assignOptions.signal)
+			}
 		}
+	}
 
-		beforeRequestHandler(xhr)
+	/**
+	 * returns a Request object that sends all requests with the given options,
+	 * e.g. to abort all requests of a model method with a single signal
+	 *
+	 * @param {RequestOptions} options - signal and timeout for all requests
+	 * @return {Request}
+	 */
+	withOptions(options) {
+		const request = Object.create(this)
+		request.requestOptions = Object.assign({}, this.requestOptions, options)
 
-		if (body === null || body === undefined) {
-			xhr.send()
-		} else {
-			xhr.send(body)
-		}
+		return request
+	}
 
-		return new Promise((resolve, reject) => {
-			xhr.onreadystatechange = () => {
-				if (xhr.readyState !== 4) {
-					return
-				}
+	/**
+	 * adds a middleware that every request is sent through
+	 *
+	 * Middleware is called in the order it was added,
+	 * the first one added being the outermost.
+	 *
+	 * @param {Middleware} middleware - the middleware to add
+	 * @return {Request}
+	 */
+	use(middleware) {
+		this.middleware.push(middleware)
+		return this
+	}
 
-				afterRequestHandler(xhr)
-
-				let responseBody = xhr.response
-				if (!wasRequestSuccessful(xhr.status)) {
-					if (xhr.status >= 400 && xhr.status < 500) {
-						reject(new NetworkRequestClientError({
-							body: responseBody,
-							status: xhr.status,
-							xhr,
-						}))
-						return
-					}
-					if (xhr.status >= 500 && xhr.status < 600) {
-						reject(new NetworkRequestServerError({
-							body: responseBody,
-							status: xhr.status,
-							xhr,
-						}))
-						return
-					}
+	/**
+	 * sends a single attempt of a request through all middleware
+	 *
+	 * @param {RequestContext} context - the outgoing request
+	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
+	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @return {Promise<{Object}>}
+	 * @private
+	 */
+	async _dispatch(context, beforeRequestHandler, afterRequestHandler) {
+		const dispatch = (index, context) => {
+			if (index === this.middleware.length) {
+				return this._sendRequest(context.method, context.url, context.headers, context.body, beforeRequestHandler, afterRequestHandler, context.options)
+			}
 
-					reject(new NetworkRequestHttpError({
-						body: responseBody,
-						status: xhr.status,
-						xhr,
-					}))
-					return
-				}
+			return this.middleware[index](context, (nextContext = context) => dispatch(index + 1, nextContext))
+		}
 
-				if (xhr.status === 207) {
-					responseBody = this._parseMultiStatusResponse(responseBody)
-					if (parseInt(assignHeaders.Depth, 10) === 0 && method === 'PROPFIND') {
-						responseBody = responseBody[Object.keys(responseBody)[0]]
-					}
-				}
+		return dispatch(0, context)
+	}
 
-				resolve({
-					body: responseBody,
-					status: xhr.status,
-					xhr,
-				})
+	/**
+	 * sends a single request without retrying
+	 *
+	 * @param {string} method - HTTP Method name
+	 * @param {string} url - absolute URL to do the request on
+	 * @param {object} headers - HTTP headers to send, including the default ones
+	 * @param {string} body - request body
+	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
+	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
+	 * @return {Promise<{Object}>}
+	 * @private
+	 */
+	async _sendRequest(method, url, headers, body, beforeRequestHandler, afterRequestHandler, options) {
+		const response = await this._sendWithTimeout(method, url, headers, body, beforeRequestHandler, afterRequestHandler, options)
+
+		if (!wasRequestSuccessful(response.status)) {
+			throw this._createHttpError(method, response)
+		}
+
+		if (response.status === 207) {
+			const { body, statuses, failedProperties, syncToken } = this._parseMultiStatusResponse(response.body)
+			let responseBody = body
+			if (parseInt(headers.Depth, 10) === 0 && method === 'PROPFIND') {
+				responseBody = responseBody[Object.keys(responseBody)[0]]
 			}
 
-			xhr.onerror = () => reject(new NetworkRequestError({
-				body: null,
-				status: -1,
-				xhr,
-			}))
+			return Object.assign({}, response, {
+				body: responseBody,
+				statuses,
+				failedProperties,
+				syncToken,
+			})
+		}
+
+		return response
+	}
+
+	/**
+	 * sends a request using the transport,
+	 * aborting it once the signal aborts or the timeout elapses
+	 *
+	 * @param {string} method - HTTP Method name
+	 * @param {string} url - absolute URL to do the request on
+	 * @param {object} headers - HTTP headers to send
+	 * @param {string} body - request body
+	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
+	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {RequestOptions} options - signal and timeout for the request
+	 * @return {Promise<TransportResponse>}
+	 * @private
+	 */
+	async _sendWithTimeout(method, url, headers, body, beforeRequestHandler, afterRequestHandler, options) {
+		const { signal, timeout } = options
+		if (!signal && !timeout) {
+			return this.transport.send(method, url, headers, body, beforeRequestHandler, afterRequestHandler)
+		}
 
-			xhr.onabort = () => reject(new NetworkRequestAbortedError({
+		if (signal && signal.aborted) {
+			throw new NetworkRequestAbortedError({
 				body: null,
 				status: -1,
-				xhr,
-			}))
-		})
+			})
+		}
+
+		const controller = new AbortController()
+		const abort = () => controller.abort()
+		let timer = null
+		let hasTimedOut = false
+
+		if (signal) {
+			signal.addEventListener('abort', abort)
+		}
+		if (timeout) {
+			timer = setTimeout(() => {
+				hasTimedOut = true
+				controller.abort()
+			}, timeout)
+		}
+
+		try {
+			return await this.transport.send(method, url, headers, body, beforeRequestHandler, afterRequestHandler, controller.signal)
+		} catch (error) {
+			if (hasTimedOut && error instanceof NetworkRequestAbortedError) {
+				throw new NetworkRequestTimeoutError(Object.assign({}, error, { timeout }))
+			}
+
+			throw error
+		} finally {
+			clearTimeout(timer)
+			if (signal) {
+				signal.removeEventListener('abort', abort)
+			}
+		}
+	}
+
+	/**
+	 * gets the delay before retrying a failed request
+	 * according to the retry policy
+	 *
+	 * @param {string} method - HTTP Method name
+	 * @param {object} headers - HTTP headers that were sent
+	 * @param {Error} error - the error the last attempt failed with
+	 * @param {number} attempt - number of the attempt that failed
+	 * @return {number|null} delay in milliseconds or null if the request must not be retried
+	 * @private
+	 */
+	_getRetryDelay(method, headers, error, attempt) {
+		const { maxAttempts, baseDelay, maxDelay } = this.retryPolicy
+		if (attempt >= maxAttempts || !isIdempotentRequest(method, headers)) {
+			return null
+		}
+
+		// Requests aborted by the caller must not be retried, those that timed out may be
+		const isNetworkError = error instanceof NetworkRequestError || error instanceof NetworkRequestTimeoutError
+		if (!isNetworkError && !(error instanceof NetworkRequestHttpError && RETRYABLE_STATUSES.includes(error.status))) {
+			return null
+		}
+
+		if ((error.status === 429 || error.status === 503) && typeof error.retryAfter === 'number') {
+			return error.retryAfter <= maxDelay ? error.retryAfter : null
+		}
+
+		// Exponential backoff with jitter, so clients failing at the same time
+		// do not all retry at the same time
+		const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1))
+		return Math.round(delay / 2 + Math.random() * delay / 2)
 	}
 
 	/**
@@ -429,48 +845,211 @@ export default class Request {
 	}
 
 	/**
-	 * parses a multi status response (207), sorts them by path
-	 * and drops all unsuccessful responses
+	 * creates the error to reject an unsuccessful response with
+	 *
+	 * The error class always follows the status code. Violated preconditions are
+	 * attached as condition, hrefs and privileges, along with a precondition error
+	 * of the class matching the condition, e.g. a 403 reporting a UID conflict is a
+	 * ForbiddenError whose precondition is a UidConflictError.
+	 * All errors carry the request method and the Retry-After header in milliseconds, if any.
+	 *
+	 * @param {string} method - HTTP Method name
+	 * @param {TransportResponse} response - the unsuccessful response
+	 * @return {NetworkRequestHttpError}
+	 * @private
+	 */
+	_createHttpError(method, response) {
+		const attach = Object.assign({}, response, {
+			method,
+			retryAfter: response.headers ? getRetryAfter(response.headers.get('Retry-After')) : null,
+		})
+
+		// max-resource-size is reported with 507 Insufficient Storage
+		if ((response.status >= 400 && response.status < 500) || response.status === 507) {
+			const parsedPrecondition = this._parseErrorResponse(response.body)
+			if (parsedPrecondition !== null) {
+				const PreconditionClass = PRECONDITION_ERRORS[parsedPrecondition.condition] || PreconditionError
+				const precondition = new PreconditionClass(Object.assign({}, attach, parsedPrecondition))
+				Object.assign(attach, parsedPrecondition, { precondition })
+			}
+		}
+
+		return this._createStatusError(attach)
+	}
+
+	/**
+	 * creates the error matching the status code of an unsuccessful response
+	 *
+	 * @param {object} attach - the response, along with method and Retry-After
+	 * @return {NetworkRequestHttpError}
+	 * @private
+	 */
+	_createStatusError(attach) {
+		if (STATUS_ERRORS[attach.status]) {
+			return new STATUS_ERRORS[attach.status](attach)
+		}
+		if (attach.status >= 400 && attach.status < 500) {
+			return new NetworkRequestClientError(attach)
+		}
+		if (attach.status >= 500 && attach.status < 600) {
+			return new NetworkRequestServerError(attach)
+		}
+
+		return new NetworkRequestHttpError(attach)
+	}
+
+	/**
+	 * parses the violated precondition of a DAV:error response body
+	 * https://tools.ietf.org/html/rfc4918#section-16
+	 *
+	 * Elements in the SabreDAV namespace are not conditions,
+	 * but the exception class and message of the server.
+	 * The latter is used as message of the error.
+	 *
+	 * @param {string} body - the response body
+	 * @return {{condition: string, hrefs: string[], privileges: object[]=, message: string=}|null}
+	 * @private
+	 */
+	_parseErrorResponse(body) {
+		if (typeof body !== 'string' || body.trim() === '') {
+			return null
+		}
+
+		let document
+		try {
+			document = this.xmlEnvironment.parse(body)
+		} catch (error) {
+			debug('Could not parse body of error response', error)
+			return null
+		}
+
+		const errorNode = XMLUtility.getFirstChildElement(document, [NS.DAV, 'error'])
+		if (errorNode === null) {
+			return null
+		}
+
+		const conditionNode = XMLUtility.getChildElements(errorNode)
+			.find((node) => node.namespaceURI !== NS.SABREDAV)
+		if (!conditionNode) {
+			return null
+		}
+
+		const precondition = {
+			condition: XMLUtility.getElementName(conditionNode),
+			hrefs: getDescendantElements(conditionNode, [NS.DAV, 'href']).map(XMLUtility.getTextContent),
+		}
+
+		const message = XMLUtility.getChildTextContent(errorNode, [NS.SABREDAV, 'message'])
+		if (message !== '') {
+			precondition.message = message
+		}
+
+		if (precondition.condition === `{${NS.DAV}}need-privileges`) {
+			precondition.privileges = XMLUtility.getChildElements(conditionNode, [NS.DAV, 'resource']).map((resourceNode) => {
+				const privilegeNode = XMLUtility.getFirstChildElement(resourceNode, [NS.DAV, 'privilege'])
+				const privilege = privilegeNode === null ? null : XMLUtility.getFirstChildElement(privilegeNode)
+
+				return {
+					href: XMLUtility.getChildTextContent(resourceNode, [NS.DAV, 'href']),
+					privilege: privilege === null ? null : XMLUtility.getElementName(privilege),
+				}
+			})
+		}
+
+		return precondition
+	}
+
+	/**
+	 * parses a multi status response (207) and sorts them by path
+	 *
+	 * Properties of successful propstats are parsed into body,
+	 * properties of unsuccessful ones are listed in failedProperties
+	 * with the status the server reported for them.
+	 *
+	 * Responses that carry a status of their own instead of propstats
+	 * (e.g. members removed since the last sync-collection report)
+	 * are listed in statuses, together with the new sync-token if any.
 	 *
 	 * @param {string} body
-	 * @return {object}
+	 * @return {{body: object, statuses: object, failedProperties: Object<string, Object<string, FailedProperty>>, syncToken: string|null}}
 	 * @private
 	 */
 	_parseMultiStatusResponse(body) {
 		const result = {}
-		const domParser = new DOMParser()
-		const document = domParser.parseFromString(body, 'application/xml')
-
-		const responses = document.evaluate('/d:multistatus/d:response', document, NS.resolve, XPathResult.ANY_TYPE, null)
-		let responseNode
-
-		while ((responseNode = responses.iterateNext()) !== null) {
-			const href = document.evaluate('string(d:href)', responseNode, NS.resolve, XPathResult.ANY_TYPE, null).stringValue
-			const parsedProperties = {}
-			const propStats = document.evaluate('d:propstat', responseNode, NS.resolve, XPathResult.ANY_TYPE, null)
-			let propStatNode
-
-			while ((propStatNode = propStats.iterateNext()) !== null) {
-				const status = document.evaluate('string(d:status)', propStatNode, NS.resolve, XPathResult.ANY_TYPE, null).stringValue
-				if (!wasRequestSuccessful(getStatusCodeFromString(status))) {
-					continue
-				}
+		const statuses = {}
+		const failedProperties = {}
+		const document = this.xmlEnvironment.parse(body)
+		const multiStatusNode = XMLUtility.getFirstChildElement(document, [NS.DAV, 'multistatus'])
+		if (multiStatusNode === null) {
+			return { body: result, statuses, failedProperties, syncToken: null }
+		}
 
-				const props = document.evaluate('d:prop/*', propStatNode, NS.resolve, XPathResult.ANY_TYPE, null)
-				let propNode
+		const syncTokenNode = XMLUtility.getFirstChildElement(multiStatusNode, [NS.DAV, 'sync-token'])
+		const syncToken = syncTokenNode === null
+			? null
+			: XMLUtility.getTextContent(syncTokenNode)
 
-				while ((propNode = props.iterateNext()) !== null) {
-					if (this.parser.canParse(`{${propNode.namespaceURI}}${propNode.localName}`)) {
-						parsedProperties[`{${propNode.namespaceURI}}${propNode.localName}`]
-							= this.parser.parse(document, propNode, NS.resolve)
-					}
-				}
+		XMLUtility.getChildElements(multiStatusNode, [NS.DAV, 'response']).forEach((responseNode) => {
+			const href = XMLUtility.getChildTextContent(responseNode, [NS.DAV, 'href'])
+
+			const responseStatus = XMLUtility.getChildTextContent(responseNode, [NS.DAV, 'status'])
+			if (responseStatus !== '') {
+				statuses[href] = getStatusCodeFromString(responseStatus)
 			}
 
+			const { parsedProperties, failedPropertiesOfResponse } = this._parseResponseProperties(document, responseNode)
 			result[href] = parsedProperties
-		}
+			if (Object.keys(failedPropertiesOfResponse).length > 0) {
+				failedProperties[href] = failedPropertiesOfResponse
+			}
+		})
 
-		return result
+		return { body: result, statuses, failedProperties, syncToken }
+	}
+
+	/**
+	 * parses the properties of all propstats of a {DAV:}response
+	 *
+	 * Properties expanded by an expand-property report contain responses themselves,
+	 * they are parsed into the properties of each expanded resource, indexed by href.
+	 *
+	 * @param {Document} document - the parsed multi status response
+	 * @param {import('./utility/xmlUtility.js').XmlNode} responseNode - the {DAV:}response node
+	 * @return {{parsedProperties: object, failedPropertiesOfResponse: Object<string, FailedProperty>}}
+	 * @private
+	 */
+	_parseResponseProperties(document, responseNode) {
+		const parsedProperties = {}
+		const failedPropertiesOfResponse = {}
+
+		XMLUtility.getChildElements(responseNode, [NS.DAV, 'propstat']).forEach((propStatNode) => {
+			const status = getStatusCodeFromString(XMLUtility.getChildTextContent(propStatNode, [NS.DAV, 'status']))
+			if (!wasRequestSuccessful(status)) {
+				const responseDescription = XMLUtility.getChildTextContent(propStatNode, [NS.DAV, 'responsedescription'])
+				getPropertyNodes(propStatNode).forEach((propertyNode) => {
+					failedPropertiesOfResponse[XMLUtility.getElementName(propertyNode)] = {
+						status,
+						responseDescription: responseDescription || null,
+					}
+				})
+				return
+			}
+
+			getPropertyNodes(propStatNode).forEach((propertyNode) => {
+				const propertyName = XMLUtility.getElementName(propertyNode)
+				const expandedResponseNodes = XMLUtility.getChildElements(propertyNode, [NS.DAV, 'response'])
+				if (expandedResponseNodes.length > 0) {
+					parsedProperties[propertyName] = Object.fromEntries(expandedResponseNodes.map((expandedResponseNode) => [
+						XMLUtility.getChildTextContent(expandedResponseNode, [NS.DAV, 'href']),
+						this._parseResponseProperties(document, expandedResponseNode).parsedProperties,
+					]))
+				} else if (this.parser.canParse(propertyName)) {
+					parsedProperties[propertyName] = this.parser.parse(document, propertyNode, NS.resolve)
+				}
+			})
+		})
+
+		return { parsedProperties, failedPropertiesOfResponse }
 	}
 
 }
@@ -486,6 +1065,141 @@ function wasRequestSuccessful(status) {
 	return status >= 200 && status < 300
 }
 
+/**
+ * gets the skeleton of a {DAV:}property node of an expand-property report
+ *
+ * @param {string[]|ExpandProperty} property - the property to return
+ * @return {object}
+ * @private
+ */
+function getExpandPropertySkeleton(property) {
+	const [namespace, name] = Array.isArray(property) ? property : property.name
+	const skeleton = {
+		name: [NS.DAV, 'property'],
+		attributes: [
+			['name', name],
+			['namespace', namespace],
+		],
+	}
+
+	if (!Array.isArray(property)) {
+		skeleton.children = property.properties.map(getExpandPropertySkeleton)
+	}
+
+	return skeleton
+}
+
+/**
+ * gets all property nodes of a propstat
+ *
+ * @param {import('./utility/xmlUtility.js').XmlNode} propStatNode - the propstat node
+ * @return {import('./utility/xmlUtility.js').XmlNode[]}
+ * @private
+ */
+function getPropertyNodes(propStatNode) {
+	return XMLUtility.getChildElements(propStatNode, [NS.DAV, 'prop'])
+		.flatMap((propNode) => XMLUtility.getChildElements(propNode))
+}
+
+/**
+ * gets all descendant elements of a node matching the given name
+ *
+ * @param {import('./utility/xmlUtility.js').XmlNode} node - node to search in
+ * @param {string[]} name - [namespace, localName] pair to search for
+ * @return {import('./utility/xmlUtility.js').XmlNode[]}
+ * @private
+ */
+function getDescendantElements(node, name) {
+	const [namespace, localName] = name
+
+	return XMLUtility.getChildElements(node).flatMap((childNode) => {
+		if (childNode.namespaceURI === namespace && childNode.localName === localName) {
+			return [childNode]
+		}
+
+		return getDescendantElements(childNode, name)
+	})
+}
+
+/**
+ * waits before retrying a request, unless the signal aborts
+ *
+ * @param {number} delay - time to wait in milliseconds
+ * @param {AbortSignal=} signal - signal to stop waiting with
+ * @return {Promise<void>}
+ * @private
+ */
+function wait(delay, signal) {
+	return new Promise((resolve, reject) => {
+		const abort = () => {
+			clearTimeout(timer)
+			reject(new NetworkRequestAbortedError({
+				body: null,
+				status: -1,
+			}))
+		}
+		const timer = setTimeout(() => {
+			if (signal) {
+				signal.removeEventListener('abort', abort)
+			}
+			resolve()
+		}, delay)
+
+		if (signal) {
+			if (signal.aborted) {
+				abort()
+			} else {
+				signal.addEventListener('abort', abort)
+			}
+		}
+	})
+}
+
+/**
+ * Checks if a request may safely be sent again
+ *
+ * @param {string} method - HTTP Method name
+ * @param {object} headers - HTTP headers that were sent
+ * @return {boolean}
+ * @private
+ */
+function isIdempotentRequest(method, headers) {
+	method = method.toUpperCase()
+	if (IDEMPOTENT_METHODS.includes(method)) {
+		return true
+	}
+
+	if (method === 'PUT' || method === 'DELETE') {
+		return Object.keys(headers).some((name) => name.toLowerCase() === 'if-match')
+	}
+
+	return false
+}
+
+/**
+ * Parses a Retry-After header, given either in seconds or as HTTP-date
+ *
+ * @param {string|null} value - value of the Retry-After header
+ * @return {number|null} delay in milliseconds
+ * @private
+ */
+function getRetryAfter(value) {
+	if (value === null || value === undefined) {
+		return null
+	}
+
+	if (/^\d+$/.test(value.trim())) {
+		return parseInt(value, 10) * 1000
+	}
+
+	const date = Date.parse(value)
+	if (Number.isNaN(date)) {
+		return null
+	}
+
+	return Math.max(0, date - Date.now())
+}
+
 /**
  * Extract numeric status code from string like "HTTP/1.1 200 OK"
  *
@@ -497,6 +1211,21 @@ function getStatusCodeFromString(status) {
 	return parseInt(status.split(' ')[1], 10)
 }
 
+/**
+ * gets the transport to use if none was given,
+ * XMLHttpRequest in browsers and fetch everywhere else
+ *
+ * @return {Transport}
+ * @private
+ */
+function getDefaultTransport() {
+	if (typeof XMLHttpRequest !== 'undefined') {
+		return new XhrTransport()
+	}
+
+	return new FetchTransport()
+}
+
 /**
  * get object with default headers to include in every request
  *
@@ -0,0 +1,1254 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as NS from '../utility/namespaceUtility.js'
+import * as XMLUtility from '../utility/xmlUtility.js'
+import NetworkRequestAbortedError from '../errors/networkRequestAbortedError.js'
+import { matchesAddressBookFilter, matchesCalendarFilter } from './queryMatcher.js'
+
+/**
+ * @typedef {import('../utility/xmlUtility.js').XmlNode} XmlNode
+ */
+
+const SYNC_TOKEN_PREFIX = 'http://sabre.io/ns/sync/'
+
+const DEFAULT_FEATURES = ['1', '3', 'extended-mkcol', 'access-control', 'calendar-access', 'addressbook']
+
+const DEFAULT_PRIVILEGES = [
+	'{DAV:}read',
+	'{DAV:}write',
+	'{DAV:}write-properties',
+	'{DAV:}write-content',
+	'{DAV:}bind',
+	'{DAV:}unbind',
+	'{DAV:}read-current-user-privilege-set',
+]
+
+const PROTECTED_PROPERTIES = [
+	'{DAV:}resourcetype',
+	'{DAV:}getetag',
+	'{DAV:}getcontenttype',
+	'{DAV:}getcontentlength',
+	'{DAV:}getlastmodified',
+	'{DAV:}sync-token',
+	'{DAV:}supported-report-set',
+	'{DAV:}current-user-privilege-set',
+	`{${NS.CALENDARSERVER}}getctag`,
+	`{${NS.IETF_CALDAV}}calendar-data`,
+	`{${NS.IETF_CARDDAV}}address-data`,
+]
+
+const REASON_PHRASES = {
+	200: 'OK',
+	201: 'Created',
+	204: 'No Content',
+	207: 'Multi-Status',
+	400: 'Bad Request',
+	403: 'Forbidden',
+	404: 'Not Found',
+	405: 'Method Not Allowed',
+	409: 'Conflict',
+	412: 'Precondition Failed',
+	415: 'Unsupported Media Type',
+	424: 'Failed Dependency',
+	501: 'Not Implemented',
+	507: 'Insufficient Storage',
+}
+
+/**
+ * @typedef {object} FakeRequest
+ * @property {string} method - HTTP method
+ * @property {string} url - absolute url of the request
+ * @property {string} path - path of the requested resource
+ * @property {object} headers - HTTP headers of the request
+ * @property {string|null} body - request body
+ */
+
+/**
+ * @typedef {object} FakeResponse
+ * @property {number} status - HTTP status code
+ * @property {object=} headers - HTTP headers to send
+ * @property {string=} body - response body
+ */
+
+/**
+ * In-memory CalDAV and CardDAV server to run tests against
+ *
+ * The server is a transport, pass it as transport to DavClient
+ * or Request. Resources are kept in a tree that tests can script
+ * using addCollection, addCalendar, addAddressBook and addObject.
+ *
+ * Properties are stored in the simple xml representation used for
+ * request bodies: strings are serialized as text content,
+ * arrays as child elements, see XMLUtility.getRootSkeleton.
+ */
+export class FakeDavServer {
+
+	/**
+	 * @param {object} options
+	 * @param {string=} options.baseUrl - url the server is reachable at
+	 * @param {string[]=} options.features - features to advertise in the DAV header
+	 * @param {import('../utility/xmlUtility.js').XmlEnvironment=} options.xmlEnvironment - XML environment to parse and serialize bodies with
+	 */
+	constructor({ baseUrl = 'https://dav.example.com/', features = DEFAULT_FEATURES, xmlEnvironment = null } = {}) {
+		/**
+		 * Url the server is reachable at
+		 *
+		 * @type {string}
+		 */
+		this.baseUrl = baseUrl
+
+		/**
+		 * Features advertised in the DAV header
+		 *
+		 * @type {string[]}
+		 */
+		this.features = features
+
+		/**
+		 * XML environment to parse and serialize bodies with
+		 *
+		 * @type {import('../utility/xmlUtility.js').XmlEnvironment}
+		 */
+		this.xmlEnvironment = xmlEnvironment || XMLUtility.getDefaultXmlEnvironment()
+
+		/**
+		 * All requests received so far
+		 *
+		 * @type {FakeRequest[]}
+		 */
+		this.requests = []
+
+		/**
+		 * Resources of the server, indexed by path without trailing slash
+		 *
+		 * @type {object}
+		 * @private
+		 */
+		this._nodes = {}
+
+		/**
+		 * @type {Function[]}
+		 * @private
+		 */
+		this._interceptors = []
+
+		/**
+		 * Last sync-token handed out, shared by all collections
+		 *
+		 * @type {number}
+		 * @private
+		 */
+		this._syncToken = 0
+
+		/**
+		 * Prefixes used for namespaces without a well-known prefix
+		 *
+		 * @type {object}
+		 * @private
+		 */
+		this._prefixes = {}
+
+		this.addCollection(new URL(baseUrl).pathname)
+	}
+
+	/**
+	 * adds a collection, creating missing parents as plain collections
+	 *
+	 * @param {string} path - path of the collection
+	 * @param {string[]} resourceType - resource types in clark notation in addition to {DAV:}collection
+	 * @param {object} props - properties of the collection in clark notation
+	 * @return {FakeDavServer}
+	 */
+	addCollection(path, resourceType = [], props = {}) {
+		const key = normalizePath(path)
+		this._ensureParent(key)
+
+		this._nodes[key] = {
+			isCollection: true,
+			resourceType: ['{DAV:}collection', ...resourceType],
+			props: Object.assign({}, props),
+			data: null,
+			contentType: null,
+			etag: null,
+			lastModified: new Date(),
+			syncToken: ++this._syncToken,
+			changes: [],
+		}
+		this._recordChange(key, false)
+
+		return this
+	}
+
+	/**
+	 * adds a calendar supporting VEVENT and VTODO components
+	 *
+	 * @param {string} path - path of the calendar
+	 * @param {object} props - properties of the calendar in clark notation
+	 * @return {FakeDavServer}
+	 */
+	addCalendar(path, props = {}) {
+		return this.addCollection(path, [`{${NS.IETF_CALDAV}}calendar`], Object.assign({
+			[`{${NS.IETF_CALDAV}}supported-calendar-component-set`]: ['VEVENT', 'VTODO'].map((name) => ({
+				name: [NS.IETF_CALDAV, 'comp'],
+				attributes: [['name', name]],
+			})),
+		}, props))
+	}
+
+	/**
+	 * adds an address book
+	 *
+	 * @param {string} path - path of the address book
+	 * @param {object} props - properties of the address book in clark notation
+	 * @return {FakeDavServer}
+	 */
+	addAddressBook(path, props = {}) {
+		return this.addCollection(path, [`{${NS.IETF_CARDDAV}}addressbook`], props)
+	}
+
+	/**
+	 * adds a principal and makes it the current user principal
+	 * if there is none yet
+	 *
+	 * @param {string} path - path of the principal
+	 * @param {object} props - properties of the principal in clark notation
+	 * @return {FakeDavServer}
+	 */
+	addPrincipal(path, props = {}) {
+		const key = normalizePath(path)
+		this.addCollection(key, ['{DAV:}principal'], Object.assign({
+			'{DAV:}principal-URL': [{ name: [NS.DAV, 'href'], value: key + '/' }],
+			'{DAV:}principal-collection-set': [{ name: [NS.DAV, 'href'], value: getParentPath(key) + '/' }],
+		}, props))
+
+		const root = this._nodes[normalizePath(new URL(this.baseUrl).pathname)]
+		if (!root.props['{DAV:}current-user-principal']) {
+			root.props['{DAV:}current-user-principal'] = [{ name: [NS.DAV, 'href'], value: key + '/' }]
+		}
+
+		return this
+	}
+
+	/**
+	 * adds or replaces an object, creating missing parents as plain collections
+	 *
+	 * @param {string} path - path of the object
+	 * @param {string} data - content of the object
+	 * @param {string=} contentType - content-type, guessed from the data if omitted
+	 * @return {FakeDavServer}
+	 */
+	addObject(path, data, contentType = null) {
+		const key = normalizePath(path)
+		this._ensureParent(key)
+		this._putObject(key, data, contentType || guessContentType(data))
+
+		return this
+	}
+
+	/**
+	 * gets a resource of the server
+	 *
+	 * @param {string} path - path of the resource
+	 * @return {{isCollection: boolean, resourceType: string[], props: object, data: string|null, contentType: string|null, etag: string|null}|null}
+	 */
+	get(path) {
+		return this._nodes[normalizePath(path)] || null
+	}
+
+	/**
+	 * removes a resource and all its members
+	 *
+	 * @param {string} path - path of the resource
+	 * @return {FakeDavServer}
+	 */
+	remove(path) {
+		this._removeNode(normalizePath(path))
+		return this
+	}
+
+	/**
+	 * adds a handler that is called before requests are processed,
+	 * e.g. to simulate errors
+	 *
+	 * Handlers are called with the FakeRequest and may return
+	 * a FakeResponse to send instead of processing the request.
+	 *
+	 * @param {function(FakeRequest): (FakeResponse|undefined)} handler - handler to add
+	 * @return {FakeDavServer}
+	 */
+	intercept(handler) {
+		this._interceptors.push(handler)
+		return this
+	}
+
+	/**
+	 * processes a request, implementing the Transport interface
+	 *
+	 * @param {string} method - HTTP Method name
+	 * @param {string} url - absolute URL to do the request on
+	 * @param {object} headers - HTTP headers to send
+	 * @param {string} body - request body
+	 * @param {Function} beforeRequestHandler - called with the FakeRequest
+	 * @param {Function} afterRequestHandler - called with the response
+	 * @param {AbortSignal=} signal - signal to abort the request with
+	 * @return {Promise<import('../request.js').TransportResponse>}
+	 */
+	async send(method, url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, signal = null) {
+		if (signal && signal.aborted) {
+			throw new NetworkRequestAbortedError({
+				body: null,
+				status: -1,
+			})
+		}
+
+		const request = {
+			method: method.toUpperCase(),
+			url,
+			path: normalizePath(new URL(url, this.baseUrl).pathname),
+			headers: Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), String(value)])),
+			body: body === undefined ? null : body,
+		}
+		this.requests.push(request)
+		beforeRequestHandler(request)
+
+		let fakeResponse
+		for (const interceptor of this._interceptors) {
+			fakeResponse = interceptor(request)
+			if (fakeResponse) {
+				break
+			}
+		}
+
+		const response = this._createResponse(url, fakeResponse || this._handleRequest(request))
+		afterRequestHandler(response)
+
+		return response
+	}
+
+	/**
+	 * dispatches a request to the handler of its method
+	 *
+	 * @private
+	 * @param {FakeRequest} request - the request to process
+	 * @return {FakeResponse}
+	 */
+	_handleRequest(request) {
+		switch (request.method) {
+		case 'OPTIONS':
+			return { status: 200, headers: { Allow: 'OPTIONS, GET, PUT, DELETE, PROPFIND, PROPPATCH, MKCOL, MKCALENDAR, COPY, MOVE, REPORT' } }
+
+		case 'PROPFIND':
+			return this._handlePropFind(request)
+
+		case 'PROPPATCH':
+			return this._handlePropPatch(request)
+
+		case 'MKCOL':
+			return this._handleMkCol(request)
+
+		case 'MKCALENDAR':
+			return this._handleMkCol(request, [`{${NS.IETF_CALDAV}}calendar`])
+
+		case 'GET':
+			return this._handleGet(request)
+
+		case 'PUT':
+			return this._handlePut(request)
+
+		case 'DELETE':
+			return this._handleDelete(request)
+
+		case 'COPY':
+		case 'MOVE':
+			return this._handleCopyMove(request)
+
+		case 'REPORT':
+			return this._handleReport(request)
+
+		default:
+			return { status: 501 }
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {FakeRequest} request - the PROPFIND request
+	 * @return {FakeResponse}
+	 */
+	_handlePropFind(request) {
+		const node = this._nodes[request.path]
+		if (!node) {
+			return { status: 404 }
+		}
+
+		let propNames = null
+		if (request.body) {
+			const propNode = XMLUtility.getFirstChildElement(this._parseRoot(request.body), [NS.DAV, 'prop'])
+			if (propNode !== null) {
+				propNames = XMLUtility.getChildElements(propNode).map(XMLUtility.getElementName)
+			}
+		}
+
+		const paths = [request.path]
+		if (request.headers.depth !== '0' && node.isCollection) {
+			paths.push(...this._getMemberPaths(request.path))
+		}
+
+		return this._multiStatus(paths.map((path) => this._getPropStatResponse(path, propNames)))
+	}
+
+	/**
+	 * @private
+	 * @param {FakeRequest} request - the PROPPATCH request
+	 * @return {FakeResponse}
+	 */
+	_handlePropPatch(request) {
+		const node = this._nodes[request.path]
+		if (!node) {
+			return { status: 404 }
+		}
+
+		const updates = []
+		XMLUtility.getChildElements(this._parseRoot(request.body), [NS.DAV, 'set'], [NS.DAV, 'remove']).forEach((updateNode) => {
+			const isRemoval = updateNode.localName === 'remove'
+			const propNode = XMLUtility.getFirstChildElement(updateNode, [NS.DAV, 'prop'])
+			if (propNode === null) {
+				return
+			}
+
+			XMLUtility.getChildElements(propNode).forEach((propertyNode) => {
+				updates.push({
+					name: XMLUtility.getElementName(propertyNode),
+					value: isRemoval ? undefined : getPropertyValue(propertyNode),
+				})
+			})
+		})
+
+		const isRejected = updates.some(({ name }) => PROTECTED_PROPERTIES.includes(name))
+		const propStats = {}
+		updates.forEach(({ name, value }) => {
+			let status = 200
+			if (PROTECTED_PROPERTIES.includes(name)) {
+				status = 403
+			} else if (isRejected) {
+				status = 424
+			} else if (value === undefined) {
+				delete node.props[name]
+			} else {
+				node.props[name] = value
+			}
+
+			propStats[status] = propStats[status] || []
+			propStats[status].push({ name: parseClarkName(name) })
+		})
+
+		return this._multiStatus([{ href: this._getHref(request.path), propStats }])
+	}
+
+	/**
+	 * handles MKCOL and MKCALENDAR requests,
+	 * MKCOL bodies are only accepted if extended-mkcol is advertised
+	 *
+	 * @private
+	 * @param {FakeRequest} request - the MKCOL or MKCALENDAR request
+	 * @param {string[]} resourceType - resource types of the new collection in addition to {DAV:}collection
+	 * @return {FakeResponse}
+	 */
+	_handleMkCol(request, resourceType = []) {
+		if (this._nodes[request.path]) {
+			return { status: 405 }
+		}
+		if (!this._isCollection(getParentPath(request.path))) {
+			return { status: 409 }
+		}
+		if (request.method === 'MKCOL' && request.body && !this.features.includes('extended-mkcol')) {
+			return { status: 415 }
+		}
+
+		const props = {}
+		if (request.body) {
+			XMLUtility.getChildElements(this._parseRoot(request.body), [NS.DAV, 'set']).forEach((setNode) => {
+				const propNode = XMLUtility.getFirstChildElement(setNode, [NS.DAV, 'prop'])
+				if (propNode === null) {
+					return
+				}
+
+				XMLUtility.getChildElements(propNode).forEach((propertyNode) => {
+					const name = XMLUtility.getElementName(propertyNode)
+					if (name === '{DAV:}resourcetype') {
+						resourceType.push(...XMLUtility.getChildElements(propertyNode)
+							.map(XMLUtility.getElementName)
+							.filter((type) => type !== '{DAV:}collection'))
+					} else {
+						props[name] = getPropertyValue(propertyNode)
+					}
+				})
+			})
+		}
+
+		this.addCollection(request.path, [...new Set(resourceType)], props)
+		return { status: 201 }
+	}
+
+	/**
+	 * @private
+	 * @param {FakeRequest} request - the GET request
+	 * @return {FakeResponse}
+	 */
+	_handleGet(request) {
+		const node = this._nodes[request.path]
+		if (!node) {
+			return { status: 404 }
+		}
+		if (node.isCollection) {
+			return { status: 405 }
+		}
+
+		return {
+			status: 200,
+			headers: {
+				'Content-Type': node.contentType,
+				ETag: node.etag,
+			},
+			body: node.data,
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {FakeRequest} request - the PUT request
+	 * @return {FakeResponse}
+	 */
+	_handlePut(request) {
+		const node = this._nodes[request.path]
+		if (node && node.isCollection) {
+			return { status: 405 }
+		}
+		if (!this._isCollection(getParentPath(request.path))) {
+			return { status: 409 }
+		}
+		if (!this._checkPreconditions(request, node)) {
+			return { status: 412 }
+		}
+
+		const data = request.body || ''
+		this._putObject(request.path, data, request.headers['content-type'] || guessContentType(data))
+
+		return {
+			status: node ? 204 : 201,
+			headers: {
+				ETag: this._nodes[request.path].etag,
+			},
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {FakeRequest} request - the DELETE request
+	 * @return {FakeResponse}
+	 */
+	_handleDelete(request) {
+		const node = this._nodes[request.path]
+		if (!node) {
+			return { status: 404 }
+		}
+		if (!this._checkPreconditions(request, node)) {
+			return { status: 412 }
+		}
+
+		this._removeNode(request.path)
+		return { status: 204 }
+	}
+
+	/**
+	 * @private
+	 * @param {FakeRequest} request - the COPY or MOVE request
+	 * @return {FakeResponse}
+	 */
+	_handleCopyMove(request) {
+		const node = this._nodes[request.path]
+		if (!node) {
+			return { status: 404 }
+		}
+		if (!request.headers.destination) {
+			return { status: 400 }
+		}
+
+		const destination = normalizePath(new URL(request.headers.destination, this.baseUrl).pathname)
+		if (destination === request.path || destination.startsWith(request.path + '/')) {
+			return { status: 403 }
+		}
+		if (!this._isCollection(getParentPath(destination))) {
+			return { status: 409 }
+		}
+
+		const exists = !!this._nodes[destination]
+		if (exists && request.headers.overwrite === 'F') {
+			return { status: 412 }
+		}
+		if (exists) {
+			this._removeNode(destination)
+		}
+
+		const isShallow = request.method === 'COPY' && request.headers.depth === '0'
+		const paths = [request.path, ...(isShallow ? [] : this._getDescendantPaths(request.path))]
+		paths.forEach((path) => {
+			const copy = Object.assign({}, this._nodes[path], {
+				props: Object.assign({}, this._nodes[path].props),
+				changes: [],
+				syncToken: ++this._syncToken,
+			})
+			if (!copy.isCollection) {
+				copy.etag = `"${copy.syncToken}"`
+			}
+
+			const target = destination + path.slice(request.path.length)
+			this._nodes[target] = copy
+			this._recordChange(target, false)
+		})
+
+		if (request.method === 'MOVE') {
+			this._removeNode(request.path)
+		}
+
+		return { status: exists ? 204 : 201 }
+	}
+
+	/**
+	 * @private
+	 * @param {FakeRequest} request - the REPORT request
+	 * @return {FakeResponse}
+	 */
+	_handleReport(request) {
+		const node = this._nodes[request.path]
+		if (!node) {
+			return { status: 404 }
+		}
+
+		const root = this._parseRoot(request.body)
+		const propNode = XMLUtility.getFirstChildElement(root, [NS.DAV, 'prop'])
+		const propNames = propNode === null
+			? null
+			: XMLUtility.getChildElements(propNode).map(XMLUtility.getElementName)
+
+		switch (XMLUtility.getElementName(root)) {
+		case `{${NS.IETF_CALDAV}}calendar-query`:
+			return this._handleQuery(request.path, propNames, (data) => {
+				return matchesCalendarFilter(data, XMLUtility.getFirstChildElement(root, [NS.IETF_CALDAV, 'filter']))
+			})
+
+		case `{${NS.IETF_CARDDAV}}addressbook-query`:
+			return this._handleQuery(request.path, propNames, (data) => {
+				return matchesAddressBookFilter(data, XMLUtility.getFirstChildElement(root, [NS.IETF_CARDDAV, 'filter']))
+			})
+
+		case `{${NS.IETF_CALDAV}}calendar-multiget`:
+		case `{${NS.IETF_CARDDAV}}addressbook-multiget`:
+			return this._multiStatus(XMLUtility.getChildElements(root, [NS.DAV, 'href']).map((hrefNode) => {
+				const path = normalizePath(new URL(XMLUtility.getTextContent(hrefNode).trim(), this.baseUrl).pathname)
+				if (!this._nodes[path]) {
+					return { href: XMLUtility.getTextContent(hrefNode).trim(), status: 404 }
+				}
+
+				return this._getPropStatResponse(path, propNames)
+			}))
+
+		case '{DAV:}sync-collection':
+			return this._handleSyncCollection(request.path, root, propNames)
+
+		default:
+			return this._error(403, [NS.DAV, 'supported-report'])
+		}
+	}
+
+	/**
+	 * answers calendar-query and addressbook-query reports
+	 *
+	 * @private
+	 * @param {string} path - path of the queried resource
+	 * @param {string[]|null} propNames - requested properties
+	 * @param {function(string): boolean} matches - checks whether the data of an object matches the query
+	 * @return {FakeResponse}
+	 */
+	_handleQuery(path, propNames, matches) {
+		const paths = this._nodes[path].isCollection
+			? this._getMemberPaths(path)
+			: [path]
+
+		return this._multiStatus(paths
+			.filter((memberPath) => !this._nodes[memberPath].isCollection && matches(this._nodes[memberPath].data))
+			.map((memberPath) => this._getPropStatResponse(memberPath, propNames)))
+	}
+
+	/**
+	 * answers sync-collection reports
+	 * https://tools.ietf.org/html/rfc6578#section-3.2
+	 *
+	 * @private
+	 * @param {string} path - path of the collection
+	 * @param {XmlNode} root - the sync-collection element
+	 * @param {string[]|null} propNames - requested properties
+	 * @return {FakeResponse}
+	 */
+	_handleSyncCollection(path, root, propNames) {
+		const node = this._nodes[path]
+		if (!node.isCollection) {
+			return this._error(403, [NS.DAV, 'sync-collection'])
+		}
+
+		const syncToken = XMLUtility.getChildTextContent(root, [NS.DAV, 'sync-token']).trim()
+		let since = 0
+		if (syncToken !== '') {
+			since = syncToken.startsWith(SYNC_TOKEN_PREFIX)
+				? parseInt(syncToken.slice(SYNC_TOKEN_PREFIX.length), 10)
+				: NaN
+			if (isNaN(since) || since > node.syncToken) {
+				return this._error(403, [NS.DAV, 'valid-sync-token'])
+			}
+		}
+
+		const latestChanges = {}
+		node.changes
+			.filter((change) => change.syncToken > since)
+			.forEach((change) => {
+				latestChanges[change.path] = change
+			})
+
+		let changes = Object.values(latestChanges)
+			.filter((change) => since !== 0 || !change.isDeleted)
+			.sort((a, b) => a.syncToken - b.syncToken)
+
+		const limit = parseInt(XMLUtility.getChildTextContent(root, [NS.DAV, 'limit'], [NS.DAV, 'nresults']), 10)
+		const isTruncated = !isNaN(limit) && changes.length > limit
+		if (isTruncated) {
+			changes = changes.slice(0, limit)
+		}
+
+		const responses = changes.map((change) => {
+			return change.isDeleted
+				? { href: this._getHref(change.path), status: 404 }
+				: this._getPropStatResponse(change.path, propNames)
+		})
+
+		let newSyncToken = node.syncToken
+		if (isTruncated) {
+			responses.push({ href: this._getHref(path), status: 507 })
+			newSyncToken = changes.length > 0 ? changes[changes.length - 1].syncToken : since
+		}
+
+		return this._multiStatus(responses, SYNC_TOKEN_PREFIX + newSyncToken)
+	}
+
+	/**
+	 * gets the response element listing the properties of a resource
+	 *
+	 * @private
+	 * @param {string} path - path of the resource
+	 * @param {string[]|null} propNames - requested properties, null for all
+	 * @return {{href: string, propStats: object}}
+	 */
+	_getPropStatResponse(path, propNames) {
+		const node = this._nodes[path]
+		const names = propNames || this._getAllPropNames(node)
+		const propStats = {}
+
+		names.forEach((name) => {
+			const value = this._getProperty(node, name)
+			const status = value === undefined ? 404 : 200
+			const element = { name: parseClarkName(name) }
+			if (typeof value === 'string') {
+				element.value = value
+			} else if (Array.isArray(value)) {
+				element.children = value
+			}
+
+			propStats[status] = propStats[status] || []
+			propStats[status].push(element)
+		})
+
+		return { href: this._getHref(path), propStats }
+	}
+
+	/**
+	 * gets the names of all properties of a resource
+	 *
+	 * @private
+	 * @param {object} node - the resource
+	 * @return {string[]}
+	 */
+	_getAllPropNames(node) {
+		const names = ['{DAV:}resourcetype', '{DAV:}getlastmodified', '{DAV:}current-user-privilege-set']
+		if (node.isCollection) {
+			names.push('{DAV:}sync-token', `{${NS.CALENDARSERVER}}getctag`, '{DAV:}supported-report-set')
+		} else {
+			names.push('{DAV:}getetag', '{DAV:}getcontenttype', '{DAV:}getcontentlength')
+		}
+
+		return [...names, ...Object.keys(node.props).filter((name) => !names.includes(name))]
+	}
+
+	/**
+	 * gets the value of a property, computing live properties
+	 *
+	 * @private
+	 * @param {object} node - the resource
+	 * @param {string} name - name of the property in clark notation
+	 * @return {string|object[]|undefined} undefined if the resource does not have the property
+	 */
+	_getProperty(node, name) {
+		switch (name) {
+		case '{DAV:}resourcetype':
+			return node.resourceType.map((type) => ({ name: parseClarkName(type) }))
+
+		case '{DAV:}getlastmodified':
+			return node.lastModified.toUTCString()
+
+		case '{DAV:}current-user-privilege-set':
+			return node.props[name] || DEFAULT_PRIVILEGES.map((privilege) => ({
+				name: [NS.DAV, 'privilege'],
+				children: [{ name: parseClarkName(privilege) }],
+			}))
+
+		case '{DAV:}sync-token':
+		case `{${NS.CALENDARSERVER}}getctag`:
+			return node.isCollection ? SYNC_TOKEN_PREFIX + node.syncToken : undefined
+
+		case '{DAV:}supported-report-set':
+			return node.isCollection
+				? getSupportedReports(node).map((report) => ({
+					name: [NS.DAV, 'supported-report'],
+					children: [{
+						name: [NS.DAV, 'report'],
+						children: [{ name: parseClarkName(report) }],
+					}],
+				}))
+				: undefined
+
+		case '{DAV:}getetag':
+			return node.etag || undefined
+
+		case '{DAV:}getcontenttype':
+			return node.contentType || undefined
+
+		case '{DAV:}getcontentlength':
+			return node.isCollection ? undefined : String(node.data.length)
+
+		case `{${NS.IETF_CALDAV}}calendar-data`:
+		case `{${NS.IETF_CARDDAV}}address-data`:
+			return node.isCollection ? undefined : node.data
+
+		default:
+			return node.props[name]
+		}
+	}
+
+	/**
+	 * checks the If-Match and If-None-Match headers of a request
+	 *
+	 * @private
+	 * @param {FakeRequest} request - the request
+	 * @param {object|undefined} node - the requested resource
+	 * @return {boolean}
+	 */
+	_checkPreconditions(request, node) {
+		const ifMatch = request.headers['if-match']
+		const ifNoneMatch = request.headers['if-none-match']
+
+		if (ifMatch && (!node || (ifMatch !== '*' && ifMatch !== node.etag))) {
+			return false
+		}
+		if (ifNoneMatch && node && (ifNoneMatch === '*' || ifNoneMatch === node.etag)) {
+			return false
+		}
+
+		return true
+	}
+
+	/**
+	 * stores an object, recording the change in its collection
+	 *
+	 * @private
+	 * @param {string} key - path of the object
+	 * @param {string} data - content of the object
+	 * @param {string} contentType - content-type of the object
+	 */
+	_putObject(key, data, contentType) {
+		const syncToken = ++this._syncToken
+		const previous = this._nodes[key]
+
+		this._nodes[key] = {
+			isCollection: false,
+			resourceType: [],
+			props: previous ? previous.props : {},
+			data,
+			contentType,
+			etag: `"${syncToken}"`,
+			lastModified: new Date(),
+			syncToken,
+			changes: [],
+		}
+		this._recordChange(key, false)
+	}
+
+	/**
+	 * removes a resource and its members, recording the change in its collection
+	 *
+	 * @private
+	 * @param {string} key - path of the resource
+	 */
+	_removeNode(key) {
+		if (!this._nodes[key]) {
+			return
+		}
+
+		this._getDescendantPaths(key).forEach((path) => {
+			delete this._nodes[path]
+		})
+		delete this._nodes[key]
+
+		++this._syncToken
+		this._recordChange(key, true)
+	}
+
+	/**
+	 * records a change of a member in the change log of its collection
+	 *
+	 * @private
+	 * @param {string} key - path of the changed member
+	 * @param {boolean} isDeleted - whether the member was deleted
+	 */
+	_recordChange(key, isDeleted) {
+		const parent = this._nodes[getParentPath(key)]
+		if (key === getParentPath(key) || !parent || !parent.isCollection) {
+			return
+		}
+
+		parent.syncToken = this._syncToken
+		parent.changes.push({
+			path: key,
+			isDeleted,
+			syncToken: this._syncToken,
+		})
+	}
+
+	/**
+	 * creates missing parents of a resource as plain collections
+	 *
+	 * @private
+	 * @param {string} key - path of the resource
+	 */
+	_ensureParent(key) {
+		const parentKey = getParentPath(key)
+		if (parentKey !== key && !this._nodes[parentKey]) {
+			this.addCollection(parentKey)
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} key - path of a resource
+	 * @return {boolean}
+	 */
+	_isCollection(key) {
+		return !!this._nodes[key] && this._nodes[key].isCollection
+	}
+
+	/**
+	 * gets the paths of the direct members of a collection
+	 *
+	 * @private
+	 * @param {string} key - path of the collection
+	 * @return {string[]}
+	 */
+	_getMemberPaths(key) {
+		return Object.keys(this._nodes)
+			.filter((path) => path !== key && getParentPath(path) === key)
+			.sort()
+	}
+
+	/**
+	 * gets the paths of all members of a collection, recursively
+	 *
+	 * @private
+	 * @param {string} key - path of the collection
+	 * @return {string[]}
+	 */
+	_getDescendantPaths(key) {
+		const prefix = key === '/' ? '/' : key + '/'
+		return Object.keys(this._nodes)
+			.filter((path) => path !== key && path.startsWith(prefix))
+			.sort()
+	}
+
+	/**
+	 * @private
+	 * @param {string} key - path of a resource
+	 * @return {string} the href of the resource, collections ending with a slash
+	 */
+	_getHref(key) {
+		const node = this._nodes[key]
+		return node && node.isCollection && key !== '/' ? key + '/' : key
+	}
+
+	/**
+	 * parses a request body
+	 *
+	 * @private
+	 * @param {string} body - XML request body
+	 * @return {XmlNode} the root element
+	 */
+	_parseRoot(body) {
+		return XMLUtility.getFirstChildElement(XMLUtility.parse(body, this.xmlEnvironment))
+	}
+
+	/**
+	 * creates a multistatus response
+	 *
+	 * @private
+	 * @param {{href: string, status: number=, propStats: object=}[]} responses - response elements to include
+	 * @param {string|null} syncToken - sync-token to include
+	 * @return {FakeResponse}
+	 */
+	_multiStatus(responses, syncToken = null) {
+		const [skeleton] = XMLUtility.getRootSkeleton(
+			[NS.DAV, 'multistatus'])
+
+		responses.forEach(({ href, status, propStats }) => {
+			const children = [{
+				name: [NS.DAV, 'href'],
+				value: href,
+			}]
+
+			if (propStats) {
+				Object.entries(propStats).forEach(([propStatStatus, props]) => {
+					children.push({
+						name: [NS.DAV, 'propstat'],
+						children: [{
+							name: [NS.DAV, 'prop'],
+							children: props,
+						}, {
+							name: [NS.DAV, 'status'],
+							value: getStatusLine(propStatStatus),
+						}],
+					})
+				})
+			} else {
+				children.push({
+					name: [NS.DAV, 'status'],
+					value: getStatusLine(status),
+				})
+			}
+
+			skeleton.children.push({
+				name: [NS.DAV, 'response'],
+				children,
+			})
+		})
+
+		if (syncToken !== null) {
+			skeleton.children.push({
+				name: [NS.DAV, 'sync-token'],
+				value: syncToken,
+			})
+		}
+
+		return {
+			status: 207,
+			headers: {
+				'Content-Type': 'application/xml; charset=utf-8',
+			},
+			body: this._serialize(skeleton),
+		}
+	}
+
+	/**
+	 * creates an error response with a DAV:error body
+	 *
+	 * @private
+	 * @param {number} status - HTTP status code
+	 * @param {string[]} condition - [namespace, localName] of the violated precondition
+	 * @return {FakeResponse}
+	 */
+	_error(status, condition) {
+		const [skeleton] = XMLUtility.getRootSkeleton(
+			[NS.DAV, 'error'],
+			condition)
+
+		return {
+			status,
+			headers: {
+				'Content-Type': 'application/xml; charset=utf-8',
+			},
+			body: this._serialize(skeleton),
+		}
+	}
+
+	/**
+	 * serializes a response body without touching
+	 * the prefixes used for request bodies
+	 *
+	 * @private
+	 * @param {object} skeleton - simple xml representation
+	 * @return {string}
+	 */
+	_serialize(skeleton) {
+		return this.xmlEnvironment.serialize(skeleton, (ns) => {
+			const prefix = Object.keys(NS.NS_MAP).find((key) => NS.NS_MAP[key] === ns)
+			if (prefix) {
+				return prefix
+			}
+
+			if (!this._prefixes[ns]) {
+				this._prefixes[ns] = 'x' + Object.keys(this._prefixes).length
+			}
+			return this._prefixes[ns]
+		})
+	}
+
+	/**
+	 * creates the normalized transport response
+	 *
+	 * @private
+	 * @param {string} url - url of the request
+	 * @param {FakeResponse} fakeResponse - response to send
+	 * @return {import('../request.js').TransportResponse}
+	 */
+	_createResponse(url, { status, headers = {}, body = '' }) {
+		const responseHeaders = new Headers({
+			DAV: this.features.join(', '),
+		})
+		Object.entries(headers).forEach(([name, value]) => {
+			if (value !== null && value !== undefined) {
+				responseHeaders.set(name, value)
+			}
+		})
+
+		return {
+			body: body === null ? '' : body,
+			status,
+			headers: responseHeaders,
+			url,
+		}
+	}
+
+}
+
+/**
+ * gets the path of a resource without trailing slash
+ *
+ * @param {string} path - path of a resource
+ * @return {string}
+ */
+function normalizePath(path) {
+	if (!path.startsWith('/')) {
+		path = '/' + path
+	}
+
+	return path.length > 1 ? path.replace(/\/+$/, '') || '/' : path
+}
+
+/**
+ * @param {string} key - normalized path of a resource
+ * @return {string} the normalized path of its parent, the root is its own parent
+ */
+function getParentPath(key) {
+	const slashPos = key.lastIndexOf('/')
+	return slashPos <= 0 ? '/' : key.slice(0, slashPos)
+}
+
+/**
+ * @param {string} name - name in clark notation like {DAV:}displayname
+ * @return {string[]} [namespace, localName]
+ */
+function parseClarkName(name) {
+	const match = /^\{(.*)\}(.+)$/.exec(name)
+	return match ? [match[1], match[2]] : ['', name]
+}
+
+/**
+ * gets the stored value of a property element, its text content
+ * or its child elements in the simple xml representation
+ *
+ * @param {XmlNode} node - the property element
+ * @return {string|object[]}
+ */
+function getPropertyValue(node) {
+	const childElements = XMLUtility.getChildElements(node)
+	if (childElements.length === 0) {
+		return XMLUtility.getTextContent(node)
+	}
+
+	return childElements.map(getSkeleton)
+}
+
+/**
+ * converts an element into the simple xml representation
+ *
+ * @param {XmlNode} node - the element
+ * @return {object}
+ */
+function getSkeleton(node) {
+	const skeleton = {
+		name: [node.namespaceURI || '', node.localName],
+		attributes: Array.from(node.attributes || [])
+			.filter((attribute) => attribute.name !== 'xmlns' && !attribute.name.startsWith('xmlns:'))
+			.map((attribute) => attribute.namespaceURI
+				? [attribute.namespaceURI, attribute.localName, attribute.value]
+				: [attribute.name, attribute.value]),
+	}
+
+	const value = getPropertyValue(node)
+	if (typeof value === 'string') {
+		skeleton.value = value
+	} else {
+		skeleton.children = value
+	}
+
+	return skeleton
+}
+
+/**
+ * @param {object} node - a collection
+ * @return {string[]} reports supported by the collection in clark notation
+ */
+function getSupportedReports(node) {
+	const reports = ['{DAV:}sync-collection']
+	if (node.resourceType.includes(`{${NS.IETF_CALDAV}}calendar`)) {
+		reports.push(`{${NS.IETF_CALDAV}}calendar-query`, `{${NS.IETF_CALDAV}}calendar-multiget`)
+	}
+	if (node.resourceType.includes(`{${NS.IETF_CARDDAV}}addressbook`)) {
+		reports.push(`{${NS.IETF_CARDDAV}}addressbook-query`, `{${NS.IETF_CARDDAV}}addressbook-multiget`)
+	}
+
+	return reports
+}
+
+/**
+ * @param {string} data - content of an object
+ * @return {string} the content-type matching the data
+ */
+function guessContentType(data) {
+	if (/^BEGIN:VCALENDAR/i.test(data)) {
+		return 'text/calendar; charset=utf-8'
+	}
+	if (/^BEGIN:VCARD/i.test(data)) {
+		return 'text/vcard; charset=utf-8'
+	}
+
+	return 'application/octet-stream'
+}
+
+/**
+ * @param {number|string} status - HTTP status code
+ * @return {string} the status line as used in multistatus responses
+ */
+function getStatusLine(status) {
+	return `HTTP/1.1 ${status} ${REASON_PHRASES[status] || ''}`.trim()
+}
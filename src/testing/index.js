@@ -0,0 +1,12 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+export { FakeDavServer } from './fakeDavServer.js'
+export { RecordingTransport } from './recordingTransport.js'
+export { ReplayTransport } from './replayTransport.js'
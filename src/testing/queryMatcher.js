@@ -0,0 +1,334 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as NS from '../utility/namespaceUtility.js'
+import * as XMLUtility from '../utility/xmlUtility.js'
+import { parseDateTime, parseDuration } from '../utility/freeBusyUtility.js'
+
+/**
+ * @typedef {import('../utility/xmlUtility.js').XmlNode} XmlNode
+ */
+
+/**
+ * @typedef {object} Component
+ * @property {string} name - name of the component, e.g. VEVENT
+ * @property {{name: string, parameters: object, value: string}[]} properties - properties of the component
+ * @property {Component[]} components - sub-components
+ */
+
+/**
+ * parses iCalendar or vCard data into a tree of components
+ *
+ * @param {string} data - iCalendar or vCard data
+ * @return {Component|null} the root component
+ */
+export function parseComponents(data) {
+	const stack = [{ name: null, properties: [], components: [] }]
+
+	data.replace(/\r?\n[ \t]/g, '')
+		.split(/\r?\n/)
+		.filter((line) => line !== '')
+		.forEach((line) => {
+			const property = parseProperty(line)
+			if (property === null) {
+				return
+			}
+
+			if (property.name === 'BEGIN') {
+				const component = { name: property.value.toUpperCase(), properties: [], components: [] }
+				stack[stack.length - 1].components.push(component)
+				stack.push(component)
+			} else if (property.name === 'END') {
+				if (stack.length > 1) {
+					stack.pop()
+				}
+			} else {
+				stack[stack.length - 1].properties.push(property)
+			}
+		})
+
+	return stack[0].components[0] || null
+}
+
+/**
+ * checks whether calendar data matches a {urn:ietf:params:xml:ns:caldav}filter
+ * https://tools.ietf.org/html/rfc4791#section-9.7
+ *
+ * Time-ranges are compared against the first instance only,
+ * floating and local times are treated as UTC.
+ *
+ * @param {string} data - iCalendar data
+ * @param {XmlNode|null} filterNode - the filter element, null matches everything
+ * @return {boolean}
+ */
+export function matchesCalendarFilter(data, filterNode) {
+	if (filterNode === null) {
+		return true
+	}
+
+	const root = parseComponents(data)
+	const compFilterNode = XMLUtility.getFirstChildElement(filterNode, [NS.IETF_CALDAV, 'comp-filter'])
+	if (root === null || compFilterNode === null) {
+		return root !== null
+	}
+
+	return matchesCompFilter([root], compFilterNode)
+}
+
+/**
+ * checks whether vCard data matches a {urn:ietf:params:xml:ns:carddav}filter
+ * https://tools.ietf.org/html/rfc6352#section-10.5
+ *
+ * @param {string} data - vCard data
+ * @param {XmlNode|null} filterNode - the filter element, null matches everything
+ * @return {boolean}
+ */
+export function matchesAddressBookFilter(data, filterNode) {
+	const root = parseComponents(data)
+	if (root === null) {
+		return false
+	}
+	if (filterNode === null) {
+		return true
+	}
+
+	const propFilterNodes = XMLUtility.getChildElements(filterNode, [NS.IETF_CARDDAV, 'prop-filter'])
+	if (propFilterNodes.length === 0) {
+		return true
+	}
+
+	const matches = (propFilterNode) => matchesPropFilter(root, propFilterNode, NS.IETF_CARDDAV)
+	return filterNode.getAttribute('test') === 'allof'
+		? propFilterNodes.every(matches)
+		: propFilterNodes.some(matches)
+}
+
+/**
+ * checks whether one of the components matches a comp-filter
+ *
+ * @param {Component[]} components - components to check
+ * @param {XmlNode} compFilterNode - the comp-filter element
+ * @return {boolean}
+ */
+function matchesCompFilter(components, compFilterNode) {
+	const name = compFilterNode.getAttribute('name').toUpperCase()
+	const candidates = components.filter((component) => component.name === name)
+
+	if (XMLUtility.getFirstChildElement(compFilterNode, [NS.IETF_CALDAV, 'is-not-defined']) !== null) {
+		return candidates.length === 0
+	}
+
+	return candidates.some((component) => {
+		const timeRangeNode = XMLUtility.getFirstChildElement(compFilterNode, [NS.IETF_CALDAV, 'time-range'])
+		if (timeRangeNode !== null && !matchesTimeRange(component, timeRangeNode)) {
+			return false
+		}
+
+		return XMLUtility.getChildElements(compFilterNode, [NS.IETF_CALDAV, 'prop-filter'])
+			.every((propFilterNode) => matchesPropFilter(component, propFilterNode, NS.IETF_CALDAV))
+			&& XMLUtility.getChildElements(compFilterNode, [NS.IETF_CALDAV, 'comp-filter'])
+				.every((childFilterNode) => matchesCompFilter(component.components, childFilterNode))
+	})
+}
+
+/**
+ * checks whether a component matches a prop-filter
+ *
+ * CalDAV prop-filters require all conditions to match,
+ * CardDAV prop-filters combine them as specified by their test attribute.
+ *
+ * @param {Component} component - component to check
+ * @param {XmlNode} propFilterNode - the prop-filter element
+ * @param {string} ns - namespace of the filter elements
+ * @return {boolean}
+ */
+function matchesPropFilter(component, propFilterNode, ns) {
+	const name = propFilterNode.getAttribute('name').toUpperCase()
+	const properties = component.properties.filter((property) => property.name === name)
+
+	if (XMLUtility.getFirstChildElement(propFilterNode, [ns, 'is-not-defined']) !== null) {
+		return properties.length === 0
+	}
+
+	const conditions = [
+		...XMLUtility.getChildElements(propFilterNode, [ns, 'text-match']).map((textMatchNode) => {
+			return (property) => matchesTextMatch(property.value, textMatchNode)
+		}),
+		...XMLUtility.getChildElements(propFilterNode, [ns, 'param-filter']).map((paramFilterNode) => {
+			return (property) => matchesParamFilter(property, paramFilterNode, ns)
+		}),
+	]
+
+	const isAllOf = ns === NS.IETF_CALDAV || propFilterNode.getAttribute('test') === 'allof'
+	return properties.some((property) => {
+		if (conditions.length === 0) {
+			return true
+		}
+
+		return isAllOf
+			? conditions.every((condition) => condition(property))
+			: conditions.some((condition) => condition(property))
+	})
+}
+
+/**
+ * checks whether a property matches a param-filter
+ *
+ * @param {{parameters: object}} property - property to check
+ * @param {XmlNode} paramFilterNode - the param-filter element
+ * @param {string} ns - namespace of the filter elements
+ * @return {boolean}
+ */
+function matchesParamFilter(property, paramFilterNode, ns) {
+	const value = property.parameters[paramFilterNode.getAttribute('name').toUpperCase()]
+
+	if (XMLUtility.getFirstChildElement(paramFilterNode, [ns, 'is-not-defined']) !== null) {
+		return value === undefined
+	}
+	if (value === undefined) {
+		return false
+	}
+
+	const textMatchNode = XMLUtility.getFirstChildElement(paramFilterNode, [ns, 'text-match'])
+	return textMatchNode === null || matchesTextMatch(value, textMatchNode)
+}
+
+/**
+ * checks whether a value matches a text-match
+ *
+ * @param {string} value - value to check
+ * @param {XmlNode} textMatchNode - the text-match element
+ * @return {boolean}
+ */
+function matchesTextMatch(value, textMatchNode) {
+	const isCaseSensitive = textMatchNode.getAttribute('collation') === 'i;octet'
+	const matchType = textMatchNode.getAttribute('match-type') || 'contains'
+	const isNegated = textMatchNode.getAttribute('negate-condition') === 'yes'
+
+	let haystack = value
+	let needle = XMLUtility.getTextContent(textMatchNode)
+	if (!isCaseSensitive) {
+		haystack = haystack.toLowerCase()
+		needle = needle.toLowerCase()
+	}
+
+	let isMatch
+	switch (matchType) {
+	case 'equals':
+		isMatch = haystack === needle
+		break
+
+	case 'starts-with':
+		isMatch = haystack.startsWith(needle)
+		break
+
+	case 'ends-with':
+		isMatch = haystack.endsWith(needle)
+		break
+
+	default:
+		isMatch = haystack.includes(needle)
+		break
+	}
+
+	return isMatch !== isNegated
+}
+
+/**
+ * checks whether a component overlaps a time-range
+ * https://tools.ietf.org/html/rfc4791#section-9.9
+ *
+ * @param {Component} component - component to check
+ * @param {XmlNode} timeRangeNode - the time-range element
+ * @return {boolean}
+ */
+function matchesTimeRange(component, timeRangeNode) {
+	const startValue = timeRangeNode.getAttribute('start')
+	const endValue = timeRangeNode.getAttribute('end')
+	const rangeStart = startValue ? parseDateTime(startValue) : null
+	const rangeEnd = endValue ? parseDateTime(endValue) : null
+
+	const getValue = (name) => {
+		const property = component.properties.find((property) => property.name === name)
+		return property ? property.value : null
+	}
+
+	const dtStart = getValue('DTSTART')
+	if (dtStart === null) {
+		return true
+	}
+
+	const start = parseDateOrDateTime(dtStart)
+	const dtEnd = getValue('DTEND') || getValue('DUE')
+	const duration = getValue('DURATION')
+
+	let end
+	if (dtEnd !== null) {
+		end = parseDateOrDateTime(dtEnd)
+	} else if (duration !== null) {
+		end = new Date(start.getTime() + parseDuration(duration))
+	} else if (dtStart.length === 8) {
+		end = new Date(start.getTime() + 86400000)
+	} else {
+		end = start
+	}
+
+	if (end.getTime() === start.getTime()) {
+		return (rangeStart === null || start >= rangeStart) && (rangeEnd === null || start < rangeEnd)
+	}
+
+	return (rangeStart === null || end > rangeStart) && (rangeEnd === null || start < rangeEnd)
+}
+
+/**
+ * parses a DATE or DATE-TIME value
+ *
+ * @param {string} value - value like 20060104 or 20060104T140000Z
+ * @return {Date}
+ */
+function parseDateOrDateTime(value) {
+	if (value.length === 8) {
+		return new Date(Date.UTC(
+			parseInt(value.slice(0, 4), 10),
+			parseInt(value.slice(4, 6), 10) - 1,
+			parseInt(value.slice(6, 8), 10),
+		))
+	}
+
+	return parseDateTime(value)
+}
+
+/**
+ * parses a content line into name, parameters and value,
+ * dropping the group of grouped vCard properties
+ *
+ * @param {string} line - unfolded content line
+ * @return {{name: string, parameters: object, value: string}|null}
+ */
+function parseProperty(line) {
+	const colonPos = line.indexOf(':')
+	if (colonPos === -1) {
+		return null
+	}
+
+	const [nameWithGroup, ...rawParameters] = line.slice(0, colonPos).split(';')
+	const parameters = {}
+	rawParameters.forEach((rawParameter) => {
+		const equalsPos = rawParameter.indexOf('=')
+		if (equalsPos !== -1) {
+			parameters[rawParameter.slice(0, equalsPos).toUpperCase()] = rawParameter.slice(equalsPos + 1).replace(/^"(.*)"$/, '$1')
+		}
+	})
+
+	return {
+		name: nameWithGroup.split('.').pop().toUpperCase(),
+		parameters,
+		value: line.slice(colonPos + 1),
+	}
+}
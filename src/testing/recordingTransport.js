@@ -0,0 +1,186 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+const DEFAULT_REDACTED_HEADERS = ['Authorization', 'Cookie', 'Set-Cookie']
+
+/**
+ * @typedef {object} RecordedHeader
+ * @property {string} name - name of the header
+ * @property {string} value - value of the header
+ */
+
+/**
+ * Request and response pair in the format of a HAR entry
+ * http://www.softwareishard.com/blog/har-12-spec/#entries
+ *
+ * @typedef {object} RecordedEntry
+ * @property {string} startedDateTime - time the request was sent at, as ISO 8601 string
+ * @property {number} time - time it took to receive the response, in milliseconds
+ * @property {{method: string, url: string, headers: RecordedHeader[], postData: {mimeType: string, text: string}=}} request - the request
+ * @property {{status: number, statusText: string, headers: RecordedHeader[], content: {mimeType: string, text: string}}} response - the response
+ */
+
+/**
+ * Recording of DAV traffic in a HAR-like format,
+ * see RecordingTransport and ReplayTransport
+ *
+ * @typedef {object} Recording
+ * @property {{version: string, creator: {name: string}, entries: RecordedEntry[]}} log - the recorded entries
+ */
+
+/**
+ * Transport recording all requests sent through another transport
+ * along with the raw responses, to capture the traffic with a server
+ *
+ * Unlike middleware, it sees the responses before multistatus bodies are parsed.
+ * The recording is JSON-serializable and can be replayed using ReplayTransport:
+ *
+ *     const recorder = new RecordingTransport(new FetchTransport())
+ *     const client = new DavClient({ rootUrl, transport: recorder })
+ *     // ...
+ *     fs.writeFileSync('traffic.har', JSON.stringify(recorder, null, '\t'))
+ *
+ * Credentials are redacted by default, requests failing
+ * without a response are not recorded.
+ */
+export class RecordingTransport {
+
+	/**
+	 * @param {import('../request.js').Transport} transport - transport to send requests with
+	 * @param {object} options
+	 * @param {string[]=} options.redactHeaders - headers whose values must not be recorded
+	 */
+	constructor(transport, { redactHeaders = DEFAULT_REDACTED_HEADERS } = {}) {
+		/**
+		 * Transport to send requests with
+		 *
+		 * @type {import('../request.js').Transport}
+		 */
+		this.transport = transport
+
+		/**
+		 * Lowercase names of headers whose values must not be recorded
+		 *
+		 * @type {string[]}
+		 */
+		this.redactHeaders = redactHeaders.map((name) => name.toLowerCase())
+
+		/**
+		 * Entries recorded so far
+		 *
+		 * @type {RecordedEntry[]}
+		 */
+		this.entries = []
+	}
+
+	/**
+	 * sends a request through the wrapped transport and records it
+	 *
+	 * @param {string} method - HTTP Method name
+	 * @param {string} url - absolute URL to do the request on
+	 * @param {object} headers - HTTP headers to send
+	 * @param {string} body - request body
+	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
+	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {AbortSignal=} signal - signal to abort the request with
+	 * @return {Promise<import('../request.js').TransportResponse>}
+	 */
+	async send(method, url, headers, body, beforeRequestHandler, afterRequestHandler, signal) {
+		const startedDateTime = new Date()
+		const response = await this.transport.send(method, url, headers, body, beforeRequestHandler, afterRequestHandler, signal)
+
+		const requestHeaders = Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }))
+		const responseHeaders = []
+		response.headers.forEach((value, name) => {
+			responseHeaders.push({ name, value })
+		})
+
+		const request = {
+			method,
+			url,
+			headers: this._redact(requestHeaders),
+		}
+		if (body !== null && body !== undefined) {
+			request.postData = {
+				mimeType: getMimeType(requestHeaders),
+				text: body,
+			}
+		}
+
+		this.entries.push({
+			startedDateTime: startedDateTime.toISOString(),
+			time: Date.now() - startedDateTime.getTime(),
+			request,
+			response: {
+				status: response.status,
+				statusText: '',
+				headers: this._redact(responseHeaders),
+				content: {
+					mimeType: getMimeType(responseHeaders),
+					text: response.body || '',
+				},
+			},
+		})
+
+		return response
+	}
+
+	/**
+	 * removes all recorded entries
+	 *
+	 * @return {RecordingTransport}
+	 */
+	clear() {
+		this.entries = []
+		return this
+	}
+
+	/**
+	 * gets the recording, called by JSON.stringify
+	 *
+	 * @return {Recording}
+	 */
+	toJSON() {
+		return {
+			log: {
+				version: '1.2',
+				creator: {
+					name: '@nextcloud/cdav-library',
+				},
+				entries: this.entries,
+			},
+		}
+	}
+
+	/**
+	 * replaces the values of redacted headers
+	 *
+	 * @private
+	 * @param {RecordedHeader[]} headers - headers to redact
+	 * @return {RecordedHeader[]}
+	 */
+	_redact(headers) {
+		return headers.map(({ name, value }) => ({
+			name,
+			value: this.redactHeaders.includes(name.toLowerCase()) ? 'REDACTED' : value,
+		}))
+	}
+
+}
+
+/**
+ * gets the value of the Content-Type header
+ *
+ * @param {RecordedHeader[]} headers - headers of the request or response
+ * @return {string}
+ */
+function getMimeType(headers) {
+	const header = headers.find(({ name }) => name.toLowerCase() === 'content-type')
+	return header ? header.value : ''
+}
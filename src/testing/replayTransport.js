@@ -0,0 +1,207 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as XMLUtility from '../utility/xmlUtility.js'
+import NetworkRequestAbortedError from '../errors/networkRequestAbortedError.js'
+
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/'
+
+/**
+ * Transport serving the responses of a recording made with RecordingTransport,
+ * to reproduce the traffic with a server without the server
+ *
+ * Requests are matched by method, url and body. XML bodies match regardless
+ * of namespace prefixes and whitespace between elements. Entries are served
+ * in the order they were recorded, once all entries matching a request were
+ * served, the last of them is served again.
+ */
+export class ReplayTransport {
+
+	/**
+	 * @param {import('./recordingTransport.js').Recording|string} recording - the recording, as object or JSON
+	 * @param {object} options
+	 * @param {import('../utility/xmlUtility.js').XmlEnvironment=} options.xmlEnvironment - XML environment to parse bodies with
+	 */
+	constructor(recording, { xmlEnvironment = null } = {}) {
+		if (typeof recording === 'string') {
+			recording = JSON.parse(recording)
+		}
+
+		/**
+		 * XML environment to parse bodies with
+		 *
+		 * @type {import('../utility/xmlUtility.js').XmlEnvironment}
+		 */
+		this.xmlEnvironment = xmlEnvironment || XMLUtility.getDefaultXmlEnvironment()
+
+		/**
+		 * Recorded entries to serve
+		 *
+		 * @type {import('./recordingTransport.js').RecordedEntry[]}
+		 */
+		this.entries = recording.log.entries
+
+		/**
+		 * Indices of the entries served so far
+		 *
+		 * @type {Set<number>}
+		 * @private
+		 */
+		this._served = new Set()
+	}
+
+	/**
+	 * serves the recorded response of a request
+	 *
+	 * @param {string} method - HTTP Method name
+	 * @param {string} url - absolute URL to do the request on
+	 * @param {object} headers - HTTP headers to send
+	 * @param {string} body - request body
+	 * @param {Function} beforeRequestHandler - called with the request
+	 * @param {Function} afterRequestHandler - called with the response
+	 * @param {AbortSignal=} signal - signal to abort the request with
+	 * @return {Promise<import('../request.js').TransportResponse>}
+	 */
+	async send(method, url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, signal = null) {
+		if (signal && signal.aborted) {
+			throw new NetworkRequestAbortedError({
+				body: null,
+				status: -1,
+			})
+		}
+
+		beforeRequestHandler({ method, url, headers, body })
+
+		const index = this._findEntry(method, url, body)
+		if (index === -1) {
+			throw new Error(`No recorded response for ${method} ${url}`)
+		}
+		this._served.add(index)
+
+		const recordedResponse = this.entries[index].response
+		const response = {
+			body: recordedResponse.content.text,
+			status: recordedResponse.status,
+			headers: new Headers(recordedResponse.headers.map(({ name, value }) => [name, value])),
+			url,
+		}
+		afterRequestHandler(response)
+
+		return response
+	}
+
+	/**
+	 * gets whether all recorded entries were served
+	 *
+	 * @return {boolean}
+	 */
+	isDone() {
+		return this._served.size === this.entries.length
+	}
+
+	/**
+	 * finds the entry to serve for a request
+	 *
+	 * @private
+	 * @param {string} method - HTTP Method name
+	 * @param {string} url - absolute URL of the request
+	 * @param {string} body - request body
+	 * @return {number} index of the entry or -1 if no entry matches
+	 */
+	_findEntry(method, url, body) {
+		const normalizedUrl = normalizeUrl(url)
+		const normalizedBody = this._normalizeBody(body)
+
+		const indices = this.entries
+			.map((entry, index) => index)
+			.filter((index) => {
+				const { request } = this.entries[index]
+				return request.method.toUpperCase() === method.toUpperCase()
+					&& normalizeUrl(request.url) === normalizedUrl
+					&& this._normalizeBody(request.postData ? request.postData.text : null) === normalizedBody
+			})
+
+		const unserved = indices.find((index) => !this._served.has(index))
+		if (unserved !== undefined) {
+			return unserved
+		}
+
+		return indices.length === 0 ? -1 : indices[indices.length - 1]
+	}
+
+	/**
+	 * normalizes a request body for matching
+	 *
+	 * @private
+	 * @param {string|null} body - request body
+	 * @return {string}
+	 */
+	_normalizeBody(body) {
+		if (body === null || body === undefined) {
+			return ''
+		}
+
+		const trimmedBody = body.trim()
+		if (!trimmedBody.startsWith('<')) {
+			return trimmedBody.replace(/\r\n/g, '\n')
+		}
+
+		try {
+			return canonicalize(XMLUtility.getFirstChildElement(XMLUtility.parse(trimmedBody, this.xmlEnvironment)))
+		} catch (error) {
+			return trimmedBody
+		}
+	}
+
+}
+
+/**
+ * normalizes a url for matching
+ *
+ * @param {string} url - absolute url
+ * @return {string}
+ */
+function normalizeUrl(url) {
+	try {
+		return new URL(url).href
+	} catch (error) {
+		return url
+	}
+}
+
+/**
+ * serializes an element using clark notation,
+ * ignoring namespace declarations and whitespace between elements
+ *
+ * @param {import('../utility/xmlUtility.js').XmlNode} node - element to serialize
+ * @return {string}
+ */
+function canonicalize(node) {
+	const attributes = Array.from(node.attributes || [])
+		.filter((attribute) => attribute.namespaceURI !== XMLNS_NAMESPACE && attribute.name !== 'xmlns' && !attribute.name.startsWith('xmlns:'))
+		.map((attribute) => {
+			const name = attribute.namespaceURI ? `{${attribute.namespaceURI}}${attribute.localName}` : attribute.name
+			return ` ${name}=${JSON.stringify(attribute.value)}`
+		})
+		.sort()
+		.join('')
+
+	const children = Array.from(node.childNodes)
+		.map((childNode) => {
+			if (childNode.nodeType === 1) {
+				return canonicalize(childNode)
+			}
+
+			// Text and CDATA sections
+			return childNode.nodeType === 3 || childNode.nodeType === 4 ? childNode.textContent.trim() : ''
+		})
+		.join('')
+
+	return `<${XMLUtility.getElementName(node)}${attributes}>${children}</>`
+}
@@ -0,0 +1,101 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import NetworkRequestAbortedError from '../errors/networkRequestAbortedError.js'
+import NetworkRequestError from '../errors/networkRequestError.js'
+
+/**
+ * Transport sending requests using the Fetch API,
+ * usable in Node.js and web workers
+ *
+ * beforeRequestHandler is called with the RequestInit object passed to fetch
+ * and may modify it, afterRequestHandler is called with the fetch Response
+ */
+export class FetchTransport {
+
+	/**
+	 * Creates a new FetchTransport object
+	 *
+	 * @param {Function} fetchProvider - fetch implementation to use
+	 */
+	constructor(fetchProvider = (...args) => fetch(...args)) {
+		this.fetchProvider = fetchProvider
+	}
+
+	/**
+	 * sends a request
+	 *
+	 * @param {string} method - HTTP Method name
+	 * @param {string} url - absolute URL to do the request on
+	 * @param {object} headers - HTTP headers to send
+	 * @param {string} body - request body
+	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
+	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {AbortSignal=} signal - signal to abort the request with
+	 * @return {Promise<import('../request.js').TransportResponse>}
+	 */
+	async send(method, url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, signal = null) {
+		const init = {
+			method,
+			headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, String(value)])),
+		}
+
+		if (body !== null && body !== undefined) {
+			init.body = body
+		}
+		if (signal) {
+			init.signal = signal
+		}
+
+		beforeRequestHandler(init)
+
+		let response
+		try {
+			response = await this.fetchProvider(url, init)
+		} catch (error) {
+			throw getNetworkError(error)
+		}
+
+		afterRequestHandler(response)
+
+		let responseBody
+		try {
+			responseBody = await response.text()
+		} catch (error) {
+			throw getNetworkError(error)
+		}
+
+		return {
+			body: responseBody,
+			status: response.status,
+			headers: response.headers,
+			url: response.url || url,
+		}
+	}
+
+}
+
+/**
+ * wraps an error thrown by fetch
+ *
+ * @param {Error} error - error thrown while sending the request or receiving the response
+ * @return {NetworkRequestError}
+ * @private
+ */
+function getNetworkError(error) {
+	const ErrorClass = error.name === 'AbortError'
+		? NetworkRequestAbortedError
+		: NetworkRequestError
+
+	return new ErrorClass({
+		body: null,
+		status: -1,
+		error,
+	})
+}
@@ -0,0 +1,140 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import NetworkRequestAbortedError from '../errors/networkRequestAbortedError.js'
+import NetworkRequestError from '../errors/networkRequestError.js'
+
+/**
+ * Transport sending requests using the XMLHttpRequest API
+ *
+ * beforeRequestHandler and afterRequestHandler are called with the XMLHttpRequest object
+ */
+export class XhrTransport {
+
+	/**
+	 * Creates a new XhrTransport object
+	 *
+	 * @param {Function} xhrProvider - Function that returns new XMLHttpRequest objects
+	 */
+	constructor(xhrProvider = () => new XMLHttpRequest()) {
+		this.xhrProvider = xhrProvider
+	}
+
+	/**
+	 * sends a request
+	 *
+	 * @param {string} method - HTTP Method name
+	 * @param {string} url - absolute URL to do the request on
+	 * @param {object} headers - HTTP headers to send
+	 * @param {string} body - request body
+	 * @param {Function} beforeRequestHandler - custom function to be called before the request is made
+	 * @param {Function} afterRequestHandler - custom function to be called after the request was made
+	 * @param {AbortSignal=} signal - signal to abort the request with
+	 * @return {Promise<import('../request.js').TransportResponse>}
+	 */
+	send(method, url, headers, body, beforeRequestHandler = () => null, afterRequestHandler = () => null, signal = null) {
+		if (signal && signal.aborted) {
+			return Promise.reject(new NetworkRequestAbortedError({
+				body: null,
+				status: -1,
+			}))
+		}
+
+		const xhr = this.xhrProvider()
+
+		xhr.open(method, url, true)
+
+		for (const header in headers) {
+			xhr.setRequestHeader(header, headers[header])
+		}
+
+		beforeRequestHandler(xhr)
+
+		if (body === null || body === undefined) {
+			xhr.send()
+		} else {
+			xhr.send(body)
+		}
+
+		const abort = () => xhr.abort()
+		if (signal) {
+			signal.addEventListener('abort', abort)
+		}
+
+		return new Promise((resolve, reject) => {
+			xhr.onreadystatechange = () => {
+				// Aborting completes the request as well,
+				// but is reported through onabort
+				if (xhr.readyState !== 4 || (signal && signal.aborted)) {
+					return
+				}
+
+				if (signal) {
+					signal.removeEventListener('abort', abort)
+				}
+
+				// Network failures complete the request with status 0
+				// before onerror is called
+				if (xhr.status === 0) {
+					reject(new NetworkRequestError({
+						body: null,
+						status: -1,
+						xhr,
+					}))
+					return
+				}
+
+				afterRequestHandler(xhr)
+
+				resolve({
+					body: xhr.response,
+					status: xhr.status,
+					headers: parseResponseHeaders(xhr.getAllResponseHeaders()),
+					url: xhr.responseURL || url,
+					xhr,
+				})
+			}
+
+			xhr.onerror = () => reject(new NetworkRequestError({
+				body: null,
+				status: -1,
+				xhr,
+			}))
+
+			xhr.onabort = () => reject(new NetworkRequestAbortedError({
+				body: null,
+				status: -1,
+				xhr,
+			}))
+		})
+	}
+
+}
+
+/**
+ * parses the raw response headers into a Headers object
+ *
+ * @param {string} rawHeaders - header block as returned by getAllResponseHeaders
+ * @return {Headers}
+ * @private
+ */
+function parseResponseHeaders(rawHeaders) {
+	const headers = new Headers()
+
+	rawHeaders.split(/\r?\n/).forEach((line) => {
+		const colonPos = line.indexOf(':')
+		if (colonPos <= 0) {
+			return
+		}
+
+		headers.append(line.slice(0, colonPos).trim(), line.slice(colonPos + 1).trim())
+	})
+
+	return headers
+}
@@ -0,0 +1,87 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as NS from './namespaceUtility.js'
+import * as XMLUtility from './xmlUtility.js'
+import { Ace } from '../models/ace.js'
+
+/**
+ * Privilege supported by a resource, as defined in
+ * https://tools.ietf.org/html/rfc3744#section-5.3
+ *
+ * @typedef {object} SupportedPrivilege
+ * @property {string} privilege - name of the privilege in clark notation
+ * @property {boolean} abstract - whether the privilege can not be granted or denied on its own
+ * @property {string} description - human readable description of the privilege
+ * @property {SupportedPrivilege[]} children - privileges aggregated by this privilege
+ */
+
+/**
+ * gets the skeleton of a {DAV:}acl request body
+ * https://tools.ietf.org/html/rfc3744#section-8.1
+ *
+ * Inherited entries are left out, they can not be changed
+ * on this resource. Protected entries have to be kept unchanged.
+ *
+ * @param {Ace[]} aces - the access control entries
+ * @return {object}
+ */
+export function getAclSkeleton(aces) {
+	const [skeleton] = XMLUtility.getRootSkeleton(
+		[NS.DAV, 'acl'])
+
+	skeleton.children.push(...aces
+		.filter((ace) => !ace.isInherited())
+		.map((ace) => ace.getSkeleton()))
+
+	return skeleton
+}
+
+/**
+ * parses the entries of a {DAV:}acl element
+ *
+ * @param {Node} node - the {DAV:}acl element
+ * @return {Ace[]}
+ */
+export function parseAcl(node) {
+	return XMLUtility.getChildElements(node, [NS.DAV, 'ace']).map(Ace.fromNode)
+}
+
+/**
+ * parses the privileges of a {DAV:}supported-privilege-set element
+ *
+ * @param {Node} node - the {DAV:}supported-privilege-set element
+ * @return {SupportedPrivilege[]}
+ */
+export function parseSupportedPrivilegeSet(node) {
+	return XMLUtility.getChildElements(node, [NS.DAV, 'supported-privilege'])
+		.map(parseSupportedPrivilege)
+		.filter((supportedPrivilege) => supportedPrivilege !== null)
+}
+
+/**
+ * parses a {DAV:}supported-privilege element and its aggregated privileges
+ *
+ * @param {Node} node - the {DAV:}supported-privilege element
+ * @return {SupportedPrivilege|null}
+ */
+function parseSupportedPrivilege(node) {
+	const privilegeNode = XMLUtility.getFirstChildElement(node, [NS.DAV, 'privilege'])
+	const nameNode = privilegeNode === null ? null : XMLUtility.getFirstChildElement(privilegeNode)
+	if (nameNode === null) {
+		return null
+	}
+
+	return {
+		privilege: XMLUtility.getElementName(nameNode),
+		abstract: XMLUtility.getFirstChildElement(node, [NS.DAV, 'abstract']) !== null,
+		description: XMLUtility.getChildTextContent(node, [NS.DAV, 'description']).trim(),
+		children: parseSupportedPrivilegeSet(node),
+	}
+}
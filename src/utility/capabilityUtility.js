@@ -0,0 +1,50 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as NS from './namespaceUtility.js'
+
+/**
+ * @typedef {object} Capabilities
+ * @property {string[]} advertisedFeatures Features listed in the DAV header
+ * @property {string[]|null} supportedReports Reports in clark notation, null if the server did not list them
+ * @property {boolean} supportsSyncCollection Whether the sync-collection report is supported
+ * @property {boolean} supportsPrincipalMatch Whether the principal-match report is supported
+ * @property {boolean} supportsCalendarSearch Whether Nextcloud's calendar-search report is supported
+ * @property {boolean} supportsFreeBusyQuery Whether the free-busy-query report is supported
+ * @property {boolean} supportsManagedAttachments Whether CalDAV managed attachments are supported
+ * @property {boolean} supportsExtendedMkcol Whether MKCOL requests may set properties
+ */
+
+/**
+ * builds the capabilities of a server or collection
+ *
+ * Reports are assumed to be supported unless the server
+ * sent a supported-report-set that does not list them.
+ * The same goes for extended MKCOL if the server did not
+ * advertise any features at all.
+ * Non-standard extensions are only used if advertised.
+ *
+ * @param {string[]} advertisedFeatures Features listed in the DAV header
+ * @param {string[]|null} supportedReports Reports listed in the supported-report-set
+ * @return {Capabilities}
+ */
+export function getCapabilities(advertisedFeatures = [], supportedReports = null) {
+	const supportsReport = (name) => supportedReports === null || supportedReports.includes(name)
+
+	return {
+		advertisedFeatures,
+		supportedReports,
+		supportsSyncCollection: supportsReport(`{${NS.DAV}}sync-collection`),
+		supportsPrincipalMatch: supportsReport(`{${NS.DAV}}principal-match`),
+		supportsCalendarSearch: advertisedFeatures.includes('nc-calendar-search'),
+		supportsFreeBusyQuery: supportsReport(`{${NS.IETF_CALDAV}}free-busy-query`),
+		supportsManagedAttachments: advertisedFeatures.includes('calendar-managed-attachments'),
+		supportsExtendedMkcol: advertisedFeatures.length === 0 || advertisedFeatures.includes('extended-mkcol'),
+	}
+}
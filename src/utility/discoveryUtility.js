@@ -0,0 +1,111 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/**
+ * extracts the domain to look up service records for
+ * from a hostname, url or email-style address
+ *
+ * @param {string} server hostname, url or email address
+ * @return {string}
+ */
+export function getDomain(server) {
+	return new URL(getOrigin(server)).hostname
+}
+
+/**
+ * gets the origin to probe well-known uris on
+ * from a hostname, url or email-style address
+ *
+ * @param {string} server hostname, url or email address
+ * @return {string}
+ */
+export function getOrigin(server) {
+	server = server.trim()
+
+	if (/^https?:\/\//i.test(server)) {
+		return new URL(server).origin
+	}
+
+	const atPos = server.lastIndexOf('@')
+	if (atPos !== -1) {
+		server = server.slice(atPos + 1)
+	}
+
+	return new URL('https://' + server).origin
+}
+
+/**
+ * gets the url to fall back to if no service could be discovered
+ *
+ * @param {string} server hostname, url or email address
+ * @return {string}
+ */
+export function getFallbackUrl(server) {
+	if (/^https?:\/\//i.test(server.trim())) {
+		return new URL(server.trim()).href
+	}
+
+	return getOrigin(server) + '/'
+}
+
+/**
+ * gets the SRV record name for a service
+ *
+ * @param {string} service Either caldav or carddav
+ * @param {boolean} secure Whether to look up the TLS variant
+ * @param {string} domain The domain to look up
+ * @return {string}
+ */
+export function getServiceRecordName(service, secure, domain) {
+	return `_${service}${secure ? 's' : ''}._tcp.${domain}`
+}
+
+/**
+ * sorts SRV records by priority and weight
+ * and drops records indicating that a service is not available
+ *
+ * @param {object[]} records SRV records with priority, weight, port and name or target
+ * @return {object[]}
+ */
+export function sortServiceRecords(records) {
+	return records
+		.map((record) => ({
+			...record,
+			target: (record.target || record.name || '').replace(/\.$/, ''),
+		}))
+		.filter((record) => record.target !== '')
+		.sort((a, b) => {
+			if (a.priority !== b.priority) {
+				return a.priority - b.priority
+			}
+
+			return b.weight - a.weight
+		})
+}
+
+/**
+ * gets the context path from a list of TXT records
+ *
+ * TXT records may either be passed as strings or
+ * as arrays of string chunks, as returned by Node's resolveTxt
+ *
+ * @param {Array<string|string[]>} records TXT records
+ * @return {string|null}
+ */
+export function getContextPathFromTextRecords(records) {
+	for (const record of records) {
+		const text = Array.isArray(record) ? record.join('') : record
+		const match = /^path=(.+)$/.exec(text.trim())
+		if (match) {
+			return match[1]
+		}
+	}
+
+	return null
+}
@@ -0,0 +1,135 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+const BUSY_TYPES = ['BUSY', 'BUSY-TENTATIVE', 'BUSY-UNAVAILABLE']
+
+/**
+ * parses the busy periods of all VFREEBUSY components in iCalendar data
+ * https://tools.ietf.org/html/rfc5545#section-3.8.2.6
+ *
+ * FREE periods are skipped.
+ *
+ * @param {string} data iCalendar data containing VFREEBUSY components
+ * @return {{type: string, start: Date, end: Date}[]}
+ */
+export function parseBusyPeriods(data) {
+	const result = []
+	let isInFreeBusy = false
+
+	unfoldLines(data).forEach((line) => {
+		const upperLine = line.toUpperCase()
+		if (upperLine === 'BEGIN:VFREEBUSY') {
+			isInFreeBusy = true
+			return
+		}
+		if (upperLine === 'END:VFREEBUSY') {
+			isInFreeBusy = false
+			return
+		}
+		if (!isInFreeBusy) {
+			return
+		}
+
+		const colonPos = line.indexOf(':')
+		if (colonPos === -1) {
+			return
+		}
+
+		const [name, ...parameters] = line.slice(0, colonPos).split(';')
+		if (name.toUpperCase() !== 'FREEBUSY') {
+			return
+		}
+
+		let type = 'BUSY'
+		parameters.forEach((parameter) => {
+			const [parameterName, parameterValue] = parameter.split('=')
+			if (parameterName.toUpperCase() === 'FBTYPE') {
+				type = parameterValue.toUpperCase()
+			}
+		})
+
+		if (!BUSY_TYPES.includes(type)) {
+			return
+		}
+
+		line.slice(colonPos + 1).split(',').forEach((period) => {
+			const [start, end] = period.trim().split('/')
+			const startDate = parseDateTime(start)
+			const endDate = /^[+-]?P/i.test(end)
+				? new Date(startDate.getTime() + parseDuration(end))
+				: parseDateTime(end)
+
+			result.push({
+				type,
+				start: startDate,
+				end: endDate,
+			})
+		})
+	})
+
+	return result
+}
+
+/**
+ * parses a UTC DATE-TIME value like 19980314T233000Z
+ *
+ * @param {string} value DATE-TIME value
+ * @return {Date}
+ */
+export function parseDateTime(value) {
+	const date = new Date(0)
+	date.setUTCFullYear(
+		parseInt(value.slice(0, 4), 10),
+		parseInt(value.slice(4, 6), 10) - 1,
+		parseInt(value.slice(6, 8), 10),
+	)
+	date.setUTCHours(
+		parseInt(value.slice(9, 11), 10),
+		parseInt(value.slice(11, 13), 10),
+		parseInt(value.slice(13, 15), 10),
+		0,
+	)
+
+	return date
+}
+
+/**
+ * parses a DURATION value like PT1H30M into milliseconds
+ * https://tools.ietf.org/html/rfc5545#section-3.3.6
+ *
+ * @param {string} value DURATION value
+ * @return {number}
+ */
+export function parseDuration(value) {
+	const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(value)
+	if (!match) {
+		throw new Error(`Invalid duration "${value}"`)
+	}
+
+	const [, sign, weeks, days, hours, minutes, seconds] = match
+	const duration = ((parseInt(weeks || 0, 10) * 7 + parseInt(days || 0, 10)) * 86400
+		+ parseInt(hours || 0, 10) * 3600
+		+ parseInt(minutes || 0, 10) * 60
+		+ parseInt(seconds || 0, 10)) * 1000
+
+	return sign === '-' ? -duration : duration
+}
+
+/**
+ * splits iCalendar data into unfolded content lines
+ *
+ * @param {string} data iCalendar data
+ * @return {string[]}
+ */
+function unfoldLines(data) {
+	return data
+		.replace(/\r?\n[ \t]/g, '')
+		.split(/\r?\n/)
+		.filter((line) => line !== '')
+}
@@ -0,0 +1,180 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as NS from './namespaceUtility.js'
+import * as XMLUtility from './xmlUtility.js'
+
+/**
+ * @typedef {object} ActiveLock
+ * @property {string} scope - exclusive or shared
+ * @property {string} type - type of the lock, usually write
+ * @property {string} depth - 0 or infinity
+ * @property {string|null} owner - owner of the lock as submitted by the client that created it
+ * @property {number|null} timeout - remaining lifetime in seconds, Infinity for infinite locks
+ * @property {string|null} token - the lock token
+ * @property {string|null} root - href of the resource the lock was created on
+ */
+
+/**
+ * @typedef {object} LockEntry
+ * @property {string} scope - exclusive or shared
+ * @property {string} type - type of the lock, usually write
+ */
+
+/**
+ * gets the skeleton of a {DAV:}lockinfo request body
+ * https://tools.ietf.org/html/rfc4918#section-14.11
+ *
+ * Owners that look like urls are submitted as href,
+ * everything else as text.
+ *
+ * @param {string} scope - exclusive or shared
+ * @param {string|null} owner - owner of the lock
+ * @return {object}
+ */
+export function getLockInfoSkeleton(scope, owner = null) {
+	const [skeleton] = XMLUtility.getRootSkeleton(
+		[NS.DAV, 'lockinfo'])
+
+	skeleton.children.push({
+		name: [NS.DAV, 'lockscope'],
+		children: [{
+			name: [NS.DAV, scope],
+		}],
+	}, {
+		name: [NS.DAV, 'locktype'],
+		children: [{
+			name: [NS.DAV, 'write'],
+		}],
+	})
+
+	if (owner !== null) {
+		const ownerNode = {
+			name: [NS.DAV, 'owner'],
+		}
+		if (/^[a-z][a-z0-9+.-]*:/i.test(owner)) {
+			ownerNode.children = [{
+				name: [NS.DAV, 'href'],
+				value: owner,
+			}]
+		} else {
+			ownerNode.value = owner
+		}
+
+		skeleton.children.push(ownerNode)
+	}
+
+	return skeleton
+}
+
+/**
+ * gets the value of the Timeout header
+ * https://tools.ietf.org/html/rfc4918#section-10.7
+ *
+ * @param {number} timeout - lifetime of the lock in seconds, Infinity for infinite locks
+ * @return {string}
+ */
+export function getTimeoutHeader(timeout) {
+	if (timeout === Infinity) {
+		return 'Infinite'
+	}
+
+	return `Second-${Math.floor(timeout)}`
+}
+
+/**
+ * parses the value of a Timeout header or {DAV:}timeout element
+ *
+ * @param {string|null} value - timeout like Second-3600 or Infinite
+ * @return {number|null} the timeout in seconds, Infinity for infinite locks
+ */
+export function parseTimeout(value) {
+	if (!value) {
+		return null
+	}
+
+	const timeout = value.split(',')[0].trim()
+	if (timeout.toLowerCase() === 'infinite') {
+		return Infinity
+	}
+
+	const match = /^Second-(\d+)$/i.exec(timeout)
+	return match ? parseInt(match[1], 10) : null
+}
+
+/**
+ * parses the active locks of a {DAV:}lockdiscovery element
+ *
+ * @param {Node} node - the {DAV:}lockdiscovery element
+ * @return {ActiveLock[]}
+ */
+export function parseActiveLocks(node) {
+	return XMLUtility.getChildElements(node, [NS.DAV, 'activelock']).map((activeLockNode) => {
+		const ownerNode = XMLUtility.getFirstChildElement(activeLockNode, [NS.DAV, 'owner'])
+		let owner = null
+		if (ownerNode !== null) {
+			owner = XMLUtility.getFirstChildElement(ownerNode, [NS.DAV, 'href']) !== null
+				? getTrimmedText(ownerNode, [NS.DAV, 'href'])
+				: XMLUtility.getTextContent(ownerNode).trim()
+		}
+
+		return {
+			scope: getFirstChildName(activeLockNode, [NS.DAV, 'lockscope']),
+			type: getFirstChildName(activeLockNode, [NS.DAV, 'locktype']),
+			depth: XMLUtility.getChildTextContent(activeLockNode, [NS.DAV, 'depth']).trim().toLowerCase(),
+			owner,
+			timeout: parseTimeout(XMLUtility.getChildTextContent(activeLockNode, [NS.DAV, 'timeout'])),
+			token: getTrimmedText(activeLockNode, [NS.DAV, 'locktoken'], [NS.DAV, 'href']),
+			root: getTrimmedText(activeLockNode, [NS.DAV, 'lockroot'], [NS.DAV, 'href']),
+		}
+	})
+}
+
+/**
+ * parses the lock entries of a {DAV:}supportedlock element
+ *
+ * @param {Node} node - the {DAV:}supportedlock element
+ * @return {LockEntry[]}
+ */
+export function parseSupportedLocks(node) {
+	return XMLUtility.getChildElements(node, [NS.DAV, 'lockentry']).map((lockEntryNode) => ({
+		scope: getFirstChildName(lockEntryNode, [NS.DAV, 'lockscope']),
+		type: getFirstChildName(lockEntryNode, [NS.DAV, 'locktype']),
+	}))
+}
+
+/**
+ * gets the local name of the first child of a child element,
+ * e.g. exclusive for <d:lockscope><d:exclusive/></d:lockscope>
+ *
+ * @param {Node} node - parent element
+ * @param {string[]} name - name of the child element
+ * @return {string|null}
+ */
+function getFirstChildName(node, name) {
+	const childNode = XMLUtility.getFirstChildElement(node, name)
+	if (childNode === null) {
+		return null
+	}
+
+	const valueNode = XMLUtility.getFirstChildElement(childNode)
+	return valueNode === null ? null : valueNode.localName
+}
+
+/**
+ * gets the trimmed text content of a descendant element
+ *
+ * @param {Node} node - element to start at
+ * @param {...string[]} path - names of the elements leading to the descendant
+ * @return {string|null} the text or null if there is no such descendant
+ */
+function getTrimmedText(node, ...path) {
+	const value = XMLUtility.getChildTextContent(node, ...path).trim()
+	return value === '' ? null : value
+}
@@ -0,0 +1,175 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as NS from './namespaceUtility.js'
+import * as XMLUtility from './xmlUtility.js'
+
+/**
+ * @typedef {object} PropertySearch
+ * @property {string[][]} props - namespace / name pairs of the properties to search
+ * @property {string} match - value to search for
+ * @property {string} matchType - contains, starts-with or equals
+ */
+
+/**
+ * Builder of principal-property-search reports as defined in
+ * https://tools.ietf.org/html/rfc3744#section-9.4
+ *
+ *     const query = new PrincipalPropertySearchQuery()
+ *         .addPropertySearch([[NS.DAV, 'displayname']], 'Jane', 'starts-with')
+ *         .addPropertySearch([[NS.SABREDAV, 'email-address']], 'example.com')
+ *         .setTest('allof')
+ *
+ *     const principals = await client.searchPrincipals(query)
+ *
+ * The match-type of a property-search is an extension supported by
+ * SabreDAV and CalendarServer, it is omitted for contains.
+ */
+export class PrincipalPropertySearchQuery {
+
+	constructor() {
+		/**
+		 * Property searches of the query
+		 *
+		 * @type {PropertySearch[]}
+		 */
+		this.propertySearches = []
+
+		/**
+		 * Whether all or any property search has to match,
+		 * null to leave it to the server which defaults to allof
+		 *
+		 * @type {string|null}
+		 */
+		this.test = null
+
+		/**
+		 * Namespace / name pairs of the properties to return,
+		 * null for the properties of Principal
+		 *
+		 * @type {string[][]|null}
+		 */
+		this.props = null
+
+		/**
+		 * Url of the principal collection to search,
+		 * null to search all principal collections
+		 *
+		 * @type {string|null}
+		 */
+		this.principalCollectionUrl = null
+	}
+
+	/**
+	 * adds a property search
+	 *
+	 * A property search matches if any of its properties matches.
+	 *
+	 * @param {string[][]} props - namespace / name pairs of the properties to search
+	 * @param {string} match - value to search for
+	 * @param {string} matchType - contains, starts-with or equals
+	 * @return {PrincipalPropertySearchQuery}
+	 */
+	addPropertySearch(props, match, matchType = 'contains') {
+		this.propertySearches.push({ props, match, matchType })
+		return this
+	}
+
+	/**
+	 * sets whether all or any property search has to match
+	 *
+	 * @param {string|null} test - allof or anyof
+	 * @return {PrincipalPropertySearchQuery}
+	 */
+	setTest(test) {
+		this.test = test
+		return this
+	}
+
+	/**
+	 * sets the properties to return
+	 *
+	 * @param {string[][]|null} props - namespace / name pairs
+	 * @return {PrincipalPropertySearchQuery}
+	 */
+	setProps(props) {
+		this.props = props
+		return this
+	}
+
+	/**
+	 * restricts the search to one principal collection
+	 *
+	 * @param {string|null} principalCollectionUrl - url of the principal collection
+	 * @return {PrincipalPropertySearchQuery}
+	 */
+	setPrincipalCollection(principalCollectionUrl) {
+		this.principalCollectionUrl = principalCollectionUrl
+		return this
+	}
+
+	/**
+	 * gets whether the query has no property searches
+	 *
+	 * @return {boolean}
+	 */
+	isEmpty() {
+		return this.propertySearches.length === 0
+	}
+
+	/**
+	 * gets the skeleton of the report
+	 *
+	 * @param {string[][]} defaultProps - properties to return if none were set
+	 * @return {object}
+	 */
+	getSkeleton(defaultProps = []) {
+		const [skeleton] = XMLUtility.getRootSkeleton(
+			[NS.DAV, 'principal-property-search'])
+
+		if (this.test) {
+			skeleton.attributes = [
+				['test', this.test],
+			]
+		}
+
+		this.propertySearches.forEach(({ props, match, matchType }) => {
+			const matchNode = {
+				name: [NS.DAV, 'match'],
+				value: match,
+			}
+			if (matchType !== 'contains') {
+				matchNode.attributes = [
+					['match-type', matchType],
+				]
+			}
+
+			skeleton.children.push({
+				name: [NS.DAV, 'property-search'],
+				children: [{
+					name: [NS.DAV, 'prop'],
+					children: props.map((prop) => ({ name: prop })),
+				}, matchNode],
+			})
+		})
+
+		skeleton.children.push({
+			name: [NS.DAV, 'prop'],
+			children: (this.props || defaultProps).map((prop) => ({ name: prop })),
+		})
+
+		if (this.principalCollectionUrl === null) {
+			// We are searching all principal collections, not just one
+			skeleton.children.push({ name: [NS.DAV, 'apply-to-principal-collection-set'] })
+		}
+
+		return skeleton
+	}
+
+}
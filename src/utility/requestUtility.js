@@ -0,0 +1,36 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/**
+ * gets the request object to send a model's requests with
+ *
+ * Only signal and timeout are picked from the options,
+ * so model methods can pass their own options object through.
+ *
+ * @param {Request} request The request object of the model
+ * @param {import('../request.js').RequestOptions} options Options passed to the model method
+ * @return {Request}
+ */
+export function withRequestOptions(request, options = {}) {
+	const { signal, timeout } = options
+	if (!signal && !timeout) {
+		return request
+	}
+
+	// Options left out must not override those of an enclosing withOptions()
+	const requestOptions = {}
+	if (signal) {
+		requestOptions.signal = signal
+	}
+	if (timeout) {
+		requestOptions.timeout = timeout
+	}
+
+	return request.withOptions(requestOptions)
+}
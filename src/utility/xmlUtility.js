@@ -7,7 +7,30 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
-const serializer = new XMLSerializer()
+import { DomXmlEnvironment } from '../xml/domXmlEnvironment.js'
+import { SimpleXmlEnvironment } from '../xml/simpleXmlEnvironment.js'
+
+/**
+ * Minimal subset of the DOM Node interface all XML environments provide.
+ * DOM nodes satisfy it natively.
+ *
+ * @typedef {object} XmlNode
+ * @property {number} nodeType - 1 for elements, 3 for text, 9 for documents
+ * @property {string|null} namespaceURI - namespace of elements
+ * @property {string|null} localName - local name of elements
+ * @property {XmlNode[]} childNodes - child nodes
+ * @property {string} textContent - concatenated text of all descendants
+ * @property {function(string): (string|null)} getAttribute - returns an attribute value of elements
+ */
+
+/**
+ * Backend used to read and write XML documents
+ *
+ * @typedef {object} XmlEnvironment
+ * @property {function(string): XmlNode} parse - parses a string into a document node
+ * @property {function(object, function(string): string): string} serialize - serializes a simple xml representation, the second argument returns the prefix to use for a namespace
+ */
+
 let prefixMap = {}
 
 /**
@@ -45,54 +68,128 @@ export function getRootSkeleton() {
  * serializes an simple xml representation into a string
  *
  * @param {object} json
+ * @param {XmlEnvironment} environment - XML environment to serialize with
  * @return {string}
  */
-export function serialize(json) {
+export function serialize(json, environment = getDefaultXmlEnvironment()) {
 	json = json || {}
 	if (typeof json !== 'object' || !Object.prototype.hasOwnProperty.call(json, 'name')) {
 		return ''
 	}
 
-	const root = document.implementation.createDocument('', '', null)
-	xmlify(root, root, json)
+	return environment.serialize(json, getPrefixForNamespace)
+}
+
+/**
+ * parses a string into a document
+ *
+ * @param {string} xml - XML document as string
+ * @param {XmlEnvironment} environment - XML environment to parse with
+ * @return {XmlNode}
+ */
+export function parse(xml, environment = getDefaultXmlEnvironment()) {
+	return environment.parse(xml)
+}
+
+/**
+ * gets the XML environment to use if none was given,
+ * the DOM in browsers and a DOM-free implementation everywhere else
+ *
+ * @return {XmlEnvironment}
+ */
+export function getDefaultXmlEnvironment() {
+	if (typeof DOMParser !== 'undefined' && typeof XMLSerializer !== 'undefined' && typeof document !== 'undefined') {
+		return new DomXmlEnvironment()
+	}
 
-	return serializer.serializeToString(root)
+	return new SimpleXmlEnvironment()
 }
 
-function xmlify(xmlDoc, parent, json) {
-	const [ns, localName] = json.name
-	const element = xmlDoc.createElementNS(ns, getPrefixedNameForNamespace(ns, localName))
-
-	json.attributes = json.attributes || []
-	json.attributes.forEach((attribute) => {
-		if (attribute.length === 2) {
-			const [name, value] = attribute
-			element.setAttribute(name, value)
-		} else {
-			const [namespace, localName, value] = attribute
-			element.setAttributeNS(namespace, localName, value)
+/**
+ * gets all child elements of a node,
+ * optionally only those matching one of the given names
+ *
+ * @param {XmlNode} node - node to get the child elements of
+ * @param {...string[]} names - [namespace, localName] pairs to filter by
+ * @return {XmlNode[]}
+ */
+export function getChildElements(node, ...names) {
+	return Array.from(node.childNodes).filter((childNode) => {
+		if (childNode.nodeType !== 1) {
+			return false
 		}
-	})
 
-	if (json.value) {
-		element.textContent = json.value
-	} else if (json.children) {
-		json.children.forEach((child) => {
-			xmlify(xmlDoc, element, child)
+		return names.length === 0 || names.some(([ns, localName]) => {
+			return childNode.namespaceURI === ns && childNode.localName === localName
 		})
+	})
+}
+
+/**
+ * gets the first child element of a node matching one of the given names
+ *
+ * @param {XmlNode} node - node to get the child element of
+ * @param {...string[]} names - [namespace, localName] pairs to filter by
+ * @return {XmlNode|null}
+ */
+export function getFirstChildElement(node, ...names) {
+	return getChildElements(node, ...names)[0] || null
+}
+
+/**
+ * gets the text content of a node
+ *
+ * @param {XmlNode} node - node to get the text of
+ * @return {string}
+ */
+export function getTextContent(node) {
+	return node.textContent
+}
+
+/**
+ * gets the text content of a descendant,
+ * following the first matching child element on each level
+ *
+ * @param {XmlNode} node - node to start at
+ * @param {...string[]} path - [namespace, localName] pairs to follow
+ * @return {string} the text content or an empty string if there is no such descendant
+ */
+export function getChildTextContent(node, ...path) {
+	for (const name of path) {
+		node = getFirstChildElement(node, name)
+		if (node === null) {
+			return ''
+		}
 	}
 
-	parent.appendChild(element)
+	return getTextContent(node)
+}
+
+/**
+ * gets the name of an element in clark notation
+ *
+ * @param {XmlNode} node - element to get the name of
+ * @return {string}
+ */
+export function getElementName(node) {
+	return `{${node.namespaceURI || ''}}${node.localName}`
 }
 
 export function resetPrefixMap() {
 	prefixMap = {}
 }
 
-function getPrefixedNameForNamespace(ns, localName) {
+/**
+ * gets the prefix used for a namespace,
+ * prefixes are assigned in the order namespaces are used
+ *
+ * @param {string} ns - namespace to get the prefix for
+ * @return {string}
+ */
+export function getPrefixForNamespace(ns) {
 	if (!Object.prototype.hasOwnProperty.call(prefixMap, ns)) {
 		prefixMap[ns] = 'x' + Object.keys(prefixMap).length
 	}
 
-	return prefixMap[ns] + ':' + localName
+	return prefixMap[ns]
 }
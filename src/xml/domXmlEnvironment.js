@@ -0,0 +1,76 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/**
+ * XML environment based on the browser's DOMParser and XMLSerializer
+ */
+export class DomXmlEnvironment {
+
+	/**
+	 * parses a string into a DOM Document
+	 *
+	 * @param {string} xml - XML document as string
+	 * @return {Document}
+	 */
+	parse(xml) {
+		const domParser = new DOMParser()
+		return domParser.parseFromString(xml, 'application/xml')
+	}
+
+	/**
+	 * serializes an simple xml representation into a string
+	 *
+	 * @param {object} json - simple xml representation, see XMLUtility.getRootSkeleton
+	 * @param {Function} getPrefixForNamespace - returns the prefix to use for a namespace
+	 * @return {string}
+	 */
+	serialize(json, getPrefixForNamespace) {
+		const root = document.implementation.createDocument('', '', null)
+		xmlify(root, root, json, getPrefixForNamespace)
+
+		const serializer = new XMLSerializer()
+		return serializer.serializeToString(root)
+	}
+
+}
+
+/**
+ * appends the DOM representation of json to parent
+ *
+ * @param {Document} xmlDoc - document to create elements in
+ * @param {Node} parent - node to append the element to
+ * @param {object} json - simple xml representation
+ * @param {Function} getPrefixForNamespace - returns the prefix to use for a namespace
+ * @private
+ */
+function xmlify(xmlDoc, parent, json, getPrefixForNamespace) {
+	const [ns, localName] = json.name
+	const element = xmlDoc.createElementNS(ns, getPrefixForNamespace(ns) + ':' + localName)
+
+	json.attributes = json.attributes || []
+	json.attributes.forEach((attribute) => {
+		if (attribute.length === 2) {
+			const [name, value] = attribute
+			element.setAttribute(name, value)
+		} else {
+			const [namespace, localName, value] = attribute
+			element.setAttributeNS(namespace, localName, value)
+		}
+	})
+
+	if (json.value) {
+		element.textContent = json.value
+	} else if (json.children) {
+		json.children.forEach((child) => {
+			xmlify(xmlDoc, element, child, getPrefixForNamespace)
+		})
+	}
+
+	parent.appendChild(element)
+}
@@ -0,0 +1,479 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace'
+
+const ENTITIES = {
+	lt: '<',
+	gt: '>',
+	amp: '&',
+	quot: '"',
+	apos: '\'',
+}
+
+/**
+ * DOM-free XML environment, usable in Node.js and web workers
+ *
+ * It supports everything needed to read WebDAV responses:
+ * namespaces, entities, CDATA sections and comments.
+ * DTDs are skipped, custom entities are not supported.
+ */
+export class SimpleXmlEnvironment {
+
+	/**
+	 * parses a string into a document
+	 *
+	 * @param {string} xml - XML document as string
+	 * @return {SimpleXmlDocument}
+	 */
+	parse(xml) {
+		const document = new SimpleXmlDocument()
+		const stack = [{
+			node: document,
+			qualifiedName: null,
+			namespaces: { xml: XML_NAMESPACE },
+		}]
+
+		let pos = 0
+		while (pos < xml.length) {
+			const tagStart = xml.indexOf('<', pos)
+			const textEnd = tagStart === -1 ? xml.length : tagStart
+			if (textEnd > pos) {
+				appendText(stack[stack.length - 1].node, decodeEntities(xml.slice(pos, textEnd)))
+			}
+			if (tagStart === -1) {
+				break
+			}
+
+			if (xml.startsWith('<!--', tagStart)) {
+				pos = indexOfOrThrow(xml, '-->', tagStart) + 3
+			} else if (xml.startsWith('<![CDATA[', tagStart)) {
+				const cdataEnd = indexOfOrThrow(xml, ']]>', tagStart)
+				appendText(stack[stack.length - 1].node, xml.slice(tagStart + 9, cdataEnd))
+				pos = cdataEnd + 3
+			} else if (xml.startsWith('<?', tagStart)) {
+				pos = indexOfOrThrow(xml, '?>', tagStart) + 2
+			} else if (xml.startsWith('<!', tagStart)) {
+				pos = skipDocumentTypeDeclaration(xml, tagStart)
+			} else if (xml[tagStart + 1] === '/') {
+				const tagEnd = indexOfOrThrow(xml, '>', tagStart)
+				const qualifiedName = xml.slice(tagStart + 2, tagEnd).trim()
+				const current = stack.pop()
+				if (stack.length === 0 || current.qualifiedName !== qualifiedName) {
+					throw new Error(`Invalid XML: unexpected closing tag "${qualifiedName}"`)
+				}
+
+				pos = tagEnd + 1
+			} else {
+				pos = parseStartTag(xml, tagStart, stack)
+			}
+		}
+
+		if (stack.length !== 1) {
+			throw new Error(`Invalid XML: unclosed tag "${stack[stack.length - 1].qualifiedName}"`)
+		}
+		if (document.documentElement === null) {
+			throw new Error('Invalid XML: no root element')
+		}
+
+		return document
+	}
+
+	/**
+	 * serializes an simple xml representation into a string
+	 *
+	 * @param {object} json - simple xml representation, see XMLUtility.getRootSkeleton
+	 * @param {Function} getPrefixForNamespace - returns the prefix to use for a namespace
+	 * @return {string}
+	 */
+	serialize(json, getPrefixForNamespace) {
+		return serializeElement(json, getPrefixForNamespace, {})
+	}
+
+}
+
+/**
+ * Node of a document parsed by SimpleXmlEnvironment
+ *
+ * @abstract
+ */
+class SimpleXmlNode {
+
+	/**
+	 * @param {number} nodeType - 1 for elements, 3 for text, 9 for documents
+	 */
+	constructor(nodeType) {
+		this.nodeType = nodeType
+		this.namespaceURI = null
+		this.localName = null
+		this.childNodes = []
+	}
+
+	/**
+	 * @return {SimpleXmlNode[]}
+	 */
+	get children() {
+		return this.childNodes.filter((node) => node.nodeType === 1)
+	}
+
+	/**
+	 * @return {string}
+	 */
+	get textContent() {
+		return this.childNodes.map((node) => node.textContent).join('')
+	}
+
+}
+
+/**
+ * Document parsed by SimpleXmlEnvironment
+ */
+class SimpleXmlDocument extends SimpleXmlNode {
+
+	constructor() {
+		super(9)
+	}
+
+	/**
+	 * @return {SimpleXmlElement|null}
+	 */
+	get documentElement() {
+		return this.children[0] || null
+	}
+
+}
+
+/**
+ * Element parsed by SimpleXmlEnvironment
+ */
+class SimpleXmlElement extends SimpleXmlNode {
+
+	/**
+	 * @param {string|null} namespaceURI - namespace of the element
+	 * @param {string} localName - local name of the element
+	 * @param {string|null} prefix - prefix of the element
+	 * @param {{name: string, namespaceURI: string|null, localName: string, value: string}[]} attributes - attributes of the element
+	 */
+	constructor(namespaceURI, localName, prefix, attributes) {
+		super(1)
+		this.namespaceURI = namespaceURI
+		this.localName = localName
+		this.prefix = prefix
+		this.attributes = attributes
+	}
+
+	/**
+	 * @param {string} name - qualified name of the attribute
+	 * @return {string|null}
+	 */
+	getAttribute(name) {
+		const attribute = this.attributes.find((attribute) => attribute.name === name)
+		return attribute ? attribute.value : null
+	}
+
+	/**
+	 * @param {string|null} namespaceURI - namespace of the attribute
+	 * @param {string} localName - local name of the attribute
+	 * @return {string|null}
+	 */
+	getAttributeNS(namespaceURI, localName) {
+		const attribute = this.attributes.find((attribute) => {
+			return attribute.namespaceURI === (namespaceURI || null) && attribute.localName === localName
+		})
+		return attribute ? attribute.value : null
+	}
+
+}
+
+/**
+ * Text parsed by SimpleXmlEnvironment
+ */
+class SimpleXmlText extends SimpleXmlNode {
+
+	/**
+	 * @param {string} text - text of the node
+	 */
+	constructor(text) {
+		super(3)
+		this.data = text
+	}
+
+	/**
+	 * @return {string}
+	 */
+	get textContent() {
+		return this.data
+	}
+
+}
+
+/**
+ * parses a start tag at tagStart and pushes the new element onto the stack
+ * unless it is self-closing
+ *
+ * @param {string} xml - XML document as string
+ * @param {number} tagStart - position of the opening angle bracket
+ * @param {object[]} stack - stack of open elements
+ * @return {number} position after the tag
+ * @private
+ */
+function parseStartTag(xml, tagStart, stack) {
+	const nameRegex = /[^\s/>]+/y
+	const attributeRegex = /\s+([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y
+	const endRegex = /\s*(\/?)>/y
+
+	nameRegex.lastIndex = tagStart + 1
+	const nameMatch = nameRegex.exec(xml)
+	if (!nameMatch) {
+		throw new Error(`Invalid XML: expected tag name at position ${tagStart}`)
+	}
+
+	const rawAttributes = []
+	let pos = nameRegex.lastIndex
+	let attributeMatch
+	attributeRegex.lastIndex = pos
+	while ((attributeMatch = attributeRegex.exec(xml)) !== null) {
+		const value = attributeMatch[2] !== undefined ? attributeMatch[2] : attributeMatch[3]
+		rawAttributes.push([attributeMatch[1], decodeEntities(value)])
+		pos = attributeRegex.lastIndex
+	}
+
+	endRegex.lastIndex = pos
+	const endMatch = endRegex.exec(xml)
+	if (!endMatch) {
+		throw new Error(`Invalid XML: malformed tag "${nameMatch[0]}"`)
+	}
+
+	const parent = stack[stack.length - 1]
+	if (parent.node.nodeType === 9 && parent.node.documentElement !== null) {
+		throw new Error('Invalid XML: multiple root elements')
+	}
+
+	const namespaces = Object.assign({}, parent.namespaces)
+	rawAttributes.forEach(([name, value]) => {
+		if (name === 'xmlns') {
+			namespaces[''] = value
+		} else if (name.startsWith('xmlns:')) {
+			namespaces[name.slice(6)] = value
+		}
+	})
+
+	const attributes = rawAttributes.map(([name, value]) => {
+		const [prefix, localName] = splitQualifiedName(name)
+		let namespaceURI = null
+		if (name === 'xmlns' || prefix === 'xmlns') {
+			namespaceURI = 'http://www.w3.org/2000/xmlns/'
+		} else if (prefix !== null) {
+			namespaceURI = resolvePrefix(namespaces, prefix)
+		}
+
+		return { name, namespaceURI, localName, value }
+	})
+
+	const [prefix, localName] = splitQualifiedName(nameMatch[0])
+	const namespaceURI = prefix === null
+		? (namespaces[''] || null)
+		: resolvePrefix(namespaces, prefix)
+
+	const element = new SimpleXmlElement(namespaceURI, localName, prefix, attributes)
+	parent.node.childNodes.push(element)
+
+	if (endMatch[1] !== '/') {
+		stack.push({
+			node: element,
+			qualifiedName: nameMatch[0],
+			namespaces,
+		})
+	}
+
+	return endRegex.lastIndex
+}
+
+/**
+ * appends text to a node, merging it with a preceding text node
+ *
+ * Text outside the root element must only consist of whitespace
+ * and is dropped.
+ *
+ * @param {SimpleXmlNode} node - node to append the text to
+ * @param {string} text - text to append
+ * @private
+ */
+function appendText(node, text) {
+	if (node.nodeType === 9) {
+		if (text.trim() !== '') {
+			throw new Error('Invalid XML: text outside of root element')
+		}
+		return
+	}
+
+	const lastChild = node.childNodes[node.childNodes.length - 1]
+	if (lastChild && lastChild.nodeType === 3) {
+		lastChild.data += text
+		return
+	}
+
+	node.childNodes.push(new SimpleXmlText(text))
+}
+
+/**
+ * skips a document type declaration including its internal subset
+ *
+ * @param {string} xml - XML document as string
+ * @param {number} start - position of the declaration
+ * @return {number} position after the declaration
+ * @private
+ */
+function skipDocumentTypeDeclaration(xml, start) {
+	const tagEnd = indexOfOrThrow(xml, '>', start)
+	const subsetStart = xml.indexOf('[', start)
+	if (subsetStart === -1 || subsetStart > tagEnd) {
+		return tagEnd + 1
+	}
+
+	return indexOfOrThrow(xml, '>', indexOfOrThrow(xml, ']', subsetStart)) + 1
+}
+
+/**
+ * @param {string} xml - XML document as string
+ * @param {string} search - string to search for
+ * @param {number} position - position to start searching at
+ * @return {number}
+ * @private
+ */
+function indexOfOrThrow(xml, search, position) {
+	const index = xml.indexOf(search, position)
+	if (index === -1) {
+		throw new Error(`Invalid XML: expected "${search}" after position ${position}`)
+	}
+
+	return index
+}
+
+/**
+ * @param {string} qualifiedName - name like d:href or href
+ * @return {Array<string|null>} prefix and local name
+ * @private
+ */
+function splitQualifiedName(qualifiedName) {
+	const colonPos = qualifiedName.indexOf(':')
+	if (colonPos === -1) {
+		return [null, qualifiedName]
+	}
+
+	return [qualifiedName.slice(0, colonPos), qualifiedName.slice(colonPos + 1)]
+}
+
+/**
+ * @param {object} namespaces - map of prefixes in scope to namespaces
+ * @param {string} prefix - prefix to resolve
+ * @return {string}
+ * @private
+ */
+function resolvePrefix(namespaces, prefix) {
+	if (!Object.prototype.hasOwnProperty.call(namespaces, prefix)) {
+		throw new Error(`Invalid XML: undeclared namespace prefix "${prefix}"`)
+	}
+
+	return namespaces[prefix]
+}
+
+/**
+ * replaces predefined entities and character references
+ *
+ * @param {string} text - text to decode
+ * @return {string}
+ * @private
+ */
+function decodeEntities(text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+		if (entity[0] === '#') {
+			return String.fromCodePoint(entity[1].toLowerCase() === 'x'
+				? parseInt(entity.slice(2), 16)
+				: parseInt(entity.slice(1), 10))
+		}
+
+		return Object.prototype.hasOwnProperty.call(ENTITIES, entity)
+			? ENTITIES[entity]
+			: match
+	})
+}
+
+/**
+ * escapes text for use in element content
+ *
+ * @param {string} text - text to escape
+ * @return {string}
+ * @private
+ */
+function escapeText(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+}
+
+/**
+ * escapes text for use in attribute values
+ *
+ * @param {string} text - text to escape
+ * @return {string}
+ * @private
+ */
+function escapeAttribute(text) {
+	return escapeText(text).replace(/"/g, '&quot;')
+}
+
+/**
+ * serializes an element, declaring namespaces the same way XMLSerializer does
+ *
+ * @param {object} json - simple xml representation
+ * @param {Function} getPrefixForNamespace - returns the prefix to use for a namespace
+ * @param {object} declaredNamespaces - map of prefixes declared on ancestors to namespaces
+ * @return {string}
+ * @private
+ */
+function serializeElement(json, getPrefixForNamespace, declaredNamespaces) {
+	const [ns, localName] = json.name
+	const prefix = getPrefixForNamespace(ns)
+	const qualifiedName = prefix + ':' + localName
+	const namespaces = Object.assign({}, declaredNamespaces)
+
+	let result = '<' + qualifiedName
+	if (namespaces[prefix] !== ns) {
+		result += ` xmlns:${prefix}="${escapeAttribute(ns)}"`
+		namespaces[prefix] = ns
+	}
+
+	let attributePrefixCount = 0
+	const attributes = json.attributes || []
+	attributes.forEach((attribute) => {
+		if (attribute.length === 2) {
+			const [name, value] = attribute
+			result += ` ${name}="${escapeAttribute(value)}"`
+		} else {
+			const [namespace, attributeName, value] = attribute
+			const attributePrefix = 'a' + attributePrefixCount++
+			result += ` ${attributePrefix}:${attributeName}="${escapeAttribute(value)}" xmlns:${attributePrefix}="${escapeAttribute(namespace)}"`
+		}
+	})
+
+	if (json.value) {
+		return result + `>${escapeText(json.value)}</${qualifiedName}>`
+	}
+
+	const children = json.children || []
+	if (children.length === 0) {
+		return result + '/>'
+	}
+
+	return result + '>'
+		+ children.map((child) => serializeElement(child, getPrefixForNamespace, namespaces)).join('')
+		+ `</${qualifiedName}>`
+}
@@ -0,0 +1,182 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { assert, describe, expect, it, vi } from "vitest";
+
+import Request from "../../../src/request.js";
+import { authMiddleware } from "../../../src/auth/authMiddleware.js";
+import { OAuth2Auth } from "../../../src/auth/oauth2Auth.js";
+import NetworkRequestClientError from "../../../src/errors/networkRequestClientError.js";
+import NetworkRequestServerError from "../../../src/errors/networkRequestServerError.js";
+
+function getResponse(status) {
+	return {
+		body: '',
+		status,
+		headers: new Headers(),
+		url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+	};
+}
+
+describe('Auth middleware', () => {
+
+	it('should set the Authorization header', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve(getResponse(200)))
+		};
+		const strategy = {
+			'getAuthorization': vi.fn(() => Promise.resolve('Bearer foo'))
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		request.use(authMiddleware(strategy));
+
+		return request.get('fooBar', { 'Foo': 'Bar' }).then((res) => {
+			expect(res.status).toEqual(200);
+			expect(transport.send).toHaveBeenCalledWith('GET', 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar', {
+				'Depth': '0',
+				'Content-Type': 'application/xml; charset=utf-8',
+				'Foo': 'Bar',
+				'Authorization': 'Bearer foo'
+			}, null, expect.any(Function), expect.any(Function));
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it('should refresh credentials and retry once after a 401', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve(getResponse(401)))
+			.mockImplementationOnce(() => Promise.resolve(getResponse(200)));
+		const strategy = {
+			'getAuthorization': vi.fn(),
+			'refresh': vi.fn(() => Promise.resolve())
+		};
+		strategy.getAuthorization.mockImplementationOnce(() => Promise.resolve('Bearer expired'))
+			.mockImplementationOnce(() => Promise.resolve('Bearer fresh'));
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		request.use(authMiddleware(strategy));
+
+		return request.put('fooBar', {}, 'BEGIN:VCALENDAR').then((res) => {
+			expect(res.status).toEqual(200);
+			expect(strategy.refresh).toHaveBeenCalledTimes(1);
+			expect(strategy.refresh).toHaveBeenCalledWith('Bearer expired');
+			expect(transport.send).toHaveBeenCalledTimes(2);
+			expect(transport.send.mock.calls[0][2]['Authorization']).toEqual('Bearer expired');
+			expect(transport.send.mock.calls[1][2]['Authorization']).toEqual('Bearer fresh');
+			expect(transport.send.mock.calls[1][3]).toEqual('BEGIN:VCALENDAR');
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it('should refresh credentials after a 401 with a DAV:error body', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve(Object.assign(getResponse(401), {
+			body: '<d:error xmlns:d="DAV:"><d:need-privileges/></d:error>'
+		}))).mockImplementationOnce(() => Promise.resolve(getResponse(200)));
+		const strategy = {
+			'getAuthorization': vi.fn(() => Promise.resolve('Bearer foo')),
+			'refresh': vi.fn(() => Promise.resolve())
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		request.use(authMiddleware(strategy));
+
+		return request.get('fooBar').then((res) => {
+			expect(res.status).toEqual(200);
+			expect(strategy.refresh).toHaveBeenCalledTimes(1);
+			expect(transport.send).toHaveBeenCalledTimes(2);
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it('should not retry more than once or for other errors', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve(getResponse(401)))
+			.mockImplementationOnce(() => Promise.resolve(getResponse(401)))
+			.mockImplementationOnce(() => Promise.resolve(getResponse(500)));
+		const strategy = {
+			'getAuthorization': vi.fn(() => Promise.resolve('Bearer foo')),
+			'refresh': vi.fn(() => Promise.resolve())
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		request.use(authMiddleware(strategy));
+
+		return request.get('fooBar').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestClientError));
+			expect(res.status).toEqual(401);
+			expect(transport.send).toHaveBeenCalledTimes(2);
+			expect(strategy.refresh).toHaveBeenCalledTimes(1);
+
+			return request.get('fooBar');
+		}).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestServerError));
+			expect(transport.send).toHaveBeenCalledTimes(3);
+			expect(strategy.refresh).toHaveBeenCalledTimes(1);
+		});
+	});
+
+	it('should not retry if the strategy can not refresh', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve(getResponse(401)))
+		};
+		const strategy = {
+			'getAuthorization': vi.fn(() => Promise.resolve('Basic Zm9vOmJhcg=='))
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		request.use(authMiddleware(strategy));
+
+		return request.get('fooBar').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestClientError));
+			expect(transport.send).toHaveBeenCalledTimes(1);
+		});
+	});
+
+	it('should let concurrent requests wait for the same refresh', () => {
+		const transport = {
+			'send': vi.fn((method, url, headers) => Promise.resolve(getResponse(headers['Authorization'] === 'Bearer fresh' ? 200 : 401)))
+		};
+		const refresh = vi.fn(() => Promise.resolve({ accessToken: 'fresh' }));
+		const strategy = new OAuth2Auth({ accessToken: 'expired', refreshToken: 'refresh', refresh });
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		request.use(authMiddleware(strategy));
+
+		return Promise.all([
+			request.get('foo'),
+			request.get('bar'),
+			request.get('baz')
+		]).then((responses) => {
+			expect(responses.map((res) => res.status)).toEqual([200, 200, 200]);
+			expect(refresh).toHaveBeenCalledTimes(1);
+			expect(refresh).toHaveBeenCalledWith('refresh');
+			expect(transport.send).toHaveBeenCalledTimes(6);
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+});
@@ -0,0 +1,26 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, expect, it } from "vitest";
+
+import { BasicAuth } from "../../../src/auth/basicAuth.js";
+
+describe('BasicAuth', () => {
+
+	it('should provide the Authorization header', () => {
+		return Promise.all([
+			new BasicAuth('foo', 'bar').getAuthorization(),
+			new BasicAuth('jürgen', 'pässwörd:1').getAuthorization()
+		]).then(([ascii, unicode]) => {
+			expect(ascii).toEqual('Basic Zm9vOmJhcg==');
+			expect(unicode).toEqual('Basic asO8cmdlbjpww6Rzc3fDtnJkOjE=');
+		});
+	});
+
+});
@@ -0,0 +1,22 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, expect, it } from "vitest";
+
+import { BearerAuth } from "../../../src/auth/bearerAuth.js";
+
+describe('BearerAuth', () => {
+
+	it('should provide the Authorization header', () => {
+		return new BearerAuth('foo').getAuthorization().then((authorization) => {
+			expect(authorization).toEqual('Bearer foo');
+		});
+	});
+
+});
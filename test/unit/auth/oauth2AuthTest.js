@@ -0,0 +1,75 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { assert, describe, expect, it, vi } from "vitest";
+
+import { OAuth2Auth } from "../../../src/auth/oauth2Auth.js";
+
+describe('OAuth2Auth', () => {
+
+	it('should refresh the access token', () => {
+		const refresh = vi.fn(() => Promise.resolve({ accessToken: 'fresh', refreshToken: 'refresh2' }));
+		const auth = new OAuth2Auth({ accessToken: 'expired', refreshToken: 'refresh1', refresh });
+
+		return auth.getAuthorization().then((authorization) => {
+			expect(authorization).toEqual('Bearer expired');
+			return auth.refresh(authorization);
+		}).then(() => {
+			expect(refresh).toHaveBeenCalledWith('refresh1');
+			expect(auth.accessToken).toEqual('fresh');
+			expect(auth.refreshToken).toEqual('refresh2');
+
+			return auth.getAuthorization();
+		}).then((authorization) => {
+			expect(authorization).toEqual('Bearer fresh');
+		}).catch(() => {
+			assert.fail('OAuth2Auth refresh was not supposed to assert.fail');
+		});
+	});
+
+	it('should only refresh once for the same rejected token', () => {
+		const refresh = vi.fn(() => Promise.resolve({ accessToken: 'fresh' }));
+		const auth = new OAuth2Auth({ accessToken: 'expired', refreshToken: 'refresh', refresh });
+
+		return Promise.all([
+			auth.refresh('Bearer expired'),
+			auth.refresh('Bearer expired')
+		]).then(() => {
+			expect(refresh).toHaveBeenCalledTimes(1);
+
+			// refreshed in the meantime already
+			return auth.refresh('Bearer expired');
+		}).then(() => {
+			expect(refresh).toHaveBeenCalledTimes(1);
+			expect(auth.refreshToken).toEqual('refresh');
+		}).catch(() => {
+			assert.fail('OAuth2Auth refresh was not supposed to assert.fail');
+		});
+	});
+
+	it('should allow refreshing again after a refresh failed', () => {
+		const refresh = vi.fn();
+		refresh.mockImplementationOnce(() => Promise.reject(new Error('invalid_grant')))
+			.mockImplementationOnce(() => Promise.resolve({ accessToken: 'fresh' }));
+		const auth = new OAuth2Auth({ accessToken: 'expired', refresh });
+
+		return auth.refresh('Bearer expired').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((error) => {
+			expect(error.message).toEqual('invalid_grant');
+			expect(refresh).toHaveBeenCalledWith(null);
+
+			return auth.refresh('Bearer expired');
+		}).then(() => {
+			expect(auth.accessToken).toEqual('fresh');
+			expect(refresh).toHaveBeenCalledTimes(2);
+		});
+	});
+
+});
@@ -0,0 +1,603 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { assert, beforeEach, describe, expect, it, vi } from "vitest";
+
+import DavClient, { PrincipalPropertySearchQuery } from '../../src/index.js';
+import { Principal } from '../../src/models/principal.js';
+import { Calendar } from '../../src/models/calendar.js';
+import { FakeDavServer } from '../../src/testing/index.js';
+import NetworkRequestServerError from '../../src/errors/networkRequestServerError.js';
+import * as XMLUtility from '../../src/utility/xmlUtility.js';
+
+const VEHICLES = '<d:multistatus xmlns:d="DAV:" xmlns:nc="http://nextcloud.com/ns">'
+	+ '<d:response><d:href>/remote.php/dav/principals/calendar-resources/car-1/</d:href><d:propstat>'
+	+ '<d:prop><d:displayname>Car 1</d:displayname><nc:resource-vehicle-range>250</nc:resource-vehicle-range><nc:resource-vehicle-seating-capacity>5</nc:resource-vehicle-seating-capacity></d:prop>'
+	+ '<d:status>HTTP/1.1 200 OK</d:status>'
+	+ '</d:propstat></d:response>'
+	+ '<d:response><d:href>/remote.php/dav/principals/calendar-resources/car-2/</d:href><d:propstat>'
+	+ '<d:prop><d:displayname>Car 2</d:displayname><nc:resource-vehicle-range>450</nc:resource-vehicle-range><nc:resource-vehicle-seating-capacity>5</nc:resource-vehicle-seating-capacity></d:prop>'
+	+ '<d:status>HTTP/1.1 200 OK</d:status>'
+	+ '</d:propstat></d:response>'
+	+ '<d:response><d:href>/remote.php/dav/principals/calendar-resources/van-1/</d:href><d:propstat>'
+	+ '<d:prop><d:displayname>Van 1</d:displayname><nc:resource-vehicle-range>500</nc:resource-vehicle-range><nc:resource-vehicle-seating-capacity>2</nc:resource-vehicle-seating-capacity></d:prop>'
+	+ '<d:status>HTTP/1.1 200 OK</d:status>'
+	+ '</d:propstat></d:response>'
+	+ '</d:multistatus>';
+
+const EVENT = `BEGIN:VCALENDAR\r
+VERSION:2.0\r
+PRODID:-//Test//EN\r
+BEGIN:VEVENT\r
+UID:event-1\r
+DTSTART:20260105T100000Z\r
+DTEND:20260105T110000Z\r
+SUMMARY:Team meeting\r
+END:VEVENT\r
+END:VCALENDAR\r
+`;
+
+const MULTISTATUS = '<d:multistatus xmlns:d="DAV:">'
+	+ '<d:response><d:href>/remote.php/dav/principals/rooms/room-1/</d:href><d:propstat>'
+	+ '<d:prop><d:displayname>Room 1</d:displayname></d:prop>'
+	+ '<d:status>HTTP/1.1 200 OK</d:status>'
+	+ '</d:propstat></d:response>'
+	+ '</d:multistatus>';
+
+describe('DavClient', () => {
+
+	let transport;
+	let client;
+
+	beforeEach(() => {
+		XMLUtility.resetPrefixMap();
+
+		transport = {
+			send: vi.fn((method, url) => Promise.resolve({
+				body: MULTISTATUS,
+				status: 207,
+				headers: new Headers(),
+				url,
+			})),
+		};
+		client = new DavClient({
+			rootUrl: 'https://nextcloud.testing/remote.php/dav/',
+			transport,
+		});
+	});
+
+	it('should search principals by address and story', () => {
+		return client.principalPropertySearchByAddressAndStory('Street 1', '2nd floor').then((principals) => {
+			expect(principals.length).toEqual(1);
+			expect(principals[0]).toEqual(expect.any(Principal));
+			expect(principals[0].url).toEqual('/remote.php/dav/principals/rooms/room-1/');
+			expect(principals[0].displayname).toEqual('Room 1');
+
+			expect(transport.send).toHaveBeenCalledTimes(1);
+			const [method, url, headers, body] = transport.send.mock.calls[0];
+			expect(method).toEqual('REPORT');
+			expect(url).toEqual('https://nextcloud.testing/remote.php/dav/');
+			expect(headers.Depth).toEqual(0);
+			expect(body).toContain('<x0:property-search><x0:prop><x1:room-building-address xmlns:x1="http://nextcloud.com/ns"/></x0:prop><x0:match>Street 1</x0:match></x0:property-search>');
+			expect(body).toContain('<x0:property-search><x0:prop><x1:room-building-story xmlns:x1="http://nextcloud.com/ns"/></x0:prop><x0:match>2nd floor</x0:match></x0:property-search>');
+			expect(body).toContain('<x0:apply-to-principal-collection-set/>');
+		}).catch((e) => {
+			assert.fail('DavClient principalPropertySearchByAddressAndStory was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should search principals by displayname or email address', () => {
+		return client.principalPropertySearchByDisplaynameOrEmail('jane').then(() => {
+			const body = transport.send.mock.calls[0][3];
+			expect(body).toContain('<x0:principal-property-search xmlns:x0="DAV:" test="anyof"><x0:property-search><x0:prop><x0:displayname/><x1:email-address xmlns:x1="http://sabredav.org/ns"/></x0:prop><x0:match>jane</x0:match></x0:property-search>');
+		}).catch((e) => {
+			assert.fail('DavClient principalPropertySearchByDisplaynameOrEmail was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should not send advanced principal property searches without filters', () => {
+		return client.advancedPrincipalPropertySearch({ features: [] }).then((principals) => {
+			expect(principals).toEqual([]);
+			expect(transport.send).toHaveBeenCalledTimes(0);
+		}).catch((e) => {
+			assert.fail('DavClient advancedPrincipalPropertySearch was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should search one principal collection', () => {
+		const query = new PrincipalPropertySearchQuery()
+			.addPropertySearch([['DAV:', 'displayname']], 'Room', 'starts-with')
+			.setProps([['DAV:', 'displayname']])
+			.setPrincipalCollection('/remote.php/dav/principals/rooms/');
+
+		return client.searchPrincipals(query).then((principals) => {
+			expect(principals.length).toEqual(1);
+			expect(principals[0].displayname).toEqual('Room 1');
+
+			const [method, url, headers, body] = transport.send.mock.calls[0];
+			expect(method).toEqual('REPORT');
+			expect(url).toEqual('https://nextcloud.testing/remote.php/dav/principals/rooms/');
+			expect(headers.Depth).toEqual(0);
+			expect(body).toEqual('<x0:principal-property-search xmlns:x0="DAV:">'
+				+ '<x0:property-search><x0:prop><x0:displayname/></x0:prop><x0:match match-type="starts-with">Room</x0:match></x0:property-search>'
+				+ '<x0:prop><x0:displayname/></x0:prop>'
+				+ '</x0:principal-property-search>');
+		}).catch((e) => {
+			assert.fail('DavClient searchPrincipals was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should search vehicles by type, electric-only, range and seats', () => {
+		transport.send.mockImplementation((method, url) => Promise.resolve({
+			body: VEHICLES,
+			status: 207,
+			headers: new Headers(),
+			url,
+		}));
+
+		return client.resourcePrincipalPropertySearch({
+			vehicleType: 'car',
+			isElectric: true,
+			minRange: 300,
+			minSeatingCapacity: 4,
+		}).then((principals) => {
+			expect(principals.map((principal) => principal.displayname)).toEqual(['Car 2']);
+
+			const body = transport.send.mock.calls[0][3];
+			expect(body).toContain('<x0:principal-property-search xmlns:x0="DAV:" test="allof">');
+			expect(body).toContain('<x0:property-search><x0:prop><x1:resource-vehicle-type xmlns:x1="http://nextcloud.com/ns"/></x0:prop><x0:match>car</x0:match></x0:property-search>');
+			expect(body).toContain('<x0:property-search><x0:prop><x1:resource-vehicle-is-electric xmlns:x1="http://nextcloud.com/ns"/></x0:prop><x0:match match-type="equals">1</x0:match></x0:property-search>');
+			expect(body).toContain('<x0:property-search><x0:prop><x1:resource-vehicle-seating-capacity xmlns:x1="http://nextcloud.com/ns"/></x0:prop><x0:match>4</x0:match></x0:property-search>');
+			expect(body.match(/<x0:property-search>/g).length).toEqual(3);
+		}).catch((e) => {
+			assert.fail('DavClient resourcePrincipalPropertySearch was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should only search vehicles if only the range is given', () => {
+		transport.send.mockImplementation((method, url) => Promise.resolve({
+			body: VEHICLES,
+			status: 207,
+			headers: new Headers(),
+			url,
+		}));
+
+		return client.resourcePrincipalPropertySearch({ minRange: 300 }).then((principals) => {
+			expect(principals.map((principal) => principal.displayname)).toEqual(['Car 2', 'Van 1']);
+
+			const body = transport.send.mock.calls[0][3];
+			expect(body).toContain('<x0:property-search><x0:prop><x1:resource-type xmlns:x1="http://nextcloud.com/ns"/></x0:prop><x0:match>vehicle</x0:match></x0:property-search>');
+			expect(body.match(/<x0:property-search>/g).length).toEqual(1);
+		}).catch((e) => {
+			assert.fail('DavClient resourcePrincipalPropertySearch was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should not send resource searches without filters', () => {
+		return client.resourcePrincipalPropertySearch({ isElectric: false }).then((principals) => {
+			expect(principals).toEqual([]);
+			expect(transport.send).toHaveBeenCalledTimes(0);
+		}).catch((e) => {
+			assert.fail('DavClient resourcePrincipalPropertySearch was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should find the calendar homes of another principal', () => {
+		const principal = new Principal(null, null, '/remote.php/dav/principals/users/boss/', {
+			'{urn:ietf:params:xml:ns:caldav}calendar-home-set': ['/remote.php/dav/calendars/boss/'],
+		});
+
+		return client.findCalendarHomesOfPrincipal(principal).then((calendarHomes) => {
+			expect(calendarHomes.length).toEqual(1);
+			expect(calendarHomes[0].url).toEqual('/remote.php/dav/calendars/boss/');
+			expect(transport.send).toHaveBeenCalledTimes(0);
+		}).catch((e) => {
+			assert.fail('DavClient findCalendarHomesOfPrincipal was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should fetch the calendar homes of another principal if unknown', () => {
+		transport.send.mockImplementation((method, url) => Promise.resolve({
+			body: '<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">'
+				+ '<d:response><d:href>/remote.php/dav/principals/users/boss/</d:href><d:propstat>'
+				+ '<d:prop><cal:calendar-home-set><d:href>/remote.php/dav/calendars/boss/</d:href></cal:calendar-home-set></d:prop>'
+				+ '<d:status>HTTP/1.1 200 OK</d:status>'
+				+ '</d:propstat></d:response>'
+				+ '</d:multistatus>',
+			status: 207,
+			headers: new Headers(),
+			url,
+		}));
+		const principal = new Principal(null, null, '/remote.php/dav/principals/users/boss/', {});
+
+		return client.findCalendarHomesOfPrincipal(principal).then((calendarHomes) => {
+			expect(calendarHomes.length).toEqual(1);
+			expect(calendarHomes[0].url).toEqual('/remote.php/dav/calendars/boss/');
+
+			const [method, url, headers, body] = transport.send.mock.calls[0];
+			expect(method).toEqual('PROPFIND');
+			expect(url).toEqual('https://nextcloud.testing/remote.php/dav/principals/users/boss/');
+			expect(headers.Depth).toEqual(0);
+			expect(body).toContain('<x1:calendar-home-set xmlns:x1="urn:ietf:params:xml:ns:caldav"/>');
+		}).catch((e) => {
+			assert.fail('DavClient findCalendarHomesOfPrincipal was not supposed to fail: ' + e);
+		});
+	});
+
+	describe('sync', () => {
+
+		let server;
+
+		beforeEach(() => {
+			server = new FakeDavServer({ baseUrl: 'https://dav.example.com/remote.php/dav/' })
+				.addPrincipal('/remote.php/dav/principals/users/admin', {
+					'{urn:ietf:params:xml:ns:caldav}calendar-home-set': [{ name: ['DAV:', 'href'], value: '/remote.php/dav/calendars/admin/' }],
+				})
+				.addCalendar('/remote.php/dav/calendars/admin/personal')
+				.addCalendar('/remote.php/dav/calendars/admin/work')
+				.addObject('/remote.php/dav/calendars/admin/personal/event-1.ics', EVENT)
+				.addObject('/remote.php/dav/calendars/admin/personal/event-2.ics', EVENT.replace('event-1', 'event-2'));
+		});
+
+		function connect() {
+			const client = new DavClient({
+				rootUrl: 'https://dav.example.com/remote.php/dav/',
+				transport: server,
+			});
+
+			return client.connect({ enableCalDAV: true });
+		}
+
+		function isSyncReport(request, path) {
+			return request.method === 'REPORT'
+				&& request.path === path
+				&& request.body.includes('sync-collection');
+		}
+
+		it('should report added, changed and removed collections and their changes', () => {
+			let client;
+			return connect().then((connectedClient) => {
+				client = connectedClient;
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.home.url).toEqual('/remote.php/dav/calendars/admin/');
+				expect(changeSet.added.map((collection) => collection.url).sort()).toEqual([
+					'/remote.php/dav/calendars/admin/personal/',
+					'/remote.php/dav/calendars/admin/work/',
+				]);
+				expect(changeSet.removed).toEqual([]);
+				expect(changeSet.failures).toEqual([]);
+
+				const personal = changeSet.changes.find(({ collection }) => collection.url === '/remote.php/dav/calendars/admin/personal/');
+				expect(personal.collection).toEqual(expect.any(Calendar));
+				expect(personal.updated.map((object) => object.url).sort()).toEqual([
+					'/remote.php/dav/calendars/admin/personal/event-1.ics',
+					'/remote.php/dav/calendars/admin/personal/event-2.ics',
+				]);
+				expect(personal.deleted).toEqual([]);
+				expect(personal.isFullResync).toEqual(false);
+
+				server
+					.addObject('/remote.php/dav/calendars/admin/personal/event-3.ics', EVENT.replace('event-1', 'event-3'))
+					.remove('/remote.php/dav/calendars/admin/personal/event-1.ics')
+					.remove('/remote.php/dav/calendars/admin/work')
+					.addCalendar('/remote.php/dav/calendars/admin/holidays');
+
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.added.map((collection) => collection.url)).toEqual(['/remote.php/dav/calendars/admin/holidays/']);
+				expect(changeSet.removed).toEqual(['/remote.php/dav/calendars/admin/work/']);
+				expect(changeSet.failures).toEqual([]);
+
+				const personal = changeSet.changes.find(({ collection }) => collection.url === '/remote.php/dav/calendars/admin/personal/');
+				expect(personal.updated.map((object) => object.url)).toEqual(['/remote.php/dav/calendars/admin/personal/event-3.ics']);
+				expect(personal.deleted).toEqual(['/remote.php/dav/calendars/admin/personal/event-1.ics']);
+
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.added).toEqual([]);
+				expect(changeSet.removed).toEqual([]);
+				expect(changeSet.changes).toEqual([]);
+			}).catch((e) => {
+				assert.fail('DavClient sync was not supposed to fail: ' + e);
+			});
+		});
+
+		it('should fetch all objects again if the sync-token is no longer valid', () => {
+			let client;
+			return connect().then((connectedClient) => {
+				client = connectedClient;
+				return client.sync();
+			}).then(() => {
+				server
+					.addObject('/remote.php/dav/calendars/admin/personal/event-3.ics', EVENT.replace('event-1', 'event-3'))
+					.intercept((request) => {
+						if (isSyncReport(request, '/remote.php/dav/calendars/admin/personal') && /sync-token>[^<]+</.test(request.body)) {
+							return {
+								status: 403,
+								body: '<d:error xmlns:d="DAV:"><d:valid-sync-token/></d:error>',
+							};
+						}
+					});
+
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.failures).toEqual([]);
+				expect(changeSet.changes.length).toEqual(1);
+				expect(changeSet.changes[0].isFullResync).toEqual(true);
+				expect(changeSet.changes[0].deleted).toEqual([]);
+				expect(changeSet.changes[0].updated.map((object) => object.url).sort()).toEqual([
+					'/remote.php/dav/calendars/admin/personal/event-1.ics',
+					'/remote.php/dav/calendars/admin/personal/event-2.ics',
+					'/remote.php/dav/calendars/admin/personal/event-3.ics',
+				]);
+			}).catch((e) => {
+				assert.fail('DavClient sync was not supposed to fail: ' + e);
+			});
+		});
+
+		it('should report failures per collection and retry them on the next sync', () => {
+			let client;
+			let isBroken = true;
+			server.intercept((request) => {
+				if (isBroken && isSyncReport(request, '/remote.php/dav/calendars/admin/personal')) {
+					return { status: 500 };
+				}
+			});
+
+			return connect().then((connectedClient) => {
+				client = connectedClient;
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.added.length).toEqual(2);
+				expect(changeSet.changes.map(({ collection }) => collection.url)).toEqual(['/remote.php/dav/calendars/admin/work/']);
+				expect(changeSet.failures.length).toEqual(1);
+				expect(changeSet.failures[0].collection.url).toEqual('/remote.php/dav/calendars/admin/personal/');
+				expect(changeSet.failures[0].error).toEqual(expect.any(NetworkRequestServerError));
+
+				isBroken = false;
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.added).toEqual([]);
+				expect(changeSet.failures).toEqual([]);
+				expect(changeSet.changes.length).toEqual(1);
+				expect(changeSet.changes[0].collection.url).toEqual('/remote.php/dav/calendars/admin/personal/');
+				expect(changeSet.changes[0].updated.length).toEqual(2);
+			}).catch((e) => {
+				assert.fail('DavClient sync was not supposed to fail: ' + e);
+			});
+		});
+
+		it('should fetch all objects of changed collections without sync-collection support', () => {
+			let client;
+			return connect().then((connectedClient) => {
+				client = connectedClient;
+
+				const home = client.calendarHomes[0];
+				const findAll = home.findAll.bind(home);
+				vi.spyOn(home, 'findAll').mockImplementation(() => findAll().then((collections) => {
+					collections.forEach((collection) => {
+						collection._props['{DAV:}supported-report-set'] = [];
+					});
+					return collections;
+				}));
+
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.failures).toEqual([]);
+				expect(changeSet.changes.length).toEqual(2);
+
+				server.addObject('/remote.php/dav/calendars/admin/personal/event-3.ics', EVENT.replace('event-1', 'event-3'));
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.failures).toEqual([]);
+				expect(changeSet.changes.length).toEqual(1);
+				expect(changeSet.changes[0].collection.url).toEqual('/remote.php/dav/calendars/admin/personal/');
+				expect(changeSet.changes[0].isFullResync).toEqual(true);
+				expect(changeSet.changes[0].updated.map((object) => object.url).sort()).toEqual([
+					'/remote.php/dav/calendars/admin/personal/event-1.ics',
+					'/remote.php/dav/calendars/admin/personal/event-2.ics',
+					'/remote.php/dav/calendars/admin/personal/event-3.ics',
+				]);
+				expect(server.requests.some((request) => request.body && request.body.includes('sync-collection'))).toEqual(false);
+			}).catch((e) => {
+				assert.fail('DavClient sync was not supposed to fail: ' + e);
+			});
+		});
+
+		it('should fetch collections without ctag and sync-token on every sync', () => {
+			let client;
+			return connect().then((connectedClient) => {
+				client = connectedClient;
+
+				const home = client.calendarHomes[0];
+				const findAll = home.findAll.bind(home);
+				vi.spyOn(home, 'findAll').mockImplementation(() => findAll().then((collections) => {
+					collections.forEach((collection) => {
+						delete collection._props['{http://calendarserver.org/ns/}getctag'];
+						delete collection._props['{DAV:}sync-token'];
+					});
+					return collections;
+				}));
+
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.changes.length).toEqual(2);
+
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.added).toEqual([]);
+				expect(changeSet.failures).toEqual([]);
+				expect(changeSet.changes.map(({ collection }) => collection.url).sort()).toEqual([
+					'/remote.php/dav/calendars/admin/personal/',
+					'/remote.php/dav/calendars/admin/work/',
+				]);
+				expect(changeSet.changes.every(({ isFullResync }) => isFullResync)).toEqual(true);
+			}).catch((e) => {
+				assert.fail('DavClient sync was not supposed to fail: ' + e);
+			});
+		});
+
+		it('should report failures per home and retry them on the next sync', () => {
+			let client;
+			let isBroken = true;
+			server.intercept((request) => {
+				if (isBroken && request.method === 'PROPFIND' && request.path === '/remote.php/dav/calendars/admin') {
+					return { status: 500 };
+				}
+			});
+
+			return connect().then((connectedClient) => {
+				client = connectedClient;
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.error).toEqual(expect.any(NetworkRequestServerError));
+				expect(changeSet.added).toEqual([]);
+				expect(changeSet.changes).toEqual([]);
+
+				isBroken = false;
+				return client.sync();
+			}).then(([changeSet]) => {
+				expect(changeSet.error).toEqual(null);
+				expect(changeSet.added.length).toEqual(2);
+				expect(changeSet.changes.length).toEqual(2);
+			}).catch((e) => {
+				assert.fail('DavClient sync was not supposed to fail: ' + e);
+			});
+		});
+	});
+
+	describe('connect', () => {
+
+		/**
+		 * creates a transport answering like a DAV server with the given context url,
+		 * following redirects the way fetch and XMLHttpRequest do
+		 *
+		 * @param {string} contextUrl Url of the DAV server's context path
+		 * @param {object} redirects Redirect targets, indexed by url
+		 * @return {object}
+		 */
+		function createTransport(contextUrl, redirects = {}) {
+			const principalUrl = new URL('principals/users/admin/', contextUrl).href;
+
+			return {
+				send: vi.fn((method, url) => {
+					const finalUrl = redirects[url] || url;
+					let body = null;
+					if (finalUrl === contextUrl) {
+						body = '<d:multistatus xmlns:d="DAV:">'
+							+ `<d:response><d:href>${new URL(contextUrl).pathname}</d:href><d:propstat>`
+							+ `<d:prop><d:current-user-principal><d:href>${new URL(principalUrl).pathname}</d:href></d:current-user-principal></d:prop>`
+							+ '<d:status>HTTP/1.1 200 OK</d:status>'
+							+ '</d:propstat></d:response>'
+							+ '</d:multistatus>';
+					} else if (finalUrl === principalUrl) {
+						body = '<d:multistatus xmlns:d="DAV:">'
+							+ `<d:response><d:href>${new URL(principalUrl).pathname}</d:href><d:propstat>`
+							+ '<d:prop><d:displayname>Administrator</d:displayname>'
+							+ `<d:principal-collection-set><d:href>${new URL('principals/', contextUrl).pathname}</d:href></d:principal-collection-set></d:prop>`
+							+ '<d:status>HTTP/1.1 200 OK</d:status>'
+							+ '</d:propstat></d:response>'
+							+ '</d:multistatus>';
+					}
+
+					return Promise.resolve({
+						body: body || '',
+						status: body ? 207 : 404,
+						headers: new Headers(body ? { DAV: '1, 3, access-control, calendar-access, addressbook' } : {}),
+						url: finalUrl,
+					});
+				}),
+			};
+		}
+
+		it('should discover the root url announced by SRV and TXT records', () => {
+			const dnsResolver = vi.fn((name, type) => {
+				if (name !== '_caldavs._tcp.example.com') {
+					return Promise.resolve([]);
+				}
+
+				return Promise.resolve(type === 'SRV'
+					? [{ name: 'dav.example.com.', port: 8443, priority: 10, weight: 0 }]
+					: [['path=/remote', '.php/dav/']]);
+			});
+			const transport = createTransport('https://dav.example.com:8443/remote.php/dav/');
+			const client = new DavClient({ server: 'admin@example.com', dnsResolver, transport });
+
+			return client.connect({ enableCalDAV: true }).then(() => {
+				expect(client.rootUrl).toEqual('https://dav.example.com:8443/remote.php/dav/');
+				expect(client.currentUserPrincipal.displayname).toEqual('Administrator');
+
+				expect(dnsResolver).toHaveBeenCalledWith('_caldavs._tcp.example.com', 'SRV');
+				expect(dnsResolver).toHaveBeenCalledWith('_caldavs._tcp.example.com', 'TXT');
+				expect(dnsResolver).not.toHaveBeenCalledWith('_carddavs._tcp.example.com', 'SRV');
+				expect(transport.send.mock.calls[0][1]).toEqual('https://dav.example.com:8443/remote.php/dav/');
+			}).catch((e) => {
+				assert.fail('DavClient connect was not supposed to fail: ' + e);
+			});
+		});
+
+		it('should probe the well-known uri of SRV targets without a TXT path', () => {
+			const dnsResolver = vi.fn((name, type) => {
+				if (name !== '_caldavs._tcp.example.com' || type !== 'SRV') {
+					return Promise.resolve([]);
+				}
+
+				return Promise.resolve([
+					{ name: 'backup.example.com', port: 443, priority: 20, weight: 0 },
+					{ name: 'dav.example.com', port: 443, priority: 10, weight: 0 },
+				]);
+			});
+			const transport = createTransport('https://dav.example.com/remote.php/dav/', {
+				'https://dav.example.com/.well-known/caldav': 'https://dav.example.com/remote.php/dav/',
+			});
+			const client = new DavClient({ server: 'example.com', dnsResolver, transport });
+
+			return client.connect({ enableCalDAV: true }).then(() => {
+				expect(client.rootUrl).toEqual('https://dav.example.com/remote.php/dav/');
+				expect(transport.send.mock.calls[0][1]).toEqual('https://dav.example.com/.well-known/caldav');
+			}).catch((e) => {
+				assert.fail('DavClient connect was not supposed to fail: ' + e);
+			});
+		});
+
+		it('should follow redirects of the well-known uris', () => {
+			const transport = createTransport('https://example.com/remote.php/dav/', {
+				// answered with 301 and 302 by the server
+				'https://example.com/.well-known/caldav': 'https://example.com/remote.php/dav',
+				'https://example.com/.well-known/carddav': 'https://example.com/remote.php/dav/',
+			});
+			const client = new DavClient({ server: 'example.com', transport });
+
+			return client.connect({ enableCardDAV: true }).then(() => {
+				expect(client.rootUrl).toEqual('https://example.com/remote.php/dav/');
+				expect(transport.send.mock.calls[0][1]).toEqual('https://example.com/.well-known/carddav');
+				expect(transport.send.mock.calls.map(([method, url]) => url)).not.toContain('https://example.com/.well-known/caldav');
+			}).catch((e) => {
+				assert.fail('DavClient connect was not supposed to fail: ' + e);
+			});
+		});
+
+		it('should fall back to the configured server if nothing else works', () => {
+			const dnsResolver = vi.fn(() => Promise.reject(new Error('NXDOMAIN')));
+			const transport = createTransport('https://example.com/dav/');
+			const client = new DavClient({ server: 'https://example.com/dav/', dnsResolver, transport });
+
+			return client.connect().then(() => {
+				expect(client.rootUrl).toEqual('https://example.com/dav/');
+				expect(transport.send.mock.calls.map(([method, url]) => url).slice(0, 2)).toEqual([
+					'https://example.com/.well-known/caldav',
+					'https://example.com/.well-known/carddav',
+				]);
+			}).catch((e) => {
+				assert.fail('DavClient connect was not supposed to fail: ' + e);
+			});
+		});
+	});
+});
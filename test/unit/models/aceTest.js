@@ -0,0 +1,96 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { beforeEach, describe, expect, it } from "vitest";
+
+import { Ace } from '../../../src/models/ace.js';
+import * as XMLUtility from '../../../src/utility/xmlUtility.js';
+
+describe('Ace model', () => {
+
+	beforeEach(() => {
+		XMLUtility.resetPrefixMap();
+	});
+
+	function getAceNode(xml) {
+		const document = XMLUtility.parse(`<D:ace xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">${xml}</D:ace>`);
+		return XMLUtility.getFirstChildElement(document);
+	}
+
+	it('should normalize principal urls', () => {
+		const ace = new Ace({ principal: '/principals/users/jane/', privileges: ['{DAV:}read'] });
+
+		expect(ace.principal).toEqual({ type: 'href', href: '/principals/users/jane/' });
+		expect(ace.invert).toEqual(false);
+		expect(ace.grant).toEqual(true);
+		expect(ace.inherited).toEqual(null);
+		expect(ace.protected).toEqual(false);
+		expect(ace.isInherited()).toEqual(false);
+		expect(ace.isForPrincipal('/principals/users/jane/')).toEqual(true);
+		expect(ace.isForPrincipal('/principals/users/john/')).toEqual(false);
+	});
+
+	it('should parse granting entries', () => {
+		const ace = Ace.fromNode(getAceNode(`
+			<D:principal><D:href>/principals/users/jane/</D:href></D:principal>
+			<D:grant>
+				<D:privilege><D:read/></D:privilege>
+				<D:privilege><C:read-free-busy/></D:privilege>
+			</D:grant>
+			<D:protected/>`));
+
+		expect(ace).toEqual(expect.any(Ace));
+		expect(ace.principal).toEqual({ type: 'href', href: '/principals/users/jane/' });
+		expect(ace.grant).toEqual(true);
+		expect(ace.privileges).toEqual(['{DAV:}read', '{urn:ietf:params:xml:ns:caldav}read-free-busy']);
+		expect(ace.protected).toEqual(true);
+		expect(ace.inherited).toEqual(null);
+	});
+
+	it('should parse denying, inverted and inherited entries', () => {
+		const ace = Ace.fromNode(getAceNode(`
+			<D:invert><D:principal><D:property><D:owner/></D:property></D:principal></D:invert>
+			<D:deny><D:privilege><D:write/></D:privilege></D:deny>
+			<D:inherited><D:href>/calendars/jane/</D:href></D:inherited>`));
+
+		expect(ace.principal).toEqual({ type: 'property', property: '{DAV:}owner' });
+		expect(ace.invert).toEqual(true);
+		expect(ace.grant).toEqual(false);
+		expect(ace.privileges).toEqual(['{DAV:}write']);
+		expect(ace.inherited).toEqual('/calendars/jane/');
+		expect(ace.isInherited()).toEqual(true);
+		expect(ace.isForPrincipal('/calendars/jane/')).toEqual(false);
+	});
+
+	it('should parse special principals', () => {
+		expect(Ace.fromNode(getAceNode('<D:principal><D:authenticated/></D:principal>')).principal).toEqual({ type: 'authenticated' });
+		expect(Ace.fromNode(getAceNode('<D:principal><D:self/></D:principal>')).principal).toEqual({ type: 'self' });
+		expect(Ace.fromNode(getAceNode('<D:principal><C:foo/></D:principal>')).principal).toEqual({ type: 'unknown' });
+	});
+
+	it('should provide the ace skeleton', () => {
+		expect(XMLUtility.serialize(new Ace({
+			principal: '/principals/users/jane/',
+			privileges: ['{DAV:}read', '{urn:ietf:params:xml:ns:caldav}read-free-busy'],
+			protected: true,
+		}).getSkeleton())).toEqual('<x0:ace xmlns:x0="DAV:"><x0:principal><x0:href>/principals/users/jane/</x0:href></x0:principal><x0:grant><x0:privilege><x0:read/></x0:privilege><x0:privilege><x1:read-free-busy xmlns:x1="urn:ietf:params:xml:ns:caldav"/></x0:privilege></x0:grant></x0:ace>');
+
+		expect(XMLUtility.serialize(new Ace({
+			principal: { type: 'property', property: '{DAV:}owner' },
+			invert: true,
+			grant: false,
+			privileges: ['{DAV:}write'],
+		}).getSkeleton())).toEqual('<x0:ace xmlns:x0="DAV:"><x0:invert><x0:principal><x0:property><x0:owner/></x0:property></x0:principal></x0:invert><x0:deny><x0:privilege><x0:write/></x0:privilege></x0:deny></x0:ace>');
+
+		expect(XMLUtility.serialize(new Ace({
+			principal: { type: 'all' },
+			privileges: ['{DAV:}read'],
+		}).getSkeleton())).toEqual('<x0:ace xmlns:x0="DAV:"><x0:principal><x0:all/></x0:principal><x0:grant><x0:privilege><x0:read/></x0:privilege></x0:grant></x0:ace>');
+	});
+});
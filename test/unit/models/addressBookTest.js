@@ -119,6 +119,30 @@ describe('Address book model', () => {
 		expect(addressbook.readOnly).toEqual(false);
 	});
 
+	it('should inherit expose the property ctag', () => {
+		const parent = {
+			'findAll': vi.fn(),
+			'findAllByFilter': vi.fn(),
+			'find': vi.fn(),
+			'createCollection': vi.fn(),
+			'createObject': vi.fn(),
+			'update': vi.fn(),
+			'delete': vi.fn(),
+			'isReadable': vi.fn(),
+			'isWriteable': vi.fn()
+		};
+		const request = {
+			'propFind': vi.fn(),
+			'put': vi.fn(),
+			'delete': vi.fn()
+		};
+		const url = '/foo/bar/folder';
+		const props = returnDefaultProps();
+
+		const addressbook = new AddressBook(parent, request, url, props);
+		expect(addressbook.ctag).toEqual('7');
+	});
+
 	it('should find all VCards', () => {
 		const parent = {
 			'findAll': vi.fn(),
@@ -171,7 +195,7 @@ describe('Address book model', () => {
 			expect(request.propFind).toHaveBeenCalledWith('/foo/bar/folder/', [
 				['DAV:', 'getcontenttype'], ['DAV:', 'getetag'], ['DAV:', 'resourcetype'],
 				['DAV:', 'displayname'], ['DAV:', 'owner'], ['DAV:', 'resourcetype'],
-				['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'],
+				['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'], ['DAV:', 'supported-report-set'],
 				['DAV:', 'getcontenttype'], ['DAV:', 'getetag'], ['DAV:', 'resourcetype'],
 				['urn:ietf:params:xml:ns:carddav', 'address-data']], 1);
 		}).catch(() => {
@@ -278,7 +302,7 @@ describe('Address book model', () => {
 			expect(request.propFind).toHaveBeenCalledWith(expect.any(String), [
 				['DAV:', 'getcontenttype'], ['DAV:', 'getetag'], ['DAV:', 'resourcetype'],
 				['DAV:', 'displayname'], ['DAV:', 'owner'], ['DAV:', 'resourcetype'],
-				['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'],
+				['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'], ['DAV:', 'supported-report-set'],
 				['DAV:', 'getcontenttype'], ['DAV:', 'getetag'], ['DAV:', 'resourcetype'],
 				['urn:ietf:params:xml:ns:carddav', 'address-data']], 0);
 		}).catch(() => {
@@ -355,7 +379,7 @@ describe('Address book model', () => {
 
 			expect(request.report).toHaveBeenCalledTimes(1);
 			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/', { Depth: '1' },
-				'<x0:addressbook-query xmlns:x0="urn:ietf:params:xml:ns:carddav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:address-data/></x1:prop><x0:filter test="anyof"><x0:prop-filter name="FN"><x0:text-match collation="i;unicode-casemap" match-type="contains">daboo</x0:text-match></x0:prop-filter><x0:prop-filter name="EMAIL"><x0:text-match collation="i;unicode-casemap" match-type="contains">daboo</x0:text-match></x0:prop-filter></x0:filter></x0:addressbook-query>');
+				'<x0:addressbook-query xmlns:x0="urn:ietf:params:xml:ns:carddav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:supported-report-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:address-data/></x1:prop><x0:filter test="anyof"><x0:prop-filter name="FN"><x0:text-match collation="i;unicode-casemap" match-type="contains">daboo</x0:text-match></x0:prop-filter><x0:prop-filter name="EMAIL"><x0:text-match collation="i;unicode-casemap" match-type="contains">daboo</x0:text-match></x0:prop-filter></x0:filter></x0:addressbook-query>');
 		}).catch(() => {
 			assert.fail('AddressBook addressbook-query was not supposed to assert.fail');
 		});
@@ -406,7 +430,7 @@ describe('Address book model', () => {
 
 			expect(request.report).toHaveBeenCalledTimes(1);
 			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/', { Depth: '1' },
-				'<x0:addressbook-multiget xmlns:x0="urn:ietf:params:xml:ns:carddav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:address-data/></x1:prop><x1:href xmlns:x1="DAV:">/foo/bar/folder/a</x1:href><x1:href xmlns:x1="DAV:">/foo/bar/folder/b</x1:href></x0:addressbook-multiget>');
+				'<x0:addressbook-multiget xmlns:x0="urn:ietf:params:xml:ns:carddav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:supported-report-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:address-data/></x1:prop><x1:href xmlns:x1="DAV:">/foo/bar/folder/a</x1:href><x1:href xmlns:x1="DAV:">/foo/bar/folder/b</x1:href></x0:addressbook-multiget>');
 		}).catch(() => {
 			assert.fail('AddressBook addressbook-multiget was not supposed to assert.fail');
 		});
@@ -451,7 +475,7 @@ describe('Address book model', () => {
 
 			expect(request.report).toHaveBeenCalledTimes(1);
 			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/?export', { Depth: '1' },
-				'<x0:addressbook-multiget xmlns:x0="urn:ietf:params:xml:ns:carddav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:address-data/></x1:prop><x1:href xmlns:x1="DAV:">/foo/bar/folder/a</x1:href><x1:href xmlns:x1="DAV:">/foo/bar/folder/b</x1:href></x0:addressbook-multiget>');
+				'<x0:addressbook-multiget xmlns:x0="urn:ietf:params:xml:ns:carddav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:supported-report-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:address-data/></x1:prop><x1:href xmlns:x1="DAV:">/foo/bar/folder/a</x1:href><x1:href xmlns:x1="DAV:">/foo/bar/folder/b</x1:href></x0:addressbook-multiget>');
 		}).catch(() => {
 			assert.fail('AddressBook addressbook-multiget was not supposed to assert.fail');
 		});
@@ -15,6 +15,7 @@ import {Calendar} from "../../../src/models/calendar.js";
 import ScheduleInbox from "../../../src/models/scheduleInbox.js";
 import ScheduleOutbox from "../../../src/models/scheduleOutbox.js";
 import {Subscription} from "../../../src/models/subscription.js";
+import { VObject } from "../../../src/models/vobject.js";
 import * as XMLUtility from "../../../src/utility/xmlUtility.js";
 
 describe('Calendar home model', () => {
@@ -152,6 +153,38 @@ describe('Calendar home model', () => {
 		});
 	});
 
+	it('should find all subscriptions with the given request options', () => {
+		const parent = null;
+		const derivedRequest = {
+			"propFind": vi.fn(() => Promise.resolve({
+				status: 207,
+				body: getDefaultPropFind(),
+				xhr: null
+			})),
+			"pathname": vi.fn((p) => p)
+		};
+		const request = {
+			"propFind": vi.fn(),
+			"pathname": vi.fn((p) => p),
+			"withOptions": vi.fn(() => derivedRequest)
+		};
+		const url = '/nextcloud/remote.php/dav/calendars/admin/';
+
+		const controller = new AbortController();
+		const calendarHome = new CalendarHome(parent, request, url, {});
+		return calendarHome.findAllSubscriptions({ signal: controller.signal, timeout: 5000 }).then(res => {
+			expect(res.length).toEqual(1);
+			expect(res[0]).toEqual(expect.any(Subscription));
+
+			expect(request.withOptions).toHaveBeenCalledTimes(1);
+			expect(request.withOptions).toHaveBeenCalledWith({ signal: controller.signal, timeout: 5000 });
+			expect(request.propFind).toHaveBeenCalledTimes(0);
+			expect(derivedRequest.propFind).toHaveBeenCalledTimes(1);
+		}).catch(() => {
+			assert.fail('CalendarHome findAllSubscriptions was not supposed to assert.fail');
+		});
+	});
+
 	it('should find all schedule inboxes', () => {
 		const parent = null;
 		const request = {
@@ -523,7 +556,177 @@ describe('Calendar home model', () => {
 		});
 	});
 
-	it.todo('should allow to search an entire calendar-home');
+	it('should allow to search an entire calendar-home', () => {
+		const parent = {
+			advertisedFeatures: ['1', '3', 'access-control', 'calendar-access'],
+		};
+		const request = {
+			"propFind": vi.fn(),
+			"report": vi.fn(),
+			"pathname": vi.fn()
+		};
+		const url = '/nextcloud/remote.php/dav/calendars/admin/';
+
+		request.propFind.mockImplementation(() => {
+			return Promise.resolve({
+				status: 207,
+				body: getDefaultPropFind(),
+				xhr: null
+			});
+		});
+		request.report.mockImplementationOnce(() => {
+			return Promise.resolve({
+				status: 207,
+				body: {
+					'/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics': getVEventProps(),
+				},
+				xhr: null
+			});
+		}).mockImplementationOnce(() => {
+			return Promise.resolve({
+				status: 207,
+				body: {},
+				xhr: null
+			});
+		});
+
+		request.pathname.mockImplementation((p) => p);
+
+		const calendarHome = new CalendarHome(parent, request, url, {});
+		return calendarHome.search('Meeting', {
+			components: ['VEVENT'],
+			properties: ['SUMMARY'],
+			from: new Date(Date.UTC(2019, 0, 1)),
+			to: new Date(Date.UTC(2019, 1, 1)),
+		}).then((res) => {
+			expect(res.length).toEqual(1);
+			expect(res[0].calendar).toEqual(expect.any(Calendar));
+			expect(res[0].calendar.url).toEqual('/nextcloud/remote.php/dav/calendars/admin/personal/');
+			expect(res[0].vobject).toEqual(expect.any(VObject));
+			expect(res[0].vobject.url).toEqual('/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics');
+
+			expect(request.report).toHaveBeenCalledTimes(2);
+			expect(request.report).toHaveBeenNthCalledWith(1, '/nextcloud/remote.php/dav/calendars/admin/personal/', { Depth: '1' },
+				expect.stringContaining('<x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VEVENT"><x0:time-range start="20190101T000000Z" end="20190201T000000Z"/><x0:prop-filter name="SUMMARY"><x0:text-match>Meeting</x0:text-match></x0:prop-filter></x0:comp-filter></x0:comp-filter></x0:filter>'));
+			expect(request.report).toHaveBeenNthCalledWith(2, '/nextcloud/remote.php/dav/calendars/admin/contact_birthdays/', { Depth: '1' },
+				expect.any(String));
+		}).catch(() => {
+			assert.fail('CalendarHome search was not supposed to assert.fail');
+		});
+	});
+
+	it('should search all calendars in parallel, one property at a time', () => {
+		const parent = {
+			advertisedFeatures: ['1', '3', 'access-control', 'calendar-access'],
+		};
+		const request = {
+			"propFind": vi.fn(),
+			"report": vi.fn(),
+			"pathname": vi.fn()
+		};
+		const url = '/nextcloud/remote.php/dav/calendars/admin/';
+
+		request.propFind.mockImplementation(() => {
+			return Promise.resolve({
+				status: 207,
+				body: getDefaultPropFind(),
+				xhr: null
+			});
+		});
+
+		// Only answer once both calendars were queried
+		let answerReports;
+		const reportsSent = new Promise((resolve) => {
+			answerReports = resolve;
+		});
+		request.report.mockImplementation((url) => {
+			if (request.report.mock.calls.length === 2) {
+				answerReports();
+			}
+
+			return reportsSent.then(() => ({
+				status: 207,
+				body: url.endsWith('/personal/')
+					? { '/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics': getVEventProps() }
+					: {},
+				xhr: null
+			}));
+		});
+
+		request.pathname.mockImplementation((p) => p);
+
+		const calendarHome = new CalendarHome(parent, request, url, {});
+		return calendarHome.search('Meeting', {
+			components: ['VEVENT'],
+			properties: ['SUMMARY', 'LOCATION'],
+			from: new Date(Date.UTC(2019, 0, 1)),
+		}).then((res) => {
+			expect(res.length).toEqual(1);
+			expect(res[0].calendar.url).toEqual('/nextcloud/remote.php/dav/calendars/admin/personal/');
+			expect(res[0].vobject.url).toEqual('/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics');
+
+			expect(request.report).toHaveBeenCalledTimes(4);
+			expect(request.report).toHaveBeenNthCalledWith(1, '/nextcloud/remote.php/dav/calendars/admin/personal/', { Depth: '1' },
+				expect.stringContaining('<x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VEVENT"><x0:time-range start="20190101T000000Z"/><x0:prop-filter name="SUMMARY"><x0:text-match>Meeting</x0:text-match></x0:prop-filter></x0:comp-filter></x0:comp-filter></x0:filter>'));
+			expect(request.report).toHaveBeenNthCalledWith(2, '/nextcloud/remote.php/dav/calendars/admin/contact_birthdays/', { Depth: '1' },
+				expect.any(String));
+			expect(request.report).toHaveBeenNthCalledWith(3, '/nextcloud/remote.php/dav/calendars/admin/personal/', { Depth: '1' },
+				expect.stringContaining('<x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VEVENT"><x0:time-range start="20190101T000000Z"/><x0:prop-filter name="LOCATION"><x0:text-match>Meeting</x0:text-match></x0:prop-filter></x0:comp-filter></x0:comp-filter></x0:filter>'));
+			expect(request.report).toHaveBeenNthCalledWith(4, '/nextcloud/remote.php/dav/calendars/admin/contact_birthdays/', { Depth: '1' },
+				expect.any(String));
+		}).catch((e) => {
+			assert.fail('CalendarHome search was not supposed to assert.fail: ' + e);
+		});
+	});
+
+	it('should allow to search an entire calendar-home using Nextcloud\'s calendar-search', () => {
+		const parent = {
+			advertisedFeatures: ['1', '3', 'access-control', 'calendar-access', 'nc-calendar-search'],
+		};
+		const request = {
+			"propFind": vi.fn(),
+			"report": vi.fn(),
+			"pathname": vi.fn()
+		};
+		const url = '/nextcloud/remote.php/dav/calendars/admin/';
+
+		request.propFind.mockImplementation(() => {
+			return Promise.resolve({
+				status: 207,
+				body: getDefaultPropFind(),
+				xhr: null
+			});
+		});
+		request.report.mockImplementation(() => {
+			return Promise.resolve({
+				status: 207,
+				body: {
+					'/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics': getVEventProps(),
+					'/nextcloud/remote.php/dav/calendars/admin/contact_birthdays/event2.ics': getVEventProps(),
+					'/nextcloud/remote.php/dav/calendars/admin/unknown/event3.ics': getVEventProps(),
+				},
+				xhr: null
+			});
+		});
+
+		request.pathname.mockImplementation((p) => p);
+
+		const calendarHome = new CalendarHome(parent, request, url, {});
+		return calendarHome.search('Meeting').then((res) => {
+			expect(res.length).toEqual(2);
+			expect(res[0].calendar.url).toEqual('/nextcloud/remote.php/dav/calendars/admin/personal/');
+			expect(res[0].vobject).toEqual(expect.any(VObject));
+			expect(res[0].vobject.url).toEqual('/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics');
+			expect(res[1].calendar.url).toEqual('/nextcloud/remote.php/dav/calendars/admin/contact_birthdays/');
+			expect(res[1].vobject.url).toEqual('/nextcloud/remote.php/dav/calendars/admin/contact_birthdays/event2.ics');
+
+			expect(request.report).toHaveBeenCalledTimes(1);
+			expect(request.report).toHaveBeenCalledWith('/nextcloud/remote.php/dav/calendars/admin/', { Depth: '1' },
+				'<x0:calendar-search xmlns:x0="http://nextcloud.com/ns"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x2:calendar-data xmlns:x2="urn:ietf:params:xml:ns:caldav"/></x1:prop><x0:filter><x0:comp-filter name="VEVENT"/><x0:comp-filter name="VTODO"/><x0:prop-filter name="SUMMARY"/><x0:prop-filter name="DESCRIPTION"/><x0:prop-filter name="LOCATION"/><x0:prop-filter name="ATTENDEE"/><x0:search-term>Meeting</x0:search-term></x0:filter></x0:calendar-search>');
+		}).catch(() => {
+			assert.fail('CalendarHome search was not supposed to assert.fail');
+		});
+	});
 
 	it('should allow to enable the birthday-calendar', () => {
 		const parent = null;
@@ -548,6 +751,29 @@ describe('Calendar home model', () => {
 		});
 	})
 
+	it('should enable the birthday-calendar with the given request options', () => {
+		const parent = null;
+		const derivedRequest = {
+			"post": vi.fn(() => Promise.resolve({
+				status: 204,
+				body: null,
+				xhr: null
+			}))
+		};
+		const request = {
+			"post": vi.fn(),
+			"withOptions": vi.fn(() => derivedRequest)
+		};
+		const url = '/nextcloud/remote.php/dav/calendars/admin/';
+
+		const calendarHome = new CalendarHome(parent, request, url, {});
+		return calendarHome.enableBirthdayCalendar({ timeout: 5000 }).then(() => {
+			expect(request.withOptions).toHaveBeenCalledWith({ timeout: 5000 });
+			expect(request.post).toHaveBeenCalledTimes(0);
+			expect(derivedRequest.post).toHaveBeenCalledTimes(1);
+		});
+	})
+
 });
 
 function getDefaultPropFind() {
@@ -769,3 +995,12 @@ function getDefaultPropFind() {
 		},
 	};
 }
+
+function getVEventProps() {
+	return {
+		'{DAV:}getcontenttype': 'text/calendar; charset=utf8',
+		'{DAV:}getetag': '"095ad0c00fe2fe0a10cb03ad8e3ed64d"',
+		'{DAV:}resourcetype': [],
+		'{urn:ietf:params:xml:ns:caldav}calendar-data': 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n',
+	};
+}
@@ -14,6 +14,7 @@ import {Calendar} from "../../../src/models/calendar.js";
 import {VObject} from "../../../src/models/vobject.js";
 import * as NS from "../../../src/utility/namespaceUtility.js";
 import * as XMLUtility from "../../../src/utility/xmlUtility.js";
+import UnsupportedFeatureError from "../../../src/errors/unsupportedFeatureError.js";
 
 describe('Calendar model', () => {
 
@@ -191,6 +192,30 @@ END:VCALENDAR
 		expect(calendar.components).toEqual(['VEVENT', 'VTODO']);
 	});
 
+	it('should inherit expose the property ctag', () => {
+		const parent = {
+			'findAll': vi.fn(),
+			'findAllByFilter': vi.fn(),
+			'find': vi.fn(),
+			'createCollection': vi.fn(),
+			'createObject': vi.fn(),
+			'update': vi.fn(),
+			'delete': vi.fn(),
+			'isReadable': vi.fn(),
+			'isWriteable': vi.fn()
+		};
+		const request = {
+			'propFind': vi.fn(),
+			'put': vi.fn(),
+			'delete': vi.fn()
+		};
+		const url = '/foo/bar/folder';
+		const props = returnDefaultProps();
+
+		const calendar = new Calendar(parent, request, url, props);
+		expect(calendar.ctag).toEqual('http://sabre.io/ns/sync/19');
+	});
+
 	it('should find all VObjects', () => {
 		const parent = {
 			'findAll': vi.fn(),
@@ -243,7 +268,7 @@ END:VCALENDAR
 			expect(request.propFind).toHaveBeenCalledWith('/foo/bar/folder/', [
 				['DAV:', 'getcontenttype'], ['DAV:', 'getetag'], ['DAV:', 'resourcetype'],
 				['DAV:', 'displayname'], ['DAV:', 'owner'], ['DAV:', 'resourcetype'],
-				['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'],
+				['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'], ['DAV:', 'supported-report-set'],
 				['DAV:', 'getcontenttype'], ['DAV:', 'getetag'], ['DAV:', 'resourcetype'],
 				['urn:ietf:params:xml:ns:caldav', 'calendar-data']], 1);
 		}).catch(() => {
@@ -296,7 +321,7 @@ END:VCALENDAR
 
 			expect(request.report).toHaveBeenCalledTimes(1);
 			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/', { Depth: '1' },
-				'<x0:calendar-query xmlns:x0="urn:ietf:params:xml:ns:caldav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:calendar-data/></x1:prop><x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VEVENT"/></x0:comp-filter></x0:filter></x0:calendar-query>');
+				'<x0:calendar-query xmlns:x0="urn:ietf:params:xml:ns:caldav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:supported-report-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:calendar-data/></x1:prop><x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VEVENT"/></x0:comp-filter></x0:filter></x0:calendar-query>');
 		}).catch(() => {
 			assert.fail('Calendar findByType was not supposed to assert.fail');
 		});
@@ -344,7 +369,7 @@ END:VCALENDAR
 
 			expect(request.report).toHaveBeenCalledTimes(1);
 			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/', { Depth: '1' },
-				'<x0:calendar-query xmlns:x0="urn:ietf:params:xml:ns:caldav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:calendar-data/></x1:prop><x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VEVENT"><x0:time-range start="20181001T000000Z" end="20181031T000000Z"/></x0:comp-filter></x0:comp-filter></x0:filter></x0:calendar-query>');
+				'<x0:calendar-query xmlns:x0="urn:ietf:params:xml:ns:caldav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:supported-report-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:calendar-data/></x1:prop><x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VEVENT"><x0:time-range start="20181001T000000Z" end="20181031T000000Z"/></x0:comp-filter></x0:comp-filter></x0:filter></x0:calendar-query>');
 		}).catch((e) => {
 			console.log(e);
 			assert.fail('Calendar findByTypeInTimeRange was not supposed to assert.fail');
@@ -401,7 +426,7 @@ END:VCALENDAR
 			expect(request.propFind).toHaveBeenCalledWith(expect.any(String), [
 				['DAV:', 'getcontenttype'], ['DAV:', 'getetag'], ['DAV:', 'resourcetype'],
 				['DAV:', 'displayname'], ['DAV:', 'owner'], ['DAV:', 'resourcetype'],
-				['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'],
+				['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'], ['DAV:', 'supported-report-set'],
 				['DAV:', 'getcontenttype'], ['DAV:', 'getetag'], ['DAV:', 'resourcetype'],
 				['urn:ietf:params:xml:ns:caldav', 'calendar-data']], 0);
 		}).catch(() => {
@@ -488,7 +513,7 @@ END:VCALENDAR
 
 			expect(request.report).toHaveBeenCalledTimes(1);
 			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/', { Depth: '1' },
-				'<x0:calendar-query xmlns:x0="urn:ietf:params:xml:ns:caldav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:calendar-data/></x1:prop><x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VEVENT"><x0:prop-filter name="ATTENDEE"><x0:text-match collation="i;ascii-casemap">mailto:lisa@example.com</x0:text-match><x0:param-filter name="PARTSTAT"><x0:text-match collation="i;ascii-casemap">NEEDS-ACTION</x0:text-match></x0:param-filter></x0:prop-filter></x0:comp-filter></x0:comp-filter></x0:filter></x0:calendar-query>');
+				'<x0:calendar-query xmlns:x0="urn:ietf:params:xml:ns:caldav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:supported-report-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:calendar-data/></x1:prop><x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VEVENT"><x0:prop-filter name="ATTENDEE"><x0:text-match collation="i;ascii-casemap">mailto:lisa@example.com</x0:text-match><x0:param-filter name="PARTSTAT"><x0:text-match collation="i;ascii-casemap">NEEDS-ACTION</x0:text-match></x0:param-filter></x0:prop-filter></x0:comp-filter></x0:comp-filter></x0:filter></x0:calendar-query>');
 		}).catch(() => {
 			assert.fail('Calendar calendarQuery was not supposed to assert.fail');
 		});
@@ -539,14 +564,168 @@ END:VCALENDAR
 
 			expect(request.report).toHaveBeenCalledTimes(1);
 			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/', { Depth: '1' },
-				'<x0:calendar-multiget xmlns:x0="urn:ietf:params:xml:ns:caldav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:calendar-data/></x1:prop><x1:href xmlns:x1="DAV:">/foo/bar/folder/a</x1:href><x1:href xmlns:x1="DAV:">/foo/bar/folder/b</x1:href></x0:calendar-multiget>');
+				'<x0:calendar-multiget xmlns:x0="urn:ietf:params:xml:ns:caldav"><x1:prop xmlns:x1="DAV:"><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x1:displayname/><x1:owner/><x1:resourcetype/><x1:sync-token/><x1:current-user-privilege-set/><x1:supported-report-set/><x1:getcontenttype/><x1:getetag/><x1:resourcetype/><x0:calendar-data/></x1:prop><x1:href xmlns:x1="DAV:">/foo/bar/folder/a</x1:href><x1:href xmlns:x1="DAV:">/foo/bar/folder/b</x1:href></x0:calendar-multiget>');
 		}).catch(() => {
 			assert.fail('Calendar calendar-multiget was not supposed to assert.fail');
 		});
 	});
 
-	it.todo('should provide a freeBusyQuery')
+	it('should send a calendar-multiget with a signal and timeout', () => {
+		const parent = {
+			'findAll': vi.fn(),
+			'findAllByFilter': vi.fn(),
+			'find': vi.fn(),
+			'createCollection': vi.fn(),
+			'createObject': vi.fn(),
+			'update': vi.fn(),
+			'delete': vi.fn(),
+			'isReadable': vi.fn(),
+			'isWriteable': vi.fn()
+		};
+		const derivedRequest = {
+			'report': vi.fn(() => Promise.resolve({
+				status: 207,
+				body: {
+					'/foo/bar/folder/a': getVEventProps()
+				},
+				xhr: null
+			}))
+		};
+		const request = {
+			'propFind': vi.fn(),
+			'put': vi.fn(),
+			'delete': vi.fn(),
+			'report': vi.fn(),
+			'pathname': vi.fn(),
+			'withOptions': vi.fn(() => derivedRequest)
+		};
+		const url = '/foo/bar/folder';
+		const props = returnDefaultProps();
+
+		const controller = new AbortController();
+		const calendar = new Calendar(parent, request, url, props);
+		return calendar.calendarMultiget(['/foo/bar/folder/a'], null, { signal: controller.signal, timeout: 5000 }).then((res) => {
+			expect(res.length).toEqual(1);
+			expect(res[0]).toEqual(expect.any(VObject));
+			expect(res[0]._request).toEqual(request);
 
+			expect(request.withOptions).toHaveBeenCalledTimes(1);
+			expect(request.withOptions).toHaveBeenCalledWith({ signal: controller.signal, timeout: 5000 });
+			expect(request.report).toHaveBeenCalledTimes(0);
+			expect(derivedRequest.report).toHaveBeenCalledTimes(1);
+		}).catch(() => {
+			assert.fail('Calendar calendar-multiget was not supposed to assert.fail');
+		});
+	});
+
+	it('should provide a freeBusyQuery', () => {
+		const parent = {
+			'findAll': vi.fn(),
+			'findAllByFilter': vi.fn(),
+			'find': vi.fn(),
+			'createCollection': vi.fn(),
+			'createObject': vi.fn(),
+			'update': vi.fn(),
+			'delete': vi.fn(),
+			'isReadable': vi.fn(),
+			'isWriteable': vi.fn()
+		};
+		const request = {
+			'propFind': vi.fn(),
+			'put': vi.fn(),
+			'delete': vi.fn(),
+			'report': vi.fn(),
+			'pathname': vi.fn()
+		};
+		const url = '/foo/bar/folder';
+		const props = returnDefaultProps();
+
+		const data = `BEGIN:VCALENDAR\r
+VERSION:2.0\r
+PRODID:-//Example Corp.//CalDAV Server//EN\r
+BEGIN:VFREEBUSY\r
+DTSTAMP:20050125T090000Z\r
+DTSTART:20060104T140000Z\r
+DTEND:20060105T220000Z\r
+FREEBUSY;FBTYPE=BUSY-TENTATIVE:20060104T150000Z/PT1H\r
+FREEBUSY:20060104T190000Z/20060104T200000Z,20060105T170000Z/PT1H30M\r
+FREEBUSY;FBTYPE=FREE:20060105T080000Z/PT1H\r
+FREEBUSY;FBTYPE=BUSY-UNAVAILABLE:20060105T180000Z/20060105\r
+ T190000Z\r
+END:VFREEBUSY\r
+END:VCALENDAR\r
+`;
+
+		request.report.mockImplementation(() => {
+			return Promise.resolve({
+				status: 200,
+				body: data,
+				xhr: null
+			});
+		});
+
+		const calendar = new Calendar(parent, request, url, props);
+		return calendar.freeBusyQuery(new Date(Date.UTC(2006, 0, 4, 14)), new Date(Date.UTC(2006, 0, 5, 22))).then((res) => {
+			expect(res).toEqual({
+				busy: [{
+					type: 'BUSY-TENTATIVE',
+					start: new Date(Date.UTC(2006, 0, 4, 15)),
+					end: new Date(Date.UTC(2006, 0, 4, 16)),
+				}, {
+					type: 'BUSY',
+					start: new Date(Date.UTC(2006, 0, 4, 19)),
+					end: new Date(Date.UTC(2006, 0, 4, 20)),
+				}, {
+					type: 'BUSY',
+					start: new Date(Date.UTC(2006, 0, 5, 17)),
+					end: new Date(Date.UTC(2006, 0, 5, 18, 30)),
+				}, {
+					type: 'BUSY-UNAVAILABLE',
+					start: new Date(Date.UTC(2006, 0, 5, 18)),
+					end: new Date(Date.UTC(2006, 0, 5, 19)),
+				}],
+				data,
+			});
+
+			expect(request.report).toHaveBeenCalledTimes(1);
+			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/', { Depth: '1' },
+				'<x0:free-busy-query xmlns:x0="urn:ietf:params:xml:ns:caldav"><x0:time-range start="20060104T140000Z" end="20060105T220000Z"/></x0:free-busy-query>');
+		}).catch(() => {
+			assert.fail('Calendar free-busy-query was not supposed to assert.fail');
+		});
+	});
+
+
+	it('should not send a freeBusyQuery the calendar does not support', () => {
+		const parent = {
+			'findAll': vi.fn(),
+			'find': vi.fn(),
+			'advertisedFeatures': ['1', '3', 'calendar-access']
+		};
+		const request = {
+			'propFind': vi.fn(),
+			'report': vi.fn(),
+			'pathname': vi.fn()
+		};
+		const url = '/foo/bar/folder';
+		const props = Object.assign(returnDefaultProps(), {
+			'{DAV:}supported-report-set': [
+				'{urn:ietf:params:xml:ns:caldav}calendar-query',
+				'{urn:ietf:params:xml:ns:caldav}calendar-multiget',
+			],
+		});
+
+		const calendar = new Calendar(parent, request, url, props);
+		expect(calendar.capabilities.supportsFreeBusyQuery).toEqual(false);
+
+		return calendar.freeBusyQuery(new Date(Date.UTC(2006, 0, 4, 14)), new Date(Date.UTC(2006, 0, 5, 22))).then(() => {
+			assert.fail('Calendar free-busy-query was supposed to assert.fail');
+		}).catch((e) => {
+			expect(e).toEqual(expect.any(UnsupportedFeatureError));
+			expect(e.feature).toEqual('supportsFreeBusyQuery');
+			expect(request.report).toHaveBeenCalledTimes(0);
+		});
+	});
 });
 
 function returnDefaultProps() {
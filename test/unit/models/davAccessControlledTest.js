@@ -0,0 +1,151 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { assert, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { davAccessControlled } from '../../../src/models/davAccessControlled.js';
+import { Ace } from '../../../src/models/ace.js';
+import { PrivilegeSet } from '../../../src/models/privilegeSet.js';
+import * as XMLUtility from "../../../src/utility/xmlUtility.js";
+
+describe('Access controlled dav model', () => {
+
+	function getAccessControlled() {
+		class Foo {}
+		Foo.prototype._request = {
+			acl: vi.fn(),
+			propFind: vi.fn(),
+		};
+		Foo.prototype.url = '/foo/';
+
+		const accessControlled = new (davAccessControlled(Foo))();
+		accessControlled._props = {};
+		return accessControlled;
+	}
+
+	beforeEach(() => {
+		XMLUtility.resetPrefixMap();
+	});
+
+	it('should provide defaults before the acl was fetched', () => {
+		const accessControlled = getAccessControlled();
+
+		expect(accessControlled.aces).toEqual([]);
+		expect(accessControlled.supportedPrivilegeSet).toEqual([]);
+		expect(accessControlled.inheritedAclSet).toEqual([]);
+	});
+
+	it('should provide the privilege set of the current user', () => {
+		const accessControlled = getAccessControlled();
+		accessControlled._props['{DAV:}current-user-privilege-set'] = ['{DAV:}read', '{DAV:}bind'];
+
+		expect(accessControlled.privilegeSet).toEqual(expect.any(PrivilegeSet));
+		expect(accessControlled.privilegeSet.canRead()).toEqual(true);
+		expect(accessControlled.privilegeSet.canReadFreeBusy()).toEqual(true);
+		expect(accessControlled.privilegeSet.canCreateChildren()).toEqual(true);
+
+		accessControlled._props['{DAV:}supported-privilege-set'] = [{
+			privilege: '{DAV:}read',
+			abstract: false,
+			description: '',
+			children: [],
+		}];
+		expect(accessControlled.privilegeSet.canReadFreeBusy()).toEqual(false);
+	});
+
+	it('should find the access control list', () => {
+		const accessControlled = getAccessControlled();
+		const aces = [
+			new Ace({ principal: '/principals/users/jane/', privileges: ['{DAV:}all'], protected: true }),
+		];
+		const supportedPrivilegeSet = [{
+			privilege: '{DAV:}all',
+			abstract: true,
+			description: '',
+			children: [],
+		}];
+		accessControlled._request.propFind.mockImplementation(() => Promise.resolve({
+			body: {
+				'{DAV:}acl': aces,
+				'{DAV:}supported-privilege-set': supportedPrivilegeSet,
+				'{DAV:}current-user-privilege-set': ['{DAV:}read'],
+			},
+			status: 207,
+			headers: new Headers(),
+		}));
+
+		return accessControlled.findAcl().then((result) => {
+			expect(accessControlled._request.propFind).toHaveBeenCalledTimes(1);
+			expect(accessControlled._request.propFind).toHaveBeenCalledWith('/foo/', [
+				['DAV:', 'acl'],
+				['DAV:', 'supported-privilege-set'],
+				['DAV:', 'current-user-privilege-set'],
+				['DAV:', 'inherited-acl-set'],
+			], 0);
+
+			expect(result).toEqual(aces);
+			expect(accessControlled.aces).toEqual(aces);
+			expect(accessControlled.supportedPrivilegeSet).toEqual(supportedPrivilegeSet);
+			expect(accessControlled.inheritedAclSet).toEqual([]);
+			expect(accessControlled._props['{DAV:}current-user-privilege-set']).toEqual(['{DAV:}read']);
+		}).catch(() => {
+			assert.fail('DavAccessControlled findAcl was not supposed to fail');
+		});
+	});
+
+	it('should replace the access control list', () => {
+		const accessControlled = getAccessControlled();
+		const inheritedAce = new Ace({ principal: { type: 'authenticated' }, privileges: ['{DAV:}read'], inherited: '/' });
+		accessControlled._props['{DAV:}acl'] = [
+			new Ace({ principal: '/principals/users/jane/', privileges: ['{DAV:}all'], protected: true }),
+			inheritedAce,
+		];
+		accessControlled._request.acl.mockImplementation(() => Promise.resolve({
+			body: '',
+			status: 200,
+			headers: new Headers(),
+		}));
+
+		const aces = [
+			accessControlled.aces[0],
+			new Ace({ principal: '/principals/users/john/', privileges: ['{DAV:}read', '{DAV:}write'] }),
+			inheritedAce,
+		];
+
+		return accessControlled.acl(aces).then(() => {
+			expect(accessControlled._request.acl).toHaveBeenCalledTimes(1);
+			expect(accessControlled._request.acl).toHaveBeenCalledWith('/foo/', {
+				'Content-Type': 'application/xml; charset=utf-8',
+			}, '<x0:acl xmlns:x0="DAV:">'
+				+ '<x0:ace><x0:principal><x0:href>/principals/users/jane/</x0:href></x0:principal><x0:grant><x0:privilege><x0:all/></x0:privilege></x0:grant></x0:ace>'
+				+ '<x0:ace><x0:principal><x0:href>/principals/users/john/</x0:href></x0:principal><x0:grant><x0:privilege><x0:read/></x0:privilege><x0:privilege><x0:write/></x0:privilege></x0:grant></x0:ace>'
+				+ '</x0:acl>');
+
+			expect(accessControlled.aces).toEqual(aces);
+		}).catch(() => {
+			assert.fail('DavAccessControlled acl was not supposed to fail');
+		});
+	});
+
+	it('should keep the access control list if the server rejects it', () => {
+		const accessControlled = getAccessControlled();
+		const aces = [
+			new Ace({ principal: '/principals/users/jane/', privileges: ['{DAV:}all'], protected: true }),
+		];
+		accessControlled._props['{DAV:}acl'] = aces;
+		accessControlled._request.acl.mockImplementation(() => Promise.reject(new Error('Forbidden')));
+
+		return accessControlled.acl([]).then(() => {
+			assert.fail('DavAccessControlled acl was supposed to fail');
+		}).catch((e) => {
+			expect(e.message).toEqual('Forbidden');
+			expect(accessControlled.aces).toEqual(aces);
+		});
+	});
+});
@@ -13,6 +13,9 @@ import { DavCollection } from "../../../src/models/davCollection.js";
 import DAVEventListener from "../../../src/models/davEventListener.js";
 import {DavObject} from "../../../src/models/davObject.js";
 import * as XMLUtility from '../../../src/utility/xmlUtility.js';
+import NetworkRequestHttpError from "../../../src/errors/networkRequestHttpError.js";
+import PropertyUpdateError from "../../../src/errors/propertyUpdateError.js";
+import UnsupportedFeatureError from "../../../src/errors/unsupportedFeatureError.js";
 
 describe('Dav collection model', () => {
 
@@ -174,7 +177,7 @@ describe('Dav collection model', () => {
 				[['DAV:', 'getcontenttype'], ['DAV:', 'getetag'],
 					['DAV:', 'resourcetype'], ['DAV:', 'displayname'],
 					['DAV:', 'owner'], ['DAV:', 'resourcetype'],
-					['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set']],
+					['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'], ['DAV:', 'supported-report-set']],
 				1);
 		}).catch(() => {
 			assert.fail('request was not supposed to assert.fail');
@@ -297,7 +300,7 @@ describe('Dav collection model', () => {
 				[['DAV:', 'getcontenttype'], ['DAV:', 'getetag'],
 					['DAV:', 'resourcetype'], ['DAV:', 'displayname'],
 					['DAV:', 'owner'], ['DAV:', 'resourcetype'],
-					['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set']],
+					['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'], ['DAV:', 'supported-report-set']],
 				1);
 		}).catch(() => {
 			assert.fail('request was not supposed to assert.fail');
@@ -364,6 +367,331 @@ describe('Dav collection model', () => {
 		});
 	});
 
+	it('should sync the collection', () => {
+		const parent = null;
+		const request = {
+			'report': vi.fn(),
+			'pathname': vi.fn()
+		};
+		const url = '/foo/bar/folder';
+		const props = {
+			'{DAV:}displayname': 'Foo Bar Bla Blub',
+			'{DAV:}resourcetype': ['{DAV:}collection'],
+			'{DAV:}sync-token': 'https://foo/bar/token/3',
+		};
+
+		const objectFactory1 = vi.fn(function() {
+			this.name = 'objectFactory1';
+		});
+
+		const collection = new DavCollection(parent, request, url, props);
+		collection._registerObjectFactory('text/foo1', objectFactory1);
+
+		request.report.mockImplementation(() => {
+			return Promise.resolve({
+				status: 207,
+				body: {
+					'/foo/bar/folder/a': {
+						'{DAV:}resourcetype': [],
+						'{DAV:}getcontenttype': 'text/foo1; charset=utf8',
+						'{DAV:}getetag': '"etag-a"'
+					},
+					'/foo/bar/folder/b': {}
+				},
+				statuses: {
+					'/foo/bar/folder/b': 404
+				},
+				syncToken: 'https://foo/bar/token/4',
+				xhr: null
+			});
+		});
+
+		request.pathname.mockImplementation((p) => p);
+
+		return collection.sync('https://foo/bar/token/3').then((result) => {
+			expect(result.updated.length).toEqual(1);
+			expect(result.updated[0].name).toEqual('objectFactory1');
+			expect(result.deleted).toEqual(['/foo/bar/folder/b']);
+			expect(result.syncToken).toEqual('https://foo/bar/token/4');
+
+			expect(request.report).toHaveBeenCalledTimes(1);
+			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/', { Depth: '0' },
+				'<x0:sync-collection xmlns:x0="DAV:"><x0:sync-token>https://foo/bar/token/3</x0:sync-token><x0:sync-level>1</x0:sync-level><x0:prop><x0:getcontenttype/><x0:getetag/><x0:resourcetype/><x0:displayname/><x0:owner/><x0:resourcetype/><x0:sync-token/><x0:current-user-privilege-set/><x0:supported-report-set/></x0:prop></x0:sync-collection>');
+		}).catch(() => {
+			assert.fail('DavCollection sync was not supposed to assert.fail');
+		});
+	});
+
+	it('should continue syncing the collection if the result was truncated', () => {
+		const parent = null;
+		const request = {
+			'report': vi.fn(),
+			'pathname': vi.fn()
+		};
+		const url = '/foo/bar/folder';
+		const props = {
+			'{DAV:}displayname': 'Foo Bar Bla Blub',
+			'{DAV:}resourcetype': ['{DAV:}collection'],
+			'{DAV:}sync-token': 'https://foo/bar/token/3',
+		};
+
+		const collection = new DavCollection(parent, request, url, props);
+
+		request.report.mockImplementationOnce(() => {
+			return Promise.resolve({
+				status: 207,
+				body: {
+					'/foo/bar/folder/': {},
+					'/foo/bar/folder/a': {
+						'{DAV:}resourcetype': [],
+						'{DAV:}getcontenttype': 'text/foo1',
+					},
+				},
+				statuses: {
+					'/foo/bar/folder/': 507
+				},
+				syncToken: 'https://foo/bar/token/2',
+				xhr: null
+			});
+		}).mockImplementationOnce(() => {
+			return Promise.resolve({
+				status: 207,
+				body: {
+					'/foo/bar/folder/b': {}
+				},
+				statuses: {
+					'/foo/bar/folder/b': 404
+				},
+				syncToken: 'https://foo/bar/token/3',
+				xhr: null
+			});
+		});
+
+		request.pathname.mockImplementation((p) => p);
+
+		return collection.sync('', 1).then((result) => {
+			expect(result.updated.length).toEqual(1);
+			expect(result.updated[0]).toEqual(expect.any(DavObject));
+			expect(result.updated[0].url).toEqual('/foo/bar/folder/a');
+			expect(result.deleted).toEqual(['/foo/bar/folder/b']);
+			expect(result.syncToken).toEqual('https://foo/bar/token/3');
+
+			expect(request.report).toHaveBeenCalledTimes(2);
+			expect(request.report).toHaveBeenNthCalledWith(1, '/foo/bar/folder/', { Depth: '0' },
+				'<x0:sync-collection xmlns:x0="DAV:"><x0:sync-token/><x0:sync-level>1</x0:sync-level><x0:limit><x0:nresults>1</x0:nresults></x0:limit><x0:prop><x0:getcontenttype/><x0:getetag/><x0:resourcetype/><x0:displayname/><x0:owner/><x0:resourcetype/><x0:sync-token/><x0:current-user-privilege-set/><x0:supported-report-set/></x0:prop></x0:sync-collection>');
+			expect(request.report).toHaveBeenNthCalledWith(2, '/foo/bar/folder/', { Depth: '0' },
+				'<x0:sync-collection xmlns:x0="DAV:"><x0:sync-token>https://foo/bar/token/2</x0:sync-token><x0:sync-level>1</x0:sync-level><x0:limit><x0:nresults>1</x0:nresults></x0:limit><x0:prop><x0:getcontenttype/><x0:getetag/><x0:resourcetype/><x0:displayname/><x0:owner/><x0:resourcetype/><x0:sync-token/><x0:current-user-privilege-set/><x0:supported-report-set/></x0:prop></x0:sync-collection>');
+		}).catch(() => {
+			assert.fail('DavCollection sync was not supposed to assert.fail');
+		});
+	});
+
+	it('should provide capabilities', () => {
+		const client = {
+			advertisedFeatures: ['1', '3', 'extended-mkcol', 'nc-calendar-search']
+		};
+		const parent = {
+			_parent: client
+		};
+		const request = {
+			'report': vi.fn()
+		};
+		const props = {
+			'{DAV:}resourcetype': ['{DAV:}collection'],
+			'{DAV:}supported-report-set': ['{DAV:}expand-property'],
+		};
+
+		const collection = new DavCollection(parent, request, '/foo/bar/folder', props);
+		expect(collection.capabilities).toEqual({
+			advertisedFeatures: ['1', '3', 'extended-mkcol', 'nc-calendar-search'],
+			supportedReports: ['{DAV:}expand-property'],
+			supportsSyncCollection: false,
+			supportsPrincipalMatch: false,
+			supportsCalendarSearch: true,
+			supportsFreeBusyQuery: false,
+			supportsManagedAttachments: false,
+			supportsExtendedMkcol: true,
+		});
+
+		return collection.sync('https://foo/bar/token/3').then(() => {
+			assert.fail('DavCollection sync was supposed to assert.fail');
+		}).catch((e) => {
+			expect(e).toEqual(expect.any(UnsupportedFeatureError));
+			expect(e.feature).toEqual('supportsSyncCollection');
+			expect(request.report).toHaveBeenCalledTimes(0);
+		});
+	});
+
+	it('should find the members matching the current user', () => {
+		const parent = null;
+		const request = {
+			'report': vi.fn(),
+			'pathname': vi.fn((p) => p)
+		};
+		const props = {
+			'{DAV:}resourcetype': ['{DAV:}collection'],
+		};
+
+		const collectionFactory1 = vi.fn(function() {
+			this.name = 'collectionFactory1';
+		});
+
+		const collection = new DavCollection(parent, request, '/foo/bar/folder', props);
+		collection._registerCollectionFactory('{FOO:}bar', collectionFactory1);
+
+		request.report.mockImplementation(() => Promise.resolve({
+			status: 207,
+			body: {
+				'/foo/bar/folder/a/': {
+					'{DAV:}resourcetype': ['{DAV:}collection', '{FOO:}bar'],
+					'{DAV:}displayname': 'A'
+				}
+			},
+			xhr: null
+		}));
+
+		return collection.principalMatch().then((result) => {
+			expect(result.length).toEqual(1);
+			expect(result[0].name).toEqual('collectionFactory1');
+			expect(collectionFactory1).toHaveBeenCalledWith(collection, request, '/foo/bar/folder/a/', {
+				'{DAV:}resourcetype': ['{DAV:}collection', '{FOO:}bar'],
+				'{DAV:}displayname': 'A'
+			});
+
+			expect(request.report).toHaveBeenCalledTimes(1);
+			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/', { Depth: '0' },
+				'<x0:principal-match xmlns:x0="DAV:"><x0:self/><x0:prop><x0:getcontenttype/><x0:getetag/><x0:resourcetype/><x0:displayname/><x0:owner/><x0:resourcetype/><x0:sync-token/><x0:current-user-privilege-set/><x0:supported-report-set/></x0:prop></x0:principal-match>');
+		}).catch(() => {
+			assert.fail('DavCollection principalMatch was not supposed to assert.fail');
+		});
+	});
+
+	it('should find the members whose principal property matches the current user', () => {
+		const parent = null;
+		const request = {
+			'report': vi.fn(),
+			'pathname': vi.fn((p) => p)
+		};
+		const props = {
+			'{DAV:}resourcetype': ['{DAV:}collection'],
+		};
+
+		const collection = new DavCollection(parent, request, '/foo/bar/folder', props);
+
+		request.report.mockImplementation(() => Promise.resolve({
+			status: 207,
+			body: {
+				'/foo/bar/folder/a/': {
+					'{DAV:}resourcetype': ['{DAV:}collection'],
+				}
+			},
+			xhr: null
+		}));
+
+		return collection.principalMatch(['DAV:', 'owner']).then((result) => {
+			expect(result.length).toEqual(1);
+			expect(result[0]).toEqual(expect.any(DavCollection));
+			expect(result[0].url).toEqual('/foo/bar/folder/a/');
+
+			expect(request.report).toHaveBeenCalledWith('/foo/bar/folder/', { Depth: '0' },
+				expect.stringContaining('<x0:principal-match xmlns:x0="DAV:"><x0:principal-property><x0:owner/></x0:principal-property><x0:prop>'));
+		}).catch(() => {
+			assert.fail('DavCollection principalMatch was not supposed to assert.fail');
+		});
+	});
+
+	it('should not send principal-match reports if the collection does not support them', () => {
+		const parent = null;
+		const request = {
+			'report': vi.fn()
+		};
+		const props = {
+			'{DAV:}resourcetype': ['{DAV:}collection'],
+			'{DAV:}supported-report-set': ['{DAV:}sync-collection'],
+		};
+
+		const collection = new DavCollection(parent, request, '/foo/bar/folder', props);
+
+		return collection.principalMatch().then(() => {
+			assert.fail('DavCollection principalMatch was supposed to assert.fail');
+		}).catch((e) => {
+			expect(e).toEqual(expect.any(UnsupportedFeatureError));
+			expect(e.feature).toEqual('supportsPrincipalMatch');
+			expect(request.report).toHaveBeenCalledTimes(0);
+		});
+	});
+
+	it('should create a collection without extended MKCOL', () => {
+		const parent = {
+			advertisedFeatures: ['1', '3']
+		};
+		const request = {
+			'mkCol': vi.fn(),
+			'mkCalendar': vi.fn(),
+			'propPatch': vi.fn(),
+		};
+		const props = {
+			'{DAV:}resourcetype': ['{DAV:}collection'],
+		};
+
+		const collection = new DavCollection(parent, request, '/foo/bar/folder', props);
+		collection.find = vi.fn(() => Promise.resolve('collection'));
+		request.mkCol.mockImplementation(() => Promise.resolve({
+			status: 201,
+			body: null,
+			xhr: null
+		}));
+		request.mkCalendar.mockImplementation(() => Promise.resolve({
+			status: 201,
+			body: null,
+			xhr: null
+		}));
+		request.propPatch.mockImplementation(() => Promise.resolve({
+			status: 207,
+			body: {},
+			xhr: null
+		}));
+
+		return collection.createCollection('foo').then((res) => {
+			expect(res).toEqual('collection');
+			expect(request.mkCol).toHaveBeenCalledTimes(1);
+			expect(request.mkCol).toHaveBeenCalledWith('/foo/bar/folder/foo', {});
+			expect(collection.find).toHaveBeenCalledWith('foo/', {});
+
+			return collection.createCollection('bar', [{
+				name: ['DAV:', 'resourcetype'],
+				children: [{ name: ['DAV:', 'collection'] }],
+			}, {
+				name: ['DAV:', 'displayname'],
+				value: 'Bar'
+			}]);
+		}).then((res) => {
+			expect(res).toEqual('collection');
+			expect(request.mkCol).toHaveBeenCalledTimes(2);
+			expect(request.mkCol).toHaveBeenNthCalledWith(2, '/foo/bar/folder/bar', {});
+			expect(request.propPatch).toHaveBeenCalledTimes(1);
+			expect(request.propPatch).toHaveBeenCalledWith('/foo/bar/folder/bar', {},
+				'<x0:propertyupdate xmlns:x0="DAV:"><x0:set><x0:prop><x0:displayname>Bar</x0:displayname></x0:prop></x0:set></x0:propertyupdate>');
+
+			return collection.createCollection('baz', [{
+				name: ['DAV:', 'resourcetype'],
+				children: [{ name: ['DAV:', 'collection'] }, { name: ['urn:ietf:params:xml:ns:caldav', 'calendar'] }],
+			}, {
+				name: ['DAV:', 'displayname'],
+				value: 'Baz'
+			}]);
+		}).then((res) => {
+			expect(res).toEqual('collection');
+			expect(request.mkCol).toHaveBeenCalledTimes(2);
+			expect(request.propPatch).toHaveBeenCalledTimes(1);
+			expect(request.mkCalendar).toHaveBeenCalledTimes(1);
+			expect(request.mkCalendar).toHaveBeenCalledWith('/foo/bar/folder/baz', {},
+				'<x1:mkcalendar xmlns:x1="urn:ietf:params:xml:ns:caldav"><x0:set xmlns:x0="DAV:"><x0:prop><x0:displayname>Baz</x0:displayname></x0:prop></x0:set></x1:mkcalendar>');
+		}).catch((e) => {
+			assert.fail('DavCollection createCollection was not supposed to assert.fail: ' + e);
+		});
+	});
+
 	it('should create a collection', () => {
 		const parent = {
 			'findAll': vi.fn(),
@@ -578,7 +906,7 @@ describe('Dav collection model', () => {
 			expect(request.propFind).toHaveBeenCalledWith('/foo/bar/folder/foo.bar', [
 				['DAV:', 'getcontenttype'], ['DAV:', 'getetag'], ['DAV:', 'resourcetype'],
 				['DAV:', 'displayname'], ['DAV:', 'owner'], ['DAV:', 'resourcetype'],
-				['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set']], 0);
+				['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'], ['DAV:', 'supported-report-set']], 0);
 		}).catch(() => {
 			assert.fail('DavCollection update was not supposed to assert.fail');
 		});
@@ -660,6 +988,69 @@ describe('Dav collection model', () => {
 		});
 	});
 
+	it('should report properties that failed to update', () => {
+		const parent = {
+			'findAll': vi.fn(),
+			'findAllByFilter': vi.fn(),
+			'find': vi.fn(),
+			'createCollection': vi.fn(),
+			'createObject': vi.fn(),
+			'update': vi.fn(),
+			'delete': vi.fn(),
+			'isReadable': vi.fn(),
+			'isWriteable': vi.fn()
+		};
+		const request = {
+			'propFind': vi.fn(),
+			'put': vi.fn(),
+			'delete': vi.fn(),
+			'propPatch': vi.fn()
+		};
+		const url = '/foo/bar/folder';
+		const props = {
+			'{DAV:}displayname': 'Foo Bar Bla Blub',
+			'{DAV:}resourcetype': ['{DAV:}collection'],
+			'{DAV:}current-user-privilege-set': ['{DAV:}write-properties', '{DAV:}read'],
+		};
+
+		request.propPatch.mockImplementation(() => {
+			return Promise.resolve({
+				status: 207,
+				body: {
+					'/foo/bar/folder/': {}
+				},
+				statuses: {},
+				failedProperties: {
+					'/foo/bar/folder/': {
+						'{DAV:}displayname': {
+							status: 403,
+							responseDescription: null
+						}
+					}
+				},
+				xhr: null
+			});
+		});
+
+		const collection = new DavCollection(parent, request, url, props);
+		collection.displayname = 'New displayname 123';
+
+		return collection.update().then(() => {
+			assert.fail('DavCollection update was supposed to fail');
+		}).catch((error) => {
+			expect(error).toEqual(expect.any(PropertyUpdateError));
+			expect(error).toEqual(expect.any(NetworkRequestHttpError));
+			expect(error.status).toEqual(207);
+			expect(error.failedProperties).toEqual({
+				'{DAV:}displayname': {
+					status: 403,
+					responseDescription: null
+				}
+			});
+			expect(request.propPatch).toHaveBeenCalledTimes(1);
+		});
+	});
+
 	it('should update the collection only if properties changed', () => {
 		const parent = {
 			'findAll': vi.fn(),
@@ -1181,7 +1572,7 @@ describe('Dav collection model', () => {
 			expect(request.propFind).toHaveBeenCalledTimes(1);
 			expect(request.propFind).toHaveBeenCalledWith('/foo/bar/folder/',
 					[['DAV:', 'displayname'], ['DAV:', 'owner'], ['DAV:', 'resourcetype'],
-					['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set']]);
+					['DAV:', 'sync-token'], ['DAV:', 'current-user-privilege-set'], ['DAV:', 'supported-report-set']]);
 		});
 	});
 });
@@ -0,0 +1,214 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { assert, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { davLockable } from '../../../src/models/davLockable.js';
+import * as XMLUtility from "../../../src/utility/xmlUtility.js";
+
+describe('Lockable dav model', () => {
+
+	const lockResponseBody = `<?xml version="1.0" encoding="utf-8" ?>
+<D:prop xmlns:D="DAV:">
+	<D:lockdiscovery>
+		<D:activelock>
+			<D:locktype><D:write/></D:locktype>
+			<D:lockscope><D:exclusive/></D:lockscope>
+			<D:depth>infinity</D:depth>
+			<D:owner><D:href>mailto:jane.doe@example.com</D:href></D:owner>
+			<D:timeout>Second-3600</D:timeout>
+			<D:locktoken><D:href>urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4</D:href></D:locktoken>
+			<D:lockroot><D:href>http://example.com/foo/</D:href></D:lockroot>
+		</D:activelock>
+	</D:lockdiscovery>
+</D:prop>`;
+
+	function getLockable() {
+		class Foo {}
+		Foo.prototype._request = {
+			lock: vi.fn(),
+			unlock: vi.fn(),
+			propFind: vi.fn(),
+			absoluteUrl: vi.fn((url) => 'http://example.com' + url),
+		};
+		Foo.prototype.url = '/foo/';
+
+		const lockable = new (davLockable(Foo))();
+		lockable._props = {};
+		return lockable;
+	}
+
+	beforeEach(() => {
+		XMLUtility.resetPrefixMap();
+	});
+
+	it('should acquire a lock', () => {
+		const lockable = getLockable();
+		lockable._request.lock.mockImplementation(() => Promise.resolve({
+			body: lockResponseBody,
+			status: 200,
+			headers: new Headers({ 'Lock-Token': '<urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4>' }),
+		}));
+
+		expect(lockable.activeLock).toEqual(null);
+
+		return lockable.lock({ timeout: 3600, owner: 'mailto:jane.doe@example.com', depth: 'infinity' }).then((lock) => {
+			expect(lockable._request.lock).toHaveBeenCalledTimes(1);
+			expect(lockable._request.lock).toHaveBeenCalledWith('/foo/', {
+				'Content-Type': 'application/xml; charset=utf-8',
+				Timeout: 'Second-3600',
+				Depth: 'infinity',
+			}, '<x0:lockinfo xmlns:x0="DAV:"><x0:lockscope><x0:exclusive/></x0:lockscope><x0:locktype><x0:write/></x0:locktype><x0:owner><x0:href>mailto:jane.doe@example.com</x0:href></x0:owner></x0:lockinfo>');
+
+			expect(lock).toEqual({
+				scope: 'exclusive',
+				type: 'write',
+				depth: 'infinity',
+				owner: 'mailto:jane.doe@example.com',
+				timeout: 3600,
+				token: 'urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4',
+				root: 'http://example.com/foo/',
+			});
+			expect(lockable.activeLock).toEqual(lock);
+		}).catch(() => {
+			assert.fail('DavLockable lock was not supposed to fail');
+		});
+	});
+
+	it('should fall back to the Lock-Token header if there is no lockdiscovery', () => {
+		const lockable = getLockable();
+		lockable._request.lock.mockImplementation(() => Promise.resolve({
+			body: '',
+			status: 200,
+			headers: new Headers({ 'Lock-Token': '<urn:uuid:123>', 'Timeout': 'Second-60' }),
+		}));
+
+		return lockable.lock({ scope: 'shared' }).then((lock) => {
+			expect(lockable._request.lock).toHaveBeenCalledWith('/foo/', {
+				'Content-Type': 'application/xml; charset=utf-8',
+				Depth: 'infinity',
+			}, '<x0:lockinfo xmlns:x0="DAV:"><x0:lockscope><x0:shared/></x0:lockscope><x0:locktype><x0:write/></x0:locktype></x0:lockinfo>');
+
+			expect(lock).toEqual({
+				scope: 'shared',
+				type: 'write',
+				depth: 'infinity',
+				owner: null,
+				timeout: 60,
+				token: 'urn:uuid:123',
+				root: '/foo/',
+			});
+		}).catch(() => {
+			assert.fail('DavLockable lock was not supposed to fail');
+		});
+	});
+
+	it('should refresh a lock', () => {
+		const lockable = getLockable();
+		lockable._lock = {
+			scope: 'exclusive',
+			type: 'write',
+			depth: 'infinity',
+			owner: null,
+			timeout: 10,
+			token: 'urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4',
+			root: '/foo/',
+		};
+		lockable._request.lock.mockImplementation(() => Promise.resolve({
+			body: lockResponseBody,
+			status: 200,
+			headers: new Headers(),
+		}));
+
+		return lockable.refreshLock(3600).then((lock) => {
+			expect(lockable._request.lock).toHaveBeenCalledTimes(1);
+			expect(lockable._request.lock).toHaveBeenCalledWith('/foo/', {
+				If: '(<urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4>)',
+				Timeout: 'Second-3600',
+			});
+			expect(lock.timeout).toEqual(3600);
+		}).catch(() => {
+			assert.fail('DavLockable refreshLock was not supposed to fail');
+		});
+	});
+
+	it('should not refresh a lock it does not hold', () => {
+		const lockable = getLockable();
+
+		return lockable.refreshLock(3600).then(() => {
+			assert.fail('DavLockable refreshLock was supposed to fail');
+		}).catch((e) => {
+			expect(e.message).toEqual('/foo/ is not locked');
+			expect(lockable._request.lock).toHaveBeenCalledTimes(0);
+		});
+	});
+
+	it('should release a lock', () => {
+		const lockable = getLockable();
+		lockable._lock = {
+			token: 'urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4',
+		};
+		lockable._request.unlock.mockImplementation(() => Promise.resolve({
+			body: '',
+			status: 204,
+			headers: new Headers(),
+		}));
+
+		return lockable.unlock().then(() => {
+			expect(lockable._request.unlock).toHaveBeenCalledTimes(1);
+			expect(lockable._request.unlock).toHaveBeenCalledWith('/foo/', {
+				'Lock-Token': '<urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4>',
+			});
+			expect(lockable.activeLock).toEqual(null);
+		}).catch(() => {
+			assert.fail('DavLockable unlock was not supposed to fail');
+		});
+	});
+
+	it('should find all locks', () => {
+		const lockable = getLockable();
+		lockable._request.propFind.mockImplementation(() => Promise.resolve({
+			body: {
+				'{DAV:}lockdiscovery': [{ scope: 'shared', token: 'urn:uuid:123' }],
+				'{DAV:}supportedlock': [{ scope: 'shared', type: 'write' }],
+			},
+			status: 207,
+			headers: new Headers(),
+		}));
+
+		return lockable.findLocks().then((locks) => {
+			expect(lockable._request.propFind).toHaveBeenCalledWith('/foo/', [
+				['DAV:', 'lockdiscovery'],
+				['DAV:', 'supportedlock'],
+			], 0);
+			expect(locks).toEqual([{ scope: 'shared', token: 'urn:uuid:123' }]);
+			expect(lockable.lockDiscovery).toEqual(locks);
+			expect(lockable.supportedLock).toEqual([{ scope: 'shared', type: 'write' }]);
+		}).catch(() => {
+			assert.fail('DavLockable findLocks was not supposed to fail');
+		});
+	});
+
+	it('should submit lock tokens of itself and its parent', () => {
+		const lockable = getLockable();
+		expect(lockable._getLockHeaders({ 'If-Match': '"etag"' })).toEqual({ 'If-Match': '"etag"' });
+
+		lockable._lock = { token: 'urn:uuid:123' };
+		lockable._parent = {
+			_request: lockable._request,
+			_lock: { token: 'urn:uuid:456' },
+			url: '/',
+		};
+
+		expect(lockable._getLockHeaders({ 'If-Match': '"etag"' })).toEqual({
+			'If-Match': '"etag"',
+			If: '<http://example.com/foo/> (<urn:uuid:123>) <http://example.com/> (<urn:uuid:456>)',
+		});
+	});
+});
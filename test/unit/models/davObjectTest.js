@@ -10,8 +10,9 @@
 import { assert, describe, expect, it, vi } from "vitest";
 
 import { DavObject } from "../../../src/models/davObject.js";
+import { PrivilegeSet } from "../../../src/models/privilegeSet.js";
 import DAVEventListener from "../../../src/models/davEventListener.js";
-import NetworkRequestClientError from "../../../src/errors/networkRequestClientError.js";
+import PreconditionFailedError from "../../../src/errors/preconditionFailedError.js";
 
 describe('Dav object model', () => {
 
@@ -353,16 +354,15 @@ describe('Dav object model', () => {
 		davObject.data = 'FooBar';
 		davObject._isDirty = true;
 
-		const xhr = {
-			'getResponseHeader': vi.fn()
-		};
-		xhr.getResponseHeader.mockReturnValueOnce('"new etag foo bar tralala"');
+		const headers = new Headers({
+			'etag': '"new etag foo bar tralala"'
+		});
 
 		request.put.mockImplementation(() => {
 			return Promise.resolve({
 				body: null,
 				status: 204,
-				xhr: xhr
+				headers: headers
 			});
 		});
 
@@ -370,9 +370,6 @@ describe('Dav object model', () => {
 			expect(request.put).toHaveBeenCalledTimes(1);
 			expect(request.put).toHaveBeenCalledWith('/foo/bar/file', {'If-Match': '"etag foo bar tralala"', 'Content-Type': 'text/blub; charset=utf-8'}, 'FooBar');
 
-			expect(xhr.getResponseHeader).toHaveBeenCalledTimes(1);
-			expect(xhr.getResponseHeader).toHaveBeenCalledWith('etag');
-
 			expect(davObject.etag).toEqual('"new etag foo bar tralala"');
 			expect(davObject.isDirty()).toEqual(false);
 		});
@@ -408,22 +405,20 @@ describe('Dav object model', () => {
 		davObject.data = 'FooBar';
 		davObject._isDirty = true;
 
-		const xhr = {
-			'getResponseHeader': vi.fn()
-		};
-		xhr.getResponseHeader.mockReturnValueOnce('"new etag foo bar tralala"');
+		const headers = new Headers({
+			'etag': '"new etag foo bar tralala"'
+		});
 
 		request.put.mockImplementation(() => {
 			return Promise.resolve({
 				body: null,
 				status: 204,
-				xhr: xhr
+				headers: headers
 			});
 		});
 
 		return davObject.update().then(() => {
 			expect(request.put).toHaveBeenCalledTimes(0);
-			expect(xhr.getResponseHeader).toHaveBeenCalledTimes(0);
 
 			expect(davObject.etag).toEqual('"etag foo bar tralala"');
 			expect(davObject.isDirty()).toEqual(true);
@@ -459,22 +454,20 @@ describe('Dav object model', () => {
 		// DavObject doesnt have it's own data property, so this is kind of a hack:
 		davObject.data = 'FooBar';
 
-		const xhr = {
-			'getResponseHeader': vi.fn()
-		};
-		xhr.getResponseHeader.mockReturnValueOnce('"new etag foo bar tralala"');
+		const headers = new Headers({
+			'etag': '"new etag foo bar tralala"'
+		});
 
 		request.put.mockImplementation(() => {
 			return Promise.resolve({
 				body: null,
 				status: 204,
-				xhr: xhr
+				headers: headers
 			});
 		});
 
 		return davObject.update().then(() => {
 			expect(request.put).toHaveBeenCalledTimes(0);
-			expect(xhr.getResponseHeader).toHaveBeenCalledTimes(0);
 
 			expect(davObject.etag).toEqual('"etag foo bar tralala"');
 			expect(davObject.isDirty()).toEqual(false);
@@ -510,16 +503,15 @@ describe('Dav object model', () => {
 		davObject.data = 'FooBar';
 		davObject._isDirty = true;
 
-		const xhr = {
-			'getResponseHeader': vi.fn()
-		};
-		xhr.getResponseHeader.mockReturnValueOnce('"new etag foo bar tralala"');
+		const headers = new Headers({
+			'etag': '"new etag foo bar tralala"'
+		});
 
 		request.put.mockImplementation(() => {
 			return Promise.resolve({
 				body: null,
 				status: 204,
-				xhr: xhr
+				headers: headers
 			});
 		});
 
@@ -527,9 +519,6 @@ describe('Dav object model', () => {
 			expect(request.put).toHaveBeenCalledTimes(1);
 			expect(request.put).toHaveBeenCalledWith('/foo/bar/file', { 'Content-Type': 'text/blub; charset=utf-8' }, 'FooBar');
 
-			expect(xhr.getResponseHeader).toHaveBeenCalledTimes(1);
-			expect(xhr.getResponseHeader).toHaveBeenCalledWith('etag');
-
 			expect(davObject.etag).toEqual('"new etag foo bar tralala"');
 			expect(davObject.isDirty()).toEqual(false);
 		});
@@ -562,22 +551,20 @@ describe('Dav object model', () => {
 
 		const davObject = new DavObject(parent, request, url, props, false);
 
-		const xhr = {
-			'getResponseHeader': vi.fn()
-		};
-		xhr.getResponseHeader.mockReturnValueOnce('"new etag foo bar tralala"');
+		const headers = new Headers({
+			'etag': '"new etag foo bar tralala"'
+		});
 
 		request.put.mockImplementation(() => {
 			return Promise.resolve({
 				body: null,
 				status: 204,
-				xhr: xhr
+				headers: headers
 			});
 		});
 
 		return davObject.update().then(() => {
 			expect(request.put).toHaveBeenCalledTimes(0);
-			expect(xhr.getResponseHeader).toHaveBeenCalledTimes(0);
 
 			expect(davObject.etag).toEqual('"etag foo bar tralala"');
 			expect(davObject.isDirty()).toEqual(false);
@@ -614,10 +601,9 @@ describe('Dav object model', () => {
 		davObject.data = 'FooBar';
 		davObject._isDirty = true;
 
-		const xhr = {
-			'getResponseHeader': vi.fn()
-		};
-		xhr.getResponseHeader.mockReturnValueOnce('"new etag foo bar tralala"');
+		const headers = new Headers({
+			'etag': '"new etag foo bar tralala"'
+		});
 
 		const error = new Error('Foo Bar');
 		request.put.mockImplementation(() => Promise.reject(error));
@@ -628,7 +614,6 @@ describe('Dav object model', () => {
 			expect(e).toEqual(error);
 
 			expect(request.put).toHaveBeenCalledTimes(1);
-			expect(xhr.getResponseHeader).toHaveBeenCalledTimes(0);
 
 			expect(davObject.etag).toEqual('"etag foo bar tralala"');
 			expect(davObject.isDirty()).toEqual(true);
@@ -666,12 +651,11 @@ describe('Dav object model', () => {
 		davObject._isDirty = true;
 		davObject._isPartial = false;
 
-		const xhr = {
-			'getResponseHeader': vi.fn()
-		};
-		xhr.getResponseHeader.mockReturnValueOnce('"new etag foo bar tralala"');
+		const headers = new Headers({
+			'etag': '"new etag foo bar tralala"'
+		});
 
-		const error = new NetworkRequestClientError({status: 412});
+		const error = new PreconditionFailedError({status: 412});
 		request.put.mockImplementation(() => Promise.reject(error));
 
 		return davObject.update().then(() => {
@@ -680,7 +664,6 @@ describe('Dav object model', () => {
 			expect(e).toEqual(error);
 
 			expect(request.put).toHaveBeenCalledTimes(1);
-			expect(xhr.getResponseHeader).toHaveBeenCalledTimes(0);
 
 			expect(davObject.etag).toEqual('"etag foo bar tralala"');
 			expect(davObject.isDirty()).toEqual(true);
@@ -734,6 +717,47 @@ describe('Dav object model', () => {
 		});
 	});
 
+	it('should submit the lock token when deleting a locked object', () => {
+		const parent = {
+			'findAll': vi.fn(),
+			'find': vi.fn(),
+			'update': vi.fn(),
+			'delete': vi.fn()
+		};
+		const request = {
+			'propFind': vi.fn(),
+			'put': vi.fn(),
+			'delete': vi.fn(),
+			'absoluteUrl': vi.fn((url) => 'https://example.com' + url)
+		};
+		const url = '/foo/bar/file';
+		const props = {
+			'{DAV:}getetag': '"etag foo bar tralala"',
+			'{DAV:}getcontenttype': 'text/blub',
+			'{DAV:}resourcetype': []
+		};
+
+		const davObject = new DavObject(parent, request, url, props, false);
+		davObject._lock = { token: 'urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4' };
+
+		request.delete.mockImplementation(() => {
+			return Promise.resolve({
+				body: null,
+				status: 204,
+				xhr: null
+			});
+		});
+
+		return davObject.delete().then(() => {
+			expect(request.delete).toHaveBeenCalledTimes(1);
+			expect(request.delete).toHaveBeenCalledWith('/foo/bar/file', {
+				If: '<https://example.com/foo/bar/file> (<urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4>)'
+			});
+		}).catch((e) => {
+			assert.fail('delete was not supposed to throw error');
+		});
+	});
+
 	it('should expose the etag as a property', () => {
 		const parent = {
 			'findAll': vi.fn(),
@@ -862,7 +886,7 @@ describe('Dav object model', () => {
 		};
 
 		davCollection1.isSameCollectionTypeAs.mockImplementation(() => true);
-		davCollection2.isWriteable.mockImplementation(() => true);
+		davCollection2.privilegeSet = new PrivilegeSet(['{DAV:}write']);
 		davCollection2.find.mockImplementation(() => 'copied_object');
 
 		const davObject = new DavObject(davCollection1, request, url, props, false);
@@ -870,13 +894,11 @@ describe('Dav object model', () => {
 			expect(davCollection1.isSameCollectionTypeAs).toHaveBeenCalledTimes(1);
 			expect(davCollection1.isSameCollectionTypeAs).toHaveBeenCalledWith(davCollection2);
 
-			expect(davCollection2.isWriteable).toHaveBeenCalledTimes(1);
-
 			expect(request.copy).toHaveBeenCalledTimes(1);
 			expect(request.copy).toHaveBeenCalledWith('/foo/bar/file-tri-tra-tralala', '/foo/bla/file-tri-tra-tralala', 0, true, {});
 
 			expect(davCollection2.find).toHaveBeenCalledTimes(1);
-			expect(davCollection2.find).toHaveBeenCalledWith('file-tri-tra-tralala');
+			expect(davCollection2.find).toHaveBeenCalledWith('file-tri-tra-tralala', {});
 		});
 	});
 
@@ -959,7 +981,7 @@ describe('Dav object model', () => {
 		};
 
 		davCollection1.isSameCollectionTypeAs.mockImplementation(() => false);
-		davCollection2.isWriteable.mockImplementation(() => true);
+		davCollection2.privilegeSet = new PrivilegeSet(['{DAV:}write']);
 		davCollection2.find.mockImplementation(() => 'copied_object');
 
 		const davObject = new DavObject(davCollection1, request, url, props, false);
@@ -1011,7 +1033,7 @@ describe('Dav object model', () => {
 		};
 
 		davCollection1.isSameCollectionTypeAs.mockImplementation(() => true);
-		davCollection2.isWriteable.mockImplementation(() => false);
+		davCollection2.privilegeSet = new PrivilegeSet(['{DAV:}read']);
 		davCollection2.find.mockImplementation(() => 'copied_object');
 
 		const davObject = new DavObject(davCollection1, request, url, props, false);
@@ -1063,7 +1085,8 @@ describe('Dav object model', () => {
 		};
 
 		davCollection1.isSameCollectionTypeAs.mockImplementation(() => true);
-		davCollection2.isWriteable.mockImplementation(() => true);
+		davCollection1.privilegeSet = new PrivilegeSet(['{DAV:}unbind']);
+		davCollection2.privilegeSet = new PrivilegeSet(['{DAV:}write']);
 		davCollection2.find.mockImplementation(() => 'copied_object');
 
 		const davObject = new DavObject(davCollection1, request, url, props, false);
@@ -1071,8 +1094,6 @@ describe('Dav object model', () => {
 			expect(davCollection1.isSameCollectionTypeAs).toHaveBeenCalledTimes(1);
 			expect(davCollection1.isSameCollectionTypeAs).toHaveBeenCalledWith(davCollection2);
 
-			expect(davCollection2.isWriteable).toHaveBeenCalledTimes(1);
-
 			expect(request.move).toHaveBeenCalledTimes(1);
 			expect(request.move).toHaveBeenCalledWith('/foo/bar/file-tri-tra-tralala', '/foo/bla/file-tri-tra-tralala', true, {});
 
@@ -1161,7 +1182,7 @@ describe('Dav object model', () => {
 		};
 
 		davCollection1.isSameCollectionTypeAs.mockImplementation(() => false);
-		davCollection2.isWriteable.mockImplementation(() => true);
+		davCollection2.privilegeSet = new PrivilegeSet(['{DAV:}write']);
 		davCollection2.find.mockImplementation(() => 'copied_object');
 
 		const davObject = new DavObject(davCollection1, request, url, props, false);
@@ -1213,7 +1234,7 @@ describe('Dav object model', () => {
 		};
 
 		davCollection1.isSameCollectionTypeAs.mockImplementation(() => true);
-		davCollection2.isWriteable.mockImplementation(() => false);
+		davCollection2.privilegeSet = new PrivilegeSet(['{DAV:}read']);
 		davCollection2.find.mockImplementation(() => 'copied_object');
 
 		const davObject = new DavObject(davCollection1, request, url, props, false);
@@ -1223,4 +1244,173 @@ describe('Dav object model', () => {
 			expect(e.message).toEqual('Can not move object into read-only destination collection');
 		});
 	});
+	it('should move a DavObject into a different collection, but not if the object can not be removed from the source', () => {
+		const davCollection1 = {
+			'findAll': vi.fn(),
+			'findAllByFilter': vi.fn(),
+			'find': vi.fn(),
+			'createCollection': vi.fn(),
+			'createObject': vi.fn(),
+			'update': vi.fn(),
+			'delete': vi.fn(),
+			'isReadable': vi.fn(),
+			'isWriteable': vi.fn(),
+			'isSameCollectionTypeAs': vi.fn()
+		};
+		davCollection1.url = '/foo/bar/';
+		const davCollection2 = {
+			'findAll': vi.fn(),
+			'findAllByFilter': vi.fn(),
+			'find': vi.fn(),
+			'createCollection': vi.fn(),
+			'createObject': vi.fn(),
+			'update': vi.fn(),
+			'delete': vi.fn(),
+			'isReadable': vi.fn(),
+			'isWriteable': vi.fn()
+		};
+		davCollection2.url = '/foo/bla/';
+		const request = {
+			'propFind': vi.fn(),
+			'put': vi.fn(),
+			'delete': vi.fn(),
+			'move': vi.fn()
+		};
+		const url = '/foo/bar/file-tri-tra-tralala';
+		const props = {
+			'{DAV:}getetag': '"etag foo bar"',
+			'{DAV:}getcontenttype': 'text/blub',
+			'{DAV:}resourcetype': [],
+			'{FOO:}bar': 'data1'
+		};
+
+		davCollection1.isSameCollectionTypeAs.mockImplementation(() => true);
+		davCollection1.privilegeSet = new PrivilegeSet(['{DAV:}read', '{DAV:}bind']);
+		davCollection2.privilegeSet = new PrivilegeSet(['{DAV:}bind']);
+		davCollection2.find.mockImplementation(() => 'copied_object');
+
+		const davObject = new DavObject(davCollection1, request, url, props, false);
+		return davObject.move(davCollection2, true).then(() => {
+			assert.fail('Move was not supposed to succeed')
+		}).catch((e) => {
+			expect(request.move).toHaveBeenCalledTimes(0);
+			expect(e.message).toEqual('Can not move object out of read-only source collection');
+		});
+	});
+
+	it('should submit the lock tokens of the object and the destination collection when copying', () => {
+		const request = {
+			'copy': vi.fn(),
+			'absoluteUrl': vi.fn((url) => 'https://example.com' + url)
+		};
+		const davCollection1 = {
+			'isSameCollectionTypeAs': vi.fn(() => true),
+			'url': '/foo/bar/',
+			'_request': request
+		};
+		const davCollection2 = {
+			'find': vi.fn(() => 'copied_object'),
+			'url': '/foo/bla/',
+			'privilegeSet': new PrivilegeSet(['{DAV:}bind']),
+			'_request': request,
+			'_lock': { token: 'urn:uuid:456' }
+		};
+
+		const davObject = new DavObject(davCollection1, request, '/foo/bar/file', {}, false);
+		davObject._lock = { token: 'urn:uuid:123' };
+
+		return davObject.copy(davCollection2, false, { 'X-Foo': 'bar' }).then(() => {
+			expect(request.copy).toHaveBeenCalledTimes(1);
+			expect(request.copy).toHaveBeenCalledWith('/foo/bar/file', '/foo/bla/file', 0, false, {
+				'X-Foo': 'bar',
+				If: '<https://example.com/foo/bar/file> (<urn:uuid:123>) <https://example.com/foo/bla/> (<urn:uuid:456>)'
+			});
+		}).catch((e) => {
+			assert.fail('copy was not supposed to throw error: ' + e);
+		});
+	});
+
+	it('should submit the lock tokens of the source and the destination collection when moving', () => {
+		const request = {
+			'move': vi.fn(),
+			'absoluteUrl': vi.fn((url) => 'https://example.com' + url)
+		};
+		const davCollection1 = {
+			'isSameCollectionTypeAs': vi.fn(() => true),
+			'url': '/foo/bar/',
+			'privilegeSet': new PrivilegeSet(['{DAV:}unbind']),
+			'_request': request,
+			'_lock': { token: 'urn:uuid:123' }
+		};
+		const davCollection2 = {
+			'url': '/foo/bla/',
+			'privilegeSet': new PrivilegeSet(['{DAV:}bind']),
+			'_request': request,
+			'_lock': { token: 'urn:uuid:456' }
+		};
+
+		const davObject = new DavObject(davCollection1, request, '/foo/bar/file', {}, false);
+
+		return davObject.move(davCollection2).then(() => {
+			expect(request.move).toHaveBeenCalledTimes(1);
+			expect(request.move).toHaveBeenCalledWith('/foo/bar/file', '/foo/bla/file', false, {
+				If: '<https://example.com/foo/bar/> (<urn:uuid:123>) <https://example.com/foo/bla/> (<urn:uuid:456>)'
+			});
+		}).catch((e) => {
+			assert.fail('move was not supposed to throw error: ' + e);
+		});
+	});
+
+	it('should drop its lock after moving', () => {
+		const request = {
+			'move': vi.fn(),
+			'absoluteUrl': vi.fn((url) => 'https://example.com' + url)
+		};
+		const davCollection1 = {
+			'isSameCollectionTypeAs': vi.fn(() => true),
+			'url': '/foo/bar/',
+			'privilegeSet': new PrivilegeSet(['{DAV:}unbind']),
+			'_request': request
+		};
+		const davCollection2 = {
+			'url': '/foo/bla/',
+			'privilegeSet': new PrivilegeSet(['{DAV:}bind']),
+			'_request': request
+		};
+
+		const davObject = new DavObject(davCollection1, request, '/foo/bar/file', {}, false);
+		davObject._lock = { token: 'urn:uuid:123' };
+
+		return davObject.move(davCollection2).then(() => {
+			expect(request.move).toHaveBeenCalledWith('/foo/bar/file', '/foo/bla/file', false, {
+				If: '<https://example.com/foo/bar/file> (<urn:uuid:123>)'
+			});
+			expect(davObject.activeLock).toEqual(null);
+		}).catch((e) => {
+			assert.fail('move was not supposed to throw error: ' + e);
+		});
+	});
+
+	it('should lock objects with depth 0 by default', () => {
+		const request = {
+			'lock': vi.fn(() => Promise.resolve({
+				body: '',
+				status: 200,
+				headers: new Headers({ 'Lock-Token': '<urn:uuid:123>' })
+			}))
+		};
+
+		const davObject = new DavObject({}, request, '/foo/bar/file', {}, false);
+
+		return davObject.lock().then((lock) => {
+			expect(request.lock).toHaveBeenCalledTimes(1);
+			expect(request.lock.mock.calls[0][1]).toEqual({
+				'Content-Type': 'application/xml; charset=utf-8',
+				Depth: '0'
+			});
+			expect(lock.depth).toEqual('0');
+		}).catch((e) => {
+			assert.fail('lock was not supposed to throw error: ' + e);
+		});
+	});
 });
@@ -12,6 +12,7 @@ import { assert, beforeEach, describe, expect, it, vi } from "vitest";
 import { DavObject } from '../../../src/models/davObject.js';
 import { Principal } from '../../../src/models/principal.js';
 import * as XMLUtility from '../../../src/utility/xmlUtility.js';
+import PropertyUpdateError from '../../../src/errors/propertyUpdateError.js';
 
 describe('Principal model', () => {
 	beforeEach(() => {
@@ -376,6 +377,42 @@ describe('Principal model', () => {
 		expect(principal.roomId).toEqual(null);
 	});
 
+	it('should expose resource booking properties', () => {
+		const parent = null;
+		const request = {
+			'propFind': vi.fn(),
+			'put': vi.fn(),
+			'delete': vi.fn(),
+			'pathname': vi.fn()
+		};
+		request.baseUrl = 'http://all.local/nextcloud/remote.php/dav/';
+		const url = '/nextcloud/remote.php/dav/principals/calendar-resources/car-1/';
+		const props = {
+			'{DAV:}displayname': 'Company car',
+			'{urn:ietf:params:xml:ns:caldav}calendar-user-type': 'RESOURCE',
+			'{http://nextcloud.com/ns}resource-type': 'vehicle',
+			'{http://nextcloud.com/ns}resource-vehicle-type': 'car',
+			'{http://nextcloud.com/ns}resource-vehicle-make': 'Volkswagen',
+			'{http://nextcloud.com/ns}resource-vehicle-model': 'ID.3',
+			'{http://nextcloud.com/ns}resource-vehicle-is-electric': true,
+			'{http://nextcloud.com/ns}resource-vehicle-range': 420,
+			'{http://nextcloud.com/ns}resource-vehicle-seating-capacity': 5,
+			'{http://nextcloud.com/ns}resource-contact-person': 'principal:principals/users/fleet',
+			'{http://nextcloud.com/ns}resource-contact-person-vcard': 'BEGIN:VCARD'
+		};
+
+		const principal = new Principal(parent, request, url, props);
+		expect(principal.resourceType).toEqual('vehicle');
+		expect(principal.resourceVehicleType).toEqual('car');
+		expect(principal.resourceVehicleMake).toEqual('Volkswagen');
+		expect(principal.resourceVehicleModel).toEqual('ID.3');
+		expect(principal.resourceVehicleIsElectric).toEqual(true);
+		expect(principal.resourceVehicleRange).toEqual(420);
+		expect(principal.resourceVehicleSeatingCapacity).toEqual(5);
+		expect(principal.resourceContactPerson).toEqual('principal:principals/users/fleet');
+		expect(principal.resourceContactPersonVCard).toEqual('BEGIN:VCARD');
+	});
+
 	it('should expose roomId as property if principal is a room', () => {
 		const parent = null;
 		const request = {
@@ -560,6 +597,246 @@ describe('Principal model', () => {
 		});
 	});
 
+	it('should find the members of a group with a single request', () => {
+		const parent = null;
+		const request = {
+			'expandProperty': vi.fn(() => Promise.resolve({
+				body: {
+					'/nextcloud/remote.php/dav/principals/groups/admins/': {
+						'{DAV:}group-member-set': {
+							'/nextcloud/remote.php/dav/principals/users/admin/': {
+								'{DAV:}displayname': 'Administrator',
+								'{urn:ietf:params:xml:ns:caldav}calendar-user-type': 'INDIVIDUAL'
+							},
+							'/nextcloud/remote.php/dav/principals/users/jane/': {
+								'{DAV:}displayname': 'Jane',
+								'{urn:ietf:params:xml:ns:caldav}calendar-user-type': 'INDIVIDUAL'
+							}
+						}
+					}
+				}
+			})),
+			'pathname': vi.fn((url) => url)
+		};
+		const url = '/nextcloud/remote.php/dav/principals/groups/admins/';
+
+		const principal = new Principal(parent, request, url, {});
+		return principal.findGroupMembers().then((members) => {
+			expect(request.expandProperty).toHaveBeenCalledTimes(1);
+			expect(request.expandProperty).toHaveBeenCalledWith(url, [{
+				name: ['DAV:', 'group-member-set'],
+				properties: Principal.getPropFindList()
+			}]);
+
+			expect(members.length).toEqual(2);
+			expect(members[0]).toEqual(expect.any(Principal));
+			expect(members[0].url).toEqual('/nextcloud/remote.php/dav/principals/users/admin/');
+			expect(members[0].displayname).toEqual('Administrator');
+			expect(members[1].userId).toEqual('jane');
+			expect(principal.groupMemberSet).toEqual([
+				'/nextcloud/remote.php/dav/principals/users/admin/',
+				'/nextcloud/remote.php/dav/principals/users/jane/'
+			]);
+		}).catch((e) => {
+			assert.fail('Principal findGroupMembers was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should find the groups of a principal even if the server does not expand them', () => {
+		const parent = null;
+		const request = {
+			'expandProperty': vi.fn(() => Promise.resolve({
+				body: {
+					'/nextcloud/remote.php/dav/principals/users/jane/': {
+						'{DAV:}group-membership': ['/nextcloud/remote.php/dav/principals/groups/admins/']
+					}
+				}
+			})),
+			'pathname': vi.fn((url) => url)
+		};
+		const url = '/nextcloud/remote.php/dav/principals/users/jane/';
+
+		const principal = new Principal(parent, request, url, {});
+		return principal.findGroupMemberships({ enableCalDAV: true }).then((groups) => {
+			expect(request.expandProperty).toHaveBeenCalledWith(url, [{
+				name: ['DAV:', 'group-membership'],
+				properties: Principal.getPropFindList({ enableCalDAV: true })
+			}]);
+
+			expect(groups.length).toEqual(1);
+			expect(groups[0].url).toEqual('/nextcloud/remote.php/dav/principals/groups/admins/');
+			expect(principal.groupMembership).toEqual(['/nextcloud/remote.php/dav/principals/groups/admins/']);
+		}).catch((e) => {
+			assert.fail('Principal findGroupMemberships was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should find the principals it acts for as calendar proxy', () => {
+		const parent = null;
+		const request = {
+			'expandProperty': vi.fn(() => Promise.resolve({
+				body: {
+					'/nextcloud/remote.php/dav/principals/users/assistant/': {
+						'{http://calendarserver.org/ns/}calendar-proxy-read-for': {},
+						'{http://calendarserver.org/ns/}calendar-proxy-write-for': {
+							'/nextcloud/remote.php/dav/principals/users/boss/': {
+								'{DAV:}displayname': 'Boss'
+							}
+						}
+					}
+				}
+			})),
+			'pathname': vi.fn((url) => url)
+		};
+		const url = '/nextcloud/remote.php/dav/principals/users/assistant/';
+
+		const principal = new Principal(parent, request, url, {});
+		return principal.findCalendarProxyFor({ enableCalDAV: true }).then(({ read, write }) => {
+			expect(request.expandProperty).toHaveBeenCalledTimes(1);
+			expect(request.expandProperty).toHaveBeenCalledWith(url, [{
+				name: ['http://calendarserver.org/ns/', 'calendar-proxy-read-for'],
+				properties: Principal.getPropFindList({ enableCalDAV: true })
+			}, {
+				name: ['http://calendarserver.org/ns/', 'calendar-proxy-write-for'],
+				properties: Principal.getPropFindList({ enableCalDAV: true })
+			}]);
+
+			expect(read).toEqual([]);
+			expect(write.length).toEqual(1);
+			expect(write[0].displayname).toEqual('Boss');
+			expect(principal.calendarProxyReadFor).toEqual([]);
+			expect(principal.calendarProxyWriteFor).toEqual(['/nextcloud/remote.php/dav/principals/users/boss/']);
+		}).catch((e) => {
+			assert.fail('Principal findCalendarProxyFor was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should find the principals acting for it as calendar proxy', () => {
+		const parent = null;
+		const request = {
+			'expandProperty': vi.fn((url) => Promise.resolve({
+				body: {
+					[url]: {
+						'{DAV:}group-member-set': url.endsWith('calendar-proxy-write/')
+							? { '/nextcloud/remote.php/dav/principals/users/assistant/': { '{DAV:}displayname': 'Assistant' } }
+							: {}
+					}
+				}
+			})),
+			'pathname': vi.fn((url) => url)
+		};
+		const url = '/nextcloud/remote.php/dav/principals/users/boss';
+
+		const principal = new Principal(parent, request, url, {});
+		expect(principal.getCalendarProxyGroup('read').url).toEqual('/nextcloud/remote.php/dav/principals/users/boss/calendar-proxy-read/');
+
+		return principal.findCalendarProxies().then(({ read, write }) => {
+			expect(request.expandProperty).toHaveBeenCalledTimes(2);
+			expect(request.expandProperty).toHaveBeenCalledWith('/nextcloud/remote.php/dav/principals/users/boss/calendar-proxy-read/', expect.any(Array));
+			expect(request.expandProperty).toHaveBeenCalledWith('/nextcloud/remote.php/dav/principals/users/boss/calendar-proxy-write/', expect.any(Array));
+
+			expect(read).toEqual([]);
+			expect(write.length).toEqual(1);
+			expect(write[0].displayname).toEqual('Assistant');
+		}).catch((e) => {
+			assert.fail('Principal findCalendarProxies was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should grant calendar proxy access by editing the proxy groups', () => {
+		const parent = null;
+		const request = {
+			'propFind': vi.fn((url) => Promise.resolve({
+				body: {
+					'{DAV:}group-member-set': url.endsWith('calendar-proxy-read/')
+						? ['/nextcloud/remote.php/dav/principals/users/assistant/', '/nextcloud/remote.php/dav/principals/users/jane/']
+						: ['/nextcloud/remote.php/dav/principals/users/john/']
+				}
+			})),
+			'propPatch': vi.fn(() => Promise.resolve({ status: 207, body: {} })),
+			'pathname': vi.fn((url) => url)
+		};
+		const url = '/nextcloud/remote.php/dav/principals/users/boss/';
+
+		const principal = new Principal(parent, request, url, {});
+		return principal.grantCalendarProxyAccess('/nextcloud/remote.php/dav/principals/users/assistant/', 'write').then(() => {
+			expect(request.propFind).toHaveBeenCalledTimes(2);
+			expect(request.propFind).toHaveBeenCalledWith('/nextcloud/remote.php/dav/principals/users/boss/calendar-proxy-write/', [['DAV:', 'group-member-set']], 0);
+			expect(request.propFind).toHaveBeenCalledWith('/nextcloud/remote.php/dav/principals/users/boss/calendar-proxy-read/', [['DAV:', 'group-member-set']], 0);
+
+			expect(request.propPatch).toHaveBeenCalledTimes(2);
+			expect(request.propPatch).toHaveBeenCalledWith('/nextcloud/remote.php/dav/principals/users/boss/calendar-proxy-write/', {}, '<x0:propertyupdate xmlns:x0="DAV:"><x0:set><x0:prop><x0:group-member-set><x0:href>/nextcloud/remote.php/dav/principals/users/john/</x0:href><x0:href>/nextcloud/remote.php/dav/principals/users/assistant/</x0:href></x0:group-member-set></x0:prop></x0:set></x0:propertyupdate>');
+			expect(request.propPatch).toHaveBeenCalledWith('/nextcloud/remote.php/dav/principals/users/boss/calendar-proxy-read/', {}, '<x0:propertyupdate xmlns:x0="DAV:"><x0:set><x0:prop><x0:group-member-set><x0:href>/nextcloud/remote.php/dav/principals/users/jane/</x0:href></x0:group-member-set></x0:prop></x0:set></x0:propertyupdate>');
+		}).catch((e) => {
+			assert.fail('Principal grantCalendarProxyAccess was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should revoke calendar proxy access only from groups containing the proxy', () => {
+		const parent = null;
+		const request = {
+			'propFind': vi.fn((url) => Promise.resolve({
+				body: {
+					'{DAV:}group-member-set': url.endsWith('calendar-proxy-read/')
+						? ['/nextcloud/remote.php/dav/principals/users/assistant/']
+						: []
+				}
+			})),
+			'propPatch': vi.fn(() => Promise.resolve({ status: 207, body: {} })),
+			'pathname': vi.fn((url) => url)
+		};
+		const url = '/nextcloud/remote.php/dav/principals/users/boss/';
+		const assistant = new Principal(null, request, '/nextcloud/remote.php/dav/principals/users/assistant/', {});
+
+		const principal = new Principal(parent, request, url, {});
+		return principal.revokeCalendarProxyAccess(assistant).then(() => {
+			expect(request.propFind).toHaveBeenCalledTimes(2);
+			expect(request.propPatch).toHaveBeenCalledTimes(1);
+			expect(request.propPatch).toHaveBeenCalledWith('/nextcloud/remote.php/dav/principals/users/boss/calendar-proxy-read/', {}, '<x0:propertyupdate xmlns:x0="DAV:"><x0:set><x0:prop><x0:group-member-set/></x0:prop></x0:set></x0:propertyupdate>');
+		}).catch((e) => {
+			assert.fail('Principal revokeCalendarProxyAccess was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should reject granting calendar proxy access if the server did not update the proxy group', () => {
+		const parent = null;
+		const request = {
+			'propFind': vi.fn(() => Promise.resolve({
+				body: {
+					'{DAV:}group-member-set': []
+				}
+			})),
+			'propPatch': vi.fn((url) => Promise.resolve({
+				status: 207,
+				body: {},
+				failedProperties: {
+					[url]: {
+						'{DAV:}group-member-set': {
+							status: 403,
+							responseDescription: null
+						}
+					}
+				}
+			})),
+			'pathname': vi.fn((url) => url)
+		};
+		const url = '/nextcloud/remote.php/dav/principals/users/boss/';
+
+		const principal = new Principal(parent, request, url, {});
+		return principal.grantCalendarProxyAccess('/nextcloud/remote.php/dav/principals/users/assistant/', 'read').then(() => {
+			assert.fail('Principal grantCalendarProxyAccess was supposed to fail');
+		}).catch((e) => {
+			expect(e).toEqual(expect.any(PropertyUpdateError));
+			expect(e.failedProperties).toEqual({
+				'{DAV:}group-member-set': {
+					status: 403,
+					responseDescription: null
+				}
+			});
+			expect(request.propPatch).toHaveBeenCalledTimes(1);
+		});
+	});
+
 	it('should update the principal only if properties changed', () => {
 		const parent = {
 			'findAll': vi.fn(),
@@ -0,0 +1,152 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, expect, it } from "vitest";
+
+import { PrivilegeSet } from '../../../src/models/privilegeSet.js';
+
+describe('Privilege set model', () => {
+
+	it('should grant nothing by default', () => {
+		const privilegeSet = new PrivilegeSet();
+
+		expect(privilegeSet.canRead()).toEqual(false);
+		expect(privilegeSet.canWrite()).toEqual(false);
+		expect(privilegeSet.canCreateChildren()).toEqual(false);
+		expect(privilegeSet.canSchedule()).toEqual(false);
+	});
+
+	it('should allow writing objects with write-content only', () => {
+		const privilegeSet = new PrivilegeSet(['{DAV:}read', '{DAV:}write-content']);
+
+		expect(privilegeSet.canWrite()).toEqual(true);
+		expect(privilegeSet.canCreateChildren()).toEqual(false);
+		expect(privilegeSet.canDeleteChildren()).toEqual(false);
+		expect(privilegeSet.canEditProperties()).toEqual(false);
+	});
+
+	it('should grant privileges aggregated by granted privileges', () => {
+		const privilegeSet = new PrivilegeSet(['{DAV:}all']);
+
+		expect(privilegeSet.canRead()).toEqual(true);
+		expect(privilegeSet.canWrite()).toEqual(true);
+		expect(privilegeSet.canCreateChildren()).toEqual(true);
+		expect(privilegeSet.canDeleteChildren()).toEqual(true);
+		expect(privilegeSet.canEditProperties()).toEqual(true);
+		expect(privilegeSet.canReadFreeBusy()).toEqual(true);
+		expect(privilegeSet.canSchedule()).toEqual(true);
+		expect(privilegeSet.has('{DAV:}read-current-user-privilege-set')).toEqual(true);
+	});
+
+	it('should grant privileges whose aggregated privileges are all granted, if the server described the aggregation', () => {
+		const supportedPrivilegeSet = [{
+			privilege: '{DAV:}all',
+			abstract: false,
+			description: '',
+			children: [{
+				privilege: '{DAV:}read',
+				abstract: false,
+				description: '',
+				children: [],
+			}, {
+				privilege: '{DAV:}write',
+				abstract: false,
+				description: '',
+				children: [{
+					privilege: '{DAV:}write-properties',
+					abstract: false,
+					description: '',
+					children: [],
+				}, {
+					privilege: '{DAV:}write-content',
+					abstract: false,
+					description: '',
+					children: [],
+				}],
+			}],
+		}];
+
+		const privilegeSet = new PrivilegeSet([
+			'{DAV:}read',
+			'{DAV:}write-properties',
+			'{DAV:}write-content',
+		], supportedPrivilegeSet);
+
+		expect(privilegeSet.has('{DAV:}write')).toEqual(true);
+		expect(privilegeSet.has('{DAV:}all')).toEqual(true);
+
+		expect(new PrivilegeSet(['{DAV:}write-properties', '{DAV:}write-content']).has('{DAV:}write')).toEqual(false);
+	});
+
+	it('should not grant read for read-free-busy only', () => {
+		const privilegeSet = new PrivilegeSet(['{urn:ietf:params:xml:ns:caldav}read-free-busy']);
+
+		expect(privilegeSet.canRead()).toEqual(false);
+		expect(privilegeSet.canReadFreeBusy()).toEqual(true);
+	});
+
+	it('should understand fine-grained privileges', () => {
+		const privilegeSet = new PrivilegeSet([
+			'{DAV:}read',
+			'{DAV:}write-content',
+			'{DAV:}bind',
+		]);
+
+		expect(privilegeSet.canRead()).toEqual(true);
+		expect(privilegeSet.canWrite()).toEqual(true);
+		expect(privilegeSet.has('{DAV:}write')).toEqual(false);
+		expect(privilegeSet.canCreateChildren()).toEqual(true);
+		expect(privilegeSet.canDeleteChildren()).toEqual(false);
+		expect(privilegeSet.canEditProperties()).toEqual(false);
+	});
+
+	it('should understand scheduling privileges', () => {
+		expect(new PrivilegeSet(['{urn:ietf:params:xml:ns:caldav}schedule-send']).canSchedule()).toEqual(true);
+		expect(new PrivilegeSet(['{urn:ietf:params:xml:ns:caldav}schedule-deliver-invite']).canSchedule()).toEqual(true);
+		expect(new PrivilegeSet(['{urn:ietf:params:xml:ns:caldav}schedule-send-freebusy']).canSchedule()).toEqual(false);
+	});
+
+	it('should aggregate privileges as described by the server', () => {
+		const supportedPrivilegeSet = [{
+			privilege: '{DAV:}all',
+			abstract: false,
+			description: '',
+			children: [{
+				privilege: '{DAV:}read',
+				abstract: false,
+				description: '',
+				children: [],
+			}, {
+				privilege: '{DAV:}write',
+				abstract: false,
+				description: '',
+				children: [{
+					privilege: '{DAV:}write-content',
+					abstract: false,
+					description: '',
+					children: [{
+						privilege: '{DAV:}bind',
+						abstract: false,
+						description: '',
+						children: [],
+					}],
+				}],
+			}],
+		}];
+
+		const privilegeSet = new PrivilegeSet(['{DAV:}write-content'], supportedPrivilegeSet);
+		expect(privilegeSet.canCreateChildren()).toEqual(true);
+		expect(privilegeSet.canWrite()).toEqual(true);
+		expect(privilegeSet.canRead()).toEqual(false);
+		expect(privilegeSet.canReadFreeBusy()).toEqual(false);
+
+		expect(new PrivilegeSet(['{DAV:}read'], supportedPrivilegeSet).canReadFreeBusy()).toEqual(false);
+		expect(new PrivilegeSet(['{DAV:}read'], []).canReadFreeBusy()).toEqual(true);
+	});
+});
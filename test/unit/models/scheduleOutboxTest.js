@@ -189,4 +189,29 @@ END:VCALENDAR
 
 	})
 
+
+	it('should send free/busy requests with the given request options', () => {
+		const derivedRequest = {
+			'post': vi.fn(() => Promise.resolve({
+				status: 200,
+				body: '<C:schedule-response xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav"/>',
+				xhr: null
+			}))
+		};
+		const request = {
+			'post': vi.fn(),
+			'withOptions': vi.fn(() => derivedRequest)
+		};
+
+		const controller = new AbortController();
+		const scheduleOutbox = new ScheduleOutbox(null, request, '/foo/bar/folder', {});
+		return scheduleOutbox.freeBusyRequest('BEGIN:VCALENDAR', { signal: controller.signal }).then((freeBusyData) => {
+			expect(freeBusyData).toEqual({});
+			expect(request.withOptions).toHaveBeenCalledWith({ signal: controller.signal });
+			expect(request.post).toHaveBeenCalledTimes(0);
+			expect(derivedRequest.post).toHaveBeenCalledTimes(1);
+		}).catch(() => {
+			assert.fail('ScheduleOutbox freeBusyRequest was not supposed to assert.fail');
+		});
+	});
 });
@@ -10,6 +10,7 @@
 import { describe, expect, it } from "vitest";
 
 import Parser from '../../src/parser.js';
+import { Ace } from '../../src/models/ace.js';
 
 describe('Parser', () => {
 
@@ -201,7 +202,178 @@ describe('Parser', () => {
 		expect(parser.parse(document, node, resolver)).toEqual(['{DAV:}collection', '{urn:ietf:params:xml:ns:caldav}calendar']);
 	});
 
+	it('should properly handle {DAV:}lockdiscovery', () => {
+		const parser = new Parser();
+
+		const xml = `<?xml version="1.0" encoding="utf-8" ?>
+<D:multistatus xmlns:D="DAV:">
+	<D:response>
+		<D:href>/foo</D:href>
+		<D:propstat>
+			<D:prop>
+				<D:lockdiscovery>
+					<D:activelock>
+						<D:locktype><D:write/></D:locktype>
+						<D:lockscope><D:exclusive/></D:lockscope>
+						<D:depth>Infinity</D:depth>
+						<D:owner>
+							<D:href>mailto:jane.doe@example.com</D:href>
+						</D:owner>
+						<D:timeout>Second-604800</D:timeout>
+						<D:locktoken>
+							<D:href>urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4</D:href>
+						</D:locktoken>
+						<D:lockroot>
+							<D:href>http://example.com/foo</D:href>
+						</D:lockroot>
+					</D:activelock>
+					<D:activelock>
+						<D:locktype><D:write/></D:locktype>
+						<D:lockscope><D:shared/></D:lockscope>
+						<D:depth>0</D:depth>
+						<D:owner>Jane Doe</D:owner>
+						<D:timeout>Infinite</D:timeout>
+					</D:activelock>
+				</D:lockdiscovery>
+			</D:prop>
+			<D:status>HTTP/1.1 200 OK</D:status>
+		</D:propstat>
+	</D:response>
+</D:multistatus>`;
+
+		const [document, node, resolver] = getDocumentNodeResolverFromXML(xml);
+
+		expect(parser.canParse('{DAV:}lockdiscovery')).toEqual(true);
+		expect(parser.parse(document, node, resolver)).toEqual([{
+			scope: 'exclusive',
+			type: 'write',
+			depth: 'infinity',
+			owner: 'mailto:jane.doe@example.com',
+			timeout: 604800,
+			token: 'urn:uuid:e71d4fae-5dec-22d6-fea5-00a0c91e6be4',
+			root: 'http://example.com/foo',
+		}, {
+			scope: 'shared',
+			type: 'write',
+			depth: '0',
+			owner: 'Jane Doe',
+			timeout: Infinity,
+			token: null,
+			root: null,
+		}]);
+	});
+
+	it('should properly handle {DAV:}supportedlock', () => {
+		const parser = new Parser();
+
+		const xml = `<?xml version="1.0" encoding="utf-8" ?>
+<D:multistatus xmlns:D="DAV:">
+	<D:response>
+		<D:href>/foo</D:href>
+		<D:propstat>
+			<D:prop>
+				<D:supportedlock>
+					<D:lockentry>
+						<D:lockscope><D:exclusive/></D:lockscope>
+						<D:locktype><D:write/></D:locktype>
+					</D:lockentry>
+					<D:lockentry>
+						<D:lockscope><D:shared/></D:lockscope>
+						<D:locktype><D:write/></D:locktype>
+					</D:lockentry>
+				</D:supportedlock>
+			</D:prop>
+			<D:status>HTTP/1.1 200 OK</D:status>
+		</D:propstat>
+	</D:response>
+</D:multistatus>`;
+
+		const [document, node, resolver] = getDocumentNodeResolverFromXML(xml);
+
+		expect(parser.canParse('{DAV:}supportedlock')).toEqual(true);
+		expect(parser.parse(document, node, resolver)).toEqual([
+			{ scope: 'exclusive', type: 'write' },
+			{ scope: 'shared', type: 'write' },
+		]);
+	});
+
 	// RFC 3744 - Web Distributed Authoring and Versioning (WebDAV) Access Control Protocol
+	it('should properly handle {DAV:}acl', () => {
+		const parser = new Parser();
+
+		const xml = `<?xml version="1.0" encoding="utf-8" ?>
+<D:multistatus xmlns:D="DAV:">
+	<D:response>
+		<D:href>/foo</D:href>
+		<D:propstat>
+			<D:prop>
+				<D:acl>
+					<D:ace>
+						<D:principal><D:href>/principals/users/jane/</D:href></D:principal>
+						<D:grant><D:privilege><D:all/></D:privilege></D:grant>
+						<D:protected/>
+					</D:ace>
+					<D:ace>
+						<D:principal><D:authenticated/></D:principal>
+						<D:deny><D:privilege><D:write/></D:privilege></D:deny>
+						<D:inherited><D:href>/</D:href></D:inherited>
+					</D:ace>
+				</D:acl>
+			</D:prop>
+			<D:status>HTTP/1.1 200 OK</D:status>
+		</D:propstat>
+	</D:response>
+</D:multistatus>`;
+
+		const [document, node, resolver] = getDocumentNodeResolverFromXML(xml);
+
+		expect(parser.canParse('{DAV:}acl')).toEqual(true);
+		expect(parser.parse(document, node, resolver)).toEqual([
+			new Ace({ principal: '/principals/users/jane/', privileges: ['{DAV:}all'], protected: true }),
+			new Ace({ principal: { type: 'authenticated' }, grant: false, privileges: ['{DAV:}write'], inherited: '/' }),
+		]);
+	});
+
+	it('should properly handle {DAV:}supported-privilege-set', () => {
+		const parser = new Parser();
+
+		const xml = `<?xml version="1.0" encoding="utf-8" ?>
+<D:multistatus xmlns:D="DAV:">
+	<D:response>
+		<D:href>/foo</D:href>
+		<D:propstat>
+			<D:prop>
+				<D:supported-privilege-set>
+					<D:supported-privilege>
+						<D:privilege><D:all/></D:privilege>
+						<D:abstract/>
+						<D:supported-privilege>
+							<D:privilege><D:read/></D:privilege>
+						</D:supported-privilege>
+					</D:supported-privilege>
+				</D:supported-privilege-set>
+			</D:prop>
+			<D:status>HTTP/1.1 200 OK</D:status>
+		</D:propstat>
+	</D:response>
+</D:multistatus>`;
+
+		const [document, node, resolver] = getDocumentNodeResolverFromXML(xml);
+
+		expect(parser.canParse('{DAV:}supported-privilege-set')).toEqual(true);
+		expect(parser.parse(document, node, resolver)).toEqual([{
+			privilege: '{DAV:}all',
+			abstract: true,
+			description: '',
+			children: [{
+				privilege: '{DAV:}read',
+				abstract: false,
+				description: '',
+				children: [],
+			}],
+		}]);
+	});
+
 	it('should properly handle {DAV:}inherited-acl-set', () => {
 		const parser = new Parser();
 
@@ -423,6 +595,35 @@ describe('Parser', () => {
 		expect(parser.parse(document, node, resolver)).toEqual(['http://www.example.com/acl/users/', 'http://www.example.com/acl/groups/']);
 	});
 
+	it('should properly handle {DAV:}supported-report-set', () => {
+		const parser = new Parser();
+
+		const xml = `<?xml version="1.0" encoding="utf-8" ?>
+<D:multistatus xmlns:D="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">
+	<D:response>
+		<D:href>/foo</D:href>
+		<D:propstat>
+			<D:prop>
+				<D:supported-report-set>
+					<D:supported-report>
+						<D:report><D:sync-collection/></D:report>
+					</D:supported-report>
+					<D:supported-report>
+						<D:report><cal:free-busy-query/></D:report>
+					</D:supported-report>
+				</D:supported-report-set>
+			</D:prop>
+			<D:status>HTTP/1.1 200 OK</D:status>
+		</D:propstat>
+	</D:response>
+</D:multistatus>`;
+
+		const [document, node, resolver] = getDocumentNodeResolverFromXML(xml);
+
+		expect(parser.canParse('{DAV:}supported-report-set')).toEqual(true);
+		expect(parser.parse(document, node, resolver)).toEqual(['{DAV:}sync-collection', '{urn:ietf:params:xml:ns:caldav}free-busy-query']);
+	});
+
 	// RFC 5397 - WebDAV Current Principal Extension
 	it('should properly handle {DAV:}current-user-principal - unauthenticated', () => {
 		const parser = new Parser();
@@ -1928,6 +2129,83 @@ END:VALARM`);
 		expect(parser.canParse('{http://sabredav.org/ns}email-address')).toEqual(true);
 		expect(parser.parse(document, node, resolver)).toEqual('foo@bar.com');
 	});
+
+	it('should properly handle {http://nextcloud.com/ns}resource-vehicle-type', () => {
+		const parser = new Parser();
+
+		const xml = `<?xml version="1.0" encoding="utf-8" ?>
+<D:multistatus xmlns:D="DAV:" xmlns:nc="http://nextcloud.com/ns">
+	<D:response>
+		<D:href>/foo</D:href>
+		<D:propstat>
+			<D:prop>
+				<nc:resource-vehicle-type>car</nc:resource-vehicle-type>
+			</D:prop>
+			<D:status>HTTP/1.1 200 OK</D:status>
+		</D:propstat>
+	</D:response>
+</D:multistatus>`;
+
+		const [document, node, resolver] = getDocumentNodeResolverFromXML(xml);
+
+		expect(parser.canParse('{http://nextcloud.com/ns}resource-vehicle-type')).toEqual(true);
+		expect(parser.parse(document, node, resolver)).toEqual('car');
+	});
+
+	it('should properly handle {http://nextcloud.com/ns}resource-vehicle-is-electric', () => {
+		const parser = new Parser();
+
+		const xml = `<?xml version="1.0" encoding="utf-8" ?>
+<D:multistatus xmlns:D="DAV:" xmlns:nc="http://nextcloud.com/ns">
+	<D:response>
+		<D:href>/foo</D:href>
+		<D:propstat>
+			<D:prop>
+				<nc:resource-vehicle-is-electric>1</nc:resource-vehicle-is-electric>
+			</D:prop>
+			<D:status>HTTP/1.1 200 OK</D:status>
+		</D:propstat>
+	</D:response>
+</D:multistatus>`;
+
+		const [document, node, resolver] = getDocumentNodeResolverFromXML(xml);
+
+		expect(parser.canParse('{http://nextcloud.com/ns}resource-vehicle-is-electric')).toEqual(true);
+		expect(parser.parse(document, node, resolver)).toEqual(true);
+	});
+
+	it('should properly handle {http://nextcloud.com/ns}resource-vehicle-range', () => {
+		const parser = new Parser();
+
+		const xml = `<?xml version="1.0" encoding="utf-8" ?>
+<D:multistatus xmlns:D="DAV:" xmlns:nc="http://nextcloud.com/ns">
+	<D:response>
+		<D:href>/foo</D:href>
+		<D:propstat>
+			<D:prop>
+				<nc:resource-vehicle-range>450</nc:resource-vehicle-range>
+			</D:prop>
+			<D:status>HTTP/1.1 200 OK</D:status>
+		</D:propstat>
+	</D:response>
+</D:multistatus>`;
+
+		const [document, node, resolver] = getDocumentNodeResolverFromXML(xml);
+
+		expect(parser.canParse('{http://nextcloud.com/ns}resource-vehicle-range')).toEqual(true);
+		expect(parser.parse(document, node, resolver)).toEqual(450);
+	});
+
+	it('should properly handle the remaining resource booking properties', () => {
+		const parser = new Parser();
+
+		expect(parser.canParse('{http://nextcloud.com/ns}resource-type')).toEqual(true);
+		expect(parser.canParse('{http://nextcloud.com/ns}resource-vehicle-make')).toEqual(true);
+		expect(parser.canParse('{http://nextcloud.com/ns}resource-vehicle-model')).toEqual(true);
+		expect(parser.canParse('{http://nextcloud.com/ns}resource-vehicle-seating-capacity')).toEqual(true);
+		expect(parser.canParse('{http://nextcloud.com/ns}resource-contact-person')).toEqual(true);
+		expect(parser.canParse('{http://nextcloud.com/ns}resource-contact-person-vcard')).toEqual(true);
+	});
 });
 
 function getDocumentNodeResolverFromXML(xml) {
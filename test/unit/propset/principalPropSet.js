@@ -34,4 +34,27 @@ describe('Principal prop-set', () => {
 			}
 		]);
 	});
+
+	it('should serialize {DAV:}group-member-set correctly', () => {
+		expect(principalPropSet({
+			'{DAV:}group-member-set': [
+				'/nextcloud/remote.php/dav/principals/users/jane/',
+				'/nextcloud/remote.php/dav/principals/users/john/'
+			]
+		})).toEqual([
+			{
+				name: ['DAV:', 'group-member-set'],
+				children: [
+					{
+						name: ['DAV:', 'href'],
+						value: '/nextcloud/remote.php/dav/principals/users/jane/'
+					},
+					{
+						name: ['DAV:', 'href'],
+						value: '/nextcloud/remote.php/dav/principals/users/john/'
+					}
+				]
+			}
+		]);
+	});
 });
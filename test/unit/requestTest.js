@@ -10,12 +10,27 @@
 import { assert, beforeEach, describe, expect, it, vi } from "vitest";
 
 import Request from "../../src/request.js";
+import { SimpleXmlEnvironment } from "../../src/xml/simpleXmlEnvironment.js";
 import * as XMLUtility from '../../src/utility/xmlUtility.js';
 import NetworkRequestAbortedError from "../../src/errors/networkRequestAbortedError.js";
 import NetworkRequestError from "../../src/errors/networkRequestError.js";
+import NetworkRequestTimeoutError from "../../src/errors/networkRequestTimeoutError.js";
 import NetworkRequestServerError from "../../src/errors/networkRequestServerError.js";
 import NetworkRequestClientError from "../../src/errors/networkRequestClientError.js";
 import NetworkRequestHttpError from "../../src/errors/networkRequestHttpError.js";
+import UnauthorizedError from "../../src/errors/unauthorizedError.js";
+import ForbiddenError from "../../src/errors/forbiddenError.js";
+import NotFoundError from "../../src/errors/notFoundError.js";
+import ConflictError from "../../src/errors/conflictError.js";
+import PreconditionFailedError from "../../src/errors/preconditionFailedError.js";
+import LockedError from "../../src/errors/lockedError.js";
+import TooManyRequestsError from "../../src/errors/tooManyRequestsError.js";
+import InsufficientStorageError from "../../src/errors/insufficientStorageError.js";
+import PreconditionError from "../../src/errors/preconditionError.js";
+import UidConflictError from "../../src/errors/uidConflictError.js";
+import NeedPrivilegesError from "../../src/errors/needPrivilegesError.js";
+import InvalidDataError from "../../src/errors/invalidDataError.js";
+import LimitExceededError from "../../src/errors/limitExceededError.js";
 
 describe('Request', () => {
 
@@ -27,6 +42,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -66,6 +82,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -77,6 +95,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -113,6 +132,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -124,6 +145,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -160,6 +182,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -171,6 +195,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -207,6 +232,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -218,6 +245,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -249,6 +277,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -260,6 +290,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -293,6 +324,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -304,6 +337,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -337,6 +371,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -348,6 +384,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -379,6 +416,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -390,6 +429,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -421,6 +461,49 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
+				xhr: xhr
+			});
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it ('should send ACL requests', () => {
+		const xhr = {
+			'open': vi.fn(),
+			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
+			'send': vi.fn()
+		};
+		const xhrProvider = vi.fn(() => xhr);
+		const parser = {
+			'canParse': vi.fn(),
+			'parse': vi.fn()
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', parser, xhrProvider);
+		const promise = request.acl('fooBar', {}, '<d:acl xmlns:d="DAV:"/>');
+
+		expect(xhrProvider).toHaveBeenCalledTimes(1);
+		expect(xhr.open).toHaveBeenCalledTimes(1);
+		expect(xhr.open).toHaveBeenCalledWith('ACL', 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar', true);
+
+		expect(xhr.send).toHaveBeenCalledTimes(1);
+		expect(xhr.send).toHaveBeenCalledWith('<d:acl xmlns:d="DAV:"/>');
+
+		xhr.readyState = 4;
+		xhr.status = 200;
+		xhr.response = '';
+		xhr.onreadystatechange();
+
+		return promise.then((res) => {
+			expect(res).toEqual({
+				body: '',
+				status: 200,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -432,6 +515,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -463,6 +547,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -474,6 +560,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -510,6 +597,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -521,6 +610,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -557,6 +647,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -568,6 +660,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -604,6 +697,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -611,10 +706,105 @@ describe('Request', () => {
 		});
 	});
 
+	it ('should send expand-property REPORT requests and parse expanded properties', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve({
+				body: `<d:multistatus xmlns:d="DAV:">
+	<d:response>
+		<d:href>/principals/groups/admins/</d:href>
+		<d:propstat>
+			<d:prop>
+				<d:group-member-set>
+					<d:response>
+						<d:href>/principals/users/admin/</d:href>
+						<d:propstat>
+							<d:prop><d:displayname>Administrator</d:displayname></d:prop>
+							<d:status>HTTP/1.1 200 OK</d:status>
+						</d:propstat>
+						<d:propstat>
+							<d:prop><d:group-membership/></d:prop>
+							<d:status>HTTP/1.1 404 Not Found</d:status>
+						</d:propstat>
+					</d:response>
+					<d:response>
+						<d:href>/principals/users/jane/</d:href>
+						<d:propstat>
+							<d:prop>
+								<d:displayname>Jane</d:displayname>
+								<d:group-membership>
+									<d:response>
+										<d:href>/principals/groups/admins/</d:href>
+										<d:propstat>
+											<d:prop><d:displayname>Admins</d:displayname></d:prop>
+											<d:status>HTTP/1.1 200 OK</d:status>
+										</d:propstat>
+									</d:response>
+								</d:group-membership>
+							</d:prop>
+							<d:status>HTTP/1.1 200 OK</d:status>
+						</d:propstat>
+					</d:response>
+				</d:group-member-set>
+			</d:prop>
+			<d:status>HTTP/1.1 200 OK</d:status>
+		</d:propstat>
+	</d:response>
+</d:multistatus>`,
+				status: 207,
+				headers: new Headers(),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/principals/groups/admins/'
+			}))
+		};
+		const parser = {
+			'canParse': vi.fn((propertyName) => propertyName === '{DAV:}displayname'),
+			'parse': vi.fn((document, node) => node.textContent)
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', parser, transport);
+		return request.expandProperty('principals/groups/admins/', [{
+			name: ['DAV:', 'group-member-set'],
+			properties: [
+				['DAV:', 'displayname'],
+				{ name: ['DAV:', 'group-membership'], properties: [['DAV:', 'displayname']] },
+			],
+		}]).then((res) => {
+			expect(transport.send).toHaveBeenCalledWith('REPORT', 'https://nextcloud.testing/nextcloud/remote.php/dav/principals/groups/admins/', {
+				'Depth': 0,
+				'Content-Type': 'application/xml; charset=utf-8'
+			}, '<x0:expand-property xmlns:x0="DAV:">'
+				+ '<x0:property name="group-member-set" namespace="DAV:">'
+				+ '<x0:property name="displayname" namespace="DAV:"/>'
+				+ '<x0:property name="group-membership" namespace="DAV:"><x0:property name="displayname" namespace="DAV:"/></x0:property>'
+				+ '</x0:property>'
+				+ '</x0:expand-property>', expect.any(Function), expect.any(Function));
+
+			expect(res.body).toEqual({
+				'/principals/groups/admins/': {
+					'{DAV:}group-member-set': {
+						'/principals/users/admin/': {
+							'{DAV:}displayname': 'Administrator'
+						},
+						'/principals/users/jane/': {
+							'{DAV:}displayname': 'Jane',
+							'{DAV:}group-membership': {
+								'/principals/groups/admins/': {
+									'{DAV:}displayname': 'Admins'
+								}
+							}
+						}
+					}
+				}
+			});
+		}).catch((e) => {
+			assert.fail('Promise was not supposed to assert.fail: ' + e);
+		});
+	});
+
 	it ('should send generic requests', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -651,6 +841,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 234,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -662,6 +854,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -703,6 +896,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -744,6 +938,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -785,6 +980,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -826,6 +1022,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -867,6 +1064,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -977,24 +1175,40 @@ describe('Request', () => {
 `;
 		xhr.onreadystatechange();
 
-		expect(parser.canParse).toHaveBeenCalledTimes(3);
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}owner');
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}resourcetype');
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}current-user-privilege-set');
+		return promise.then((res) => {
+			expect(parser.canParse).toHaveBeenCalledTimes(3);
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}owner');
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}resourcetype');
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}current-user-privilege-set');
 
-		expect(parser.parse).toHaveBeenCalledTimes(2);
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledTimes(2);
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
 
-		return promise.then((res) => {
 			expect(res).toEqual({
 				body: {
 					'{DAV:}owner': 'value1',
 					'{DAV:}current-user-privilege-set': 'value2'
 				},
 				status: 207,
+				statuses: {},
+				failedProperties: expect.any(Object),
+				syncToken: null,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
+
+			expect(Object.keys(res.failedProperties)).toEqual(['/nextcloud/remote.php/dav/calendars/admin/']);
+			expect(res.failedProperties['/nextcloud/remote.php/dav/calendars/admin/']['{DAV:}displayname']).toEqual({
+				status: 404,
+				responseDescription: null
+			});
+			expect(res.failedProperties['/nextcloud/remote.php/dav/calendars/admin/']['{http://nextcloud.com/ns}owner-displayname']).toEqual({
+				status: 404,
+				responseDescription: null
+			});
+			expect(res.failedProperties['/nextcloud/remote.php/dav/calendars/admin/']['{DAV:}owner']).toEqual(undefined);
 		}).catch(() => {
 			assert.fail('Promise was not supposed to assert.fail');
 		});
@@ -1004,6 +1218,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -1248,55 +1463,54 @@ describe('Request', () => {
 `;
 		xhr.onreadystatechange();
 
-
-		expect(parser.canParse).toHaveBeenCalledTimes(22);
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}owner');
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}resourcetype');
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}current-user-privilege-set');
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}displayname');
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}owner');
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}resourcetype');
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}sync-token');
-		expect(parser.canParse).toHaveBeenCalledWith('{DAV:}current-user-privilege-set');
-		expect(parser.canParse).toHaveBeenCalledWith('{http://owncloud.org/ns}invite');
-		expect(parser.canParse).toHaveBeenCalledWith('{http://calendarserver.org/ns/}allowed-sharing-modes');
-		expect(parser.canParse).toHaveBeenCalledWith('{http://calendarserver.org/ns/}publish-url');
-		expect(parser.canParse).toHaveBeenCalledWith('{http://apple.com/ns/ical/}calendar-order');
-		expect(parser.canParse).toHaveBeenCalledWith('{http://apple.com/ns/ical/}calendar-color');
-		expect(parser.canParse).toHaveBeenCalledWith('{http://calendarserver.org/ns/}getctag');
-		expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}calendar-timezone');
-		expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}supported-calendar-component-set');
-		expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}supported-calendar-data');
-		expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}max-resource-size');
-		expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}supported-collation-set');
-		expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}schedule-calendar-transp');
-		expect(parser.canParse).toHaveBeenCalledWith('{http://owncloud.org/ns}calendar-enabled');
-		expect(parser.canParse).toHaveBeenCalledWith('{http://nextcloud.com/ns}owner-displayname');
-
-		expect(parser.parse).toHaveBeenCalledTimes(21);
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-		expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
-
 		return promise.then((res) => {
+			expect(parser.canParse).toHaveBeenCalledTimes(22);
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}owner');
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}resourcetype');
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}current-user-privilege-set');
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}displayname');
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}owner');
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}resourcetype');
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}sync-token');
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}current-user-privilege-set');
+			expect(parser.canParse).toHaveBeenCalledWith('{http://owncloud.org/ns}invite');
+			expect(parser.canParse).toHaveBeenCalledWith('{http://calendarserver.org/ns/}allowed-sharing-modes');
+			expect(parser.canParse).toHaveBeenCalledWith('{http://calendarserver.org/ns/}publish-url');
+			expect(parser.canParse).toHaveBeenCalledWith('{http://apple.com/ns/ical/}calendar-order');
+			expect(parser.canParse).toHaveBeenCalledWith('{http://apple.com/ns/ical/}calendar-color');
+			expect(parser.canParse).toHaveBeenCalledWith('{http://calendarserver.org/ns/}getctag');
+			expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}calendar-timezone');
+			expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}supported-calendar-component-set');
+			expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}supported-calendar-data');
+			expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}max-resource-size');
+			expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}supported-collation-set');
+			expect(parser.canParse).toHaveBeenCalledWith('{urn:ietf:params:xml:ns:caldav}schedule-calendar-transp');
+			expect(parser.canParse).toHaveBeenCalledWith('{http://owncloud.org/ns}calendar-enabled');
+			expect(parser.canParse).toHaveBeenCalledWith('{http://nextcloud.com/ns}owner-displayname');
+
+			expect(parser.parse).toHaveBeenCalledTimes(21);
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+			expect(parser.parse).toHaveBeenCalledWith(expect.any(Document), expect.any(Node), expect.any(Function));
+
 			expect(res).toEqual({
 				body: {
 					'/nextcloud/remote.php/dav/calendars/admin/': {
@@ -1326,6 +1540,90 @@ describe('Request', () => {
 					}
 				},
 				status: 207,
+				statuses: {},
+				failedProperties: expect.any(Object),
+				syncToken: null,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
+				xhr: xhr
+			});
+
+			expect(Object.keys(res.failedProperties)).toEqual([
+				'/nextcloud/remote.php/dav/calendars/admin/',
+				'/nextcloud/remote.php/dav/calendars/admin/personal/'
+			]);
+			expect(Object.keys(res.failedProperties['/nextcloud/remote.php/dav/calendars/admin/personal/'])).toEqual([
+				'{http://calendarserver.org/ns/}source',
+				'{urn:ietf:params:xml:ns:caldav}calendar-description',
+				'{urn:ietf:params:xml:ns:caldav}min-date-time',
+				'{urn:ietf:params:xml:ns:caldav}max-date-time',
+				'{urn:ietf:params:xml:ns:caldav}max-instances',
+				'{urn:ietf:params:xml:ns:caldav}max-attendees-per-instance',
+				'{urn:ietf:params:xml:ns:caldav}calendar-free-busy-set',
+				'{urn:ietf:params:xml:ns:caldav}schedule-default-calendar-URL'
+			]);
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it ('should properly handle multistatus responses - sync-collection', () => {
+		const xhr = {
+			'open': vi.fn(),
+			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
+			'send': vi.fn()
+		};
+		const xhrProvider = vi.fn(() => xhr);
+		const parser = {
+			'canParse': vi.fn(),
+			'parse': vi.fn()
+		};
+
+		parser.canParse.mockReturnValue(true);
+		parser.parse.mockReturnValueOnce('"etag1"');
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', parser, xhrProvider);
+		const promise = request.report('calendars/admin/personal/', { Depth: '0' }, '<x0:sync-collection xmlns:x0="DAV:"/>');
+
+		xhr.readyState = 4;
+		xhr.status = 207;
+		xhr.response = `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:">
+	<d:response>
+		<d:href>/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics</d:href>
+		<d:propstat>
+			<d:prop>
+				<d:getetag>"etag1"</d:getetag>
+			</d:prop>
+			<d:status>HTTP/1.1 200 OK</d:status>
+		</d:propstat>
+	</d:response>
+	<d:response>
+		<d:href>/nextcloud/remote.php/dav/calendars/admin/personal/event2.ics</d:href>
+		<d:status>HTTP/1.1 404 Not Found</d:status>
+	</d:response>
+	<d:sync-token>http://sabre.io/ns/sync/42</d:sync-token>
+</d:multistatus>
+`;
+		xhr.onreadystatechange();
+
+		return promise.then((res) => {
+			expect(res).toEqual({
+				body: {
+					'/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics': {
+						'{DAV:}getetag': '"etag1"'
+					},
+					'/nextcloud/remote.php/dav/calendars/admin/personal/event2.ics': {}
+				},
+				status: 207,
+				statuses: {
+					'/nextcloud/remote.php/dav/calendars/admin/personal/event2.ics': 404
+				},
+				failedProperties: {},
+				syncToken: 'http://sabre.io/ns/sync/42',
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/calendars/admin/personal/',
 				xhr: xhr
 			});
 		}).catch(() => {
@@ -1333,10 +1631,304 @@ describe('Request', () => {
 		});
 	});
 
+	it ('should list failed properties of PROPPATCH responses', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve({
+				body: `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+	<d:response>
+		<d:href>/nextcloud/remote.php/dav/calendars/admin/personal/</d:href>
+		<d:propstat>
+			<d:prop>
+				<oc:calendar-enabled/>
+			</d:prop>
+			<d:status>HTTP/1.1 403 Forbidden</d:status>
+			<d:responsedescription>Property is read-only</d:responsedescription>
+		</d:propstat>
+		<d:propstat>
+			<d:prop>
+				<d:displayname/>
+			</d:prop>
+			<d:status>HTTP/1.1 424 Failed Dependency</d:status>
+		</d:propstat>
+	</d:response>
+</d:multistatus>`,
+				status: 207,
+				headers: new Headers(),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/calendars/admin/personal/'
+			}))
+		};
+		const parser = {
+			'canParse': vi.fn(() => true),
+			'parse': vi.fn()
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', parser, transport, new SimpleXmlEnvironment());
+		return request.propPatch('calendars/admin/personal/', {}, '<x0:propertyupdate xmlns:x0="DAV:"/>').then((res) => {
+			expect(res.body).toEqual({
+				'/nextcloud/remote.php/dav/calendars/admin/personal/': {}
+			});
+			expect(res.failedProperties).toEqual({
+				'/nextcloud/remote.php/dav/calendars/admin/personal/': {
+					'{http://owncloud.org/ns}calendar-enabled': {
+						status: 403,
+						responseDescription: 'Property is read-only'
+					},
+					'{DAV:}displayname': {
+						status: 424,
+						responseDescription: null
+					}
+				}
+			});
+			expect(parser.parse).toHaveBeenCalledTimes(0);
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it ('should reject with status-specific errors', () => {
+		const transport = {
+			'send': vi.fn((method, url) => {
+				const status = parseInt(url.split('/').pop(), 10);
+				return Promise.resolve({
+					body: '',
+					status,
+					headers: new Headers(status === 429 ? { 'Retry-After': '120' } : {}),
+					url
+				});
+			})
+		};
+
+		const expectError = (status, ErrorClass, BaseClass) => {
+			return request.propFind('status/' + status, []).then(() => {
+				assert.fail('Promise was not supposed to succeed');
+			}).catch((res) => {
+				expect(res).toEqual(expect.any(ErrorClass));
+				expect(res).toEqual(expect.any(BaseClass));
+				expect(res.status).toEqual(status);
+				expect(res.method).toEqual('PROPFIND');
+				expect(res.url).toEqual('https://nextcloud.testing/nextcloud/remote.php/dav/status/' + status);
+				expect(res.retryAfter).toEqual(status === 429 ? 120000 : null);
+			});
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		return expectError(401, UnauthorizedError, NetworkRequestClientError)
+			.then(() => expectError(403, ForbiddenError, NetworkRequestClientError))
+			.then(() => expectError(404, NotFoundError, NetworkRequestClientError))
+			.then(() => expectError(409, ConflictError, NetworkRequestClientError))
+			.then(() => expectError(412, PreconditionFailedError, NetworkRequestClientError))
+			.then(() => expectError(423, LockedError, NetworkRequestClientError))
+			.then(() => expectError(429, TooManyRequestsError, NetworkRequestClientError))
+			.then(() => expectError(507, InsufficientStorageError, NetworkRequestServerError))
+			.then(() => expectError(400, NetworkRequestClientError, NetworkRequestHttpError))
+			.then(() => expectError(502, NetworkRequestServerError, NetworkRequestHttpError));
+	});
+
+	it ('should attach precondition errors parsed from DAV:error bodies', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve({
+			body: `<?xml version="1.0" encoding="utf-8"?>
+<d:error xmlns:d="DAV:" xmlns:s="http://sabredav.org/ns" xmlns:cal="urn:ietf:params:xml:ns:caldav">
+	<s:exception>Sabre\\DAV\\Exception\\Forbidden</s:exception>
+	<s:message>Calendar object with uid already exists in this calendar collection.</s:message>
+	<cal:no-uid-conflict>
+		<d:href>/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics</d:href>
+	</cal:no-uid-conflict>
+</d:error>`,
+			status: 403,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/calendars/admin/personal/event2.ics'
+		})).mockImplementationOnce(() => Promise.resolve({
+			body: `<d:error xmlns:d="DAV:">
+	<d:need-privileges>
+		<d:resource>
+			<d:href>/nextcloud/remote.php/dav/calendars/admin/personal/</d:href>
+			<d:privilege><d:bind/></d:privilege>
+		</d:resource>
+	</d:need-privileges>
+</d:error>`,
+			status: 403,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/calendars/admin/personal/event2.ics'
+		})).mockImplementationOnce(() => Promise.resolve({
+			body: '<d:error xmlns:d="DAV:"><d:lock-token-submitted><d:href>/foo</d:href></d:lock-token-submitted></d:error>',
+			status: 423,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/foo'
+		}));
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, new SimpleXmlEnvironment());
+		return request.put('calendars/admin/personal/event2.ics', {}, 'BEGIN:VCALENDAR').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(ForbiddenError));
+			expect(res.status).toEqual(403);
+			expect(res.condition).toEqual('{urn:ietf:params:xml:ns:caldav}no-uid-conflict');
+			expect(res.hrefs).toEqual(['/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics']);
+			expect(res.message).toEqual('Calendar object with uid already exists in this calendar collection.');
+			expect(res.precondition).toEqual(expect.any(UidConflictError));
+			expect(res.precondition).toEqual(expect.any(PreconditionError));
+			expect(res.precondition).not.toEqual(expect.any(NetworkRequestHttpError));
+			expect(res.precondition.status).toEqual(403);
+			expect(res.precondition.condition).toEqual('{urn:ietf:params:xml:ns:caldav}no-uid-conflict');
+			expect(res.precondition.hrefs).toEqual(['/nextcloud/remote.php/dav/calendars/admin/personal/event1.ics']);
+
+			return request.put('calendars/admin/personal/event2.ics', {}, 'BEGIN:VCALENDAR');
+		}).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(ForbiddenError));
+			expect(res.precondition).toEqual(expect.any(NeedPrivilegesError));
+			expect(res.condition).toEqual('{DAV:}need-privileges');
+			expect(res.hrefs).toEqual(['/nextcloud/remote.php/dav/calendars/admin/personal/']);
+			expect(res.privileges).toEqual([{
+				href: '/nextcloud/remote.php/dav/calendars/admin/personal/',
+				privilege: '{DAV:}bind'
+			}]);
+
+			return request.delete('foo');
+		}).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(LockedError));
+			expect(res.precondition).toEqual(expect.any(PreconditionError));
+			expect(res.precondition).not.toEqual(expect.any(UidConflictError));
+			expect(res.status).toEqual(423);
+			expect(res.condition).toEqual('{DAV:}lock-token-submitted');
+			expect(res.hrefs).toEqual(['/foo']);
+		});
+	});
+
+	it ('should keep the conflict error of 409 responses with DAV:error bodies', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve({
+			body: `<d:error xmlns:d="DAV:" xmlns:s="http://sabredav.org/ns">
+	<d:cannot-modify-protected-property/>
+	<s:message>The property is protected</s:message>
+</d:error>`,
+			status: 409,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/foo'
+		}));
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, new SimpleXmlEnvironment());
+		return request.delete('foo').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(ConflictError));
+			expect(res.precondition).toEqual(expect.any(PreconditionError));
+			expect(res.status).toEqual(409);
+			expect(res.method).toEqual('DELETE');
+			expect(res.condition).toEqual('{DAV:}cannot-modify-protected-property');
+			expect(res.hrefs).toEqual([]);
+			expect(res.message).toEqual('The property is protected');
+			expect(res.precondition.condition).toEqual('{DAV:}cannot-modify-protected-property');
+		});
+	});
+
+	it ('should attach precondition errors to client errors without a class of their own', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve({
+			body: '<d:error xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav"><cal:valid-calendar-data/></d:error>',
+			status: 400,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/foo'
+		}));
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, new SimpleXmlEnvironment());
+		return request.put('foo', {}, 'BEGIN:VCALENDAR').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestClientError));
+			expect(res.precondition).toEqual(expect.any(InvalidDataError));
+			expect(res.status).toEqual(400);
+			expect(res.condition).toEqual('{urn:ietf:params:xml:ns:caldav}valid-calendar-data');
+		});
+	});
+
+	it ('should attach limit exceeded errors to 507 responses with DAV:error bodies', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve({
+			body: '<d:error xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav"><cal:max-resource-size/></d:error>',
+			status: 507,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/foo'
+		})).mockImplementationOnce(() => Promise.resolve({
+			body: '<d:error xmlns:d="DAV:" xmlns:card="urn:ietf:params:xml:ns:carddav"><card:max-resource-size/></d:error>',
+			status: 507,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/bar'
+		}));
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, new SimpleXmlEnvironment());
+		return request.put('foo', {}, 'BEGIN:VCALENDAR').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(InsufficientStorageError));
+			expect(res).toEqual(expect.any(NetworkRequestServerError));
+			expect(res).not.toEqual(expect.any(NetworkRequestClientError));
+			expect(res.precondition).toEqual(expect.any(LimitExceededError));
+			expect(res.precondition).not.toEqual(expect.any(NetworkRequestClientError));
+			expect(res.status).toEqual(507);
+			expect(res.condition).toEqual('{urn:ietf:params:xml:ns:caldav}max-resource-size');
+
+			return request.put('bar', {}, 'BEGIN:VCARD');
+		}).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(InsufficientStorageError));
+			expect(res.precondition).toEqual(expect.any(LimitExceededError));
+			expect(res.condition).toEqual('{urn:ietf:params:xml:ns:carddav}max-resource-size');
+		});
+	});
+
+	it ('should reject with client errors if the body is no DAV:error', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve({
+			body: 'Not Found',
+			status: 404,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/foo'
+		})).mockImplementationOnce(() => Promise.resolve({
+			body: '<d:error xmlns:d="DAV:" xmlns:s="http://sabredav.org/ns"><s:exception>Sabre\\DAV\\Exception\\NotFound</s:exception></d:error>',
+			status: 404,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/foo'
+		}));
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		return request.get('foo').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestClientError));
+			expect(res).not.toEqual(expect.any(PreconditionError));
+			expect(res.body).toEqual('Not Found');
+
+			return request.get('foo');
+		}).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestClientError));
+			expect(res).not.toEqual(expect.any(PreconditionError));
+		});
+	});
+
 	it ('should call the before request handler', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -1371,6 +1963,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 200,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 
@@ -1386,6 +1980,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -1419,6 +2014,8 @@ describe('Request', () => {
 			expect(res).toEqual({
 				body: 567,
 				status: 200,
+				headers: expect.any(Headers),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar',
 				xhr: xhr
 			});
 
@@ -1429,10 +2026,536 @@ describe('Request', () => {
 		});
 	});
 
+	it ('should send requests using a custom transport', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve({
+				body: 'BEGIN:VCALENDAR',
+				status: 200,
+				headers: new Headers({ 'ETag': '"etag"' }),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+			}))
+		};
+		const parser = {
+			'canParse': vi.fn(),
+			'parse': vi.fn()
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', parser, transport);
+		return request.get('fooBar', { 'Foo': 'Bar' }).then((res) => {
+			expect(transport.send).toHaveBeenCalledTimes(1);
+			expect(transport.send).toHaveBeenCalledWith('GET', 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar', {
+				'Depth': '0',
+				'Content-Type': 'application/xml; charset=utf-8',
+				'Foo': 'Bar'
+			}, null, expect.any(Function), expect.any(Function));
+
+			expect(res.body).toEqual('BEGIN:VCALENDAR');
+			expect(res.status).toEqual(200);
+			expect(res.headers.get('etag')).toEqual('"etag"');
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it ('should parse multistatus responses using the given XML environment', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve({
+				body: '<d:multistatus xmlns:d="DAV:"><d:response><d:href>/foo/</d:href><d:propstat><d:prop><d:displayname>Foo</d:displayname></d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response></d:multistatus>',
+				status: 207,
+				headers: new Headers(),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/foo/'
+			}))
+		};
+		const parser = {
+			'canParse': vi.fn(() => true),
+			'parse': vi.fn(() => 'Foo')
+		};
+		const xmlEnvironment = new SimpleXmlEnvironment();
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', parser, transport, xmlEnvironment);
+		return request.propFind('foo/', [['DAV:', 'displayname']], 1).then((res) => {
+			expect(transport.send).toHaveBeenCalledWith('PROPFIND', 'https://nextcloud.testing/nextcloud/remote.php/dav/foo/', {
+				'Depth': 1,
+				'Content-Type': 'application/xml; charset=utf-8'
+			}, '<x0:propfind xmlns:x0="DAV:"><x0:prop><x0:displayname/></x0:prop></x0:propfind>', expect.any(Function), expect.any(Function));
+
+			expect(parser.canParse).toHaveBeenCalledWith('{DAV:}displayname');
+			expect(parser.parse).toHaveBeenCalledWith(expect.objectContaining({ nodeType: 9 }), expect.objectContaining({ localName: 'displayname' }), expect.any(Function));
+
+			expect(res.body).toEqual({
+				'/foo/': {
+					'{DAV:}displayname': 'Foo'
+				}
+			});
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it ('should not retry failed requests by default', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve({
+				body: null,
+				status: 503,
+				headers: new Headers(),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+			}))
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		return request.get('fooBar').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestServerError));
+			expect(transport.send).toHaveBeenCalledTimes(1);
+		});
+	});
+
+	it ('should retry idempotent requests after network errors and server errors', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.reject(new NetworkRequestError({
+			body: null,
+			status: -1
+		}))).mockImplementationOnce(() => Promise.resolve({
+			body: null,
+			status: 502,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+		})).mockImplementationOnce(() => Promise.resolve({
+			body: 'BEGIN:VCALENDAR',
+			status: 200,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+		}));
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, null, {
+			maxAttempts: 3,
+			baseDelay: 1
+		});
+		return request.get('fooBar').then((res) => {
+			expect(transport.send).toHaveBeenCalledTimes(3);
+			expect(res.status).toEqual(200);
+			expect(res.body).toEqual('BEGIN:VCALENDAR');
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it ('should retry idempotent requests after network errors of the XMLHttpRequest transport', () => {
+		const xhrs = [];
+		const xhrProvider = vi.fn(() => {
+			const xhr = {
+				'open': vi.fn(),
+				'setRequestHeader': vi.fn(),
+				'getAllResponseHeaders': vi.fn(() => ''),
+				'send': vi.fn(() => setTimeout(() => {
+					xhr.readyState = 4;
+					if (xhrs.length < 3) {
+						xhr.status = 0;
+						xhr.onreadystatechange();
+						xhr.onerror();
+					} else {
+						xhr.status = 200;
+						xhr.response = 'BEGIN:VCALENDAR';
+						xhr.onreadystatechange();
+					}
+				}, 0))
+			};
+			xhrs.push(xhr);
+			return xhr;
+		});
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, xhrProvider, null, {
+			maxAttempts: 3,
+			baseDelay: 1
+		});
+		return request.get('fooBar').then((res) => {
+			expect(xhrProvider).toHaveBeenCalledTimes(3);
+			expect(res.status).toEqual(200);
+			expect(res.body).toEqual('BEGIN:VCALENDAR');
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it ('should retry idempotent requests after a timeout', () => {
+		vi.useFakeTimers();
+
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce((method, url, headers, body, beforeRequestHandler, afterRequestHandler, signal) => new Promise((resolve, reject) => {
+			signal.addEventListener('abort', () => reject(new NetworkRequestAbortedError({
+				body: null,
+				status: -1
+			})));
+		})).mockImplementationOnce(() => Promise.resolve({
+			body: 'BEGIN:VCALENDAR',
+			status: 200,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+		}));
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, null, {
+			maxAttempts: 2,
+			baseDelay: 1
+		});
+		const promise = request.get('fooBar', {}, null, () => null, () => null, { timeout: 1000 }).then((res) => {
+			expect(transport.send).toHaveBeenCalledTimes(2);
+			expect(res.status).toEqual(200);
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+
+		return vi.advanceTimersByTimeAsync(1001).then(() => promise).finally(() => {
+			vi.useRealTimers();
+		});
+	});
+
+	it ('should give up retrying after the maximum number of attempts', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve({
+				body: null,
+				status: 500,
+				headers: new Headers(),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+			}))
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, null, {
+			maxAttempts: 3,
+			baseDelay: 1
+		});
+		return request.propFind('fooBar', []).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestServerError));
+			expect(transport.send).toHaveBeenCalledTimes(3);
+		});
+	});
+
+	it ('should only retry requests that are safe to repeat', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.reject(new NetworkRequestError({
+				body: null,
+				status: -1
+			})))
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, null, {
+			maxAttempts: 2,
+			baseDelay: 1
+		});
+		const expectAttempts = (promise, attempts) => promise.then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestError));
+			expect(transport.send).toHaveBeenCalledTimes(attempts);
+			transport.send.mockClear();
+		});
+
+		return expectAttempts(request.post('fooBar', {}, 'foo'), 1)
+			.then(() => expectAttempts(request.put('fooBar', {}, 'foo'), 1))
+			.then(() => expectAttempts(request.delete('fooBar'), 1))
+			.then(() => expectAttempts(request.put('fooBar', { 'If-Match': '"etag"' }, 'foo'), 2))
+			.then(() => expectAttempts(request.delete('fooBar', { 'if-match': '"etag"' }), 2))
+			.then(() => expectAttempts(request.report('fooBar', {}, '<foo/>'), 2));
+	});
+
+	it ('should not retry client errors or aborted requests', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve({
+			body: null,
+			status: 404,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+		})).mockImplementationOnce(() => Promise.reject(new NetworkRequestAbortedError({
+			body: null,
+			status: -1
+		})));
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, null, {
+			maxAttempts: 3,
+			baseDelay: 1
+		});
+		return request.get('fooBar').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestClientError));
+			expect(transport.send).toHaveBeenCalledTimes(1);
+
+			return request.get('fooBar');
+		}).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestAbortedError));
+			expect(transport.send).toHaveBeenCalledTimes(2);
+		});
+	});
+
+	it ('should honour Retry-After when retrying', () => {
+		vi.useFakeTimers();
+
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve({
+			body: null,
+			status: 429,
+			headers: new Headers({ 'Retry-After': '5' }),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+		})).mockImplementationOnce(() => Promise.resolve({
+			body: null,
+			status: 503,
+			headers: new Headers({ 'Retry-After': '120' }),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+		}));
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, null, {
+			maxAttempts: 3,
+			baseDelay: 1,
+			maxDelay: 60000
+		});
+		const promise = request.get('fooBar').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			// the second Retry-After exceeds maxDelay, so it gives up
+			expect(res).toEqual(expect.any(NetworkRequestServerError));
+			expect(res.status).toEqual(503);
+			expect(transport.send).toHaveBeenCalledTimes(2);
+		});
+
+		return vi.advanceTimersByTimeAsync(4999).then(() => {
+			expect(transport.send).toHaveBeenCalledTimes(1);
+			return vi.advanceTimersByTimeAsync(1);
+		}).then(() => promise).finally(() => {
+			vi.useRealTimers();
+		});
+	});
+
+	it ('should abort requests using the given signal', () => {
+		const transport = {
+			'send': vi.fn((method, url, headers, body, beforeRequestHandler, afterRequestHandler, signal) => new Promise((resolve, reject) => {
+				signal.addEventListener('abort', () => reject(new NetworkRequestAbortedError({
+					body: null,
+					status: -1
+				})));
+			}))
+		};
+
+		const controller = new AbortController();
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		const promise = request.get('fooBar', {}, null, () => null, () => null, { signal: controller.signal }).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestAbortedError));
+			expect(res).not.toEqual(expect.any(NetworkRequestTimeoutError));
+			expect(transport.send).toHaveBeenCalledWith('GET', 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar', {
+				'Depth': '0',
+				'Content-Type': 'application/xml; charset=utf-8'
+			}, null, expect.any(Function), expect.any(Function), expect.any(AbortSignal));
+		});
+
+		controller.abort();
+		return promise;
+	});
+
+	it ('should reject with a timeout error once the timeout elapsed', () => {
+		vi.useFakeTimers();
+
+		const transport = {
+			'send': vi.fn((method, url, headers, body, beforeRequestHandler, afterRequestHandler, signal) => new Promise((resolve, reject) => {
+				signal.addEventListener('abort', () => reject(new NetworkRequestAbortedError({
+					body: null,
+					status: -1
+				})));
+			}))
+		};
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		const promise = request.propFind('fooBar', [], 0, {}, () => null, () => null, { timeout: 1000 }).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestTimeoutError));
+			expect(res).toEqual(expect.any(NetworkRequestAbortedError));
+			expect(res.timeout).toEqual(1000);
+			expect(res.status).toEqual(-1);
+		});
+
+		return vi.advanceTimersByTimeAsync(999).then(() => {
+			expect(transport.send.mock.calls[0][6].aborted).toEqual(false);
+			return vi.advanceTimersByTimeAsync(1);
+		}).then(() => promise).finally(() => {
+			vi.useRealTimers();
+		});
+	});
+
+	it ('should apply options to all requests of a derived request object', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve({
+				body: '',
+				status: 204,
+				headers: new Headers(),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+			}))
+		};
+
+		const controller = new AbortController();
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		const derivedRequest = request.withOptions({ signal: controller.signal });
+
+		expect(derivedRequest.baseUrl).toEqual(request.baseUrl);
+		expect(request.requestOptions).toEqual({});
+		expect(derivedRequest.requestOptions).toEqual({ signal: controller.signal });
+
+		return request.delete('fooBar').then(() => {
+			expect(transport.send.mock.calls[0].length).toEqual(6);
+
+			return derivedRequest.delete('fooBar');
+		}).then(() => {
+			expect(transport.send.mock.calls[1][6]).toEqual(expect.any(AbortSignal));
+
+			controller.abort();
+			return derivedRequest.delete('fooBar');
+		}).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestAbortedError));
+			expect(transport.send).toHaveBeenCalledTimes(2);
+		});
+	});
+
+	it ('should send requests through middleware in the order it was added', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve({
+				body: 'BEGIN:VCALENDAR',
+				status: 200,
+				headers: new Headers(),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/barFoo'
+			}))
+		};
+		const calls = [];
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		request.use((context, next) => {
+			calls.push('outer');
+			context.headers['X-Request-ID'] = '42';
+			return next(context).then((response) => {
+				calls.push('outer response');
+				return Object.assign({}, response, { body: response.body.toLowerCase() });
+			});
+		}).use((context, next) => {
+			calls.push('inner');
+			return next(Object.assign({}, context, {
+				method: 'POST',
+				url: context.url.replace('fooBar', 'barFoo'),
+				body: 'foo'
+			})).then((response) => {
+				calls.push('inner response');
+				return response;
+			});
+		});
+
+		return request.get('fooBar').then((res) => {
+			expect(calls).toEqual(['outer', 'inner', 'inner response', 'outer response']);
+			expect(transport.send).toHaveBeenCalledTimes(1);
+			expect(transport.send).toHaveBeenCalledWith('POST', 'https://nextcloud.testing/nextcloud/remote.php/dav/barFoo', {
+				'Depth': '0',
+				'Content-Type': 'application/xml; charset=utf-8',
+				'X-Request-ID': '42'
+			}, 'foo', expect.any(Function), expect.any(Function));
+
+			expect(res.body).toEqual('begin:vcalendar');
+			expect(res.status).toEqual(200);
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
+	it ('should pass errors through middleware', () => {
+		const transport = {
+			'send': vi.fn(() => Promise.resolve({
+				body: null,
+				status: 404,
+				headers: new Headers(),
+				url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+			}))
+		};
+		const errors = [];
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport);
+		request.use((context, next) => next().catch((error) => {
+			errors.push(error);
+			throw error;
+		}));
+
+		return request.get('fooBar').then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestClientError));
+			expect(res.status).toEqual(404);
+			expect(errors).toEqual([res]);
+
+			request.middleware = [];
+			request.use((context, next) => next().catch((error) => {
+				if (error.status === 404) {
+					return { body: null, status: 404 };
+				}
+
+				throw error;
+			}));
+
+			return request.get('fooBar');
+		}).then((res) => {
+			expect(res).toEqual({ body: null, status: 404 });
+		});
+	});
+
+	it ('should send every retry through middleware', () => {
+		const transport = {
+			'send': vi.fn()
+		};
+		transport.send.mockImplementationOnce(() => Promise.resolve({
+			body: null,
+			status: 503,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+		})).mockImplementationOnce(() => Promise.resolve({
+			body: '',
+			status: 200,
+			headers: new Headers(),
+			url: 'https://nextcloud.testing/nextcloud/remote.php/dav/fooBar'
+		}));
+		const middleware = vi.fn((context, next) => {
+			context.headers['Authorization'] = 'Bearer ' + middleware.mock.calls.length;
+			return next(context);
+		});
+
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, transport, null, {
+			maxAttempts: 2,
+			baseDelay: 1
+		});
+		request.use(middleware);
+
+		return request.get('fooBar').then((res) => {
+			expect(res.status).toEqual(200);
+			expect(middleware).toHaveBeenCalledTimes(2);
+			expect(transport.send.mock.calls[0][2]['Authorization']).toEqual('Bearer 1');
+			expect(transport.send.mock.calls[1][2]['Authorization']).toEqual('Bearer 2');
+		}).catch(() => {
+			assert.fail('Promise was not supposed to assert.fail');
+		});
+	});
+
 	it ('should return the filename of a URL', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -1452,6 +2575,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -1471,6 +2595,7 @@ describe('Request', () => {
 		const xhr = {
 			'open': vi.fn(),
 			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
 			'send': vi.fn()
 		};
 		const xhrProvider = vi.fn(() => xhr);
@@ -0,0 +1,337 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { assert, beforeEach, describe, expect, it } from "vitest";
+
+import DavClient from '../../../src/index.js';
+import { Calendar } from '../../../src/models/calendar.js';
+import { AddressBook } from '../../../src/models/addressBook.js';
+import { FakeDavServer } from '../../../src/testing/index.js';
+import PreconditionFailedError from '../../../src/errors/preconditionFailedError.js';
+import InsufficientStorageError from '../../../src/errors/insufficientStorageError.js';
+import * as XMLUtility from '../../../src/utility/xmlUtility.js';
+
+const EVENT = `BEGIN:VCALENDAR\r
+VERSION:2.0\r
+PRODID:-//Test//EN\r
+BEGIN:VEVENT\r
+UID:event-1\r
+DTSTART:20260105T100000Z\r
+DTEND:20260105T110000Z\r
+SUMMARY:Team meeting\r
+END:VEVENT\r
+END:VCALENDAR\r
+`;
+
+const TODO = `BEGIN:VCALENDAR\r
+VERSION:2.0\r
+PRODID:-//Test//EN\r
+BEGIN:VTODO\r
+UID:todo-1\r
+SUMMARY:Write report\r
+END:VTODO\r
+END:VCALENDAR\r
+`;
+
+const VCARD = `BEGIN:VCARD\r
+VERSION:3.0\r
+UID:card-1\r
+FN:Jane Doe\r
+EMAIL;TYPE=WORK:jane.doe@example.com\r
+END:VCARD\r
+`;
+
+/**
+ * XML parsers normalize line breaks in text content
+ *
+ * @param {string} data iCalendar or vCard data
+ * @return {string}
+ */
+function normalizeLineBreaks(data) {
+	return data.replace(/\r\n/g, '\n');
+}
+
+describe('Fake DAV server', () => {
+
+	let server;
+
+	beforeEach(() => {
+		XMLUtility.resetPrefixMap();
+
+		server = new FakeDavServer({ baseUrl: 'https://dav.example.com/remote.php/dav/' })
+			.addPrincipal('/remote.php/dav/principals/users/admin', {
+				'{DAV:}displayname': 'Administrator',
+				'{urn:ietf:params:xml:ns:caldav}calendar-home-set': [{ name: ['DAV:', 'href'], value: '/remote.php/dav/calendars/admin/' }],
+				'{urn:ietf:params:xml:ns:carddav}addressbook-home-set': [{ name: ['DAV:', 'href'], value: '/remote.php/dav/addressbooks/users/admin/' }],
+			})
+			.addCalendar('/remote.php/dav/calendars/admin/personal', { '{DAV:}displayname': 'Personal' })
+			.addAddressBook('/remote.php/dav/addressbooks/users/admin/contacts', { '{DAV:}displayname': 'Contacts' });
+	});
+
+	function connect() {
+		const client = new DavClient({
+			rootUrl: 'https://dav.example.com/remote.php/dav/',
+			transport: server,
+		});
+
+		return client.connect({ enableCalDAV: true, enableCardDAV: true });
+	}
+
+	it('should discover the current user principal, homes and capabilities', () => {
+		return connect().then((client) => {
+			expect(client.currentUserPrincipal.displayname).toEqual('Administrator');
+			expect(client.principalCollections).toEqual(['/remote.php/dav/principals/users/']);
+			expect(client.calendarHomes.length).toEqual(1);
+			expect(client.calendarHomes[0].url).toEqual('/remote.php/dav/calendars/admin/');
+			expect(client.addressBookHomes.length).toEqual(1);
+			expect(client.capabilities.supportsExtendedMkcol).toEqual(true);
+			expect(client.capabilities.supportsCalendarSearch).toEqual(false);
+
+			return client.calendarHomes[0].findAllCalendars();
+		}).then((calendars) => {
+			expect(calendars.length).toEqual(1);
+			expect(calendars[0]).toEqual(expect.any(Calendar));
+			expect(calendars[0].displayname).toEqual('Personal');
+			expect(calendars[0].components).toEqual(['VEVENT', 'VTODO']);
+			expect(calendars[0].isWriteable()).toEqual(true);
+			expect(calendars[0].capabilities.supportsSyncCollection).toEqual(true);
+			expect(calendars[0].capabilities.supportsFreeBusyQuery).toEqual(false);
+		}).catch((e) => {
+			assert.fail('Fake DAV server was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should create, query, update and delete calendar objects', () => {
+		let calendar;
+		return connect().then((client) => {
+			return client.calendarHomes[0].findAllCalendars();
+		}).then(([personal]) => {
+			calendar = personal;
+			return Promise.all([calendar.createVObject(EVENT), calendar.createVObject(TODO)]);
+		}).then(([event]) => {
+			expect(event.data).toEqual(normalizeLineBreaks(EVENT));
+			expect(event.etag).toEqual(server.get(event.url).etag);
+
+			return calendar.findByTypeInTimeRange('VEVENT', new Date(Date.UTC(2026, 0, 5)), new Date(Date.UTC(2026, 0, 6)));
+		}).then((events) => {
+			expect(events.length).toEqual(1);
+			expect(events[0].data).toEqual(normalizeLineBreaks(EVENT));
+
+			return calendar.findByTypeInTimeRange('VEVENT', new Date(Date.UTC(2026, 0, 6)), new Date(Date.UTC(2026, 0, 7)));
+		}).then((events) => {
+			expect(events.length).toEqual(0);
+
+			return calendar.findByType('VTODO');
+		}).then(([todo]) => {
+			expect(todo.data).toEqual(normalizeLineBreaks(TODO));
+
+			todo.data = TODO.replace('Write report', 'Review report');
+			return todo.update().then(() => todo);
+		}).then((todo) => {
+			expect(server.get(todo.url).data).toContain('SUMMARY:Review report');
+			expect(todo.etag).toEqual(server.get(todo.url).etag);
+
+			return todo.delete().then(() => todo);
+		}).then((todo) => {
+			expect(server.get(todo.url)).toEqual(null);
+		}).catch((e) => {
+			assert.fail('Fake DAV server was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should search calendar objects matching any of the properties', () => {
+		server
+			.addObject('/remote.php/dav/calendars/admin/personal/event-1.ics', EVENT)
+			.addObject('/remote.php/dav/calendars/admin/personal/todo-1.ics', TODO);
+
+		return connect().then((client) => {
+			return client.calendarHomes[0].search('report', {
+				properties: ['SUMMARY', 'LOCATION'],
+			});
+		}).then((results) => {
+			expect(results.length).toEqual(1);
+			expect(results[0].vobject.url).toEqual('/remote.php/dav/calendars/admin/personal/todo-1.ics');
+		}).catch((e) => {
+			assert.fail('Fake DAV server was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should reject outdated updates', () => {
+		let event;
+		return connect().then((client) => {
+			return client.calendarHomes[0].findAllCalendars();
+		}).then(([calendar]) => {
+			return calendar.createVObject(EVENT);
+		}).then((vobject) => {
+			event = vobject;
+			server.addObject(event.url, EVENT.replace('Team meeting', 'Changed elsewhere'));
+
+			event.data = EVENT.replace('Team meeting', 'Changed locally');
+			return event.update();
+		}).then(() => {
+			assert.fail('Updating an outdated object was supposed to fail');
+		}).catch((e) => {
+			expect(e).toEqual(expect.any(PreconditionFailedError));
+			expect(event.isPartial()).toEqual(true);
+			expect(server.get(event.url).data).toContain('SUMMARY:Changed elsewhere');
+		});
+	});
+
+	it('should create collections and update their properties', () => {
+		return connect().then((client) => {
+			return client.calendarHomes[0].createCalendarCollection('Work', '#ff0000', ['VEVENT']);
+		}).then((calendar) => {
+			expect(calendar).toEqual(expect.any(Calendar));
+			expect(calendar.url).toEqual('/remote.php/dav/calendars/admin/work/');
+			expect(calendar.displayname).toEqual('Work');
+			expect(calendar.color).toEqual('#ff0000');
+			expect(calendar.components).toEqual(['VEVENT']);
+
+			calendar.displayname = 'Work stuff';
+			return calendar.update().then(() => calendar);
+		}).then((calendar) => {
+			expect(server.get(calendar.url).props['{DAV:}displayname']).toEqual('Work stuff');
+		}).catch((e) => {
+			assert.fail('Fake DAV server was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should create calendars without extended MKCOL', () => {
+		server.features = ['1', '3', 'access-control', 'calendar-access', 'addressbook'];
+
+		return connect().then((client) => {
+			return client.calendarHomes[0].createCalendarCollection('Work', '#ff0000', ['VEVENT']);
+		}).then((calendar) => {
+			expect(calendar).toEqual(expect.any(Calendar));
+			expect(calendar.displayname).toEqual('Work');
+			expect(calendar.color).toEqual('#ff0000');
+			expect(server.requests.map((request) => request.method)).toContain('MKCALENDAR');
+			expect(server.requests.map((request) => request.method)).not.toContain('MKCOL');
+		}).catch((e) => {
+			assert.fail('Fake DAV server was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should query and fetch contacts', () => {
+		let addressBook;
+		return connect().then((client) => {
+			return client.addressBookHomes[0].findAllAddressBooks();
+		}).then(([contacts]) => {
+			addressBook = contacts;
+			expect(addressBook).toEqual(expect.any(AddressBook));
+			expect(addressBook.displayname).toEqual('Contacts');
+
+			return addressBook.createVCard(VCARD);
+		}).then((vcard) => {
+			expect(vcard.data).toEqual(normalizeLineBreaks(VCARD));
+
+			return addressBook.addressbookQuery([{
+				name: ['urn:ietf:params:xml:ns:carddav', 'prop-filter'],
+				attributes: [['name', 'EMAIL']],
+				children: [{
+					name: ['urn:ietf:params:xml:ns:carddav', 'text-match'],
+					attributes: [['match-type', 'ends-with']],
+					value: '@EXAMPLE.com',
+				}],
+			}]);
+		}).then((vcards) => {
+			expect(vcards.length).toEqual(1);
+			expect(vcards[0].data).toEqual(normalizeLineBreaks(VCARD));
+
+			return addressBook.addressbookMultiget([vcards[0].url]);
+		}).then((vcards) => {
+			expect(vcards.length).toEqual(1);
+			expect(vcards[0].data).toEqual(normalizeLineBreaks(VCARD));
+		}).catch((e) => {
+			assert.fail('Fake DAV server was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should report changes with sync-collection', () => {
+		let calendar;
+		let syncToken;
+		server.addObject('/remote.php/dav/calendars/admin/personal/event-1.ics', EVENT);
+		server.addObject('/remote.php/dav/calendars/admin/personal/todo-1.ics', TODO);
+
+		return connect().then((client) => {
+			return client.calendarHomes[0].findAllCalendars();
+		}).then(([personal]) => {
+			calendar = personal;
+			return calendar.sync('', 1);
+		}).then((result) => {
+			expect(result.updated.map((vobject) => vobject.url)).toEqual([
+				'/remote.php/dav/calendars/admin/personal/event-1.ics',
+				'/remote.php/dav/calendars/admin/personal/todo-1.ics',
+			]);
+			expect(result.deleted).toEqual([]);
+			expect(server.requests.filter((request) => request.method === 'REPORT').length).toEqual(2);
+			syncToken = result.syncToken;
+
+			server.remove('/remote.php/dav/calendars/admin/personal/event-1.ics');
+			server.addObject('/remote.php/dav/calendars/admin/personal/todo-1.ics', TODO.replace('Write report', 'Review report'));
+
+			return calendar.sync(syncToken);
+		}).then((result) => {
+			expect(result.updated.length).toEqual(1);
+			expect(result.updated[0].data).toContain('SUMMARY:Review report');
+			expect(result.deleted).toEqual(['/remote.php/dav/calendars/admin/personal/event-1.ics']);
+			expect(result.syncToken).not.toEqual(syncToken);
+
+			return calendar.sync(result.syncToken);
+		}).then((result) => {
+			expect(result.updated).toEqual([]);
+			expect(result.deleted).toEqual([]);
+		}).catch((e) => {
+			assert.fail('Fake DAV server was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should copy and move objects', () => {
+		server.addCalendar('/remote.php/dav/calendars/admin/work');
+		server.addObject('/remote.php/dav/calendars/admin/personal/event-1.ics', EVENT);
+
+		let calendars;
+		return connect().then((client) => {
+			return client.calendarHomes[0].findAllCalendars();
+		}).then((result) => {
+			calendars = result;
+			return calendars[0].findAllVObjects();
+		}).then(([event]) => {
+			return event.copy(calendars[1]).then(() => event);
+		}).then((event) => {
+			expect(server.get('/remote.php/dav/calendars/admin/work/event-1.ics').data).toEqual(EVENT);
+
+			return event.move(calendars[1], true).then(() => event);
+		}).then((event) => {
+			expect(event.url).toEqual('/remote.php/dav/calendars/admin/work/event-1.ics');
+			expect(server.get('/remote.php/dav/calendars/admin/personal/event-1.ics')).toEqual(null);
+		}).catch((e) => {
+			assert.fail('Fake DAV server was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should allow to intercept requests', () => {
+		server.intercept((request) => {
+			if (request.method === 'PUT') {
+				return { status: 507 };
+			}
+		});
+
+		return connect().then((client) => {
+			return client.calendarHomes[0].findAllCalendars();
+		}).then(([calendar]) => {
+			return calendar.createVObject(EVENT);
+		}).then(() => {
+			assert.fail('Creating an object was supposed to fail');
+		}).catch((e) => {
+			expect(e).toEqual(expect.any(InsufficientStorageError));
+			expect(server.requests[server.requests.length - 1].method).toEqual('PUT');
+		});
+	});
+});
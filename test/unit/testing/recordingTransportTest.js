@@ -0,0 +1,149 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { assert, describe, expect, it, vi } from "vitest";
+
+import { RecordingTransport } from '../../../src/testing/recordingTransport.js';
+import NetworkRequestError from '../../../src/errors/networkRequestError.js';
+
+describe('RecordingTransport', () => {
+
+	function getTransport(response) {
+		return {
+			send: vi.fn(() => Promise.resolve(response)),
+		};
+	}
+
+	it('should pass requests on to the wrapped transport and record them', () => {
+		const response = {
+			body: '<d:multistatus xmlns:d="DAV:"/>',
+			status: 207,
+			headers: new Headers({
+				'Content-Type': 'application/xml; charset=utf-8',
+				DAV: '1, 3, calendar-access',
+			}),
+			url: 'https://dav.example.com/remote.php/dav/',
+		};
+		const transport = getTransport(response);
+		const beforeRequestHandler = vi.fn();
+		const afterRequestHandler = vi.fn();
+		const signal = new AbortController().signal;
+
+		const recorder = new RecordingTransport(transport);
+		return recorder.send('PROPFIND', 'https://dav.example.com/remote.php/dav/', {
+			Depth: 0,
+			'Content-Type': 'application/xml; charset=utf-8',
+		}, '<d:propfind xmlns:d="DAV:"/>', beforeRequestHandler, afterRequestHandler, signal).then((res) => {
+			expect(res).toEqual(response);
+			expect(transport.send).toHaveBeenCalledTimes(1);
+			expect(transport.send).toHaveBeenCalledWith('PROPFIND', 'https://dav.example.com/remote.php/dav/', {
+				Depth: 0,
+				'Content-Type': 'application/xml; charset=utf-8',
+			}, '<d:propfind xmlns:d="DAV:"/>', beforeRequestHandler, afterRequestHandler, signal);
+
+			expect(recorder.entries.length).toEqual(1);
+			expect(recorder.entries[0].startedDateTime).toEqual(expect.any(String));
+			expect(recorder.entries[0].time).toEqual(expect.any(Number));
+			expect(recorder.entries[0].request).toEqual({
+				method: 'PROPFIND',
+				url: 'https://dav.example.com/remote.php/dav/',
+				headers: [
+					{ name: 'Depth', value: '0' },
+					{ name: 'Content-Type', value: 'application/xml; charset=utf-8' },
+				],
+				postData: {
+					mimeType: 'application/xml; charset=utf-8',
+					text: '<d:propfind xmlns:d="DAV:"/>',
+				},
+			});
+			expect(recorder.entries[0].response).toEqual({
+				status: 207,
+				statusText: '',
+				headers: [
+					{ name: 'content-type', value: 'application/xml; charset=utf-8' },
+					{ name: 'dav', value: '1, 3, calendar-access' },
+				],
+				content: {
+					mimeType: 'application/xml; charset=utf-8',
+					text: '<d:multistatus xmlns:d="DAV:"/>',
+				},
+			});
+		}).catch((e) => {
+			assert.fail('RecordingTransport send was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should redact credentials', () => {
+		const transport = getTransport({
+			body: '',
+			status: 204,
+			headers: new Headers({ 'Set-Cookie': 'session=secret' }),
+			url: 'https://dav.example.com/remote.php/dav/foo.ics',
+		});
+
+		const recorder = new RecordingTransport(transport, { redactHeaders: ['Authorization', 'Set-Cookie', 'X-Token'] });
+		return recorder.send('DELETE', 'https://dav.example.com/remote.php/dav/foo.ics', {
+			authorization: 'Basic YWRtaW46YWRtaW4=',
+			'X-Token': 'secret',
+			'If-Match': '"etag"',
+		}).then(() => {
+			expect(recorder.entries[0].request.headers).toEqual([
+				{ name: 'authorization', value: 'REDACTED' },
+				{ name: 'X-Token', value: 'REDACTED' },
+				{ name: 'If-Match', value: '"etag"' },
+			]);
+			expect(recorder.entries[0].request.postData).toEqual(undefined);
+			expect(recorder.entries[0].response.headers).toEqual([
+				{ name: 'set-cookie', value: 'REDACTED' },
+			]);
+		}).catch((e) => {
+			assert.fail('RecordingTransport send was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should not record requests failing without a response', () => {
+		const transport = {
+			send: vi.fn(() => Promise.reject(new NetworkRequestError({ body: null, status: -1 }))),
+		};
+
+		const recorder = new RecordingTransport(transport);
+		return recorder.send('GET', 'https://dav.example.com/remote.php/dav/foo.ics', {}).then(() => {
+			assert.fail('RecordingTransport send was supposed to fail');
+		}).catch((e) => {
+			expect(e).toEqual(expect.any(NetworkRequestError));
+			expect(recorder.entries).toEqual([]);
+		});
+	});
+
+	it('should serialize to a HAR-like recording', () => {
+		const transport = getTransport({
+			body: 'BEGIN:VCALENDAR',
+			status: 200,
+			headers: new Headers({ 'Content-Type': 'text/calendar' }),
+			url: 'https://dav.example.com/remote.php/dav/foo.ics',
+		});
+
+		const recorder = new RecordingTransport(transport);
+		return recorder.send('GET', 'https://dav.example.com/remote.php/dav/foo.ics', {}).then(() => {
+			const recording = JSON.parse(JSON.stringify(recorder));
+			expect(recording.log.version).toEqual('1.2');
+			expect(recording.log.creator).toEqual({ name: '@nextcloud/cdav-library' });
+			expect(recording.log.entries).toEqual(recorder.entries);
+			expect(recording.log.entries[0].response.content).toEqual({
+				mimeType: 'text/calendar',
+				text: 'BEGIN:VCALENDAR',
+			});
+
+			recorder.clear();
+			expect(recorder.toJSON().log.entries).toEqual([]);
+		}).catch((e) => {
+			assert.fail('RecordingTransport send was not supposed to fail: ' + e);
+		});
+	});
+});
@@ -0,0 +1,183 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { assert, beforeEach, describe, expect, it, vi } from "vitest";
+
+import DavClient from '../../../src/index.js';
+import { FakeDavServer } from '../../../src/testing/fakeDavServer.js';
+import { RecordingTransport } from '../../../src/testing/recordingTransport.js';
+import { ReplayTransport } from '../../../src/testing/replayTransport.js';
+import NetworkRequestAbortedError from '../../../src/errors/networkRequestAbortedError.js';
+import * as XMLUtility from '../../../src/utility/xmlUtility.js';
+
+function getEntry(method, url, body, status, text, headers = []) {
+	const request = { method, url, headers: [] };
+	if (body !== null) {
+		request.postData = { mimeType: 'application/xml; charset=utf-8', text: body };
+	}
+
+	return {
+		startedDateTime: '2026-01-05T10:00:00.000Z',
+		time: 10,
+		request,
+		response: {
+			status,
+			statusText: '',
+			headers,
+			content: { mimeType: '', text },
+		},
+	};
+}
+
+describe('ReplayTransport', () => {
+
+	beforeEach(() => {
+		XMLUtility.resetPrefixMap();
+	});
+
+	it('should serve recorded responses', () => {
+		const replay = new ReplayTransport({
+			log: {
+				entries: [
+					getEntry('GET', 'https://dav.example.com/foo.ics', null, 200, 'BEGIN:VCALENDAR', [{ name: 'etag', value: '"1"' }]),
+				],
+			},
+		});
+		const beforeRequestHandler = vi.fn();
+		const afterRequestHandler = vi.fn();
+
+		return replay.send('GET', 'https://dav.example.com/foo.ics', {}, null, beforeRequestHandler, afterRequestHandler).then((res) => {
+			expect(res.status).toEqual(200);
+			expect(res.body).toEqual('BEGIN:VCALENDAR');
+			expect(res.headers.get('ETag')).toEqual('"1"');
+			expect(res.url).toEqual('https://dav.example.com/foo.ics');
+			expect(beforeRequestHandler).toHaveBeenCalledWith({ method: 'GET', url: 'https://dav.example.com/foo.ics', headers: {}, body: null });
+			expect(afterRequestHandler).toHaveBeenCalledWith(res);
+			expect(replay.isDone()).toEqual(true);
+		}).catch((e) => {
+			assert.fail('ReplayTransport send was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should serve matching entries in order and repeat the last one', () => {
+		const replay = new ReplayTransport(JSON.stringify({
+			log: {
+				entries: [
+					getEntry('GET', 'https://dav.example.com/foo.ics', null, 200, 'first'),
+					getEntry('DELETE', 'https://dav.example.com/foo.ics', null, 204, ''),
+					getEntry('GET', 'https://dav.example.com/foo.ics', null, 200, 'second'),
+				],
+			},
+		}));
+
+		const get = () => replay.send('GET', 'https://dav.example.com/foo.ics', {}, null).then((res) => res.body);
+		return get().then((body) => {
+			expect(body).toEqual('first');
+			return get();
+		}).then((body) => {
+			expect(body).toEqual('second');
+			expect(replay.isDone()).toEqual(false);
+			return get();
+		}).then((body) => {
+			expect(body).toEqual('second');
+		}).catch((e) => {
+			assert.fail('ReplayTransport send was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should match XML bodies regardless of prefixes and whitespace', () => {
+		const replay = new ReplayTransport({
+			log: {
+				entries: [
+					getEntry('REPORT', 'https://dav.example.com/calendars/admin/personal/', `<x0:calendar-query xmlns:x0="urn:ietf:params:xml:ns:caldav" xmlns:x1="DAV:">
+	<x1:prop><x1:getetag/></x1:prop>
+	<x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VEVENT"/></x0:comp-filter></x0:filter>
+</x0:calendar-query>`, 207, 'VEVENT'),
+					getEntry('REPORT', 'https://dav.example.com/calendars/admin/personal/', `<x0:calendar-query xmlns:x0="urn:ietf:params:xml:ns:caldav" xmlns:x1="DAV:">
+	<x1:prop><x1:getetag/></x1:prop>
+	<x0:filter><x0:comp-filter name="VCALENDAR"><x0:comp-filter name="VTODO"/></x0:comp-filter></x0:filter>
+</x0:calendar-query>`, 207, 'VTODO'),
+				],
+			},
+		});
+
+		return replay.send('REPORT', 'https://dav.example.com/calendars/admin/personal/', {},
+			'<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:prop><d:getetag/></d:prop><c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VTODO"/></c:comp-filter></c:filter></c:calendar-query>',
+		).then((res) => {
+			expect(res.body).toEqual('VTODO');
+		}).catch((e) => {
+			assert.fail('ReplayTransport send was not supposed to fail: ' + e);
+		});
+	});
+
+	it('should fail for requests without recorded response', () => {
+		const replay = new ReplayTransport({
+			log: {
+				entries: [
+					getEntry('GET', 'https://dav.example.com/foo.ics', null, 200, 'BEGIN:VCALENDAR'),
+				],
+			},
+		});
+
+		return replay.send('PUT', 'https://dav.example.com/foo.ics', {}, 'BEGIN:VCALENDAR').then(() => {
+			assert.fail('ReplayTransport send was supposed to fail');
+		}).catch((e) => {
+			expect(e.message).toEqual('No recorded response for PUT https://dav.example.com/foo.ics');
+		});
+	});
+
+	it('should reject aborted requests', () => {
+		const controller = new AbortController();
+		controller.abort();
+
+		const replay = new ReplayTransport({ log: { entries: [] } });
+		return replay.send('GET', 'https://dav.example.com/foo.ics', {}, null, undefined, undefined, controller.signal).then(() => {
+			assert.fail('ReplayTransport send was supposed to fail');
+		}).catch((e) => {
+			expect(e).toEqual(expect.any(NetworkRequestAbortedError));
+		});
+	});
+
+	it('should replay a recorded session of a client', () => {
+		const server = new FakeDavServer({ baseUrl: 'https://dav.example.com/remote.php/dav/' })
+			.addPrincipal('/remote.php/dav/principals/users/admin', {
+				'{DAV:}displayname': 'Administrator',
+				'{urn:ietf:params:xml:ns:caldav}calendar-home-set': [{ name: ['DAV:', 'href'], value: '/remote.php/dav/calendars/admin/' }],
+			})
+			.addCalendar('/remote.php/dav/calendars/admin/personal', { '{DAV:}displayname': 'Personal' });
+		const recorder = new RecordingTransport(server);
+
+		const getDisplaynames = (transport) => {
+			const client = new DavClient({
+				rootUrl: 'https://dav.example.com/remote.php/dav/',
+				transport,
+			});
+
+			return client.connect({ enableCalDAV: true }).then(() => {
+				return client.calendarHomes[0].findAllCalendars();
+			}).then((calendars) => {
+				return [client.currentUserPrincipal.displayname, ...calendars.map((calendar) => calendar.displayname)];
+			});
+		};
+
+		let replay;
+		return getDisplaynames(recorder).then((displaynames) => {
+			expect(displaynames).toEqual(['Administrator', 'Personal']);
+
+			XMLUtility.resetPrefixMap();
+			replay = new ReplayTransport(JSON.stringify(recorder));
+			return getDisplaynames(replay);
+		}).then((displaynames) => {
+			expect(displaynames).toEqual(['Administrator', 'Personal']);
+			expect(replay.isDone()).toEqual(true);
+		}).catch((e) => {
+			assert.fail('ReplayTransport was not supposed to fail: ' + e);
+		});
+	});
+});
@@ -0,0 +1,122 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { assert, describe, expect, it, vi } from "vitest";
+
+import { FetchTransport } from "../../../src/transport/fetchTransport.js";
+import NetworkRequestAbortedError from "../../../src/errors/networkRequestAbortedError.js";
+import NetworkRequestError from "../../../src/errors/networkRequestError.js";
+
+describe('FetchTransport', () => {
+
+	it('should send requests and normalize the response', () => {
+		const fetchProvider = vi.fn(() => Promise.resolve(new Response('<d:multistatus xmlns:d="DAV:"/>', {
+			status: 207,
+			headers: {
+				'DAV': '1, 3, calendar-access',
+				'ETag': '"etag"'
+			}
+		})));
+
+		const transport = new FetchTransport(fetchProvider);
+		return transport.send('PROPFIND', 'https://nextcloud.testing/remote.php/dav/', {
+			Depth: 0,
+			'Content-Type': 'application/xml; charset=utf-8'
+		}, '<x0:propfind xmlns:x0="DAV:"/>').then((res) => {
+			expect(fetchProvider).toHaveBeenCalledTimes(1);
+			expect(fetchProvider).toHaveBeenCalledWith('https://nextcloud.testing/remote.php/dav/', {
+				method: 'PROPFIND',
+				headers: {
+					Depth: '0',
+					'Content-Type': 'application/xml; charset=utf-8'
+				},
+				body: '<x0:propfind xmlns:x0="DAV:"/>'
+			});
+
+			expect(res.status).toEqual(207);
+			expect(res.body).toEqual('<d:multistatus xmlns:d="DAV:"/>');
+			expect(res.headers.get('dav')).toEqual('1, 3, calendar-access');
+			expect(res.headers.get('etag')).toEqual('"etag"');
+			expect(res.url).toEqual('https://nextcloud.testing/remote.php/dav/');
+		}).catch(() => {
+			assert.fail('FetchTransport send was not supposed to assert.fail');
+		});
+	});
+
+	it('should call the before and after request handlers', () => {
+		const response = new Response(null, { status: 204 });
+		const fetchProvider = vi.fn(() => Promise.resolve(response));
+		const beforeRequestHandler = vi.fn((init) => {
+			init.headers.Authorization = 'Bearer foo';
+		});
+		const afterRequestHandler = vi.fn();
+
+		const transport = new FetchTransport(fetchProvider);
+		return transport.send('DELETE', 'https://nextcloud.testing/foo', {}, null, beforeRequestHandler, afterRequestHandler).then((res) => {
+			expect(beforeRequestHandler).toHaveBeenCalledTimes(1);
+			expect(fetchProvider).toHaveBeenCalledWith('https://nextcloud.testing/foo', {
+				method: 'DELETE',
+				headers: {
+					Authorization: 'Bearer foo'
+				}
+			});
+			expect(afterRequestHandler).toHaveBeenCalledTimes(1);
+			expect(afterRequestHandler).toHaveBeenCalledWith(response);
+
+			expect(res.status).toEqual(204);
+			expect(res.body).toEqual('');
+		}).catch(() => {
+			assert.fail('FetchTransport send was not supposed to assert.fail');
+		});
+	});
+
+	it('should reject the promise on error', () => {
+		const fetchProvider = vi.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+
+		const transport = new FetchTransport(fetchProvider);
+		return transport.send('GET', 'https://nextcloud.testing/foo', {}, null).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestError));
+			expect(res).not.toEqual(expect.any(NetworkRequestAbortedError));
+			expect(res.body).toEqual(null);
+			expect(res.status).toEqual(-1);
+		});
+	});
+
+	it('should reject the promise on abort', () => {
+		const fetchProvider = vi.fn(() => Promise.reject(new DOMException('The operation was aborted.', 'AbortError')));
+
+		const transport = new FetchTransport(fetchProvider);
+		return transport.send('GET', 'https://nextcloud.testing/foo', {}, null).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestAbortedError));
+			expect(res.body).toEqual(null);
+			expect(res.status).toEqual(-1);
+		});
+	});
+
+
+	it('should pass the signal to fetch', () => {
+		const fetchProvider = vi.fn(() => Promise.resolve(new Response(null, {
+			status: 204
+		})));
+
+		const controller = new AbortController();
+		const transport = new FetchTransport(fetchProvider);
+		return transport.send('DELETE', 'https://nextcloud.testing/foo', {}, null, () => null, () => null, controller.signal).then((res) => {
+			expect(fetchProvider.mock.calls[0][1].signal).toEqual(controller.signal);
+			expect(res.status).toEqual(204);
+		}).catch(() => {
+			assert.fail('FetchTransport send was not supposed to assert.fail');
+		});
+	});
+
+});
@@ -0,0 +1,129 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { assert, describe, expect, it, vi } from "vitest";
+
+import { XhrTransport } from "../../../src/transport/xhrTransport.js";
+import NetworkRequestAbortedError from "../../../src/errors/networkRequestAbortedError.js";
+import NetworkRequestError from "../../../src/errors/networkRequestError.js";
+
+describe('XhrTransport', () => {
+
+	it('should send requests and normalize the response', () => {
+		const xhr = {
+			'open': vi.fn(),
+			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => 'dav: 1, 3, calendar-access\r\netag: "etag"\r\n'),
+			'send': vi.fn()
+		};
+		const xhrProvider = vi.fn(() => xhr);
+
+		const transport = new XhrTransport(xhrProvider);
+		const promise = transport.send('PUT', 'https://nextcloud.testing/foo', {
+			'Content-Type': 'text/calendar'
+		}, 'BEGIN:VCALENDAR');
+
+		expect(xhr.open).toHaveBeenCalledWith('PUT', 'https://nextcloud.testing/foo', true);
+		expect(xhr.setRequestHeader).toHaveBeenCalledTimes(1);
+		expect(xhr.setRequestHeader).toHaveBeenCalledWith('Content-Type', 'text/calendar');
+		expect(xhr.send).toHaveBeenCalledWith('BEGIN:VCALENDAR');
+
+		xhr.readyState = 4;
+		xhr.status = 201;
+		xhr.response = '';
+		xhr.responseURL = 'https://nextcloud.testing/bar';
+		xhr.onreadystatechange();
+
+		return promise.then((res) => {
+			expect(res.status).toEqual(201);
+			expect(res.body).toEqual('');
+			expect(res.headers.get('DAV')).toEqual('1, 3, calendar-access');
+			expect(res.headers.get('ETag')).toEqual('"etag"');
+			expect(res.url).toEqual('https://nextcloud.testing/bar');
+			expect(res.xhr).toEqual(xhr);
+		}).catch(() => {
+			assert.fail('XhrTransport send was not supposed to assert.fail');
+		});
+	});
+
+
+	it('should abort the request once the signal aborts', () => {
+		const xhr = {
+			'open': vi.fn(),
+			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
+			'send': vi.fn(),
+			'abort': vi.fn(() => {
+				xhr.readyState = 4;
+				xhr.status = 0;
+				xhr.onreadystatechange();
+				xhr.onabort();
+			})
+		};
+		const xhrProvider = vi.fn(() => xhr);
+		const afterRequestHandler = vi.fn();
+
+		const controller = new AbortController();
+		const transport = new XhrTransport(xhrProvider);
+		const promise = transport.send('GET', 'https://nextcloud.testing/foo', {}, null, () => null, afterRequestHandler, controller.signal);
+
+		controller.abort();
+
+		return promise.then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestAbortedError));
+			expect(xhr.abort).toHaveBeenCalledTimes(1);
+			expect(afterRequestHandler).toHaveBeenCalledTimes(0);
+		});
+	});
+
+	it('should reject network failures with a NetworkRequestError', () => {
+		const xhr = {
+			'open': vi.fn(),
+			'setRequestHeader': vi.fn(),
+			'getAllResponseHeaders': vi.fn(() => ''),
+			'send': vi.fn()
+		};
+		const xhrProvider = vi.fn(() => xhr);
+		const afterRequestHandler = vi.fn();
+
+		const transport = new XhrTransport(xhrProvider);
+		const promise = transport.send('GET', 'https://nextcloud.testing/foo', {}, null, () => null, afterRequestHandler);
+
+		xhr.readyState = 4;
+		xhr.status = 0;
+		xhr.onreadystatechange();
+		xhr.onerror();
+
+		return promise.then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestError));
+			expect(res.xhr).toEqual(xhr);
+			expect(afterRequestHandler).toHaveBeenCalledTimes(0);
+		});
+	});
+
+	it('should not send requests if the signal was already aborted', () => {
+		const xhrProvider = vi.fn();
+
+		const controller = new AbortController();
+		controller.abort();
+
+		const transport = new XhrTransport(xhrProvider);
+		return transport.send('GET', 'https://nextcloud.testing/foo', {}, null, () => null, () => null, controller.signal).then(() => {
+			assert.fail('Promise was not supposed to succeed');
+		}).catch((res) => {
+			expect(res).toEqual(expect.any(NetworkRequestAbortedError));
+			expect(xhrProvider).toHaveBeenCalledTimes(0);
+		});
+	});
+
+});
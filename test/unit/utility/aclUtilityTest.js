@@ -0,0 +1,96 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { beforeEach, describe, expect, it } from "vitest";
+
+import * as AclUtility from '../../../src/utility/aclUtility.js';
+import * as XMLUtility from '../../../src/utility/xmlUtility.js';
+import { Ace } from '../../../src/models/ace.js';
+
+describe('AclUtility', () => {
+
+	beforeEach(() => {
+		XMLUtility.resetPrefixMap();
+	});
+
+	it('should provide the acl skeleton without inherited entries', function() {
+		expect(XMLUtility.serialize(AclUtility.getAclSkeleton([])))
+			.toEqual('<x0:acl xmlns:x0="DAV:"/>');
+
+		expect(XMLUtility.serialize(AclUtility.getAclSkeleton([
+			new Ace({ principal: '/principals/users/jane/', privileges: ['{DAV:}all'], protected: true }),
+			new Ace({ principal: { type: 'authenticated' }, privileges: ['{DAV:}read'], inherited: '/calendars/' }),
+			new Ace({ principal: '/principals/users/john/', grant: false, privileges: ['{DAV:}write'] }),
+		]))).toEqual('<x0:acl xmlns:x0="DAV:">'
+			+ '<x0:ace><x0:principal><x0:href>/principals/users/jane/</x0:href></x0:principal><x0:grant><x0:privilege><x0:all/></x0:privilege></x0:grant></x0:ace>'
+			+ '<x0:ace><x0:principal><x0:href>/principals/users/john/</x0:href></x0:principal><x0:deny><x0:privilege><x0:write/></x0:privilege></x0:deny></x0:ace>'
+			+ '</x0:acl>');
+	});
+
+	it('should parse access control lists', function() {
+		const document = XMLUtility.parse(`<D:acl xmlns:D="DAV:">
+	<D:ace>
+		<D:principal><D:href>/principals/users/jane/</D:href></D:principal>
+		<D:grant><D:privilege><D:all/></D:privilege></D:grant>
+		<D:protected/>
+	</D:ace>
+	<D:ace>
+		<D:principal><D:all/></D:principal>
+		<D:grant><D:privilege><D:read/></D:privilege></D:grant>
+	</D:ace>
+</D:acl>`);
+
+		const aces = AclUtility.parseAcl(XMLUtility.getFirstChildElement(document));
+		expect(aces.length).toEqual(2);
+		expect(aces[0]).toEqual(new Ace({ principal: '/principals/users/jane/', privileges: ['{DAV:}all'], protected: true }));
+		expect(aces[1]).toEqual(new Ace({ principal: { type: 'all' }, privileges: ['{DAV:}read'] }));
+	});
+
+	it('should parse supported privilege sets', function() {
+		const document = XMLUtility.parse(`<D:supported-privilege-set xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+	<D:supported-privilege>
+		<D:privilege><D:all/></D:privilege>
+		<D:abstract/>
+		<D:description xml:lang="en">Any operation</D:description>
+		<D:supported-privilege>
+			<D:privilege><D:read/></D:privilege>
+			<D:description xml:lang="en">Read any object</D:description>
+			<D:supported-privilege>
+				<D:privilege><C:read-free-busy/></D:privilege>
+			</D:supported-privilege>
+		</D:supported-privilege>
+		<D:supported-privilege>
+			<D:privilege><D:write/></D:privilege>
+		</D:supported-privilege>
+	</D:supported-privilege>
+</D:supported-privilege-set>`);
+
+		expect(AclUtility.parseSupportedPrivilegeSet(XMLUtility.getFirstChildElement(document))).toEqual([{
+			privilege: '{DAV:}all',
+			abstract: true,
+			description: 'Any operation',
+			children: [{
+				privilege: '{DAV:}read',
+				abstract: false,
+				description: 'Read any object',
+				children: [{
+					privilege: '{urn:ietf:params:xml:ns:caldav}read-free-busy',
+					abstract: false,
+					description: '',
+					children: [],
+				}],
+			}, {
+				privilege: '{DAV:}write',
+				abstract: false,
+				description: '',
+				children: [],
+			}],
+		}]);
+	});
+});
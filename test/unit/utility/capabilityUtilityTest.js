@@ -0,0 +1,43 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, expect, it } from "vitest";
+
+import * as CapabilityUtility from '../../../src/utility/capabilityUtility.js';
+
+describe('CapabilityUtility', () => {
+	it('should assume standard features are supported if the server does not tell', function() {
+		expect(CapabilityUtility.getCapabilities()).toEqual({
+			advertisedFeatures: [],
+			supportedReports: null,
+			supportsSyncCollection: true,
+			supportsPrincipalMatch: true,
+			supportsCalendarSearch: false,
+			supportsFreeBusyQuery: true,
+			supportsManagedAttachments: false,
+			supportsExtendedMkcol: true,
+		});
+	});
+
+	it('should build capabilities from advertised features and supported reports', function() {
+		expect(CapabilityUtility.getCapabilities(
+			['1', '3', 'access-control', 'calendar-access', 'calendar-managed-attachments', 'nc-calendar-search'],
+			['{DAV:}sync-collection', '{urn:ietf:params:xml:ns:caldav}calendar-query'],
+		)).toEqual({
+			advertisedFeatures: ['1', '3', 'access-control', 'calendar-access', 'calendar-managed-attachments', 'nc-calendar-search'],
+			supportedReports: ['{DAV:}sync-collection', '{urn:ietf:params:xml:ns:caldav}calendar-query'],
+			supportsSyncCollection: true,
+			supportsPrincipalMatch: false,
+			supportsCalendarSearch: true,
+			supportsFreeBusyQuery: false,
+			supportsManagedAttachments: true,
+			supportsExtendedMkcol: false,
+		});
+	});
+});
@@ -0,0 +1,58 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, expect, it } from "vitest";
+
+import * as DiscoveryUtility from '../../../src/utility/discoveryUtility.js';
+
+describe('DiscoveryUtility', () => {
+	it('should extract the domain from hostnames, urls and email addresses', function() {
+		expect(DiscoveryUtility.getDomain('example.com')).toEqual('example.com');
+		expect(DiscoveryUtility.getDomain('example.com:8443')).toEqual('example.com');
+		expect(DiscoveryUtility.getDomain('https://dav.example.com/nextcloud/')).toEqual('dav.example.com');
+		expect(DiscoveryUtility.getDomain('jane.doe@example.com')).toEqual('example.com');
+	});
+
+	it('should provide the origin to probe well-known uris on', function() {
+		expect(DiscoveryUtility.getOrigin('example.com')).toEqual('https://example.com');
+		expect(DiscoveryUtility.getOrigin('example.com:8443')).toEqual('https://example.com:8443');
+		expect(DiscoveryUtility.getOrigin('http://example.com/nextcloud/')).toEqual('http://example.com');
+		expect(DiscoveryUtility.getOrigin(' jane.doe@example.com ')).toEqual('https://example.com');
+	});
+
+	it('should provide a fallback url', function() {
+		expect(DiscoveryUtility.getFallbackUrl('example.com')).toEqual('https://example.com/');
+		expect(DiscoveryUtility.getFallbackUrl('jane.doe@example.com')).toEqual('https://example.com/');
+		expect(DiscoveryUtility.getFallbackUrl('https://example.com/remote.php/dav/')).toEqual('https://example.com/remote.php/dav/');
+	});
+
+	it('should provide the name of service records', function() {
+		expect(DiscoveryUtility.getServiceRecordName('caldav', true, 'example.com')).toEqual('_caldavs._tcp.example.com');
+		expect(DiscoveryUtility.getServiceRecordName('carddav', false, 'example.com')).toEqual('_carddav._tcp.example.com');
+	});
+
+	it('should sort service records and drop unavailable services', function() {
+		expect(DiscoveryUtility.sortServiceRecords([
+			{ priority: 10, weight: 0, port: 443, target: 'c.example.com.' },
+			{ priority: 0, weight: 0, port: 443, name: 'b.example.com' },
+			{ priority: 0, weight: 0, port: 0, target: '.' },
+			{ priority: 0, weight: 5, port: 8443, target: 'a.example.com' },
+		])).toEqual([
+			{ priority: 0, weight: 5, port: 8443, target: 'a.example.com' },
+			{ priority: 0, weight: 0, port: 443, name: 'b.example.com', target: 'b.example.com' },
+			{ priority: 10, weight: 0, port: 443, target: 'c.example.com' },
+		]);
+	});
+
+	it('should extract the context path from TXT records', function() {
+		expect(DiscoveryUtility.getContextPathFromTextRecords([])).toEqual(null);
+		expect(DiscoveryUtility.getContextPathFromTextRecords(['foo=bar', 'path=/dav/'])).toEqual('/dav/');
+		expect(DiscoveryUtility.getContextPathFromTextRecords([['path=/remote.php', '/dav/']])).toEqual('/remote.php/dav/');
+	});
+});
@@ -0,0 +1,45 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, expect, it } from "vitest";
+
+import * as FreeBusyUtility from '../../../src/utility/freeBusyUtility.js';
+
+describe('FreeBusyUtility', () => {
+	it('should parse UTC date-time values', function() {
+		expect(FreeBusyUtility.parseDateTime('19980314T233000Z')).toEqual(new Date(Date.UTC(1998, 2, 14, 23, 30)));
+	});
+
+	it('should parse durations', function() {
+		expect(FreeBusyUtility.parseDuration('PT1H')).toEqual(3600000);
+		expect(FreeBusyUtility.parseDuration('PT1H30M15S')).toEqual(5415000);
+		expect(FreeBusyUtility.parseDuration('P1DT2H')).toEqual(93600000);
+		expect(FreeBusyUtility.parseDuration('P2W')).toEqual(1209600000);
+		expect(FreeBusyUtility.parseDuration('-PT15M')).toEqual(-900000);
+		expect(() => FreeBusyUtility.parseDuration('1H')).toThrow('Invalid duration "1H"');
+	});
+
+	it('should only parse busy periods inside of VFREEBUSY components', function() {
+		const data = `BEGIN:VCALENDAR
+BEGIN:VEVENT
+FREEBUSY:19980314T233000Z/19980315T003000Z
+END:VEVENT
+BEGIN:VFREEBUSY
+FREEBUSY;FBTYPE=FREE:19980315T003000Z/PT1H
+FREEBUSY;fbtype=busy-tentative:19980316T153000Z/PT1H
+END:VFREEBUSY
+END:VCALENDAR`;
+
+		expect(FreeBusyUtility.parseBusyPeriods(data)).toEqual([{
+			type: 'BUSY-TENTATIVE',
+			start: new Date(Date.UTC(1998, 2, 16, 15, 30)),
+			end: new Date(Date.UTC(1998, 2, 16, 16, 30)),
+		}]);
+	});
+});
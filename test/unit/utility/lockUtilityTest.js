@@ -0,0 +1,42 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { beforeEach, describe, expect, it } from "vitest";
+
+import * as LockUtility from '../../../src/utility/lockUtility.js';
+import * as XMLUtility from '../../../src/utility/xmlUtility.js';
+
+describe('LockUtility', () => {
+
+	beforeEach(() => {
+		XMLUtility.resetPrefixMap();
+	});
+
+	it('should provide the lockinfo skeleton', function() {
+		expect(XMLUtility.serialize(LockUtility.getLockInfoSkeleton('exclusive')))
+			.toEqual('<x0:lockinfo xmlns:x0="DAV:"><x0:lockscope><x0:exclusive/></x0:lockscope><x0:locktype><x0:write/></x0:locktype></x0:lockinfo>');
+		expect(XMLUtility.serialize(LockUtility.getLockInfoSkeleton('shared', 'mailto:jane.doe@example.com')))
+			.toEqual('<x0:lockinfo xmlns:x0="DAV:"><x0:lockscope><x0:shared/></x0:lockscope><x0:locktype><x0:write/></x0:locktype><x0:owner><x0:href>mailto:jane.doe@example.com</x0:href></x0:owner></x0:lockinfo>');
+		expect(XMLUtility.serialize(LockUtility.getLockInfoSkeleton('exclusive', 'Jane Doe')))
+			.toEqual('<x0:lockinfo xmlns:x0="DAV:"><x0:lockscope><x0:exclusive/></x0:lockscope><x0:locktype><x0:write/></x0:locktype><x0:owner>Jane Doe</x0:owner></x0:lockinfo>');
+	});
+
+	it('should provide the Timeout header', function() {
+		expect(LockUtility.getTimeoutHeader(3600)).toEqual('Second-3600');
+		expect(LockUtility.getTimeoutHeader(90.5)).toEqual('Second-90');
+		expect(LockUtility.getTimeoutHeader(Infinity)).toEqual('Infinite');
+	});
+
+	it('should parse timeouts', function() {
+		expect(LockUtility.parseTimeout(null)).toEqual(null);
+		expect(LockUtility.parseTimeout('Second-3600')).toEqual(3600);
+		expect(LockUtility.parseTimeout('Infinite, Second-4100000000')).toEqual(Infinity);
+		expect(LockUtility.parseTimeout('Minute-5')).toEqual(null);
+	});
+});
@@ -0,0 +1,72 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { beforeEach, describe, expect, it } from "vitest";
+
+import { PrincipalPropertySearchQuery } from '../../../src/utility/principalPropertySearchQuery.js';
+import * as XMLUtility from '../../../src/utility/xmlUtility.js';
+
+describe('PrincipalPropertySearchQuery', () => {
+
+	beforeEach(() => {
+		XMLUtility.resetPrefixMap();
+	});
+
+	it('should build a query searching all principal collections', function() {
+		const query = new PrincipalPropertySearchQuery()
+			.addPropertySearch([['DAV:', 'displayname'], ['http://sabredav.org/ns', 'email-address']], 'jane');
+
+		expect(query.isEmpty()).toEqual(false);
+		expect(query.getSkeleton([['DAV:', 'displayname']])).toEqual({
+			name: ['DAV:', 'principal-property-search'],
+			children: [{
+				name: ['DAV:', 'property-search'],
+				children: [{
+					name: ['DAV:', 'prop'],
+					children: [
+						{ name: ['DAV:', 'displayname'] },
+						{ name: ['http://sabredav.org/ns', 'email-address'] },
+					],
+				}, {
+					name: ['DAV:', 'match'],
+					value: 'jane',
+				}],
+			}, {
+				name: ['DAV:', 'prop'],
+				children: [
+					{ name: ['DAV:', 'displayname'] },
+				],
+			}, {
+				name: ['DAV:', 'apply-to-principal-collection-set'],
+			}],
+		});
+	});
+
+	it('should combine multiple property searches with their own match type', function() {
+		const query = new PrincipalPropertySearchQuery()
+			.addPropertySearch([['DAV:', 'displayname']], 'Jane', 'starts-with')
+			.addPropertySearch([['urn:ietf:params:xml:ns:caldav', 'calendar-user-type']], 'INDIVIDUAL', 'equals')
+			.setTest('anyof')
+			.setProps([['DAV:', 'displayname'], ['urn:ietf:params:xml:ns:caldav', 'calendar-user-address-set']])
+			.setPrincipalCollection('/remote.php/dav/principals/users/');
+
+		expect(query.principalCollectionUrl).toEqual('/remote.php/dav/principals/users/');
+		expect(XMLUtility.serialize(query.getSkeleton([['DAV:', 'resourcetype']]))).toEqual(
+			'<x0:principal-property-search xmlns:x0="DAV:" test="anyof">'
+			+ '<x0:property-search><x0:prop><x0:displayname/></x0:prop><x0:match match-type="starts-with">Jane</x0:match></x0:property-search>'
+			+ '<x0:property-search><x0:prop><x1:calendar-user-type xmlns:x1="urn:ietf:params:xml:ns:caldav"/></x0:prop><x0:match match-type="equals">INDIVIDUAL</x0:match></x0:property-search>'
+			+ '<x0:prop><x0:displayname/><x1:calendar-user-address-set xmlns:x1="urn:ietf:params:xml:ns:caldav"/></x0:prop>'
+			+ '</x0:principal-property-search>',
+		);
+	});
+
+	it('should report queries without property searches as empty', function() {
+		expect(new PrincipalPropertySearchQuery().setTest('allof').isEmpty()).toEqual(true);
+	});
+});
@@ -0,0 +1,50 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, expect, it, vi } from "vitest";
+
+import * as RequestUtility from '../../../src/utility/requestUtility.js';
+import Request from '../../../src/request.js';
+
+describe('RequestUtility', () => {
+	it('should keep the request object if neither signal nor timeout are given', function() {
+		const request = {
+			'withOptions': vi.fn()
+		};
+
+		expect(RequestUtility.withRequestOptions(request)).toEqual(request);
+		expect(RequestUtility.withRequestOptions(request, { components: ['VEVENT'] })).toEqual(request);
+		expect(request.withOptions).toHaveBeenCalledTimes(0);
+	});
+
+	it('should derive a request object with signal and timeout', function() {
+		const derivedRequest = {};
+		const request = {
+			'withOptions': vi.fn(() => derivedRequest)
+		};
+		const controller = new AbortController();
+
+		expect(RequestUtility.withRequestOptions(request, { signal: controller.signal, components: ['VEVENT'] })).toEqual(derivedRequest);
+		expect(request.withOptions).toHaveBeenCalledWith({ signal: controller.signal });
+
+		expect(RequestUtility.withRequestOptions(request, { timeout: 1000 })).toEqual(derivedRequest);
+		expect(request.withOptions).toHaveBeenLastCalledWith({ timeout: 1000 });
+	});
+
+	it('should keep the options of an enclosing request object', function() {
+		const controller = new AbortController();
+		const request = new Request('https://nextcloud.testing/nextcloud/remote.php/dav/', {}, {})
+			.withOptions({ signal: controller.signal, timeout: 5000 });
+
+		expect(RequestUtility.withRequestOptions(request, { timeout: 1000 }).requestOptions).toEqual({
+			signal: controller.signal,
+			timeout: 1000,
+		});
+	});
+});
@@ -184,4 +184,39 @@ describe('XMLUtility', () => {
 		expect(result).toEqual([expected, expected.children[0].children[0].children]);
 		expect(result[0].children[0].children[0].children === result[1]).toBe(true);
 	});
+
+	it('should provide helpers to traverse documents', () => {
+		const document = XMLUtility.parse(`<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:" xmlns:cs="http://calendarserver.org/ns/">
+	<d:response>
+		<d:href>/foo/</d:href>
+		<d:propstat>
+			<d:prop><d:displayname>Foo</d:displayname><cs:getctag>1</cs:getctag></d:prop>
+		</d:propstat>
+	</d:response>
+	<d:response>
+		<d:href>/bar/</d:href>
+	</d:response>
+	<d:sync-token>token</d:sync-token>
+</d:multistatus>`);
+
+		const multiStatus = XMLUtility.getFirstChildElement(document, ['DAV:', 'multistatus']);
+		expect(XMLUtility.getElementName(multiStatus)).toEqual('{DAV:}multistatus');
+		expect(XMLUtility.getChildElements(multiStatus).length).toEqual(3);
+		expect(XMLUtility.getChildElements(multiStatus, ['DAV:', 'response']).length).toEqual(2);
+		expect(XMLUtility.getChildElements(multiStatus, ['DAV:', 'response'], ['DAV:', 'sync-token']).length).toEqual(3);
+		expect(XMLUtility.getFirstChildElement(multiStatus, ['DAV:', 'error'])).toEqual(null);
+
+		const response = XMLUtility.getFirstChildElement(multiStatus, ['DAV:', 'response']);
+		expect(XMLUtility.getChildTextContent(response, ['DAV:', 'href'])).toEqual('/foo/');
+		expect(XMLUtility.getChildTextContent(response, ['DAV:', 'propstat'], ['DAV:', 'prop'], ['DAV:', 'displayname'])).toEqual('Foo');
+		expect(XMLUtility.getChildTextContent(response, ['DAV:', 'propstat'], ['DAV:', 'status'])).toEqual('');
+		expect(XMLUtility.getChildTextContent(multiStatus, ['DAV:', 'sync-token'])).toEqual('token');
+
+		const prop = XMLUtility.getFirstChildElement(XMLUtility.getFirstChildElement(response, ['DAV:', 'propstat']), ['DAV:', 'prop']);
+		expect(XMLUtility.getChildElements(prop).map(XMLUtility.getElementName)).toEqual([
+			'{DAV:}displayname',
+			'{http://calendarserver.org/ns/}getctag',
+		]);
+	});
 });
@@ -0,0 +1,136 @@
+/**
+ * CDAV Library
+ *
+ * This library is part of the Nextcloud project
+ *
+ * SPDX-FileCopyrightText: 2026 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { beforeEach, describe, expect, it } from "vitest";
+
+import { SimpleXmlEnvironment } from "../../../src/xml/simpleXmlEnvironment.js";
+import * as XMLUtility from '../../../src/utility/xmlUtility.js';
+import Parser from "../../../src/parser.js";
+
+describe('SimpleXmlEnvironment', () => {
+
+	beforeEach(() => {
+		XMLUtility.resetPrefixMap();
+	});
+
+	it('should parse elements, namespaces and attributes', () => {
+		const environment = new SimpleXmlEnvironment();
+		const document = environment.parse(`<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE multistatus [<!ENTITY foo "bar">]>
+<!-- comment -->
+<d:multistatus xmlns:d="DAV:" xmlns="urn:ietf:params:xml:ns:caldav">
+	<d:response>
+		<calendar-data content-type='text/calendar' version="2.0"/>
+		<d:href xmlns:d="http://example.com/ns">/foo</d:href>
+	</d:response>
+</d:multistatus>
+`);
+
+		expect(document.nodeType).toEqual(9);
+		expect(document.documentElement.namespaceURI).toEqual('DAV:');
+		expect(document.documentElement.localName).toEqual('multistatus');
+
+		const response = document.documentElement.children[0];
+		expect(response.namespaceURI).toEqual('DAV:');
+		expect(response.children.length).toEqual(2);
+
+		const [calendarData, href] = response.children;
+		expect(calendarData.namespaceURI).toEqual('urn:ietf:params:xml:ns:caldav');
+		expect(calendarData.localName).toEqual('calendar-data');
+		expect(calendarData.getAttribute('content-type')).toEqual('text/calendar');
+		expect(calendarData.getAttribute('version')).toEqual('2.0');
+		expect(calendarData.getAttribute('foo')).toEqual(null);
+
+		expect(href.namespaceURI).toEqual('http://example.com/ns');
+		expect(href.localName).toEqual('href');
+		expect(href.textContent).toEqual('/foo');
+	});
+
+	it('should decode entities and CDATA sections', () => {
+		const environment = new SimpleXmlEnvironment();
+		const document = environment.parse('<a xmlns="DAV:" title="&quot;x&quot; &amp; y">&lt;b&gt; &#65;&#x42; <![CDATA[<c> & d]]><!-- e --> &unknown;</a>');
+
+		expect(document.documentElement.getAttribute('title')).toEqual('"x" & y');
+		expect(document.documentElement.textContent).toEqual('<b> AB <c> & d &unknown;');
+	});
+
+	it('should reject malformed documents', () => {
+		const environment = new SimpleXmlEnvironment();
+
+		expect(() => environment.parse('')).toThrow('Invalid XML: no root element');
+		expect(() => environment.parse('<a><b></a>')).toThrow('Invalid XML: unexpected closing tag "a"');
+		expect(() => environment.parse('<a>')).toThrow('Invalid XML: unclosed tag "a"');
+		expect(() => environment.parse('<a/><b/>')).toThrow('Invalid XML: multiple root elements');
+		expect(() => environment.parse('<x:a/>')).toThrow('Invalid XML: undeclared namespace prefix "x"');
+		expect(() => environment.parse('foo<a/>')).toThrow('Invalid XML: text outside of root element');
+	});
+
+	it('should serialize like XMLSerializer', () => {
+		const environment = new SimpleXmlEnvironment();
+
+		expect(XMLUtility.serialize({
+			name: ['NS123', 'element'],
+			attributes: [
+				['SPECIALNS', 'abc', '123'],
+				['def', '"4<5>6"&']
+			],
+			children: [{
+				name: ['NS456', 'element']
+			}, {
+				name: ['NS123', 'element2'],
+				value: '<"a" & b>'
+			}, {
+				name: ['NS456', 'element3'],
+				children: [{
+					name: ['NS456', 'element4'],
+					value: 0
+				}]
+			}]
+		}, environment)).toEqual('<x0:element xmlns:x0="NS123" a0:abc="123" xmlns:a0="SPECIALNS" def="&quot;4&lt;5&gt;6&quot;&amp;"><x1:element xmlns:x1="NS456"/><x0:element2>&lt;"a" &amp; b&gt;</x0:element2><x1:element3 xmlns:x1="NS456"><x1:element4/></x1:element3></x0:element>');
+	});
+
+	it('should allow the default parsers to read its documents', () => {
+		const environment = new SimpleXmlEnvironment();
+		const parser = new Parser(environment);
+		const document = environment.parse(`<d:prop xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav" xmlns:oc="http://owncloud.org/ns">
+	<d:resourcetype><d:collection/><cal:calendar/></d:resourcetype>
+	<d:current-user-privilege-set>
+		<d:privilege><d:read/></d:privilege>
+		<d:privilege><d:write/></d:privilege>
+	</d:current-user-privilege-set>
+	<cal:supported-calendar-component-set>
+		<cal:comp name="VEVENT"/>
+		<cal:comp name="VTODO"/>
+	</cal:supported-calendar-component-set>
+	<cal:schedule-calendar-transp><cal:transparent/></cal:schedule-calendar-transp>
+	<oc:invite>
+		<oc:user>
+			<d:href>principal:principals/users/bob</d:href>
+			<oc:common-name>Bob</oc:common-name>
+			<oc:invite-accepted/>
+			<oc:access><oc:read-write/></oc:access>
+		</oc:user>
+	</oc:invite>
+</d:prop>`);
+		const [resourceType, privilegeSet, components, transp, invite] = document.documentElement.children;
+
+		expect(parser.xmlEnvironment).toEqual(environment);
+		expect(parser.parse(document, resourceType, null)).toEqual(['{DAV:}collection', '{urn:ietf:params:xml:ns:caldav}calendar']);
+		expect(parser.parse(document, privilegeSet, null)).toEqual(['{DAV:}read', '{DAV:}write']);
+		expect(parser.parse(document, components, null)).toEqual(['VEVENT', 'VTODO']);
+		expect(parser.parse(document, transp, null)).toEqual('transparent');
+		expect(parser.parse(document, invite, null)).toEqual([{
+			href: 'principal:principals/users/bob',
+			'common-name': 'Bob',
+			'invite-accepted': true,
+			access: ['{http://owncloud.org/ns}read-write'],
+		}]);
+	});
+
+});
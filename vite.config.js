@@ -7,6 +7,7 @@ import { createLibConfig } from '@nextcloud/vite-config'
 
 export default createLibConfig({
 	index: 'src/index.js',
+	testing: 'src/testing/index.js',
 }, {
 	libraryFormats: ['es', 'cjs'],
 	config: {